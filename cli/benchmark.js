@@ -0,0 +1,154 @@
+/**
+ * benchmark.js - Timing the rules engine on full-game simulations
+ *
+ * The engine checks placements with per-colour occupancy bitsets. A
+ * benchmark has bots play some games, then replays them twice, timing each
+ * replay: once with the engine and once with the engine as it was before the
+ * bitsets, kept in baseline/bento_blocks.cjs exactly as it was in git.
+ * Both replays make the same calls (getLegalMoves before each placement, as
+ * a bot does, then placePiece or pass), so the bots' own thinking is left
+ * out of the comparison, and each must find every recorded move legal.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+import { createRequire } from 'node:module';
+import { BentoBlocks, BentoBots } from '../web-app/Module.js';
+import { playGame } from './match.js';
+
+// The baseline is a plain script, loaded as CommonJS so it keeps to itself
+const BaselineBlocks = createRequire(import.meta.url)('./baseline/bento_blocks.cjs');
+
+/**
+ * Runs the engine and the baseline engine on the same games
+ * @param {Object} [options] - Benchmark options
+ * @param {Array} [options.strategies] - Strategy name for each seat (defaults to a random bot per colour)
+ * @param {number} [options.games=10] - Number of games
+ * @param {number} [options.seed=1] - Seed of the first game; game n uses seed + n
+ * @param {string} [options.variant='classic'] - Variant name
+ * @returns {Object} Results ({ games, strategies, variant, averagePlacements, engineTime, baselineTime, speedup }),
+ *     with times in milliseconds per game
+ */
+export function runBenchmark(options = {}) {
+    const variant = options.variant || 'classic';
+    const strategies = options.strategies && options.strategies.length > 0
+        ? options.strategies
+        : BentoBlocks.createBoard({ variant }).players.map(() => 'random');
+    const games = options.games === undefined ? 10 : options.games;
+    const seed = options.seed === undefined ? 1 : options.seed;
+
+    strategies.forEach(strategy => {
+        if (!BentoBots.isStrategy(strategy)) {
+            throw new Error(`Unknown bot strategy: ${strategy}`);
+        }
+    });
+    if (!Number.isInteger(games) || games < 1) {
+        throw new Error('A benchmark needs at least one game');
+    }
+
+    const boards = [];
+    for (let game = 0; game < games; game++) {
+        boards.push(playGame({ strategies, seed: seed + game, variant }));
+    }
+
+    // One untimed replay first, so neither side is timed while the JIT warms up
+    replay(BentoBlocks, boards[0]);
+    replay(BaselineBlocks, boards[0]);
+
+    // The sides take turns game by game, so garbage one leaves behind is collected on either's time
+    let engineTime = 0;
+    let baselineTime = 0;
+    boards.forEach(board => {
+        engineTime += timeReplay(BentoBlocks, board);
+        baselineTime += timeReplay(BaselineBlocks, board);
+    });
+
+    const placements = boards.reduce((total, board) =>
+        total + board.moveHistory.filter(move => move.type === BentoBlocks.MOVE_TYPES.PLACE).length, 0);
+
+    return {
+        games,
+        strategies,
+        variant,
+        averagePlacements: placements / games,
+        engineTime: engineTime / games,
+        baselineTime: baselineTime / games,
+        speedup: baselineTime / engineTime
+    };
+}
+
+/**
+ * Formats benchmark results as a table
+ * @param {Object} results - Results from runBenchmark
+ * @returns {string} Report text
+ */
+export function formatBenchmark(results) {
+    const table = [
+        ['Rules', 'ms/game'],
+        ['Before bitboards', results.baselineTime.toFixed(1)],
+        ['Bitboards', results.engineTime.toFixed(1)]
+    ];
+    const widths = table[0].map((_, column) => Math.max(...table.map(row => row[column].length)));
+
+    const lines = table.map(row => row.map((cell, column) =>
+        column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+    ).join('  '));
+    lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+
+    return [
+        `${results.games} game${results.games === 1 ? '' : 's'} of ${results.strategies.join(', ')} ` +
+            `on ${results.variant}, ${results.averagePlacements.toFixed(1)} pieces placed per game`,
+        '',
+        ...lines,
+        '',
+        `Speedup: ${results.speedup.toFixed(1)}x`
+    ].join('\n');
+}
+
+/**
+ * Times one replay of a game
+ * @param {Object} engine - BentoBlocks or the baseline engine
+ * @param {Object} board - Finished board object
+ * @returns {number} Milliseconds taken
+ */
+function timeReplay(engine, board) {
+    const start = performance.now();
+    replay(engine, board);
+    return performance.now() - start;
+}
+
+/**
+ * Replays a finished game with an engine. Each placement lists the mover's
+ * legal moves, as a bot does before choosing, and is then played with
+ * placePiece, which checks who can move next.
+ * @param {Object} engine - BentoBlocks or the baseline engine
+ * @param {Object} board - Finished board object
+ */
+function replay(engine, board) {
+    let position = engine.startGame(engine.createBoard({ variant: board.variant.name }), board.seats.length);
+
+    board.moveHistory.forEach((move, index) => {
+        if (move.type === BentoBlocks.MOVE_TYPES.PASS) {
+            position = engine.pass(position, move.playerId);
+        } else if (move.type === BentoBlocks.MOVE_TYPES.PLACE) {
+            const [row, col] = move.position;
+            const chosen = engine.getLegalMoves(position, move.playerId).find(candidate =>
+                candidate.pieceId === move.pieceId && candidate.row === row && candidate.col === col &&
+                shapeKey(candidate.shape) === shapeKey(move.shape));
+            if (!chosen) {
+                const name = engine === BentoBlocks ? 'The engine' : 'The baseline engine';
+                throw new Error(`${name} rejects move ${index + 1}, ${move.pieceId} at ${move.position}`);
+            }
+            position = engine.placePiece(position, chosen.piece, row, col, move.playerId);
+        }
+    });
+}
+
+/**
+ * Builds a key that identifies a shape regardless of cell order
+ * @param {Array} shape - Array of coordinate pairs
+ * @returns {string} Shape key
+ */
+function shapeKey(shape) {
+    return shape.map(([dx, dy]) => `${dx},${dy}`).sort().join(';');
+}
@@ -0,0 +1,309 @@
+/**
+ * bento.js - Command-line client for Bento Blocks
+ *
+ * Plays games in the terminal, runs bot-vs-bot matches and times the rules
+ * engine:
+ *
+ *     npm run cli -- play --players 2 --bots 2:lookahead
+ *     npm run cli -- match greedy lookahead --games 50 --seed 7
+ *     npm run cli -- bench --games 20
+ *
+ * Moves are typed in move notation (see web-app/bento_notation.js), and the
+ * player prefix may be left out: `F5 r1 f @ 7,12` plays for whoever is to
+ * move. Type `help` during a game for the other commands.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+import readline from 'node:readline';
+import { parseArgs } from 'node:util';
+import { BentoBlocks, BentoBots, BentoNotation } from '../web-app/Module.js';
+import { renderBoard, renderPieces, describePlayer, supportsColor } from './render.js';
+import { createRandom, runMatch, formatReport } from './match.js';
+import { runBenchmark, formatBenchmark } from './benchmark.js';
+
+const USAGE = `Usage:
+  bento play [options]                 Play in the terminal
+  bento match <strategy>... [options]  Run bot-vs-bot games
+  bento bench [strategy...] [options]  Time the rules engine against the one before bitboards
+
+Options:
+  --variant <name>      Variant (${BentoBlocks.getVariants().join(', ')})
+  --scoring <name>      Scoring rules (${BentoBlocks.getScoringRules().join(', ')})
+  --players <n>         Number of seats in play (defaults to one per colour)
+  --bots <list>         play: seat bots, e.g. 2:greedy,4:random
+  --games <n>           match, bench: number of games (default 10)
+  --seed <n>            Seed for the bots' random choices
+  --verbose             match: print every game's result
+  --no-color            Draw the board with letters instead of colours
+
+Strategies: ${BentoBots.getStrategies().join(', ')}`;
+
+const GAME_HELP = `Commands:
+  <move>     Place a piece, e.g. "F5 r1 f @ 7,12" (rotation r0-r3, f flips, then row,col)
+  pieces     Show your remaining pieces
+  moves      Count your legal moves and list a few
+  pass       Pass your turn
+  board      Draw the board again
+  quit       Leave the game`;
+
+// How many legal moves the `moves` command lists
+const MOVES_SHOWN = 10;
+
+const OPTIONS = {
+    variant: { type: 'string', default: 'classic' },
+    scoring: { type: 'string', default: 'basic' },
+    players: { type: 'string' },
+    bots: { type: 'string' },
+    games: { type: 'string', default: '10' },
+    seed: { type: 'string' },
+    verbose: { type: 'boolean', default: false },
+    'no-color': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Parses an integer option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name, for the error message
+ * @returns {number|undefined} Parsed integer, or undefined when not given
+ */
+function parseInteger(value, name) {
+    if (value === undefined) return undefined;
+    if (!/^-?\d+$/.test(value)) {
+        throw new Error(`--${name} must be a whole number`);
+    }
+    return Number(value);
+}
+
+/**
+ * Parses a seat bot list such as "2:greedy,4:random"
+ * @param {string|undefined} text - Option value
+ * @returns {Object} Map of seat ID to strategy name
+ */
+function parseBots(text) {
+    const bots = {};
+    if (!text) return bots;
+
+    text.split(',').forEach(entry => {
+        const [seatId, strategy] = entry.split(':');
+        if (!/^\d+$/.test(seatId) || !strategy) {
+            throw new Error(`Cannot read bot "${entry}"; use seat:strategy, e.g. 2:greedy`);
+        }
+        bots[Number(seatId)] = strategy;
+    });
+    return bots;
+}
+
+/**
+ * Prints the entries added to moveHistory by the latest move
+ * @param {Object} board - Board after the move
+ * @param {Object} previousBoard - Board before the move
+ * @param {Object} drawOptions - Drawing options (see renderBoard)
+ */
+function reportMove(board, previousBoard, drawOptions) {
+    board.moveHistory.slice(previousBoard.moveHistory.length).forEach(move => {
+        const who = describePlayer(previousBoard, move.playerId, drawOptions);
+        if (move.type === BentoBlocks.MOVE_TYPES.BLOCKED) {
+            console.log(`${who} is blocked`);
+        } else {
+            console.log(`${who}: ${BentoNotation.formatMove(move, board)}`);
+        }
+    });
+}
+
+/**
+ * Prints the final scores
+ * @param {Object} board - Finished board object
+ */
+function reportResults(board) {
+    const winners = BentoBlocks.getWinner(board).map(seat => seat.id);
+
+    console.log('\nGame over');
+    BentoBlocks.getSeatResults(board).forEach(seat => {
+        const bot = seat.bot ? ` (${seat.bot})` : '';
+        const crown = winners.includes(seat.id) ? (winners.length > 1 ? '  tied' : '  wins') : '';
+        console.log(`  Player ${seat.id}${bot}: ${seat.score}${crown}`);
+    });
+}
+
+/**
+ * Creates a line reader that works for both terminals and piped input
+ * @returns {Object} { ask(prompt), close() }; ask resolves to null at end of input
+ */
+function createPrompt() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const lines = rl[Symbol.asyncIterator]();
+
+    return {
+        async ask(prompt) {
+            process.stdout.write(prompt);
+            const { value, done } = await lines.next();
+            return done ? null : value;
+        },
+        close() {
+            rl.close();
+        }
+    };
+}
+
+/**
+ * Plays a game in the terminal
+ * @param {Object} values - Parsed options
+ */
+async function play(values) {
+    const random = values.seed === undefined ? Math.random : createRandom(parseInteger(values.seed, 'seed'));
+    const drawOptions = { color: !values['no-color'] && supportsColor(process.stdout) };
+
+    let board = BentoBlocks.createBoard({ variant: values.variant, scoring: values.scoring });
+    board = BentoBlocks.startGame(board, parseInteger(values.players, 'players'), { bots: parseBots(values.bots) });
+
+    const prompt = createPrompt();
+    let showBoard = true;
+
+    try {
+        while (!BentoBlocks.isGameOver(board)) {
+            const seat = BentoBlocks.getCurrentSeat(board);
+            const playerId = board.currentPlayer;
+            const previousBoard = board;
+
+            if (seat.bot) {
+                board = BentoBots.playTurn(board, playerId, seat.bot, { random }) || BentoBlocks.pass(board, playerId);
+                reportMove(board, previousBoard, drawOptions);
+                showBoard = true;
+                continue;
+            }
+
+            if (showBoard) {
+                console.log('\n' + renderBoard(board, drawOptions) + '\n');
+                showBoard = false;
+            }
+
+            const line = await prompt.ask(`${describePlayer(board, playerId, drawOptions)} to move> `);
+            if (line === null) {
+                console.log('\nGame abandoned');
+                return;
+            }
+
+            const command = line.trim();
+            switch (command.toLowerCase()) {
+                case '':
+                    continue;
+                case 'help':
+                    console.log(GAME_HELP);
+                    continue;
+                case 'board':
+                    showBoard = true;
+                    continue;
+                case 'pieces':
+                    console.log(renderPieces(board.players.find(p => p.id === playerId)));
+                    continue;
+                case 'moves': {
+                    const moves = BentoBlocks.getLegalMoves(board, playerId);
+                    console.log(`${moves.length} legal move${moves.length === 1 ? '' : 's'}`);
+                    moves.slice(0, MOVES_SHOWN).forEach(move => {
+                        console.log('  ' + BentoNotation.writeMove({ ...move, type: BentoBlocks.MOVE_TYPES.PLACE, playerId }));
+                    });
+                    continue;
+                }
+                case 'quit':
+                    console.log('Game abandoned');
+                    return;
+            }
+
+            try {
+                // The player prefix is optional for whoever is to move
+                const move = BentoNotation.parseMove(/^\d+:/.test(command) ? command : `${playerId}:${command}`);
+                if (move.playerId !== playerId) {
+                    throw new Error(`It is player ${playerId}'s turn`);
+                }
+                board = BentoNotation.applyMove(board, move);
+                reportMove(board, previousBoard, drawOptions);
+                showBoard = true;
+            } catch (error) {
+                console.log(`${error.message}. Type "help" for commands.`);
+            }
+        }
+
+        console.log('\n' + renderBoard(board, drawOptions));
+        reportResults(board);
+    } finally {
+        prompt.close();
+    }
+}
+
+/**
+ * Runs a bot-vs-bot match and prints the report
+ * @param {Object} values - Parsed options
+ * @param {Array} strategies - Strategy names from the command line
+ */
+function match(values, strategies) {
+    const results = runMatch({
+        strategies,
+        games: parseInteger(values.games, 'games'),
+        seed: values.seed === undefined ? 1 : parseInteger(values.seed, 'seed'),
+        variant: values.variant,
+        scoring: values.scoring,
+        onGame: values.verbose
+            ? (number, board, order) => {
+                const scores = BentoBlocks.getSeatResults(board)
+                    .map((seat, index) => `${order[index]} ${seat.score}`)
+                    .join(', ');
+                console.log(`Game ${number}: ${scores}`);
+            }
+            : undefined
+    });
+
+    if (values.verbose) {
+        console.log('');
+    }
+    console.log(formatReport(results));
+}
+
+/**
+ * Runs the benchmark and prints the report
+ * @param {Object} values - Parsed options
+ * @param {Array} strategies - Strategy names from the command line, one per seat
+ */
+function bench(values, strategies) {
+    const results = runBenchmark({
+        strategies,
+        games: parseInteger(values.games, 'games'),
+        seed: values.seed === undefined ? 1 : parseInteger(values.seed, 'seed'),
+        variant: values.variant
+    });
+    console.log(formatBenchmark(results));
+}
+
+/**
+ * Runs the command given on the command line
+ * @param {Array} args - Command-line arguments after the script name
+ */
+async function main(args) {
+    const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    const [command, ...rest] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    switch (command) {
+        case 'play':
+            await play(values);
+            break;
+        case 'match':
+            match(values, rest);
+            break;
+        case 'bench':
+            bench(values, rest);
+            break;
+        default:
+            throw new Error(`Unknown command: ${command}`);
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
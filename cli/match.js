@@ -0,0 +1,180 @@
+/**
+ * match.js - Bot-vs-bot matches for comparing strategies
+ *
+ * A match plays a number of games between bot strategies and collects win
+ * rates, average scores and game lengths. Seats are rotated from game to game
+ * so no strategy keeps the advantage of moving first, and every game draws its
+ * randomness from its own seed so any single game can be replayed.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+import { BentoBlocks, BentoBots } from '../web-app/Module.js';
+
+/**
+ * Creates a seeded random number source (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Function returning numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Plays one game with a bot in every seat
+ * @param {Object} options - Game options
+ * @param {Array} options.strategies - Strategy name for each seat, in seat order
+ * @param {number} options.seed - Seed for the bots' random choices
+ * @param {string} [options.variant='classic'] - Variant name
+ * @param {string} [options.scoring='basic'] - Scoring rules name
+ * @returns {Object} Finished board object
+ */
+export function playGame(options) {
+    const random = createRandom(options.seed);
+    const bots = {};
+    options.strategies.forEach((strategy, index) => {
+        bots[index + 1] = strategy;
+    });
+
+    let board = BentoBlocks.createBoard({
+        variant: options.variant || 'classic',
+        scoring: options.scoring || 'basic'
+    });
+    board = BentoBlocks.startGame(board, options.strategies.length, { bots });
+
+    while (!BentoBlocks.isGameOver(board)) {
+        const seat = BentoBlocks.getCurrentSeat(board);
+        const playerId = board.currentPlayer;
+        board = BentoBots.playTurn(board, playerId, seat.bot, { random }) || BentoBlocks.pass(board, playerId);
+    }
+
+    return board;
+}
+
+/**
+ * Runs a match between bot strategies
+ * @param {Object} options - Match options
+ * @param {Array} options.strategies - Strategy names, one per seat
+ * @param {number} [options.games=10] - Number of games
+ * @param {number} [options.seed=1] - Seed of the first game; game n uses seed + n
+ * @param {string} [options.variant='classic'] - Variant name
+ * @param {string} [options.scoring='basic'] - Scoring rules name
+ * @param {Function} [options.onGame] - Called with (gameNumber, board, strategies) after each game
+ * @returns {Object} Match results ({ games, entrants, averageTurns, averagePlacements })
+ */
+export function runMatch(options) {
+    const strategies = options.strategies;
+    const games = options.games === undefined ? 10 : options.games;
+    const seed = options.seed === undefined ? 1 : options.seed;
+
+    if (!Array.isArray(strategies) || strategies.length < 2) {
+        throw new Error('A match needs at least two strategies');
+    }
+    strategies.forEach(strategy => {
+        if (!BentoBots.isStrategy(strategy)) {
+            throw new Error(`Unknown bot strategy: ${strategy}`);
+        }
+    });
+    if (!Number.isInteger(games) || games < 1) {
+        throw new Error('A match needs at least one game');
+    }
+
+    // Entrants are positions in the strategy list, so a strategy can play itself
+    const entrants = strategies.map((strategy, index) => ({
+        id: index + 1,
+        strategy,
+        wins: 0,
+        ties: 0,
+        points: 0,
+        totalScore: 0
+    }));
+    let totalTurns = 0;
+    let totalPlacements = 0;
+
+    for (let game = 0; game < games; game++) {
+        // Seat s is played by entrant (s + game) mod n
+        const order = strategies.map((_, seat) => entrants[(seat + game) % entrants.length]);
+        const board = playGame({
+            strategies: order.map(entrant => entrant.strategy),
+            seed: seed + game,
+            variant: options.variant,
+            scoring: options.scoring
+        });
+
+        const results = BentoBlocks.getSeatResults(board);
+        const winners = BentoBlocks.getWinner(board);
+        results.forEach((result, seatIndex) => {
+            const entrant = order[seatIndex];
+            entrant.totalScore += result.score;
+
+            if (winners.some(winner => winner.id === result.id)) {
+                // A shared win splits the point
+                entrant.points += 1 / winners.length;
+                if (winners.length > 1) {
+                    entrant.ties++;
+                } else {
+                    entrant.wins++;
+                }
+            }
+        });
+
+        const moves = board.moveHistory.filter(move => move.type !== BentoBlocks.MOVE_TYPES.BLOCKED);
+        totalTurns += moves.length;
+        totalPlacements += moves.filter(move => move.type === BentoBlocks.MOVE_TYPES.PLACE).length;
+
+        if (typeof options.onGame === 'function') {
+            options.onGame(game + 1, board, order.map(entrant => entrant.strategy));
+        }
+    }
+
+    return {
+        games,
+        entrants: entrants.map(entrant => ({
+            id: entrant.id,
+            strategy: entrant.strategy,
+            wins: entrant.wins,
+            ties: entrant.ties,
+            winRate: entrant.points / games,
+            averageScore: entrant.totalScore / games
+        })),
+        averageTurns: totalTurns / games,
+        averagePlacements: totalPlacements / games
+    };
+}
+
+/**
+ * Formats match results as a table
+ * @param {Object} results - Results from runMatch
+ * @returns {string} Report text
+ */
+export function formatReport(results) {
+    const rows = results.entrants.map(entrant => [
+        `${entrant.id}. ${entrant.strategy}`,
+        String(entrant.wins),
+        String(entrant.ties),
+        `${(entrant.winRate * 100).toFixed(1)}%`,
+        entrant.averageScore.toFixed(1)
+    ]);
+    const table = [['Bot', 'Wins', 'Ties', 'Win rate', 'Avg score'], ...rows];
+    const widths = table[0].map((_, column) => Math.max(...table.map(row => row[column].length)));
+
+    const lines = table.map(row => row.map((cell, column) =>
+        column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+    ).join('  '));
+    lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+
+    return [
+        `${results.games} game${results.games === 1 ? '' : 's'}`,
+        '',
+        ...lines,
+        '',
+        `Average game length: ${results.averageTurns.toFixed(1)} turns, ${results.averagePlacements.toFixed(1)} pieces placed`
+    ].join('\n');
+}
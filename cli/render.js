@@ -0,0 +1,154 @@
+/**
+ * render.js - Draws Bento Blocks boards and pieces as terminal text
+ *
+ * Each cell is two characters wide so the board looks square. With colour
+ * turned on, cells are painted with ANSI backgrounds; without it every colour
+ * is shown by its first letter, which also keeps piped output readable.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+import { BentoBlocks } from '../web-app/Module.js';
+
+// ANSI background codes for the variant colours
+const BACKGROUNDS = {
+    red: '41',
+    blue: '44',
+    yellow: '43',
+    purple: '45',
+    orange: '48;5;208',
+    green: '42'
+};
+
+const RESET = '\x1b[0m';
+const DIM = '\x1b[2m';
+
+/**
+ * Checks whether the terminal should get colours
+ * @param {Object} stream - Output stream
+ * @returns {boolean} True if ANSI colours should be used
+ */
+export function supportsColor(stream) {
+    return Boolean(stream.isTTY) && !('NO_COLOR' in process.env);
+}
+
+/**
+ * Draws one cell for a colour
+ * @param {string} color - Colour name
+ * @param {boolean} useColor - Whether to use ANSI colours
+ * @returns {string} Two-character cell
+ */
+function paintCell(color, useColor) {
+    if (useColor) {
+        return `\x1b[${BACKGROUNDS[color] || '47'}m  ${RESET}`;
+    }
+    const letter = color.charAt(0).toUpperCase();
+    return letter + letter;
+}
+
+/**
+ * Draws the board with row and column numbers. Start cells of a colour that
+ * has not played yet are marked with `+`.
+ * @param {Object} board - Game board object
+ * @param {Object} [options] - Drawing options
+ * @param {boolean} [options.color=false] - Whether to use ANSI colours
+ * @returns {string} Board text
+ */
+export function renderBoard(board, options = {}) {
+    const useColor = Boolean(options.color);
+    const colors = new Map(board.players.map(player => [player.id, player.color]));
+
+    const startCells = new Set();
+    board.players
+        .filter(player => !player.pieces.some(piece => piece.used))
+        .forEach(player => player.startCells.forEach(([row, col]) => startCells.add(`${row},${col}`)));
+
+    // Column numbers are written downwards, tens above units
+    const columns = Array.from({ length: board.size }, (_, col) => col);
+    const header = [
+        '    ' + columns.map(col => (col >= 10 ? ' ' + Math.floor(col / 10) : '  ')).join(''),
+        '    ' + columns.map(col => ' ' + (col % 10)).join('')
+    ].join('\n');
+    const rows = board.grid.map((cells, row) => {
+        const line = cells.map((cell, col) => {
+            if (cell !== 0) {
+                return paintCell(colors.get(cell), useColor);
+            }
+            const mark = startCells.has(`${row},${col}`) ? ' +' : ' .';
+            return useColor ? DIM + mark + RESET : mark;
+        }).join('');
+        return String(row).padStart(3) + ' ' + line;
+    });
+
+    return [header, ...rows].join('\n');
+}
+
+/**
+ * Draws a shape as rows of `#`
+ * @param {Array} shape - Array of [row, col] coordinates
+ * @returns {Array} Array of text lines
+ */
+export function renderShape(shape) {
+    const height = Math.max(...shape.map(([row]) => row)) + 1;
+    const width = Math.max(...shape.map(([, col]) => col)) + 1;
+    const filled = new Set(shape.map(([row, col]) => `${row},${col}`));
+
+    return Array.from({ length: height }, (_, row) =>
+        Array.from({ length: width }, (_, col) => (filled.has(`${row},${col}`) ? '#' : ' ')).join('')
+    );
+}
+
+/**
+ * Draws a player's unused pieces side by side, labelled with their IDs
+ * @param {Object} player - Player object
+ * @param {number} [width=72] - Maximum line width
+ * @returns {string} Pieces text
+ */
+export function renderPieces(player, width = 72) {
+    const blocks = player.pieces
+        .filter(piece => !piece.used)
+        .map(piece => {
+            const lines = renderShape(BentoBlocks.getTransformedShape(piece));
+            const blockWidth = Math.max(piece.id.length, ...lines.map(line => line.length)) + 2;
+            return { lines: [piece.id, ...lines], width: blockWidth };
+        });
+
+    // Lay the pieces out in bands that fit the line width
+    const bands = [];
+    let band = [];
+    let bandWidth = 0;
+    blocks.forEach(block => {
+        if (band.length > 0 && bandWidth + block.width > width) {
+            bands.push(band);
+            band = [];
+            bandWidth = 0;
+        }
+        band.push(block);
+        bandWidth += block.width;
+    });
+    if (band.length > 0) {
+        bands.push(band);
+    }
+
+    return bands.map(blocksInBand => {
+        const height = Math.max(...blocksInBand.map(block => block.lines.length));
+        return Array.from({ length: height }, (_, i) =>
+            blocksInBand.map(block => (block.lines[i] || '').padEnd(block.width)).join('').trimEnd()
+        ).join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * Describes a colour for messages, e.g. "Player 2 (blue)"
+ * @param {Object} board - Game board object
+ * @param {number} playerId - Player ID
+ * @param {Object} [options] - Drawing options (see renderBoard)
+ * @returns {string} Description
+ */
+export function describePlayer(board, playerId, options = {}) {
+    const player = board.players.find(p => p.id === playerId);
+    const swatch = options.color ? paintCell(player.color, true) + ' ' : '';
+    const seat = BentoBlocks.getSeatForPlayer(board, playerId);
+    const owner = player.neutral ? `shared, for Player ${seat.id}` : `Player ${seat.id}`;
+    return `${swatch}${player.color} (${owner})`;
+}
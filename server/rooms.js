@@ -0,0 +1,199 @@
+/**
+ * rooms.js - Game rooms for the Bento Blocks server
+ *
+ * A room holds one authoritative board. Every move a client sends is replayed
+ * through the engine before it is accepted, and each accepted move bumps the
+ * room's revision so clients can tell whether they missed a diff.
+ *
+ * Seats are claimed by the first players to join and keep a secret token, so
+ * a player who loses the connection can take the same seat back. Anyone else
+ * may watch as a spectator.
+ *
+ * Clients may only place pieces and pass. Hints are not offered online, and
+ * timeouts are the server's to call: a client must not be able to flag a
+ * seat whenever it likes.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+import crypto from 'node:crypto';
+import { BentoBlocks, BentoNotation, BentoSync } from '../web-app/Module.js';
+
+// Room codes avoid letters and digits that are easy to confuse
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+
+const ROLES = {
+    PLAYER: 'player',
+    SPECTATOR: 'spectator'
+};
+
+/**
+ * Creates a room with a new game
+ * @param {Map} rooms - Open rooms, keyed by code
+ * @param {Object} [options] - Game options
+ * @param {string} [options.variant='classic'] - Variant name
+ * @param {string} [options.scoring='basic'] - Scoring rules name
+ * @param {number} [options.players] - Number of seats (defaults to one per colour)
+ * @returns {Object} Room object
+ */
+export function createRoom(rooms, options = {}) {
+    let board = BentoBlocks.createBoard({
+        variant: typeof options.variant === 'string' ? options.variant : 'classic',
+        scoring: typeof options.scoring === 'string' ? options.scoring : 'basic'
+    });
+    board = BentoBlocks.startGame(board, Number.isInteger(options.players) ? options.players : undefined);
+
+    let code;
+    do {
+        code = Array.from({ length: ROOM_CODE_LENGTH },
+            () => ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)]).join('');
+    } while (rooms.has(code));
+
+    const room = {
+        code,
+        board,
+        state: BentoBlocks.serialize(board),
+        revision: 0,
+        seats: board.seats.map(seat => ({ id: seat.id, token: null, name: null, client: null })),
+        spectators: new Set(),
+        emptySince: Date.now()
+    };
+
+    rooms.set(code, room);
+    return room;
+}
+
+/**
+ * Adds a client to a room. A client with a seat token gets that seat back;
+ * other players take the first free seat.
+ * @param {Object} room - Room object
+ * @param {Object} client - Connected client
+ * @param {Object} [options] - Join options
+ * @param {string} [options.role='player'] - 'player' or 'spectator'
+ * @param {string} [options.token] - Seat token from an earlier join
+ * @param {string} [options.name] - Display name
+ * @returns {Object} { role, seatId, token }
+ */
+export function joinRoom(room, client, options = {}) {
+    room.emptySince = null;
+
+    if (options.token) {
+        const seat = room.seats.find(s => s.token === options.token);
+        if (!seat) {
+            throw new Error('That seat token is not valid for this room');
+        }
+        // A reconnecting player replaces their stale connection
+        if (seat.client && seat.client !== client) {
+            seat.client.room = null;
+            seat.client.close();
+        }
+        seat.client = client;
+        return { role: ROLES.PLAYER, seatId: seat.id, token: seat.token };
+    }
+
+    if (options.role === ROLES.SPECTATOR) {
+        room.spectators.add(client);
+        return { role: ROLES.SPECTATOR, seatId: null, token: null };
+    }
+
+    const seat = room.seats.find(s => s.token === null);
+    if (!seat) {
+        throw new Error('Every seat is taken; join as a spectator instead');
+    }
+
+    seat.token = crypto.randomBytes(16).toString('hex');
+    seat.name = typeof options.name === 'string' ? options.name.slice(0, 24) : null;
+    seat.client = client;
+    return { role: ROLES.PLAYER, seatId: seat.id, token: seat.token };
+}
+
+/**
+ * Removes a client's connection from a room. Seats stay claimed so the player
+ * can reconnect.
+ * @param {Object} room - Room object
+ * @param {Object} client - Connected client
+ */
+export function leaveRoom(room, client) {
+    room.spectators.delete(client);
+    room.seats.forEach(seat => {
+        if (seat.client === client) {
+            seat.client = null;
+        }
+    });
+
+    if (getClients(room).length === 0) {
+        room.emptySince = Date.now();
+    }
+}
+
+// Moves a client may send; anything else parseMove reads is refused
+const CLIENT_MOVE_TYPES = [BentoBlocks.MOVE_TYPES.PLACE, BentoBlocks.MOVE_TYPES.PASS];
+
+/**
+ * Validates and plays a placement or pass for the client's seat
+ * @param {Object} room - Room object
+ * @param {Object} client - Connected client
+ * @param {string} text - Move in move notation, e.g. "2:F5 r1 f @ 7,12"
+ * @returns {Array} Diff operations from the previous state
+ */
+export function playMove(room, client, text) {
+    const seat = room.seats.find(s => s.client === client);
+    if (!seat) {
+        throw new Error('Spectators cannot move');
+    }
+
+    const currentSeat = BentoBlocks.getCurrentSeat(room.board);
+    if (!currentSeat || currentSeat.id !== seat.id) {
+        throw new Error('It is not your turn');
+    }
+
+    const move = BentoNotation.parseMove(String(text));
+    if (!CLIENT_MOVE_TYPES.includes(move.type)) {
+        throw new Error(`A ${move.type} cannot be sent in an online game`);
+    }
+    if (move.playerId !== room.board.currentPlayer) {
+        throw new Error(`It is not player ${move.playerId}'s turn`);
+    }
+
+    // The engine rejects anything that is not a legal move
+    room.board = BentoNotation.applyMove(room.board, move);
+
+    const state = BentoBlocks.serialize(room.board);
+    const ops = BentoSync.diff(room.state, state);
+    room.state = state;
+    room.revision++;
+    return ops;
+}
+
+/**
+ * Gets every client connected to a room
+ * @param {Object} room - Room object
+ * @returns {Array} Array of clients
+ */
+export function getClients(room) {
+    return [
+        ...room.seats.filter(seat => seat.client).map(seat => seat.client),
+        ...room.spectators
+    ];
+}
+
+/**
+ * Describes who is in a room, without seat tokens
+ * @param {Object} room - Room object
+ * @returns {Object} { code, seats: [{ id, taken, connected, name }], spectators }
+ */
+export function getRoomInfo(room) {
+    return {
+        code: room.code,
+        seats: room.seats.map(seat => ({
+            id: seat.id,
+            taken: seat.token !== null,
+            connected: seat.client !== null,
+            name: seat.name
+        })),
+        spectators: room.spectators.size
+    };
+}
+
+export { ROLES };
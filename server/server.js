@@ -0,0 +1,236 @@
+/**
+ * server.js - Local multiplayer server for Bento Blocks
+ *
+ * Serves the web app over HTTP, with game.html at /, and hosts game rooms
+ * over a WebSocket at /ws. Run with `npm run server` (PORT defaults to 8080)
+ * and open http://localhost:8080/ in each player's browser.
+ *
+ * Messages are JSON objects with a `type`. Clients send:
+ *
+ *     { type: 'create', options: { variant, scoring, players }, name }
+ *     { type: 'join', code, role: 'player' | 'spectator', token, name }
+ *     { type: 'move', move: '2:F5 r1 f @ 7,12' }      (a placement or '2:pass')
+ *     { type: 'sync' }
+ *     { type: 'leave' }
+ *
+ * The server answers with `joined` ({ code, role, seatId, token }), `state`
+ * (the full serialized board and its revision), `diff` ({ revision, ops }
+ * after every accepted move), `room` (who is connected) and `error`.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+import { createRoom, joinRoom, leaveRoom, playMove, getClients, getRoomInfo } from './rooms.js';
+
+const PORT = Number(process.env.PORT) || 8080;
+
+const WEB_APP_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'web-app');
+
+// Rooms nobody is connected to are closed after this long
+const ROOM_IDLE_TIMEOUT = 10 * 60 * 1000;
+
+// Connections that miss a heartbeat are dropped so their seat frees up for a reconnect
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// Largest message a client may send, in bytes
+const MAX_MESSAGE_SIZE = 4096;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.ttf': 'font/ttf'
+};
+
+const rooms = new Map();
+
+/**
+ * Serves a file from the web app directory, answering 400 for paths that
+ * cannot be decoded
+ * @param {http.IncomingMessage} request - HTTP request
+ * @param {http.ServerResponse} response - HTTP response
+ */
+function serveStatic(request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        // Malformed escapes such as /%E0%A4%A cannot be decoded
+        response.writeHead(400, { 'Content-Type': 'text/plain' }).end('Bad request');
+        return;
+    }
+    const file = path.join(WEB_APP_DIR, urlPath === '/' ? 'game.html' : urlPath);
+
+    if (!file.startsWith(WEB_APP_DIR + path.sep)) {
+        response.writeHead(403).end();
+        return;
+    }
+
+    fs.readFile(file, (error, contents) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream'
+        }).end(contents);
+    });
+}
+
+/**
+ * Sends a message to every client in a room
+ * @param {Object} room - Room object
+ * @param {Object} message - Message object
+ */
+function broadcast(room, message) {
+    getClients(room).forEach(client => client.send(message));
+}
+
+/**
+ * Sends the full board to a client, for joins, reconnects and resyncs
+ * @param {Object} room - Room object
+ * @param {Object} client - Connected client
+ */
+function sendState(room, client) {
+    client.send({ type: 'state', revision: room.revision, board: room.state });
+}
+
+/**
+ * Handles one message from a client
+ * @param {Object} client - Connected client
+ * @param {Object} message - Parsed message
+ */
+function handleMessage(client, message) {
+    switch (message.type) {
+        case 'create': {
+            leaveCurrentRoom(client);
+            const room = createRoom(rooms, message.options || {});
+            enterRoom(client, room, { name: message.name });
+            break;
+        }
+        case 'join': {
+            const room = rooms.get(String(message.code || '').toUpperCase());
+            if (!room) {
+                throw new Error(`No room with code ${message.code}`);
+            }
+            if (client.room !== room) {
+                leaveCurrentRoom(client);
+            }
+            enterRoom(client, room, { role: message.role, token: message.token, name: message.name });
+            break;
+        }
+        case 'move': {
+            if (!client.room) {
+                throw new Error('Join a room first');
+            }
+            const ops = playMove(client.room, client, message.move);
+            broadcast(client.room, { type: 'diff', revision: client.room.revision, ops });
+            break;
+        }
+        case 'sync':
+            if (client.room) {
+                sendState(client.room, client);
+            }
+            break;
+        case 'leave':
+            leaveCurrentRoom(client);
+            break;
+        default:
+            throw new Error(`Unknown message type: ${message.type}`);
+    }
+}
+
+/**
+ * Adds a client to a room and brings everyone up to date
+ * @param {Object} client - Connected client
+ * @param {Object} room - Room object
+ * @param {Object} options - Join options (see joinRoom)
+ */
+function enterRoom(client, room, options) {
+    const { role, seatId, token } = joinRoom(room, client, options);
+    client.room = room;
+
+    client.send({ type: 'joined', code: room.code, role, seatId, token });
+    sendState(room, client);
+    broadcast(room, { type: 'room', room: getRoomInfo(room) });
+}
+
+function leaveCurrentRoom(client) {
+    const room = client.room;
+    if (!room) return;
+
+    client.room = null;
+    leaveRoom(room, client);
+    broadcast(room, { type: 'room', room: getRoomInfo(room) });
+}
+
+/**
+ * Closes rooms that have had nobody connected for a while
+ */
+function closeIdleRooms() {
+    const now = Date.now();
+    rooms.forEach((room, code) => {
+        if (room.emptySince !== null && now - room.emptySince > ROOM_IDLE_TIMEOUT) {
+            rooms.delete(code);
+        }
+    });
+}
+
+const server = http.createServer(serveStatic);
+const wss = new WebSocketServer({ server, path: '/ws', maxPayload: MAX_MESSAGE_SIZE });
+
+wss.on('connection', socket => {
+    const client = {
+        room: null,
+        alive: true,
+        send(message) {
+            if (socket.readyState === socket.OPEN) {
+                socket.send(JSON.stringify(message));
+            }
+        },
+        close() {
+            socket.close();
+        }
+    };
+
+    socket.on('pong', () => {
+        client.alive = true;
+    });
+
+    socket.on('message', data => {
+        try {
+            handleMessage(client, JSON.parse(data));
+        } catch (error) {
+            client.send({ type: 'error', message: error.message });
+        }
+    });
+
+    socket.on('close', () => leaveCurrentRoom(client));
+    socket.clientState = client;
+});
+
+const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+        if (!socket.clientState.alive) {
+            socket.terminate();
+            return;
+        }
+        socket.clientState.alive = false;
+        socket.ping();
+    });
+    closeIdleRooms();
+}, HEARTBEAT_INTERVAL);
+
+wss.on('close', () => clearInterval(heartbeat));
+
+server.listen(PORT, () => {
+    console.log(`Bento Blocks server running at http://localhost:${PORT}/`);
+});
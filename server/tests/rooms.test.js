@@ -0,0 +1,211 @@
+/**
+ * rooms.test.js - Game rooms on the server
+ *
+ * Clients are stand-ins that keep what they were sent, so the rooms can be
+ * driven without opening sockets.
+ */
+import assert from 'node:assert/strict';
+import { BentoBlocks, BentoNotation, BentoSync } from '../../web-app/Module.js';
+import { createRoom, joinRoom, leaveRoom, playMove, getClients, getRoomInfo, ROLES } from '../rooms.js';
+
+/**
+ * Creates a stand-in for a connected client
+ * @returns {Object} Client that records sent messages and whether it was closed
+ */
+function createClient() {
+    return {
+        room: null,
+        sent: [],
+        closed: false,
+        send(message) {
+            this.sent.push(message);
+        },
+        close() {
+            this.closed = true;
+        }
+    };
+}
+
+/**
+ * Writes the first legal move of the player to move in move notation
+ * @param {Object} board - Game board object
+ * @returns {string} Move text
+ */
+function firstLegalMove(board) {
+    const move = BentoBlocks.getLegalMoves(board, board.currentPlayer)[0];
+    return BentoNotation.writeMove({
+        type: BentoBlocks.MOVE_TYPES.PLACE,
+        playerId: board.currentPlayer,
+        pieceId: move.pieceId,
+        rotation: move.rotation,
+        flipped: move.flipped,
+        row: move.row,
+        col: move.col
+    });
+}
+
+describe('rooms', function() {
+    let rooms;
+    let room;
+
+    beforeEach(function() {
+        rooms = new Map();
+        room = createRoom(rooms, { variant: 'duo' });
+    });
+
+    describe('createRoom', function() {
+        it('opens a started game under a fresh code', function() {
+            assert.match(room.code, /^[A-HJKMNP-Z2-9]{5}$/);
+            assert.equal(rooms.get(room.code), room);
+            assert.equal(room.revision, 0);
+            assert.equal(room.board.status, BentoBlocks.GAME_STATUS.IN_PROGRESS);
+            assert.deepEqual(room.state, BentoBlocks.serialize(room.board));
+            assert.equal(room.seats.length, 2);
+        });
+
+        it('falls back to the classic variant for options that are not strings', function() {
+            const other = createRoom(rooms, { variant: 42, players: 2 });
+            assert.equal(other.board.variant.name, 'classic');
+            assert.equal(other.seats.length, 2);
+            assert.notEqual(other.code, room.code);
+        });
+    });
+
+    describe('joinRoom', function() {
+        it('gives players the free seats in order, each with its own token', function() {
+            const first = joinRoom(room, createClient(), { name: 'Ana' });
+            const second = joinRoom(room, createClient());
+
+            assert.equal(first.role, ROLES.PLAYER);
+            assert.deepEqual([first.seatId, second.seatId], [1, 2]);
+            assert.match(first.token, /^[0-9a-f]{32}$/);
+            assert.notEqual(first.token, second.token);
+            assert.equal(getRoomInfo(room).seats[0].name, 'Ana');
+        });
+
+        it('refuses a player once every seat is taken, but lets them watch', function() {
+            joinRoom(room, createClient());
+            joinRoom(room, createClient());
+
+            assert.throws(() => joinRoom(room, createClient()), /Every seat is taken/);
+
+            const watcher = createClient();
+            assert.deepEqual(joinRoom(room, watcher, { role: ROLES.SPECTATOR }),
+                { role: ROLES.SPECTATOR, seatId: null, token: null });
+            assert.equal(getClients(room).length, 3);
+            assert.equal(getRoomInfo(room).spectators, 1);
+        });
+
+        it('gives a reconnecting player their seat back and drops the stale connection', function() {
+            const stale = createClient();
+            const { token } = joinRoom(room, stale);
+            stale.room = room;
+
+            const fresh = createClient();
+            assert.deepEqual(joinRoom(room, fresh, { token }), { role: ROLES.PLAYER, seatId: 1, token });
+            assert.ok(stale.closed);
+            assert.equal(stale.room, null);
+            assert.deepEqual(getClients(room), [fresh]);
+        });
+
+        it('refuses a token from another room', function() {
+            assert.throws(() => joinRoom(room, createClient(), { token: 'not-a-token' }), /seat token is not valid/);
+        });
+
+        it('never hands out tokens in the room description', function() {
+            joinRoom(room, createClient());
+            assert.doesNotMatch(JSON.stringify(getRoomInfo(room)), /token/);
+        });
+    });
+
+    describe('leaveRoom', function() {
+        it('keeps the seat for a reconnect and notes when the room emptied', function() {
+            const client = createClient();
+            const { token } = joinRoom(room, client);
+            assert.equal(room.emptySince, null);
+
+            leaveRoom(room, client);
+            assert.deepEqual(getRoomInfo(room).seats[0], { id: 1, taken: true, connected: false, name: null });
+            assert.equal(typeof room.emptySince, 'number');
+            assert.equal(joinRoom(room, createClient(), { token }).seatId, 1);
+        });
+    });
+
+    describe('playMove', function() {
+        let first;
+        let second;
+
+        beforeEach(function() {
+            first = createClient();
+            second = createClient();
+            joinRoom(room, first);
+            joinRoom(room, second);
+        });
+
+        it('plays a legal move and returns the diff from the previous state', function() {
+            const previous = room.state;
+            const ops = playMove(room, first, firstLegalMove(room.board));
+
+            assert.equal(room.revision, 1);
+            assert.equal(room.board.moveHistory.length, 1);
+            assert.deepEqual(room.state, BentoBlocks.serialize(room.board));
+            assert.deepEqual(BentoSync.applyDiff(previous, ops), room.state);
+        });
+
+        it('relays moves so a client following the diffs matches the room', function() {
+            let clientState = room.state;
+            const players = [first, second];
+
+            for (let turn = 0; turn < 6; turn++) {
+                const ops = playMove(room, players[turn % 2], firstLegalMove(room.board));
+                clientState = BentoSync.applyDiff(clientState, ops);
+            }
+
+            assert.equal(room.revision, 6);
+            assert.deepEqual(clientState, room.state);
+            assert.deepEqual(BentoBlocks.serialize(BentoBlocks.deserialize(clientState)), room.state);
+        });
+
+        it('refuses a move from the seat that is not to move', function() {
+            assert.throws(() => playMove(room, second, firstLegalMove(room.board)), /It is not your turn/);
+            assert.equal(room.revision, 0);
+        });
+
+        it('refuses a move for another player\'s colour', function() {
+            assert.throws(() => playMove(room, first, '2:I1 r0 @ 13,13'), /It is not player 2's turn/);
+        });
+
+        it('refuses an illegal placement and leaves the room unchanged', function() {
+            const state = room.state;
+
+            assert.throws(() => playMove(room, first, '1:I1 r0 @ 0,0'), /Invalid piece placement/);
+            assert.throws(() => playMove(room, first, 'nonsense'), /Cannot parse move/);
+            assert.equal(room.revision, 0);
+            assert.equal(room.state, state);
+            assert.equal(room.board.moveHistory.length, 0);
+        });
+
+        it('refuses hints and timeouts from clients', function() {
+            const state = room.state;
+
+            assert.throws(() => playMove(room, first, '1:hint'), /A hint cannot be sent in an online game/);
+            assert.throws(() => playMove(room, first, '1:timeout'), /A timeout cannot be sent in an online game/);
+            assert.equal(room.revision, 0);
+            assert.equal(room.state, state);
+            assert.equal(room.board.moveHistory.length, 0);
+        });
+
+        it('accepts a pass', function() {
+            playMove(room, first, '1:pass');
+            assert.equal(room.board.moveHistory[0].type, BentoBlocks.MOVE_TYPES.PASS);
+            assert.equal(room.board.currentPlayer, 2);
+        });
+
+        it('refuses moves from spectators', function() {
+            const watcher = createClient();
+            joinRoom(room, watcher, { role: ROLES.SPECTATOR });
+
+            assert.throws(() => playMove(room, watcher, firstLegalMove(room.board)), /Spectators cannot move/);
+        });
+    });
+});
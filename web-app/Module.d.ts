@@ -0,0 +1,561 @@
+/**
+ * Module.d.ts - Type definitions for the Bento Blocks engine module
+ *
+ * Boards and everything in them are frozen; functions that change a game
+ * return a new board.
+ */
+
+/** A [row, col] pair */
+export type Cell = [number, number];
+
+/** A shape as [row, col] offsets from its anchor, smallest row and column 0 */
+export type Shape = Cell[];
+
+export type GameStatus = 'waiting' | 'in_progress' | 'finished';
+
+export type MoveType = 'place' | 'pass' | 'blocked' | 'hint' | 'timeout';
+
+export type TimeControlMode = 'increment' | 'perMove';
+
+export type TimeoutAction = 'pass' | 'forfeit';
+
+export type PlayerColor = 'red' | 'blue' | 'yellow' | 'purple' | 'orange' | 'green';
+
+export type Avatar = 'blueberry' | 'lime' | 'mango' | 'strawberry';
+
+/** A piece as held by a player; rotation and flipped give its orientation */
+export interface Piece {
+    readonly id: string;
+    readonly shape: Shape;
+    readonly used: boolean;
+    /** Quarter turns clockwise (0-3) */
+    readonly rotation: number;
+    /** True if mirrored before rotating */
+    readonly flipped: boolean;
+}
+
+/** A colour on the board */
+export interface Player {
+    /** 1-4, also the value of the player's cells in the grid */
+    readonly id: number;
+    readonly score: number;
+    readonly pieceSet: string;
+    readonly pieces: readonly Piece[];
+    readonly color: PlayerColor;
+    /** Name of the person playing the colour, without line breaks or control characters */
+    readonly name: string | null;
+    readonly avatar: Avatar | null;
+    /** Cells the first piece must cover */
+    readonly startCells: readonly Cell[];
+    /** True if every seat takes turns playing this colour */
+    readonly neutral: boolean;
+    /** True once the player can no longer move */
+    readonly blocked: boolean;
+}
+
+/** A person at the table, playing one or more colours */
+export interface Seat {
+    readonly id: number;
+    readonly playerIds: readonly number[];
+    /** Bot strategy name, or null for a human */
+    readonly bot: string | null;
+}
+
+/** An entry in board.moveHistory */
+export interface Move {
+    readonly type: MoveType;
+    readonly playerId: number;
+    /** Not recorded for blocked entries */
+    readonly seatId?: number;
+    /** Placed or suggested piece */
+    readonly pieceId?: string;
+    /** Anchor of a placed or suggested piece */
+    readonly position?: Cell;
+    /** Transformed shape of a placed or suggested piece */
+    readonly shape?: Shape;
+    /** What a timeout did */
+    readonly action?: TimeoutAction;
+    /** Milliseconds since the epoch */
+    readonly timestamp: number;
+}
+
+export interface Variant {
+    readonly name: string;
+    readonly boardSize: number;
+    readonly playerCount: number;
+    readonly colors: readonly PlayerColor[];
+    /** Start cells per player, or null for the board corners */
+    readonly startCells: readonly (readonly Cell[])[] | null;
+}
+
+export interface ScoreItem {
+    label: string;
+    points: number;
+}
+
+export interface ScoringRules {
+    name: string;
+    score(player: Player, board: Board): ScoreItem[];
+}
+
+export interface ScoreBreakdown {
+    playerId: number;
+    scoring: string;
+    items: ScoreItem[];
+    total: number;
+}
+
+export interface SeatResult {
+    id: number;
+    playerIds: number[];
+    bot: string | null;
+    score: number;
+    breakdown: ScoreBreakdown[];
+    /** True if the seat lost on time */
+    forfeited: boolean;
+}
+
+/** How long seats may think, in milliseconds */
+export type TimeControl =
+    | { readonly mode: 'increment'; readonly initial: number; readonly increment: number; readonly onTimeout: TimeoutAction }
+    | { readonly mode: 'perMove'; readonly limit: number; readonly onTimeout: TimeoutAction };
+
+/** A time control as given to createBoard; omitted fields take their defaults */
+export type TimeControlOptions =
+    | { mode: 'increment'; initial: number; increment?: number; onTimeout?: TimeoutAction }
+    | { mode: 'perMove'; limit: number; onTimeout?: TimeoutAction };
+
+export interface Clock {
+    readonly seatId: number;
+    /** Milliseconds the seat had when its current or next turn began */
+    readonly remaining: number;
+}
+
+/** A game board */
+export interface Board {
+    /** Cells by [row][col], 0 when empty or else a player ID */
+    readonly grid: readonly (readonly number[])[];
+    readonly size: number;
+    readonly variant: Variant;
+    /** Colours in turn order */
+    readonly players: readonly Player[];
+    readonly seats: readonly Seat[];
+    readonly neutralTurns: number;
+    /** Colour to move, null once the game is finished */
+    readonly currentPlayer: number | null;
+    readonly status: GameStatus;
+    readonly moveHistory: readonly Move[];
+    /** Latest placement or pass */
+    readonly lastMove: Move | null;
+    readonly scoring: ScoringRules;
+    /** Hints each seat may take in a game, null for no limit */
+    readonly hintLimit: number | null;
+    /** Null for an untimed game */
+    readonly timeControl: TimeControl | null;
+    /** Null until a timed game starts */
+    readonly clocks: readonly Clock[] | null;
+    /** When the current turn began, null until a timed game starts */
+    readonly turnStartedAt: number | null;
+}
+
+export type PlacementReasonCode =
+    | 'gameNotInProgress'
+    | 'notYourTurn'
+    | 'pieceUsed'
+    | 'unknownPiece'
+    | 'shapeMismatch'
+    | 'outOfBounds'
+    | 'overlap'
+    | 'notOnStartCell'
+    | 'edgeContact'
+    | 'noCornerContact';
+
+/** One problem found by validatePlacement */
+export interface PlacementReason {
+    code: PlacementReasonCode;
+    message: string;
+    /** The piece's cells that break the rule */
+    cells: Cell[];
+}
+
+export interface PlacementValidation {
+    valid: boolean;
+    /** Most important first; empty when valid */
+    reasons: PlacementReason[];
+}
+
+/** A legal placement found by getLegalMoves */
+export interface LegalMove {
+    pieceId: string;
+    rotation: number;
+    flipped: boolean;
+    row: number;
+    col: number;
+    shape: Shape;
+    /** The piece in this orientation, ready for placePiece */
+    piece: Piece;
+}
+
+export interface SuggestionWeights {
+    size: number;
+    corners: number;
+    blocking: number;
+    center: number;
+}
+
+export interface SuggestOptions {
+    weights?: Partial<SuggestionWeights>;
+}
+
+/** The best move found by suggestMove, with how it scored */
+export interface Suggestion extends LegalMove {
+    score: number;
+    factors: SuggestionWeights;
+}
+
+export interface Orientation {
+    rotation: number;
+    flipped: boolean;
+    shape: Shape;
+}
+
+export interface PieceSet {
+    readonly name: string;
+    readonly shapes: Readonly<Record<string, Shape>>;
+    readonly orientations: Readonly<Record<string, readonly Orientation[]>>;
+}
+
+/** Undo/redo history of boards */
+export interface History {
+    readonly past: readonly Board[];
+    readonly present: Board;
+    readonly future: readonly Board[];
+}
+
+/** Receives the engine's log messages; any method may be left out */
+export interface Logger {
+    debug?(...args: unknown[]): void;
+    info?(...args: unknown[]): void;
+    warn?(...args: unknown[]): void;
+    error?(...args: unknown[]): void;
+}
+
+export interface CreateBoardOptions {
+    /** Variant name ('classic' or 'duo') or a variant config */
+    variant?: string | Omit<Variant, 'startCells'> & { startCells?: Cell[][] | null };
+    /** Seat ID to bot strategy name */
+    bots?: Record<number, string | null>;
+    scoring?: string | ScoringRules;
+    /** Piece set for every player, or player ID to piece set name */
+    pieceSet?: string | Record<number, string>;
+    /** Hints each seat may take in a game, null for no limit */
+    hintLimit?: number | null;
+    timeControl?: TimeControlOptions | null;
+    /** Details for each colour in turn order */
+    players?: Array<PlayerDetailsOptions | null | undefined>;
+}
+
+/** Name, colour and avatar chosen for a colour at createBoard */
+export interface PlayerDetailsOptions {
+    name?: string | null;
+    /** Defaults to the variant's colour */
+    color?: PlayerColor;
+    avatar?: Avatar | null;
+}
+
+/** How a seat is shown: its name (or "Player N") and avatar */
+export interface SeatDetails {
+    name: string;
+    avatar: Avatar | null;
+}
+
+export interface StartGameOptions {
+    /** Colour IDs owned by each seat, e.g. [[1, 3], [2, 4]] */
+    seats?: number[][];
+    /** Colour IDs shared by all seats when seats is given */
+    neutral?: number[];
+    bots?: Record<number, string | null>;
+    scoring?: string | ScoringRules;
+}
+
+export interface UndoOptions {
+    /** Only allow undoing this seat's own last move */
+    seatId?: number;
+}
+
+/** Output of serialize(), safe to store as JSON */
+export type SerializedGame = { version: number } & Record<string, unknown>;
+
+export interface GameState {
+    status: GameStatus;
+    currentPlayer: number | null;
+    currentSeat: number | null;
+    seats: SeatResult[];
+    variant: string;
+    scoring: string;
+    players: Array<{
+        id: number;
+        score: number;
+        scoreBreakdown: ScoreItem[];
+        color: string;
+        name: string | null;
+        avatar: string | null;
+        pieceSet: string;
+        neutral: boolean;
+        blocked: boolean;
+        remainingPieces: number;
+    }>;
+    [key: string]: unknown;
+}
+
+export declare const GAME_STATUS: {
+    readonly WAITING: 'waiting';
+    readonly IN_PROGRESS: 'in_progress';
+    readonly FINISHED: 'finished';
+};
+export declare const MOVE_TYPES: {
+    readonly PLACE: 'place';
+    readonly PASS: 'pass';
+    readonly BLOCKED: 'blocked';
+    readonly HINT: 'hint';
+    readonly TIMEOUT: 'timeout';
+};
+export declare const TIME_CONTROL_MODES: {
+    readonly INCREMENT: 'increment';
+    readonly PER_MOVE: 'perMove';
+};
+export declare const TIMEOUT_ACTIONS: {
+    readonly PASS: 'pass';
+    readonly FORFEIT: 'forfeit';
+};
+export declare const PLAYER_COLORS: readonly PlayerColor[];
+export declare const AVATARS: readonly Avatar[];
+export declare const PLACEMENT_REASONS: {
+    readonly GAME_NOT_IN_PROGRESS: 'gameNotInProgress';
+    readonly NOT_YOUR_TURN: 'notYourTurn';
+    readonly PIECE_USED: 'pieceUsed';
+    readonly UNKNOWN_PIECE: 'unknownPiece';
+    readonly SHAPE_MISMATCH: 'shapeMismatch';
+    readonly OUT_OF_BOUNDS: 'outOfBounds';
+    readonly OVERLAP: 'overlap';
+    readonly NOT_ON_START_CELL: 'notOnStartCell';
+    readonly EDGE_CONTACT: 'edgeContact';
+    readonly NO_CORNER_CONTACT: 'noCornerContact';
+};
+
+export declare function setLogger(logger: Logger | null): void;
+export declare function createBoard(options?: CreateBoardOptions): Board;
+export declare function registerPieceSet(name: string, shapes: Record<string, Shape>): PieceSet;
+export declare function getPieceSet(name: string): PieceSet;
+export declare function getPieceSets(): string[];
+export declare function getVariants(): string[];
+export declare function getSeatForPlayer(board: Board, playerId: number): Seat | null;
+export declare function getCurrentSeat(board: Board): Seat | null;
+export declare function getSeatDetails(board: Board, seatId: number): SeatDetails;
+export declare function getSeatResults(board: Board): SeatResult[];
+export declare function getScoringRules(): string[];
+export declare function getScoreBreakdown(board: Board, playerId: number): ScoreBreakdown | null;
+export declare function startGame(board: Board, seatCount?: number, options?: StartGameOptions): Board;
+export declare function setBots(board: Board, bots: Record<number, string | null>): Board;
+export declare function isValidPosition(row: number, col: number, board: Board): boolean;
+export declare function isCellEmpty(row: number, col: number, board: Board): boolean;
+export declare function rotatePiece(shape: Shape): Shape;
+export declare function flipPiece(shape: Shape): Shape;
+export declare function getTransformedShape(piece: Piece): Shape;
+export declare function getOrientations(piece: Piece): Orientation[];
+export declare function canPlacePiece(board: Board, piece: Piece, row: number, col: number, playerId: number): boolean;
+export declare function isValidPlacement(board: Board, shape: Shape, row: number, col: number, playerId: number): boolean;
+export declare function validatePlacement(board: Board, piece: Piece, row: number, col: number, playerId: number): PlacementValidation;
+export declare function touchesCorner(shape: Shape, row: number, col: number, board: Board): boolean;
+export declare function touchesStartCell(shape: Shape, row: number, col: number, board: Board, playerId: number): boolean;
+export declare function touchesPlayerCorner(row: number, col: number, board: Board, playerId: number): boolean;
+export declare function touchesPlayerEdge(row: number, col: number, board: Board, playerId: number): boolean;
+export declare function placePiece(board: Board, piece: Piece, row: number, col: number, playerId: number): Board;
+export declare function pass(board: Board, playerId: number): Board;
+export declare function getTimeLeft(board: Board, seatId: number, now?: number): number | null;
+export declare function timeOut(board: Board, now?: number): Board;
+export declare function resumeClock(board: Board, now?: number): Board;
+export declare function getNextPlayer(board: Board, currentPlayerId: number): number | null;
+export declare function getOpenCorners(board: Board, playerId: number): Cell[];
+export declare function getLegalMoves(board: Board, playerId: number): LegalMove[];
+export declare function canPlayerMove(board: Board, playerId: number): boolean;
+export declare function suggestMove(board: Board, playerId: number, options?: SuggestOptions): Suggestion | null;
+export declare function getHintsLeft(board: Board, seatId: number): number;
+export declare function takeHint(board: Board, playerId: number, options?: SuggestOptions): Board;
+export declare function isGameOver(board: Board): boolean;
+export declare function getWinner(board: Board): SeatResult[] | null;
+export declare function createHistory(board: Board): History;
+export declare function pushHistory(history: History, board: Board): History;
+export declare function getLastActor(history: History): number | null;
+export declare function canUndo(history: History, options?: UndoOptions): boolean;
+export declare function undo(history: History, options?: UndoOptions): History;
+export declare function canRedo(history: History): boolean;
+export declare function redo(history: History): History;
+export declare function getGameState(board: Board): GameState;
+export declare function serialize(board: Board): SerializedGame;
+export declare function deserialize(data: SerializedGame | string, options?: { scoring?: ScoringRules }): Board;
+
+export declare const BentoBlocks: {
+    GAME_STATUS: typeof GAME_STATUS;
+    MOVE_TYPES: typeof MOVE_TYPES;
+    PLACEMENT_REASONS: typeof PLACEMENT_REASONS;
+    TIME_CONTROL_MODES: typeof TIME_CONTROL_MODES;
+    TIMEOUT_ACTIONS: typeof TIMEOUT_ACTIONS;
+    PLAYER_COLORS: typeof PLAYER_COLORS;
+    AVATARS: typeof AVATARS;
+    setLogger: typeof setLogger;
+    createBoard: typeof createBoard;
+    registerPieceSet: typeof registerPieceSet;
+    getPieceSet: typeof getPieceSet;
+    getPieceSets: typeof getPieceSets;
+    getVariants: typeof getVariants;
+    getSeatForPlayer: typeof getSeatForPlayer;
+    getCurrentSeat: typeof getCurrentSeat;
+    getSeatDetails: typeof getSeatDetails;
+    getSeatResults: typeof getSeatResults;
+    getScoringRules: typeof getScoringRules;
+    getScoreBreakdown: typeof getScoreBreakdown;
+    startGame: typeof startGame;
+    setBots: typeof setBots;
+    isValidPosition: typeof isValidPosition;
+    isCellEmpty: typeof isCellEmpty;
+    rotatePiece: typeof rotatePiece;
+    flipPiece: typeof flipPiece;
+    getTransformedShape: typeof getTransformedShape;
+    getOrientations: typeof getOrientations;
+    canPlacePiece: typeof canPlacePiece;
+    isValidPlacement: typeof isValidPlacement;
+    validatePlacement: typeof validatePlacement;
+    touchesCorner: typeof touchesCorner;
+    touchesStartCell: typeof touchesStartCell;
+    touchesPlayerCorner: typeof touchesPlayerCorner;
+    touchesPlayerEdge: typeof touchesPlayerEdge;
+    placePiece: typeof placePiece;
+    pass: typeof pass;
+    getTimeLeft: typeof getTimeLeft;
+    timeOut: typeof timeOut;
+    resumeClock: typeof resumeClock;
+    getNextPlayer: typeof getNextPlayer;
+    getOpenCorners: typeof getOpenCorners;
+    getLegalMoves: typeof getLegalMoves;
+    canPlayerMove: typeof canPlayerMove;
+    suggestMove: typeof suggestMove;
+    getHintsLeft: typeof getHintsLeft;
+    takeHint: typeof takeHint;
+    isGameOver: typeof isGameOver;
+    getWinner: typeof getWinner;
+    createHistory: typeof createHistory;
+    pushHistory: typeof pushHistory;
+    getLastActor: typeof getLastActor;
+    canUndo: typeof canUndo;
+    undo: typeof undo;
+    canRedo: typeof canRedo;
+    redo: typeof redo;
+    getGameState: typeof getGameState;
+    serialize: typeof serialize;
+    deserialize: typeof deserialize;
+};
+
+export interface BotOptions {
+    /** Random number source, defaults to Math.random */
+    random?: () => number;
+}
+
+export declare const BentoBots: {
+    getStrategies(): string[];
+    isStrategy(name: string): boolean;
+    chooseMove(board: Board, playerId: number, strategy: string, options?: BotOptions): LegalMove | null;
+    playTurn(board: Board, playerId: number, strategy: string, options?: BotOptions): Board | null;
+};
+
+/** A move read from or written as notation, e.g. "2:F5 r1 f @ 7,12" */
+export interface NotationMove {
+    type: MoveType;
+    playerId: number;
+    pieceId?: string;
+    rotation?: number;
+    flipped?: boolean;
+    row?: number;
+    col?: number;
+}
+
+export declare const BentoNotation: {
+    formatMove(move: Move, board: Board): string;
+    writeMove(move: NotationMove): string;
+    parseMove(text: string): NotationMove;
+    applyMove(board: Board, move: NotationMove): Board;
+    writeGame(board: Board): string;
+    readGame(text: string, options?: { variant?: Variant; scoring?: ScoringRules }): Board;
+    /** The position before the first move, then one after each move */
+    replayGame(text: string, options?: { variant?: Variant; scoring?: ScoringRules }): Board[];
+};
+
+/** One change in a JSON diff */
+export type DiffOperation =
+    | { op: 'set'; path: Array<string | number>; value: unknown }
+    | { op: 'delete'; path: Array<string | number> }
+    | { op: 'append'; path: Array<string | number>; values: unknown[] }
+    | { op: 'truncate'; path: Array<string | number>; length: number };
+
+export declare const BentoSync: {
+    diff(previous: unknown, next: unknown): DiffOperation[];
+    applyDiff<T>(value: T, ops: DiffOperation[]): T;
+};
+
+export type TurningPointKind = 'biggestCut' | 'blocked' | 'decisiveLead';
+
+/** One placement or pass in a replayed game */
+export interface AnalysisTurn {
+    /** Counts from 1 */
+    turn: number;
+    playerId: number;
+    seatId: number;
+    type: 'place' | 'pass' | 'timeout';
+    /** Null for a pass or timeout */
+    pieceId: string | null;
+}
+
+/** A colour's measures, one value for the start position and one per turn */
+export interface AnalysisPlayer {
+    id: number;
+    color: string;
+    neutral: boolean;
+    /** Legal placements available */
+    mobility: number[];
+    openCorners: number[];
+    /** Cells covered */
+    area: number[];
+    /** Turn after which the colour had no legal placement, null if never */
+    blockedAtTurn: number | null;
+}
+
+export interface TurningPoint {
+    kind: TurningPointKind;
+    turn: number;
+    /** Colour that played the turn, or the leader for a decisive lead */
+    playerId: number;
+    /** Colour the turn affected, or the runner-up for a decisive lead */
+    targetId: number;
+    /** Target's mobility, or the leader's area margin, before the turn */
+    before: number;
+    /** Target's mobility, or the leader's area margin, after the turn */
+    after: number;
+}
+
+export interface AnalysisReport {
+    turns: AnalysisTurn[];
+    players: AnalysisPlayer[];
+    turningPoints: TurningPoint[];
+}
+
+export declare const BentoAnalysis: {
+    readonly TURNING_POINTS: {
+        readonly BIGGEST_CUT: 'biggestCut';
+        readonly BLOCKED: 'blocked';
+        readonly DECISIVE_LEAD: 'decisiveLead';
+    };
+    analyzeGame(board: Board): AnalysisReport;
+    summarize(report: AnalysisReport): string[];
+};
+
+export default BentoBlocks;
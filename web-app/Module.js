@@ -0,0 +1,88 @@
+/**
+ * Module.js - ES module entry point for the Bento Blocks engine
+ *
+ * The engine files are plain scripts so the page can also load them with
+ * script tags. Importing them here runs each one once, in dependency order,
+ * and re-exports what they define as named exports:
+ *
+ *     import { createBoard, startGame, BentoBots } from './Module.js';
+ *
+ * The engine logs nothing unless given a logger with setLogger(console).
+ * Types for the board, piece and move objects are in Module.d.ts.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+import './bento_blocks.js';
+import './bento_bots.js';
+import './bento_notation.js';
+import './bento_sync.js';
+import './bento_analysis.js';
+
+// Where the scripts above put their namespaces
+const scope = typeof window !== 'undefined' ? window : globalThis;
+
+export const { BentoBlocks, BentoBots, BentoNotation, BentoSync, BentoAnalysis } = scope;
+
+export const {
+    GAME_STATUS,
+    MOVE_TYPES,
+    PLACEMENT_REASONS,
+    TIME_CONTROL_MODES,
+    TIMEOUT_ACTIONS,
+    PLAYER_COLORS,
+    AVATARS,
+    setLogger,
+    createBoard,
+    registerPieceSet,
+    getPieceSet,
+    getPieceSets,
+    getVariants,
+    getSeatForPlayer,
+    getCurrentSeat,
+    getSeatDetails,
+    getSeatResults,
+    getScoringRules,
+    getScoreBreakdown,
+    startGame,
+    setBots,
+    isValidPosition,
+    isCellEmpty,
+    rotatePiece,
+    flipPiece,
+    getTransformedShape,
+    getOrientations,
+    canPlacePiece,
+    isValidPlacement,
+    validatePlacement,
+    touchesCorner,
+    touchesStartCell,
+    touchesPlayerCorner,
+    touchesPlayerEdge,
+    placePiece,
+    pass,
+    getTimeLeft,
+    timeOut,
+    resumeClock,
+    getNextPlayer,
+    getOpenCorners,
+    getLegalMoves,
+    canPlayerMove,
+    suggestMove,
+    getHintsLeft,
+    takeHint,
+    isGameOver,
+    getWinner,
+    createHistory,
+    pushHistory,
+    getLastActor,
+    canUndo,
+    undo,
+    canRedo,
+    redo,
+    getGameState,
+    serialize,
+    deserialize
+} = BentoBlocks;
+
+export default BentoBlocks;
@@ -0,0 +1,303 @@
+/**
+ * BentoAnalysis.js - Post-game analysis for Bento Blocks
+ *
+ * This module replays a board's moveHistory from an empty grid and measures,
+ * after every turn, how each colour is doing: how many legal placements it
+ * has (mobility), how many open corners it can grow from and how many cells
+ * it has claimed. From those series it picks out the turns that decided the
+ * game, such as the move that cut an opponent's mobility the most.
+ *
+ * A turn is one placement, pass or timeout; hints and blocked entries in the
+ * history are skipped. A colour counts as blocked from the turn its mobility drops to
+ * zero, which can be earlier than the blocked entry the engine records when
+ * the colour's next turn comes round.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+(function(global) {
+    'use strict';
+
+    const BentoBlocks = (typeof module !== 'undefined' && module.exports)
+        ? require('./bento_blocks.js')
+        : global.BentoBlocks;
+
+    /**
+     * BentoAnalysis namespace - Game replays and reports
+     */
+    const BentoAnalysis = {};
+
+    /**
+     * Kinds of turning point a report can flag
+     */
+    const TURNING_POINTS = {
+        BIGGEST_CUT: 'biggestCut',
+        BLOCKED: 'blocked',
+        DECISIVE_LEAD: 'decisiveLead'
+    };
+
+    BentoAnalysis.TURNING_POINTS = TURNING_POINTS;
+
+    /**
+     * Replays a game and reports on it turn by turn. Every series has one
+     * value for the starting position followed by one per turn, so index t
+     * is the position after t turns.
+     * @param {Object} board - Game board object, usually a finished game
+     * @returns {Object} Report ({ turns, players, turningPoints }): turns lists
+     *     { turn, playerId, seatId, type, pieceId } for each placement, pass or timeout;
+     *     players lists { id, color, neutral, mobility, openCorners, area, blockedAtTurn };
+     *     turningPoints lists { kind, turn, playerId, targetId, before, after } in turn order
+     *     (see findTurningPoints)
+     */
+    BentoAnalysis.analyzeGame = function(board) {
+        let position = createStartPosition(board);
+        const turns = [];
+        const series = new Map(board.players.map(player => [player.id, {
+            mobility: [],
+            openCorners: [],
+            area: []
+        }]));
+
+        const measure = () => {
+            board.players.forEach(player => {
+                const playerSeries = series.get(player.id);
+                playerSeries.mobility.push(BentoBlocks.getLegalMoves(position, player.id).length);
+                playerSeries.openCorners.push(BentoBlocks.getOpenCorners(position, player.id).length);
+                playerSeries.area.push(countArea(position, player.id));
+            });
+        };
+
+        measure();
+        board.moveHistory.forEach(move => {
+            if (move.type === BentoBlocks.MOVE_TYPES.BLOCKED || move.type === BentoBlocks.MOVE_TYPES.HINT) {
+                return;
+            }
+
+            if (move.type === BentoBlocks.MOVE_TYPES.PLACE) {
+                position = withMove(position, move);
+            }
+            turns.push({
+                turn: turns.length + 1,
+                playerId: move.playerId,
+                seatId: move.seatId,
+                type: move.type,
+                pieceId: move.type === BentoBlocks.MOVE_TYPES.PLACE ? move.pieceId : null
+            });
+            measure();
+        });
+
+        const players = board.players.map(player => {
+            const { mobility, openCorners, area } = series.get(player.id);
+            // Mobility never recovers once it reaches zero
+            const blockedAtTurn = mobility.indexOf(0);
+            return {
+                id: player.id,
+                color: player.color,
+                neutral: player.neutral,
+                mobility,
+                openCorners,
+                area,
+                blockedAtTurn: blockedAtTurn === -1 ? null : blockedAtTurn
+            };
+        });
+
+        return {
+            turns,
+            players,
+            turningPoints: findTurningPoints(board, turns, players)
+        };
+    };
+
+    /**
+     * Describes a report in a few sentences for players to read
+     * @param {Object} report - Report from analyzeGame
+     * @returns {Array} Array of sentences
+     */
+    BentoAnalysis.summarize = function(report) {
+        const name = (playerId) => capitalize(report.players.find(p => p.id === playerId).color);
+        const sentences = [];
+
+        if (report.turns.length === 0) {
+            return ['No moves were played.'];
+        }
+
+        const cuts = report.turningPoints.filter(point => point.kind === TURNING_POINTS.BIGGEST_CUT);
+        if (cuts.length > 0) {
+            const cutSize = (point) => point.before - point.after;
+            const biggest = cuts.reduce((best, point) => cutSize(point) > cutSize(best) ? point : best);
+            const turn = report.turns[biggest.turn - 1];
+            sentences.push(`The biggest swing came on turn ${biggest.turn}, when ${name(biggest.playerId)}'s ` +
+                `${turn.pieceId} cut ${name(biggest.targetId)}'s options from ${biggest.before} to ${biggest.after}.`);
+        }
+
+        const mostMobile = report.players.filter(player => !player.neutral).reduce((best, player) =>
+            average(player.mobility) > average(best.mobility) ? player : best);
+        sentences.push(`${name(mostMobile.id)} kept the most options open, averaging ` +
+            `${Math.round(average(mostMobile.mobility))} legal placements a turn.`);
+
+        const lead = report.turningPoints.find(point => point.kind === TURNING_POINTS.DECISIVE_LEAD);
+        if (lead) {
+            sentences.push(`${name(lead.playerId)} pulled ahead of ${name(lead.targetId)} in area on turn ` +
+                `${lead.turn} and kept the lead from there.`);
+        }
+
+        const blocked = report.players
+            .filter(player => player.blockedAtTurn !== null)
+            .sort((a, b) => a.blockedAtTurn - b.blockedAtTurn);
+        if (blocked.length > 0 && blocked[0].blockedAtTurn < report.turns.length) {
+            sentences.push(`${name(blocked[0].id)} ran out of moves first, after turn ${blocked[0].blockedAtTurn}.`);
+        }
+
+        return sentences;
+    };
+
+    /**
+     * Builds the position before the first move: the board's colours with all
+     * their pieces unused and an empty grid
+     * @param {Object} board - Game board object
+     * @returns {Object} Board object for replaying moves on
+     */
+    function createStartPosition(board) {
+        return {
+            ...board,
+            grid: Array(board.size).fill(null).map(() => Array(board.size).fill(0)),
+            players: board.players.map(player => ({
+                ...player,
+                blocked: false,
+                pieces: player.pieces.map(piece => ({ ...piece, used: false }))
+            }))
+        };
+    }
+
+    /**
+     * Applies a recorded placement to a replay position
+     * @param {Object} position - Replay position
+     * @param {Object} move - Placement from moveHistory
+     * @returns {Object} Position with the piece placed
+     */
+    function withMove(position, move) {
+        const grid = position.grid.map(row => [...row]);
+        const [row, col] = move.position;
+        move.shape.forEach(([dx, dy]) => {
+            grid[row + dx][col + dy] = move.playerId;
+        });
+        const players = position.players.map(player => player.id === move.playerId
+            ? { ...player, pieces: player.pieces.map(p => p.id === move.pieceId ? { ...p, used: true } : p) }
+            : player);
+        return { ...position, grid, players };
+    }
+
+    /**
+     * Counts the cells a colour covers
+     * @param {Object} position - Board or replay position
+     * @param {number} playerId - Player ID
+     * @returns {number} Number of cells
+     */
+    function countArea(position, playerId) {
+        return position.grid.reduce((total, row) => total + row.filter(cell => cell === playerId).length, 0);
+    }
+
+    /**
+     * Picks out the turns that shaped the game. For each colour that belongs
+     * to a seat these are the placement by another seat that cut its
+     * mobility the most and the turn after which it was blocked; before and
+     * after give its mobility either side of that turn. Across the game it is
+     * the turn on which the colour with the most area took the lead for good;
+     * targetId is then the runner-up at that turn, and before and after give
+     * the leader's margin over it.
+     * @param {Object} board - Game board object
+     * @param {Array} turns - Turns from the replay
+     * @param {Array} players - Per-colour series from the replay
+     * @returns {Array} Array of turning points
+     */
+    function findTurningPoints(board, turns, players) {
+        const points = [];
+
+        players.forEach(target => {
+            if (target.neutral) return;
+
+            let biggest = null;
+            turns.forEach(turn => {
+                const seat = board.seats.find(s => s.id === turn.seatId);
+                if (turn.type !== BentoBlocks.MOVE_TYPES.PLACE || (seat && seat.playerIds.includes(target.id))) {
+                    return;
+                }
+                const before = target.mobility[turn.turn - 1];
+                const after = target.mobility[turn.turn];
+                if (after < before && (!biggest || before - after > biggest.before - biggest.after)) {
+                    biggest = createPoint(TURNING_POINTS.BIGGEST_CUT, turn, turn.playerId, target.id, before, after);
+                }
+            });
+            if (biggest) points.push(biggest);
+
+            if (target.blockedAtTurn !== null && target.blockedAtTurn > 0) {
+                const turn = turns[target.blockedAtTurn - 1];
+                points.push(createPoint(TURNING_POINTS.BLOCKED, turn, turn.playerId, target.id,
+                    target.mobility[turn.turn - 1], 0));
+            }
+        });
+
+        if (turns.length > 0) {
+            const margin = (leader, t) => leader.area[t] -
+                Math.max(...players.filter(p => p !== leader).map(p => p.area[t]));
+            const leader = players.reduce((best, player) =>
+                player.area[turns.length] > best.area[turns.length] ? player : best);
+
+            // Walk back to the last turn the leader was not strictly ahead
+            let t = turns.length;
+            while (t > 0 && margin(leader, t) > 0) {
+                t--;
+            }
+            if (t < turns.length && t > 0) {
+                const turn = turns[t];
+                const runnerUp = players
+                    .filter(p => p !== leader)
+                    .reduce((best, player) => player.area[turn.turn] > best.area[turn.turn] ? player : best);
+                points.push(createPoint(TURNING_POINTS.DECISIVE_LEAD, turn, leader.id, runnerUp.id,
+                    margin(leader, t), margin(leader, turn.turn)));
+            }
+        }
+
+        return points.sort((a, b) => a.turn - b.turn);
+    }
+
+    /**
+     * Creates a turning point record
+     * @param {string} kind - One of TURNING_POINTS
+     * @param {Object} turn - Turn the point happened on
+     * @param {number} playerId - Colour that played the turn, or the leader for a decisive lead
+     * @param {number} targetId - Colour the turn affected
+     * @param {number} before - Measure before the turn
+     * @param {number} after - Measure after the turn
+     * @returns {Object} Turning point ({ kind, turn, playerId, targetId, before, after })
+     */
+    function createPoint(kind, turn, playerId, targetId, before, after) {
+        return { kind, turn: turn.turn, playerId, targetId, before, after };
+    }
+
+    /**
+     * Averages a series of numbers
+     * @param {Array} values - Numbers
+     * @returns {number} Mean, or 0 for an empty series
+     */
+    function average(values) {
+        return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    /**
+     * Capitalizes the first letter of a colour name
+     * @param {string} text - Text to capitalize
+     * @returns {string} Capitalized text
+     */
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // Export the module
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BentoAnalysis;
+    } else {
+        global.BentoAnalysis = BentoAnalysis;
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -4,11 +4,14 @@
  * This module defines pure functions for representing and playing Bento Blocks
  * in pure JavaScript. The module exposes pure functions in its API that act
  * on a game board object, following the same pattern as Zombie Siege.
+ *
+ * Board "players" are colours: they own pieces and cells and take turns. The
+ * people at the table are "seats"; a seat may own several colours, and a
+ * neutral colour is played by each seat in rotation without scoring for any.
  * 
  * @author Bento Blocks Game
  * @version 1.0.0
  */
-console.log("Loading bento_blocks.js...");
 (function(global) {
     'use strict';
 
@@ -19,6 +22,8 @@ console.log("Loading bento_blocks.js...");
 
     // Game Constants
     const BOARD_SIZE = 20;
+    const MIN_BOARD_SIZE = 5;
+    const MAX_BOARD_SIZE = 32;
     const PLAYERS = {
         PLAYER_1: 1,
         PLAYER_2: 2,
@@ -32,7 +37,180 @@ console.log("Loading bento_blocks.js...");
         FINISHED: 'finished'
     };
 
-    // Predefined piece shapes (as coordinate arrays)
+    const MOVE_TYPES = {
+        PLACE: 'place',
+        PASS: 'pass',
+        BLOCKED: 'blocked',
+        HINT: 'hint',
+        TIMEOUT: 'timeout'
+    };
+
+    // Time controls: a total per seat that grows by an increment after each
+    // move, or a fixed limit on every turn
+    const TIME_CONTROL_MODES = {
+        INCREMENT: 'increment',
+        PER_MOVE: 'perMove'
+    };
+
+    // What happens to a seat that runs out of time
+    const TIMEOUT_ACTIONS = {
+        PASS: 'pass',
+        FORFEIT: 'forfeit'
+    };
+
+    // Colours a player can have and the fruit avatars they can pick; the
+    // page has styles and pictures for these and no others
+    const PLAYER_COLORS = Object.freeze(['red', 'blue', 'yellow', 'purple', 'orange', 'green']);
+    const AVATARS = Object.freeze(['blueberry', 'lime', 'mango', 'strawberry']);
+
+    // How much suggestMove values each part of its heuristic
+    const SUGGESTION_WEIGHTS = {
+        size: 1,
+        corners: 1,
+        blocking: 1,
+        center: 2
+    };
+
+    // Why validatePlacement rejected a placement
+    const PLACEMENT_REASONS = {
+        GAME_NOT_IN_PROGRESS: 'gameNotInProgress',
+        NOT_YOUR_TURN: 'notYourTurn',
+        PIECE_USED: 'pieceUsed',
+        UNKNOWN_PIECE: 'unknownPiece',
+        SHAPE_MISMATCH: 'shapeMismatch',
+        OUT_OF_BOUNDS: 'outOfBounds',
+        OVERLAP: 'overlap',
+        NOT_ON_START_CELL: 'notOnStartCell',
+        EDGE_CONTACT: 'edgeContact',
+        NO_CORNER_CONTACT: 'noCornerContact'
+    };
+
+    BentoBlocks.GAME_STATUS = GAME_STATUS;
+    BentoBlocks.MOVE_TYPES = MOVE_TYPES;
+    BentoBlocks.PLACEMENT_REASONS = PLACEMENT_REASONS;
+    BentoBlocks.TIME_CONTROL_MODES = TIME_CONTROL_MODES;
+    BentoBlocks.TIMEOUT_ACTIONS = TIMEOUT_ACTIONS;
+    BentoBlocks.PLAYER_COLORS = PLAYER_COLORS;
+    BentoBlocks.AVATARS = AVATARS;
+
+    /**
+     * A piece as held by a player; rotation and flipped give its orientation
+     * @typedef {Object} Piece
+     * @property {string} id - Piece ID, e.g. 'F5'
+     * @property {Array} shape - Untransformed shape as [row, col] pairs
+     * @property {boolean} used - True once the piece is on the board
+     * @property {number} rotation - Quarter turns clockwise (0-3)
+     * @property {boolean} flipped - True if mirrored before rotating
+     */
+
+    /**
+     * A colour on the board
+     * @typedef {Object} Player
+     * @property {number} id - Player ID (1-4), also the value of its cells in the grid
+     * @property {number} score - Score under the board's scoring rules
+     * @property {string} pieceSet - Name of the player's piece set
+     * @property {Array<Piece>} pieces - The player's pieces
+     * @property {string} color - Colour name, one of PLAYER_COLORS
+     * @property {string|null} name - Name of the person playing the colour, null if not given
+     * @property {string|null} avatar - Avatar name from AVATARS, e.g. 'mango', null if not given
+     * @property {Array} startCells - [row, col] pairs the first piece must cover
+     * @property {boolean} neutral - True if every seat takes turns playing this colour
+     * @property {boolean} blocked - True once the player can no longer move
+     */
+
+    /**
+     * A person at the table, playing one or more colours
+     * @typedef {Object} Seat
+     * @property {number} id - Seat ID, starting at 1
+     * @property {Array<number>} playerIds - IDs of the colours the seat owns
+     * @property {string|null} bot - Bot strategy name, or null for a human
+     */
+
+    /**
+     * An entry in board.moveHistory
+     * @typedef {Object} Move
+     * @property {string} type - One of MOVE_TYPES
+     * @property {number} playerId - Colour that moved
+     * @property {number} [seatId] - Seat that moved or asked for a hint (not recorded for blocked entries)
+     * @property {string} [pieceId] - Placed or suggested piece ID
+     * @property {Array} [position] - Placed or suggested piece's [row, col] anchor
+     * @property {Array} [shape] - Placed or suggested piece's transformed shape
+     * @property {string} [action] - What a timeout did, one of TIMEOUT_ACTIONS
+     * @property {number} timestamp - Milliseconds since the epoch
+     */
+
+    /**
+     * How long seats may think, in milliseconds
+     * @typedef {Object} TimeControl
+     * @property {string} mode - One of TIME_CONTROL_MODES
+     * @property {number} [initial] - Each seat's starting total ('increment' mode)
+     * @property {number} [increment] - Time added after each of a seat's moves ('increment' mode)
+     * @property {number} [limit] - Time for every turn ('perMove' mode)
+     * @property {string} onTimeout - One of TIMEOUT_ACTIONS
+     */
+
+    /**
+     * A seat's clock
+     * @typedef {Object} Clock
+     * @property {number} seatId - Seat ID
+     * @property {number} remaining - Milliseconds the seat had when its current or next turn began
+     */
+
+    /**
+     * A frozen game board; every move returns a new one
+     * @typedef {Object} Board
+     * @property {Array<Array<number>>} grid - Cells by [row][col], 0 when empty or else a player ID
+     * @property {number} size - Width and height of the grid
+     * @property {Object} variant - Variant config ({ name, boardSize, playerCount, colors, startCells })
+     * @property {Array<Player>} players - Colours in turn order
+     * @property {Array<Seat>} seats - Seats in turn order
+     * @property {number} neutralTurns - Turns played so far by neutral colours
+     * @property {number|null} currentPlayer - ID of the colour to move, null once finished
+     * @property {string} status - One of GAME_STATUS
+     * @property {Array<Move>} moveHistory - Every move, oldest first
+     * @property {Move|null} lastMove - Latest placement or pass
+     * @property {Object} scoring - Scoring rules object
+     * @property {number|null} hintLimit - Hints each seat may take in a game, null for no limit
+     * @property {TimeControl|null} timeControl - Time control, null for an untimed game
+     * @property {Array<Clock>|null} clocks - Each seat's clock, null until a timed game starts
+     * @property {number|null} turnStartedAt - When the current turn began, null until a timed game starts
+     */
+
+    /**
+     * Receives the engine's log messages; any method may be left out
+     * @typedef {Object} Logger
+     * @property {Function} [debug] - Detailed messages, such as rejected moves
+     * @property {Function} [info] - Game events, such as a game starting
+     * @property {Function} [warn] - Problems the engine worked around
+     * @property {Function} [error] - Failures
+     */
+
+    // The engine is silent until a logger is set
+    let logger = null;
+
+    /**
+     * Sets where the engine writes its log messages, e.g. console
+     * @param {Logger|null} nextLogger - Logger object, or null to stop logging
+     */
+    BentoBlocks.setLogger = function(nextLogger) {
+        if (nextLogger !== null && typeof nextLogger !== 'object' && typeof nextLogger !== 'function') {
+            throw new Error('Logger must be an object or null');
+        }
+        logger = nextLogger;
+    };
+
+    /**
+     * Writes a message to the logger, if it has a method for the level
+     * @param {string} level - 'debug', 'info', 'warn' or 'error'
+     * @param {...*} args - Message and details
+     */
+    function log(level, ...args) {
+        if (logger && typeof logger[level] === 'function') {
+            logger[level](...args);
+        }
+    }
+
+    // Predefined piece shapes (as coordinate arrays), registered as the classic piece set
     const PIECE_SHAPES = {
         // Single block
         'I1': [[0, 0]],
@@ -66,216 +244,1362 @@ console.log("Loading bento_blocks.js...");
         'F5': [[1, 0], [2, 0], [0, 1], [1, 1], [1, 2]]
     };
 
+    // Longest name a player can be given
+    const MAX_NAME_LENGTH = 24;
+
+    // Names are shown on one line and written into game record headers
+    const CONTROL_CHARACTER_PATTERN = /[\u0000-\u001f\u007f-\u009f\u2028\u2029]/;
+
+    // Piece ids must be writable in move notation
+    const PIECE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+    const DEFAULT_PIECE_SET = 'classic';
+
+    /**
+     * Registered piece sets, keyed by name. A piece set has a name, its shapes
+     * keyed by piece id and the distinct orientations of each shape.
+     */
+    const PIECE_SETS = {};
+
+    /**
+     * Built-in board variants. startCells lists, per player, the cells their
+     * first piece may cover; null lets every player start on any board corner.
+     */
+    const VARIANTS = {
+        classic: {
+            name: 'classic',
+            boardSize: BOARD_SIZE,
+            playerCount: 4,
+            colors: ['red', 'blue', 'yellow', 'purple'],
+            startCells: null
+        },
+        duo: {
+            name: 'duo',
+            boardSize: 14,
+            playerCount: 2,
+            colors: ['purple', 'orange'],
+            startCells: [[[4, 4]], [[9, 9]]]
+        }
+    };
+
+    // Bonuses awarded by the official Blokus scoring rules
+    const ALL_PIECES_BONUS = 15;
+    const MONOMINO_LAST_BONUS = 5;
+
+    /**
+     * Built-in scoring rules. A rules object has a name and a score function
+     * that receives a player and the board and returns the score breakdown as
+     * an array of { label, points } items; the player's score is their sum.
+     */
+    const SCORING_RULES = {
+        basic: Object.freeze({
+            name: 'basic',
+            score(player) {
+                const placed = player.pieces.filter(p => p.used);
+                return [{ label: 'Squares placed', points: countSquares(placed) }];
+            }
+        }),
+        official: Object.freeze({
+            name: 'official',
+            score(player, board) {
+                const unplacedSquares = countSquares(player.pieces.filter(p => !p.used));
+                const items = [{ label: 'Unplaced squares', points: unplacedSquares > 0 ? -unplacedSquares : 0 }];
+
+                if (unplacedSquares === 0) {
+                    items.push({ label: 'All pieces placed', points: ALL_PIECES_BONUS });
+
+                    const lastPlacement = findLastPlacement(board, player.id);
+                    if (lastPlacement && lastPlacement.shape.length === 1) {
+                        items.push({ label: 'Monomino placed last', points: MONOMINO_LAST_BONUS });
+                    }
+                }
+
+                return items;
+            }
+        })
+    };
+
+    // Identifies serialized games; bump SAVE_VERSION when the format changes
+    const SAVE_FORMAT = 'bento-blocks';
+    const SAVE_VERSION = 7;
+
+    // Distinct orientations of each shape, keyed by shapeKey of the base shape
+    const orientationCache = new Map();
+
+    // Occupancy bitsets of each grid (see getBitboard); placements carry them
+    // forward to the grid they make, so only grids built elsewhere are scanned
+    const bitboardCache = new WeakMap();
+
+    // Row masks of each orientation of a shape, keyed by the untransformed shape array
+    const shapeMaskCache = new WeakMap();
+
+    // Distinct orientations of a shape with their masks, keyed by the untransformed shape array
+    const orientationMaskCache = new WeakMap();
+
     /**
      * Creates a new empty game board
+     * @param {Object} [options] - Board options
+     * @param {string|Object} [options.variant='classic'] - Variant name ('classic' or 'duo') or a variant config
+     *     ({ name, boardSize, playerCount, colors, startCells })
+     * @param {Object} [options.bots] - Map of seat ID to bot strategy name (one seat per colour until startGame)
+     * @param {string|Object} [options.scoring='basic'] - Scoring rules name ('basic' or 'official') or a custom rules object
+     * @param {string|Object} [options.pieceSet='classic'] - Piece set name for every player, or a map of player ID to
+     *     piece set name for uneven sets (unlisted players get the classic set)
+     * @param {number|null} [options.hintLimit=null] - Hints each seat may take in a game, null for no limit
+     * @param {Object|null} [options.timeControl=null] - Clocks for each seat, in milliseconds:
+     *     { mode: 'increment', initial, increment = 0, onTimeout = 'forfeit' } or
+     *     { mode: 'perMove', limit, onTimeout = 'pass' }; null for an untimed game
+     * @param {Array} [options.players] - Details for each colour in turn order, { name, color, avatar };
+     *     a colour left out or given no color keeps the variant's colour, and name and avatar default to null.
+     *     Colours come from PLAYER_COLORS and avatars from AVATARS.
      * @returns {Object} Game board object
      */
-    BentoBlocks.createBoard = function() {
+    BentoBlocks.createBoard = function(options = {}) {
+        const variant = resolveVariant(options.variant || 'classic');
+        const playerIds = Object.values(PLAYERS).slice(0, variant.playerCount);
+        const pieceSets = resolvePieceSetChoice(options.pieceSet, playerIds);
+        const details = resolvePlayerDetails(options.players, variant);
+
+        const players = playerIds.map((id, index) => ({
+            id,
+            score: 0,
+            pieceSet: pieceSets[id],
+            pieces: getAllPieces(pieceSets[id]),
+            color: details[index].color,
+            name: details[index].name,
+            avatar: details[index].avatar,
+            startCells: getStartCells(variant, index),
+            neutral: false,
+            blocked: false
+        }));
+
         const board = {
-            grid: Array(BOARD_SIZE).fill(null).map(() => Array(BOARD_SIZE).fill(0)),
-            size: BOARD_SIZE,
-            players: [
-                { id: PLAYERS.PLAYER_1, score: 0, pieces: getAllPieces(), color: 'red' },
-                { id: PLAYERS.PLAYER_2, score: 0, pieces: getAllPieces(), color: 'blue' },
-                { id: PLAYERS.PLAYER_3, score: 0, pieces: getAllPieces(), color: 'yellow' },
-                { id: PLAYERS.PLAYER_4, score: 0, pieces: getAllPieces(), color: 'purple' }
-            ],
+            grid: Array(variant.boardSize).fill(null).map(() => Array(variant.boardSize).fill(0)),
+            size: variant.boardSize,
+            variant,
+            players,
+            seats: assignBots(buildSeats(playerIds, players.length), options.bots),
+            neutralTurns: 0,
             currentPlayer: PLAYERS.PLAYER_1,
             status: GAME_STATUS.WAITING,
             moveHistory: [],
-            lastMove: null
+            lastMove: null,
+            scoring: resolveScoringRules(options.scoring || 'basic'),
+            hintLimit: resolveHintLimit(options.hintLimit),
+            timeControl: resolveTimeControl(options.timeControl),
+            clocks: null,
+            turnStartedAt: null
         };
         
-        return Object.freeze(board);
+        return Object.freeze(applyScores(board));
     };
 
     /**
-     * Gets all available pieces for a player
-     * @returns {Array} Array of piece objects
+     * Validates the names, colours and avatars chosen for a variant's colours
+     * @param {Array|undefined} players - Details for each colour in turn order, or undefined for none
+     * @param {Object} variant - Variant config
+     * @returns {Array} Array of { name, color, avatar }, one per colour of the variant
      */
-    function getAllPieces() {
-        return Object.keys(PIECE_SHAPES).map(shapeKey => ({
-            id: shapeKey,
-            shape: PIECE_SHAPES[shapeKey],
-            used: false,
-            rotation: 0,
-            flipped: false
-        }));
+    function resolvePlayerDetails(players, variant) {
+        if (players === undefined) {
+            players = [];
+        }
+        if (!Array.isArray(players) || players.length > variant.playerCount) {
+            throw new Error(`Player details must be an array of at most ${variant.playerCount} entries`);
+        }
+
+        const details = variant.colors.slice(0, variant.playerCount).map((defaultColor, index) => {
+            const { name = null, color = defaultColor, avatar = null } = players[index] || {};
+            return {
+                name: checkPlayerName(name, index + 1),
+                color: checkPlayerChoice(color, PLAYER_COLORS, index + 1, 'colour'),
+                avatar: avatar === null ? null : checkPlayerChoice(avatar, AVATARS, index + 1, 'avatar')
+            };
+        });
+
+        if (new Set(details.map(d => d.color)).size !== details.length) {
+            throw new Error('Every player needs a different colour');
+        }
+        return details;
     }
 
     /**
-     * Starts a new game
-     * @param {Object} board - Game board object
-     * @param {number} playerCount - Number of players (2-4)
-     * @returns {Object} Updated board object
+     * Validates a player name, trimming surrounding spaces
+     * @param {string|null} name - Name, or null for none
+     * @param {number} playerId - Player ID for the error message
+     * @returns {string|null} Trimmed name, or null for none
      */
-    BentoBlocks.startGame = function(board, playerCount = 4) {
-        if (!board || playerCount < 2 || playerCount > 4) {
-            throw new Error('Invalid board or player count');
-        }
-
-        const newBoard = {
-            ...board,
-            players: board.players.slice(0, playerCount),
-            currentPlayer: PLAYERS.PLAYER_1,
-            status: GAME_STATUS.IN_PROGRESS
-        };
+    function checkPlayerName(name, playerId) {
+        if (name === null) return null;
 
-        return Object.freeze(newBoard);
-    };
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (trimmed === '' || trimmed.length > MAX_NAME_LENGTH) {
+            throw new Error(`Player ${playerId}'s name must be 1-${MAX_NAME_LENGTH} characters`);
+        }
+        if (CONTROL_CHARACTER_PATTERN.test(trimmed)) {
+            throw new Error(`Player ${playerId}'s name cannot contain line breaks or control characters`);
+        }
+        return trimmed;
+    }
 
     /**
-     * Checks if a position is valid on the board
-     * @param {number} row - Row coordinate
-     * @param {number} col - Column coordinate
-     * @param {Object} board - Game board object
-     * @returns {boolean} True if position is valid
+     * Validates a player's colour or avatar against the ones on offer
+     * @param {*} value - Value to check
+     * @param {Array} choices - Allowed values (PLAYER_COLORS or AVATARS)
+     * @param {number} playerId - Player ID for the error message
+     * @param {string} label - What the value is, for the error message
+     * @returns {string} The value
      */
-    BentoBlocks.isValidPosition = function(row, col, board) {
-        return row >= 0 && row < board.size && col >= 0 && col < board.size;
-    };
+    function checkPlayerChoice(value, choices, playerId, label) {
+        if (!choices.includes(value)) {
+            throw new Error(`Player ${playerId}'s ${label} must be one of ${choices.join(', ')}`);
+        }
+        return value;
+    }
 
     /**
-     * Checks if a cell is empty
-     * @param {number} row - Row coordinate
-     * @param {number} col - Column coordinate
-     * @param {Object} board - Game board object
-     * @returns {boolean} True if cell is empty
+     * Validates a hint limit
+     * @param {number|null|undefined} hintLimit - Hints per seat, or null/undefined for no limit
+     * @returns {number|null} Hint limit
      */
-    BentoBlocks.isCellEmpty = function(row, col, board) {
-        if (!BentoBlocks.isValidPosition(row, col, board)) {
-            return false;
+    function resolveHintLimit(hintLimit) {
+        if (hintLimit === undefined || hintLimit === null) {
+            return null;
         }
-        return board.grid[row][col] === 0;
-    };
+        if (!Number.isInteger(hintLimit) || hintLimit < 0) {
+            throw new Error('Hint limit must be a whole number of hints or null');
+        }
+        return hintLimit;
+    }
 
     /**
-     * Rotates a piece shape 90 degrees clockwise
-     * @param {Array} shape - Array of coordinate pairs
-     * @returns {Array} Rotated shape coordinates
+     * Validates a time control and fills in its defaults
+     * @param {Object|null|undefined} timeControl - Time control, or null/undefined for an untimed game
+     * @returns {Object|null} Frozen time control
      */
-    BentoBlocks.rotatePiece = function(shape) {
-        // Rotate 90 degrees clockwise: (x, y) -> (y, -x)
-        const rotated = shape.map(([x, y]) => [y, -x]);
-        
-        // Normalize to ensure all coordinates are positive
-        const minX = Math.min(...rotated.map(([x, y]) => x));
-        const minY = Math.min(...rotated.map(([x, y]) => y));
-        
-        return rotated.map(([x, y]) => [x - minX, y - minY]);
-    };
+    function resolveTimeControl(timeControl) {
+        if (timeControl === undefined || timeControl === null) {
+            return null;
+        }
+        if (typeof timeControl !== 'object') {
+            throw new Error('Time control must be an object or null');
+        }
+
+        const checkTime = (name, value, allowZero) => {
+            if (!Number.isInteger(value) || value < (allowZero ? 0 : 1)) {
+                throw new Error(`Time control ${name} must be a whole number of milliseconds`);
+            }
+        };
+        const checkAction = (action) => {
+            if (!Object.values(TIMEOUT_ACTIONS).includes(action)) {
+                throw new Error(`Unknown timeout action ${action}`);
+            }
+        };
+
+        if (timeControl.mode === TIME_CONTROL_MODES.INCREMENT) {
+            const { initial, increment = 0, onTimeout = TIMEOUT_ACTIONS.FORFEIT } = timeControl;
+            checkTime('initial', initial, false);
+            checkTime('increment', increment, true);
+            checkAction(onTimeout);
+            // Without an increment a seat that passed on time would do so every turn after
+            if (onTimeout === TIMEOUT_ACTIONS.PASS && increment === 0) {
+                throw new Error('Passing on timeout needs an increment');
+            }
+            return Object.freeze({ mode: timeControl.mode, initial, increment, onTimeout });
+        }
+
+        if (timeControl.mode === TIME_CONTROL_MODES.PER_MOVE) {
+            const { limit, onTimeout = TIMEOUT_ACTIONS.PASS } = timeControl;
+            checkTime('limit', limit, false);
+            checkAction(onTimeout);
+            return Object.freeze({ mode: timeControl.mode, limit, onTimeout });
+        }
+
+        throw new Error(`Unknown time control mode ${timeControl.mode}`);
+    }
 
     /**
-     * Flips a piece shape horizontally
-     * @param {Array} shape - Array of coordinate pairs
-     * @returns {Array} Flipped shape coordinates
+     * Gives every seat a full clock
+     * @param {Object|null} timeControl - Time control
+     * @param {Array} seats - Seats in turn order
+     * @returns {Array|null} Array of clocks, or null for an untimed game
      */
-    BentoBlocks.flipPiece = function(shape) {
-        // Flip horizontally: (x, y) -> (-x, y)
-        const flipped = shape.map(([x, y]) => [-x, y]);
-        
-        // Normalize to ensure all coordinates are positive
-        const minX = Math.min(...flipped.map(([x, y]) => x));
-        const minY = Math.min(...flipped.map(([x, y]) => y));
-        
-        return flipped.map(([x, y]) => [x - minX, y - minY]);
-    };
+    function createClocks(timeControl, seats) {
+        if (!timeControl) return null;
+
+        const remaining = timeControl.mode === TIME_CONTROL_MODES.INCREMENT ? timeControl.initial : timeControl.limit;
+        return seats.map(seat => ({ seatId: seat.id, remaining }));
+    }
 
     /**
-     * Gets the transformed shape of a piece
-     * @param {Object} piece - Piece object
-     * @returns {Array} Transformed shape coordinates
+     * Looks up a variant by name or validates a variant config
+     * @param {string|Object} variant - Variant name or config
+     * @returns {Object} Frozen variant config
      */
-    BentoBlocks.getTransformedShape = function(piece) {
-        let shape = [...piece.shape];
-        
-        // Apply rotations
-        for (let i = 0; i < piece.rotation; i++) {
-            shape = BentoBlocks.rotatePiece(shape);
+    function resolveVariant(variant) {
+        if (typeof variant === 'string') {
+            if (!Object.prototype.hasOwnProperty.call(VARIANTS, variant)) {
+                throw new Error(`Unknown variant: ${variant}`);
+            }
+            variant = VARIANTS[variant];
         }
-        
-        // Apply flip if needed
-        if (piece.flipped) {
-            shape = BentoBlocks.flipPiece(shape);
+
+        const { name, boardSize, playerCount, colors, startCells } = variant || {};
+
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Variant must have a name');
         }
-        
-        return shape;
-    };
+        if (!Number.isInteger(boardSize) || boardSize < MIN_BOARD_SIZE || boardSize > MAX_BOARD_SIZE) {
+            throw new Error(`Variant board size must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}`);
+        }
+        if (!Number.isInteger(playerCount) || playerCount < 2 || playerCount > Object.keys(PLAYERS).length) {
+            throw new Error('Variant player count must be between 2 and 4');
+        }
+        if (!Array.isArray(colors) || colors.length < playerCount || colors.some(c => !PLAYER_COLORS.includes(c))) {
+            throw new Error(`Variant needs a colour for every player, from ${PLAYER_COLORS.join(', ')}`);
+        }
+        if (startCells !== null && startCells !== undefined) {
+            const valid = Array.isArray(startCells) && startCells.length >= playerCount &&
+                startCells.every(cells => Array.isArray(cells) && cells.length > 0 &&
+                    cells.every(cell => Array.isArray(cell) && cell.length === 2 &&
+                        cell.every(n => Number.isInteger(n) && n >= 0 && n < boardSize)));
+            if (!valid) {
+                throw new Error('Variant start cells must list on-board cells for every player');
+            }
+        }
+
+        return Object.freeze({
+            name,
+            boardSize,
+            playerCount,
+            colors: Object.freeze([...colors]),
+            startCells: startCells ? Object.freeze(startCells.map(cells => cells.map(([r, c]) => [r, c]))) : null
+        });
+    }
 
     /**
-     * Checks if a piece can be placed at a specific position
-     * @param {Object} board - Game board object
-     * @param {Object} piece - Piece object
-     * @param {number} row - Starting row position
-     * @param {number} col - Starting column position
-     * @param {number} playerId - Player ID placing the piece
-     * @returns {boolean} True if placement is valid
+     * Gets the cells a player's first piece may cover
+     * @param {Object} variant - Variant config
+     * @param {number} index - Player's index in turn order
+     * @returns {Array} Array of [row, col] pairs
      */
-    BentoBlocks.canPlacePiece = function(board, piece, row, col, playerId) {
-        if (piece.used) {
-            return false;
+    function getStartCells(variant, index) {
+        if (variant.startCells) {
+            return variant.startCells[index].map(([row, col]) => [row, col]);
         }
 
-        const shape = BentoBlocks.getTransformedShape(piece);
-        const player = board.players.find(p => p.id === playerId);
-        
-        if (!player) {
-            return false;
-        }
+        const last = variant.boardSize - 1;
+        return [[0, 0], [0, last], [last, 0], [last, last]];
+    }
 
-        // Check if all cells are empty and within bounds
-        for (const [dx, dy] of shape) {
-            const newRow = row + dx;
-            const newCol = col + dy;
-            
-            if (!BentoBlocks.isValidPosition(newRow, newCol, board) || 
-                !BentoBlocks.isCellEmpty(newRow, newCol, board)) {
-                return false;
+    /**
+     * Works out which piece set each player gets
+     * @param {string|Object} [choice] - Piece set name, or map of player ID to piece set name
+     * @param {Array} playerIds - Player IDs on the board
+     * @returns {Object} Map of player ID to piece set name
+     */
+    function resolvePieceSetChoice(choice, playerIds) {
+        const sets = {};
+        playerIds.forEach(id => {
+            sets[id] = typeof choice === 'string' ? choice : DEFAULT_PIECE_SET;
+        });
+
+        if (choice && typeof choice === 'object') {
+            for (const [playerId, name] of Object.entries(choice)) {
+                if (!playerIds.includes(Number(playerId))) {
+                    throw new Error(`Cannot assign a piece set to unknown player ${playerId}`);
+                }
+                sets[playerId] = name;
             }
         }
 
-        // Check placement rules
-        return BentoBlocks.isValidPlacement(board, shape, row, col, playerId);
-    };
+        Object.values(sets).forEach(name => {
+            if (!Object.prototype.hasOwnProperty.call(PIECE_SETS, name)) {
+                throw new Error(`Unknown piece set: ${name}`);
+            }
+        });
+
+        return sets;
+    }
 
     /**
-     * Validates piece placement according to game rules
-     * @param {Object} board - Game board object
-     * @param {Array} shape - Piece shape coordinates
-     * @param {number} row - Starting row position
-     * @param {number} col - Starting column position
-     * @param {number} playerId - Player ID placing the piece
-     * @returns {boolean} True if placement follows rules
+     * Registers a piece set that boards can be created with. Every shape must be
+     * a connected group of distinct [row, col] cells normalised so that its
+     * smallest row and column are 0; its distinct orientations are worked out
+     * here.
+     * @param {string} name - Piece set name
+     * @param {Object} shapes - Map of piece ID to shape (array of coordinate pairs)
+     * @returns {Object} Frozen piece set ({ name, shapes, orientations })
      */
-    BentoBlocks.isValidPlacement = function(board, shape, row, col, playerId) {
-        const player = board.players.find(p => p.id === playerId);
-        const placedPieces = player.pieces.filter(p => p.used);
-        
-        // First piece must touch a corner
-        if (placedPieces.length === 0) {
-            return BentoBlocks.touchesCorner(shape, row, col, board);
+    BentoBlocks.registerPieceSet = function(name, shapes) {
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Piece set must have a name');
+        }
+        if (Object.prototype.hasOwnProperty.call(PIECE_SETS, name)) {
+            throw new Error(`Piece set "${name}" is already registered`);
+        }
+        if (!shapes || typeof shapes !== 'object' || Object.keys(shapes).length === 0) {
+            throw new Error(`Piece set "${name}" has no pieces`);
         }
 
-        let touchesCorner = false;
-        let touchesEdge = false;
+        const frozenShapes = {};
+        const orientations = {};
 
-        // Check each cell of the piece
-        for (const [dx, dy] of shape) {
-            const newRow = row + dx;
-            const newCol = col + dy;
-            
-            // Check if touches corner of same player's piece
-            if (BentoBlocks.touchesPlayerCorner(newRow, newCol, board, playerId)) {
-                touchesCorner = true;
+        for (const [pieceId, shape] of Object.entries(shapes)) {
+            if (!PIECE_ID_PATTERN.test(pieceId)) {
+                throw new Error(`Invalid piece ID "${pieceId}" in piece set "${name}"`);
             }
-            
-            // Check if touches edge of same player's piece (invalid)
-            if (BentoBlocks.touchesPlayerEdge(newRow, newCol, board, playerId)) {
-                touchesEdge = true;
+            const problem = findShapeProblem(shape);
+            if (problem) {
+                throw new Error(`Piece ${pieceId} in piece set "${name}" ${problem}`);
             }
+
+            frozenShapes[pieceId] = Object.freeze(shape.map(([x, y]) => Object.freeze([x, y])));
+            orientations[pieceId] = BentoBlocks.getOrientations({ shape: frozenShapes[pieceId] });
         }
 
-        return touchesCorner && !touchesEdge;
+        PIECE_SETS[name] = Object.freeze({
+            name,
+            shapes: Object.freeze(frozenShapes),
+            orientations: Object.freeze(orientations)
+        });
+        return PIECE_SETS[name];
+    };
+
+    /**
+     * Describes what is wrong with a piece shape
+     * @param {Array} shape - Array of coordinate pairs
+     * @returns {string|null} Problem description, or null for a valid shape
+     */
+    function findShapeProblem(shape) {
+        if (!Array.isArray(shape) || shape.length === 0) {
+            return 'has no cells';
+        }
+        if (!shape.every(cell => Array.isArray(cell) && cell.length === 2 &&
+                cell.every(n => Number.isInteger(n) && n >= 0 && n < MAX_BOARD_SIZE))) {
+            return 'has invalid cells';
+        }
+
+        const cells = new Set(shape.map(([x, y]) => `${x},${y}`));
+        if (cells.size !== shape.length) {
+            return 'repeats a cell';
+        }
+        if (Math.min(...shape.map(([x]) => x)) !== 0 || Math.min(...shape.map(([, y]) => y)) !== 0) {
+            return 'is not normalised to start at row 0 and column 0';
+        }
+
+        // Flood fill from the first cell across edges
+        const reached = new Set([`${shape[0][0]},${shape[0][1]}`]);
+        const queue = [shape[0]];
+        while (queue.length > 0) {
+            const [x, y] = queue.pop();
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const key = `${x + dx},${y + dy}`;
+                if (cells.has(key) && !reached.has(key)) {
+                    reached.add(key);
+                    queue.push([x + dx, y + dy]);
+                }
+            }
+        }
+
+        return reached.size === shape.length ? null : 'is not connected';
+    }
+
+    /**
+     * Gets a registered piece set
+     * @param {string} name - Piece set name
+     * @returns {Object} Frozen piece set ({ name, shapes, orientations })
+     */
+    BentoBlocks.getPieceSet = function(name) {
+        if (!Object.prototype.hasOwnProperty.call(PIECE_SETS, name)) {
+            throw new Error(`Unknown piece set: ${name}`);
+        }
+        return PIECE_SETS[name];
+    };
+
+    /**
+     * Gets the names of the registered piece sets
+     * @returns {Array} Array of piece set names
+     */
+    BentoBlocks.getPieceSets = function() {
+        return Object.keys(PIECE_SETS);
+    };
+
+    /**
+     * Gets the names of the built-in variants
+     * @returns {Array} Array of variant names
+     */
+    BentoBlocks.getVariants = function() {
+        return Object.keys(VARIANTS);
+    };
+
+    /**
+     * Splits colours between seats. Without a layout every seat gets the same
+     * number of colours, dealt in turn order (with two seats and four colours
+     * seat 1 plays colours 1 and 3); colours left over are neutral.
+     * @param {Array} playerIds - Colour IDs in turn order
+     * @param {number} seatCount - Number of seats
+     * @param {Array} [layout] - Colour IDs owned by each seat
+     * @returns {Array} Array of seat objects ({ id, playerIds, bot })
+     */
+    function buildSeats(playerIds, seatCount, layout) {
+        if (!layout) {
+            const perSeat = Math.floor(playerIds.length / seatCount);
+            layout = Array.from({ length: seatCount }, (_, seatIndex) =>
+                Array.from({ length: perSeat }, (_, k) => playerIds[seatIndex + k * seatCount])
+            );
+        }
+
+        return layout.map((ids, index) => ({ id: index + 1, playerIds: [...ids], bot: null }));
+    }
+
+    /**
+     * Assigns bot strategies to seats
+     * @param {Array} seats - Array of seat objects
+     * @param {Object} [bots] - Map of seat ID to bot strategy name (null for human)
+     * @returns {Array} Updated array of seat objects
+     */
+    function assignBots(seats, bots) {
+        if (!bots) {
+            return seats;
+        }
+
+        for (const [seatId, strategy] of Object.entries(bots)) {
+            if (!seats.some(s => s.id === Number(seatId))) {
+                throw new Error(`Cannot assign bot to unknown seat ${seatId}`);
+            }
+            if (strategy !== null && (typeof strategy !== 'string' || strategy === '')) {
+                throw new Error(`Invalid bot strategy for seat ${seatId}`);
+            }
+        }
+
+        return seats.map(seat => (
+            Object.prototype.hasOwnProperty.call(bots, seat.id)
+                ? { ...seat, bot: bots[seat.id] }
+                : seat
+        ));
+    }
+
+    /**
+     * Gets the seat that plays a colour on its next turn: the owner, or for a
+     * neutral colour the seat whose turn it is to play it
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Colour (player) ID
+     * @returns {Object|null} Seat object or null for an unknown colour
+     */
+    BentoBlocks.getSeatForPlayer = function(board, playerId) {
+        const owner = board.seats.find(seat => seat.playerIds.includes(playerId));
+        if (owner) return owner;
+
+        const player = board.players.find(p => p.id === playerId);
+        if (!player || !player.neutral) return null;
+
+        return board.seats[board.neutralTurns % board.seats.length];
+    };
+
+    /**
+     * Gets the seat whose turn it is
+     * @param {Object} board - Game board object
+     * @returns {Object|null} Seat object or null when no colour is to move
+     */
+    BentoBlocks.getCurrentSeat = function(board) {
+        return board.currentPlayer === null ? null : BentoBlocks.getSeatForPlayer(board, board.currentPlayer);
+    };
+
+    /**
+     * Gets the name and avatar to show for a seat, taken from the first of
+     * its colours that has them
+     * @param {Object} board - Game board object
+     * @param {number} seatId - Seat ID
+     * @returns {Object} Details ({ name, avatar }); name falls back to "Player N" and avatar to null
+     */
+    BentoBlocks.getSeatDetails = function(board, seatId) {
+        const seat = board.seats.find(s => s.id === seatId);
+        if (!seat) {
+            throw new Error(`Unknown seat ${seatId}`);
+        }
+
+        const players = seat.playerIds.map(id => board.players.find(p => p.id === id));
+        const named = players.find(p => p.name !== null);
+        const withAvatar = players.find(p => p.avatar !== null);
+        return {
+            name: named ? named.name : `Player ${seat.id}`,
+            avatar: withAvatar ? withAvatar.avatar : null
+        };
+    };
+
+    /**
+     * Gets each seat's combined score and per-colour breakdowns. Neutral
+     * colours score for nobody.
+     * @param {Object} board - Game board object
+     * @returns {Array} Array of { id, playerIds, bot, score, breakdown, forfeited } objects
+     */
+    BentoBlocks.getSeatResults = function(board) {
+        return board.seats.map(seat => {
+            const breakdown = seat.playerIds.map(playerId => BentoBlocks.getScoreBreakdown(board, playerId));
+            return {
+                id: seat.id,
+                playerIds: [...seat.playerIds],
+                bot: seat.bot,
+                score: breakdown.reduce((total, b) => total + b.total, 0),
+                breakdown,
+                forfeited: hasForfeited(board, seat.id)
+            };
+        });
+    };
+
+    /**
+     * Checks if a seat lost on time
+     * @param {Object} board - Game board object
+     * @param {number} seatId - Seat ID
+     * @returns {boolean} True if the seat forfeited
+     */
+    function hasForfeited(board, seatId) {
+        return board.moveHistory.some(move => move.type === MOVE_TYPES.TIMEOUT &&
+            move.action === TIMEOUT_ACTIONS.FORFEIT && move.seatId === seatId);
+    }
+
+    /**
+     * Looks up scoring rules by name or validates a custom rules object
+     * @param {string|Object} scoring - Scoring rules name or rules object
+     * @returns {Object} Scoring rules object
+     */
+    function resolveScoringRules(scoring) {
+        if (typeof scoring === 'string') {
+            if (!Object.prototype.hasOwnProperty.call(SCORING_RULES, scoring)) {
+                throw new Error(`Unknown scoring rules: ${scoring}`);
+            }
+            return SCORING_RULES[scoring];
+        }
+
+        if (!scoring || typeof scoring.name !== 'string' || typeof scoring.score !== 'function') {
+            throw new Error('Scoring rules must have a name and a score function');
+        }
+
+        return scoring;
+    }
+
+    /**
+     * Gets the names of the built-in scoring rules
+     * @returns {Array} Array of scoring rules names
+     */
+    BentoBlocks.getScoringRules = function() {
+        return Object.keys(SCORING_RULES);
+    };
+
+    /**
+     * Recalculates every player's score with the board's scoring rules
+     * @param {Object} board - Game board object (not yet frozen)
+     * @returns {Object} Board object with updated player scores
+     */
+    function applyScores(board) {
+        return {
+            ...board,
+            players: board.players.map(player => ({
+                ...player,
+                score: sumPoints(board.scoring.score(player, board))
+            }))
+        };
+    }
+
+    /**
+     * Adds up the points of a score breakdown
+     * @param {Array} items - Array of { label, points } items
+     * @returns {number} Total points
+     */
+    function sumPoints(items) {
+        return items.reduce((total, item) => total + item.points, 0);
+    }
+
+    /**
+     * Counts the squares covered by a list of pieces
+     * @param {Array} pieces - Array of piece objects
+     * @returns {number} Number of squares
+     */
+    function countSquares(pieces) {
+        return pieces.reduce((total, piece) => total + piece.shape.length, 0);
+    }
+
+    /**
+     * Finds the most recent placement made by a player
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID
+     * @returns {Object|null} Move record or null if the player has not placed a piece
+     */
+    function findLastPlacement(board, playerId) {
+        for (let i = board.moveHistory.length - 1; i >= 0; i--) {
+            const move = board.moveHistory[i];
+            if (move.type === MOVE_TYPES.PLACE && move.playerId === playerId) {
+                return move;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets the score breakdown for a player under the board's scoring rules
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID
+     * @returns {Object|null} Breakdown ({ playerId, scoring, items, total }) or null for an unknown player
+     */
+    BentoBlocks.getScoreBreakdown = function(board, playerId) {
+        const player = board.players.find(p => p.id === playerId);
+        if (!player) return null;
+
+        const items = board.scoring.score(player, board);
+        return {
+            playerId,
+            scoring: board.scoring.name,
+            items,
+            total: sumPoints(items)
+        };
+    };
+
+    /**
+     * Gets all pieces of a piece set for a player
+     * @param {string} [pieceSet='classic'] - Piece set name
+     * @returns {Array} Array of piece objects
+     */
+    function getAllPieces(pieceSet = DEFAULT_PIECE_SET) {
+        const shapes = PIECE_SETS[pieceSet].shapes;
+        return Object.keys(shapes).map(pieceId => ({
+            id: pieceId,
+            shape: shapes[pieceId],
+            used: false,
+            rotation: 0,
+            flipped: false
+        }));
+    }
+
+    /**
+     * Starts a new game. Every colour stays in play when there are fewer
+     * seats than colours: with four colours, two seats play two colours each
+     * and three seats share the fourth colour as a neutral one.
+     * @param {Object} board - Game board object
+     * @param {number} [seatCount] - Number of seats (2 up to the number of colours, which is the default)
+     * @param {Object} [options] - Game options
+     * @param {Array} [options.seats] - Colour IDs owned by each seat, e.g. [[1, 3], [2, 4]]
+     * @param {Array} [options.neutral] - Colour IDs shared by all seats when options.seats is given;
+     *     colours in neither list are left out of the game
+     * @param {Object} [options.bots] - Map of seat ID to bot strategy name
+     * @param {string|Object} [options.scoring] - Scoring rules, replacing the ones chosen at createBoard
+     * @returns {Object} Updated board object
+     */
+    BentoBlocks.startGame = function(board, seatCount, options = {}) {
+        if (board && seatCount === undefined) {
+            seatCount = options.seats ? options.seats.length : board.players.length;
+        }
+        if (!board || !Number.isInteger(seatCount) || seatCount < 2 || seatCount > board.players.length) {
+            throw new Error('Invalid board or player count');
+        }
+
+        const playerIds = board.players.map(p => p.id);
+        let seats;
+        let neutralIds;
+
+        if (options.seats) {
+            const claimed = [...options.seats.flat(), ...(options.neutral || [])];
+            if (options.seats.length !== seatCount || options.seats.some(ids => ids.length === 0) ||
+                claimed.some(id => !playerIds.includes(id)) || new Set(claimed).size !== claimed.length) {
+                throw new Error('Seats must own distinct colours of this board');
+            }
+            seats = buildSeats(playerIds, seatCount, options.seats);
+            neutralIds = options.neutral || [];
+        } else {
+            seats = buildSeats(playerIds, seatCount);
+            neutralIds = playerIds.filter(id => !seats.some(seat => seat.playerIds.includes(id)));
+        }
+
+        // Seats keep bots assigned at createBoard unless new ones are given
+        seats = assignBots(seats.map(seat => {
+            const previous = board.seats.find(s => s.id === seat.id);
+            return previous ? { ...seat, bot: previous.bot } : seat;
+        }), options.bots);
+
+        const players = board.players
+            .filter(p => neutralIds.includes(p.id) || seats.some(seat => seat.playerIds.includes(p.id)))
+            .map(p => ({ ...p, neutral: neutralIds.includes(p.id) }));
+
+        const newBoard = {
+            ...board,
+            players,
+            seats,
+            neutralTurns: 0,
+            currentPlayer: players[0].id,
+            status: GAME_STATUS.IN_PROGRESS,
+            scoring: options.scoring ? resolveScoringRules(options.scoring) : board.scoring,
+            clocks: createClocks(board.timeControl, seats),
+            turnStartedAt: board.timeControl ? Date.now() : null
+        };
+
+        log('info', `Game started: ${board.variant.name}, ${seats.length} seats, ${players.length} colours`);
+        return Object.freeze(applyScores(newBoard));
+    };
+
+    /**
+     * Hands seats to bots, or back to humans, in a game already under way
+     * @param {Object} board - Game board object
+     * @param {Object} bots - Map of seat ID to bot strategy name (null for human)
+     * @returns {Object} Updated board object
+     */
+    BentoBlocks.setBots = function(board, bots) {
+        return Object.freeze({ ...board, seats: assignBots(board.seats, bots) });
+    };
+
+    /**
+     * Checks if a position is valid on the board
+     * @param {number} row - Row coordinate
+     * @param {number} col - Column coordinate
+     * @param {Object} board - Game board object
+     * @returns {boolean} True if position is valid
+     */
+    BentoBlocks.isValidPosition = function(row, col, board) {
+        return row >= 0 && row < board.size && col >= 0 && col < board.size;
+    };
+
+    /**
+     * Checks if a cell is empty
+     * @param {number} row - Row coordinate
+     * @param {number} col - Column coordinate
+     * @param {Object} board - Game board object
+     * @returns {boolean} True if cell is empty
+     */
+    BentoBlocks.isCellEmpty = function(row, col, board) {
+        if (!BentoBlocks.isValidPosition(row, col, board)) {
+            return false;
+        }
+        return board.grid[row][col] === 0;
+    };
+
+    /**
+     * Rotates a piece shape 90 degrees clockwise
+     * @param {Array} shape - Array of coordinate pairs
+     * @returns {Array} Rotated shape coordinates
+     */
+    BentoBlocks.rotatePiece = function(shape) {
+        // Rotate 90 degrees clockwise: (x, y) -> (y, -x)
+        const rotated = shape.map(([x, y]) => [y, -x]);
+        
+        // Normalize to ensure all coordinates are positive
+        const minX = Math.min(...rotated.map(([x, y]) => x));
+        const minY = Math.min(...rotated.map(([x, y]) => y));
+        
+        return rotated.map(([x, y]) => [x - minX, y - minY]);
+    };
+
+    /**
+     * Flips a piece shape horizontally
+     * @param {Array} shape - Array of coordinate pairs
+     * @returns {Array} Flipped shape coordinates
+     */
+    BentoBlocks.flipPiece = function(shape) {
+        // Flip horizontally: (x, y) -> (-x, y)
+        const flipped = shape.map(([x, y]) => [-x, y]);
+        
+        // Normalize to ensure all coordinates are positive
+        const minX = Math.min(...flipped.map(([x, y]) => x));
+        const minY = Math.min(...flipped.map(([x, y]) => y));
+        
+        return flipped.map(([x, y]) => [x - minX, y - minY]);
+    };
+
+    /**
+     * Gets the transformed shape of a piece
+     * @param {Object} piece - Piece object
+     * @returns {Array} Transformed shape coordinates
+     */
+    BentoBlocks.getTransformedShape = function(piece) {
+        let shape = [...piece.shape];
+        
+        // Apply rotations
+        for (let i = 0; i < piece.rotation; i++) {
+            shape = BentoBlocks.rotatePiece(shape);
+        }
+        
+        // Apply flip if needed
+        if (piece.flipped) {
+            shape = BentoBlocks.flipPiece(shape);
+        }
+        
+        return shape;
+    };
+
+    /**
+     * Builds a key that identifies a shape regardless of cell order
+     * @param {Array} shape - Array of coordinate pairs
+     * @returns {string} Shape key
+     */
+    function shapeKey(shape) {
+        return shape.map(([x, y]) => `${x},${y}`).sort().join(';');
+    }
+
+    /**
+     * Gets the distinct orientations of a piece. Symmetric pieces yield fewer
+     * than eight (the O4 square has a single orientation).
+     * @param {Object} piece - Piece object
+     * @returns {Array} Array of { rotation, flipped, shape } objects
+     */
+    BentoBlocks.getOrientations = function(piece) {
+        const baseKey = shapeKey(piece.shape);
+        if (orientationCache.has(baseKey)) {
+            return orientationCache.get(baseKey);
+        }
+
+        const seen = new Set();
+        const orientations = [];
+
+        for (let rotation = 0; rotation < 4; rotation++) {
+            for (const flipped of [false, true]) {
+                const shape = BentoBlocks.getTransformedShape({ shape: piece.shape, rotation, flipped });
+                const key = shapeKey(shape);
+
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    orientations.push(Object.freeze({ rotation, flipped, shape }));
+                }
+            }
+        }
+
+        Object.freeze(orientations);
+        orientationCache.set(baseKey, orientations);
+        return orientations;
+    };
+
+    /**
+     * Checks if a piece can be placed at a specific position. The piece must
+     * be one of the player's unused pieces, in one of its orientations.
+     * @param {Object} board - Game board object
+     * @param {Object} piece - Piece object
+     * @param {number} row - Starting row position
+     * @param {number} col - Starting column position
+     * @param {number} playerId - Player ID placing the piece
+     * @returns {boolean} True if placement is valid
+     */
+    BentoBlocks.canPlacePiece = function(board, piece, row, col, playerId) {
+        const player = board.players.find(p => p.id === playerId);
+        const owned = player && player.pieces.find(p => p.id === piece.id);
+        if (!owned || owned.used || piece.used) {
+            return false;
+        }
+
+        const match = findOrientation(owned, piece);
+        const rules = getPlacementRules(board, playerId);
+        if (!match || !rules) {
+            return false;
+        }
+
+        return fitsMask(rules, match.mask, row, col);
+    };
+
+    /**
+     * Finds the orientation of a player's own piece that a piece object
+     * stands for, so a caller cannot place a shape the player was never
+     * dealt
+     * @param {Object} owned - The player's piece with the same ID
+     * @param {Object} piece - Piece object in the orientation to place
+     * @returns {Object|null} Orientation mask ({ orientation, mask, key }, see getOrientationMasks)
+     *     covering the same cells as the piece, or null if none does
+     */
+    function findOrientation(owned, piece) {
+        const key = shapeKey(BentoBlocks.getTransformedShape(piece));
+        return getOrientationMasks(owned.shape).find(orientation => orientation.key === key) || null;
+    }
+
+    /**
+     * Gets the occupancy bitsets of a board's grid. Bit c of a row's number
+     * stands for column c, so a board can be up to 32 columns wide. Each
+     * colour has a layer of three bitsets: the cells it covers, the empty or
+     * taken cells sharing an edge with them and those touching them only
+     * diagonally.
+     * @param {Object} board - Game board object
+     * @returns {Object} Bitboard ({ full, occupied, layers, empty }); occupied is
+     *     every covered cell, layers maps player ID to { cells, edges, corners }
+     *     and empty is the layer of a colour with no cells
+     */
+    function getBitboard(board) {
+        let bitboard = bitboardCache.get(board.grid);
+        if (!bitboard) {
+            bitboard = createBitboard(board.grid);
+            bitboardCache.set(board.grid, bitboard);
+        }
+        return bitboard;
+    }
+
+    /**
+     * Builds the bitsets of a grid by scanning every cell
+     * @param {Array} grid - Cells by [row][col]
+     * @returns {Object} Bitboard (see getBitboard)
+     */
+    function createBitboard(grid) {
+        const size = grid.length;
+        const occupied = new Int32Array(size);
+        const cellsById = new Map();
+
+        grid.forEach((cells, row) => cells.forEach((playerId, col) => {
+            if (playerId === 0) return;
+            if (!cellsById.has(playerId)) {
+                cellsById.set(playerId, new Int32Array(size));
+            }
+            cellsById.get(playerId)[row] |= 1 << col;
+            occupied[row] |= 1 << col;
+        }));
+
+        const full = size === 32 ? -1 : (1 << size) - 1;
+        const layers = new Map();
+        cellsById.forEach((cells, playerId) => {
+            const layer = { cells, edges: new Int32Array(size), corners: new Int32Array(size) };
+            updateZones(layer, full, 0, size - 1);
+            layers.set(playerId, layer);
+        });
+
+        const empty = { cells: new Int32Array(size), edges: new Int32Array(size), corners: new Int32Array(size) };
+        return { full, occupied, layers, empty };
+    }
+
+    /**
+     * Recomputes the edge and corner bitsets of a layer from its cells
+     * @param {Object} layer - Layer to update in place ({ cells, edges, corners })
+     * @param {number} full - Bitset with every column of a row set
+     * @param {number} fromRow - First row to update
+     * @param {number} toRow - Last row to update
+     */
+    function updateZones(layer, full, fromRow, toRow) {
+        const { cells, edges, corners } = layer;
+        const last = cells.length - 1;
+
+        for (let row = Math.max(fromRow, 0); row <= Math.min(toRow, last); row++) {
+            const here = cells[row];
+            const beside = (row > 0 ? cells[row - 1] : 0) | (row < last ? cells[row + 1] : 0);
+            edges[row] = (beside | (here << 1) | (here >>> 1)) & full;
+            corners[row] = ((beside << 1) | (beside >>> 1)) & full;
+        }
+    }
+
+    /**
+     * Gets the row masks of a shape in one orientation. The masks start at
+     * the shape's top row and leftmost column, which are its offset from the
+     * anchor.
+     * @param {Array} shape - Untransformed shape coordinates
+     * @param {number} [rotation=0] - Quarter turns clockwise
+     * @param {boolean} [flipped=false] - True if mirrored before rotating
+     * @returns {Object} Shape mask ({ shape, rows, cells, top, left, height, width }); shape is the
+     *     transformed shape, and cells holds each cell's row and column from the mask's corner, flattened into pairs
+     */
+    function getShapeMask(shape, rotation = 0, flipped = false) {
+        let masks = shapeMaskCache.get(shape);
+        if (!masks) {
+            masks = [];
+            shapeMaskCache.set(shape, masks);
+        }
+
+        const key = (rotation % 4) * 2 + (flipped ? 1 : 0);
+        if (!masks[key]) {
+            const cells = BentoBlocks.getTransformedShape({ shape, rotation: rotation % 4, flipped });
+            const top = Math.min(...cells.map(([dx]) => dx));
+            const left = Math.min(...cells.map(([, dy]) => dy));
+            const height = Math.max(...cells.map(([dx]) => dx)) - top + 1;
+            const width = Math.max(...cells.map(([, dy]) => dy)) - left + 1;
+            const rows = new Int32Array(height);
+            cells.forEach(([dx, dy]) => {
+                rows[dx - top] |= 1 << (dy - left);
+            });
+            masks[key] = {
+                shape: cells,
+                rows,
+                cells: Int32Array.from(cells.flatMap(([dx, dy]) => [dx - top, dy - left])),
+                top,
+                left,
+                height,
+                width
+            };
+        }
+        return masks[key];
+    }
+
+    /**
+     * Gets the distinct orientations of a shape (see getOrientations) with
+     * their masks. Orientations start at row 0 and column 0, so each mask's
+     * corner is the move's anchor.
+     * @param {Array} shape - Untransformed shape coordinates
+     * @returns {Array} Array of { orientation, mask, key } objects, key being the shape key of the orientation
+     */
+    function getOrientationMasks(shape) {
+        let orientations = orientationMaskCache.get(shape);
+        if (!orientations) {
+            orientations = BentoBlocks.getOrientations({ shape }).map(orientation => ({
+                orientation,
+                mask: getShapeMask(orientation.shape),
+                key: shapeKey(orientation.shape)
+            }));
+            orientationMaskCache.set(shape, orientations);
+        }
+        return orientations;
+    }
+
+    /**
+     * Gathers a player's placement rules as two bitsets, so many placements
+     * can be checked against the same board: a piece may cover no blocked
+     * cell and must cover at least one target cell. Blocked cells are the
+     * taken ones, plus those beside the player's pieces once it has placed
+     * one; targets are its free start cells before then and its open corners
+     * afterwards.
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID placing pieces
+     * @returns {Object|null} Placement rules ({ size, blocked, targets, targetRows }), where bit r of
+     *     targetRows is set when row r has a target, or null for an unknown player
+     */
+    function getPlacementRules(board, playerId) {
+        const player = board.players.find(p => p.id === playerId);
+        if (!player) {
+            return null;
+        }
+
+        const { occupied, layers, empty } = getBitboard(board);
+        const layer = layers.get(playerId) || empty;
+
+        const firstPiece = !player.pieces.some(p => p.used);
+        const blocked = new Int32Array(board.size);
+        const targets = new Int32Array(board.size);
+        let targetRows = 0;
+
+        if (firstPiece) {
+            player.startCells.forEach(([row, col]) => {
+                targets[row] |= 1 << col;
+            });
+        }
+        for (let row = 0; row < board.size; row++) {
+            blocked[row] = firstPiece ? occupied[row] : occupied[row] | layer.edges[row];
+            // A blocked target can never be covered, so only the open ones are kept
+            targets[row] = (firstPiece ? targets[row] : layer.corners[row]) & ~blocked[row];
+            if (targets[row] !== 0) {
+                targetRows |= 1 << row;
+            }
+        }
+
+        return { size: board.size, blocked, targets, targetRows };
+    }
+
+    /**
+     * Checks a placement with bitwise operations: the piece must lie on the
+     * board, cover no blocked cell and cover a target cell
+     * @param {Object} rules - Placement rules from getPlacementRules
+     * @param {Object} mask - Shape mask from getShapeMask
+     * @param {number} row - Starting row position
+     * @param {number} col - Starting column position
+     * @returns {boolean} True if placement is valid
+     */
+    function fitsMask(rules, mask, row, col) {
+        const top = row + mask.top;
+        const left = col + mask.left;
+        if (top < 0 || left < 0 || top + mask.height > rules.size || left + mask.width > rules.size) {
+            return false;
+        }
+
+        let touches = false;
+        for (let i = 0; i < mask.height; i++) {
+            const bits = mask.rows[i] << left;
+            if ((bits & rules.blocked[top + i]) !== 0) {
+                return false;
+            }
+            touches = touches || (bits & rules.targets[top + i]) !== 0;
+        }
+        return touches;
+    }
+
+    /**
+     * Finds every position a shape fits in a band of rows at once. Shifting
+     * a row of cells right by a piece cell's column lines each column
+     * position up with the cell the piece would put there, so one bitset per
+     * row answers the rules for all positions in that row.
+     * @param {Object} rules - Placement rules from getPlacementRules
+     * @param {Object} mask - Shape mask from getShapeMask
+     * @param {number} fromRow - First top row to try
+     * @param {number} toRow - Last top row to try
+     * @param {Int32Array} fits - Receives a bitset for each top row tried, by row; bit c is set when the
+     *     mask's corner fits at column c
+     */
+    function findFits(rules, mask, fromRow, toRow, fits) {
+        const positions = rules.size - mask.width + 1;
+        const columns = positions >= 32 ? -1 : (1 << Math.max(positions, 0)) - 1;
+        const { blocked, targets, targetRows } = rules;
+        const cells = mask.cells;
+        const band = mask.height >= 32 ? -1 : (1 << mask.height) - 1;
+
+        for (let top = fromRow; top <= toRow; top++) {
+            if (((targetRows >>> top) & band) === 0) {
+                fits[top] = 0;
+                continue;
+            }
+
+            // Positions touching a target, then those of them covering nothing blocked
+            let bits = 0;
+            for (let i = 0; i < cells.length; i += 2) {
+                bits |= targets[top + cells[i]] >>> cells[i + 1];
+            }
+            bits &= columns;
+            for (let i = 0; i < cells.length && bits !== 0; i += 2) {
+                bits &= ~(blocked[top + cells[i]] >>> cells[i + 1]);
+            }
+            fits[top] = bits;
+        }
+    }
+
+    /**
+     * Puts a piece's cells on a copy of the grid. The grid's bitboard is
+     * carried over to the new grid with the rows the piece covers updated.
+     * @param {Object} board - Game board object
+     * @param {Object} mask - Shape mask from getShapeMask
+     * @param {number} row - Starting row position
+     * @param {number} col - Starting column position
+     * @param {number} playerId - Player ID placing the piece
+     * @returns {Array} New grid
+     */
+    function placeOnGrid(board, mask, row, col, playerId) {
+        const bitboard = getBitboard(board);
+        const top = row + mask.top;
+        const left = col + mask.left;
+
+        const grid = board.grid.map(cells => [...cells]);
+        for (let i = 0; i < mask.cells.length; i += 2) {
+            grid[top + mask.cells[i]][left + mask.cells[i + 1]] = playerId;
+        }
+
+        const previous = bitboard.layers.get(playerId) || bitboard.empty;
+        const layer = {
+            cells: Int32Array.from(previous.cells),
+            edges: Int32Array.from(previous.edges),
+            corners: Int32Array.from(previous.corners)
+        };
+        const occupied = Int32Array.from(bitboard.occupied);
+        for (let i = 0; i < mask.height; i++) {
+            const bits = mask.rows[i] << left;
+            layer.cells[top + i] |= bits;
+            occupied[top + i] |= bits;
+        }
+        updateZones(layer, bitboard.full, top - 1, top + mask.height);
+
+        const layers = new Map(bitboard.layers);
+        layers.set(playerId, layer);
+        bitboardCache.set(grid, { ...bitboard, occupied, layers });
+        return grid;
+    }
+
+    /**
+     * Validates piece placement according to game rules
+     * @param {Object} board - Game board object
+     * @param {Array} shape - Piece shape coordinates
+     * @param {number} row - Starting row position
+     * @param {number} col - Starting column position
+     * @param {number} playerId - Player ID placing the piece
+     * @returns {boolean} True if placement follows rules
+     */
+    BentoBlocks.isValidPlacement = function(board, shape, row, col, playerId) {
+        const player = board.players.find(p => p.id === playerId);
+        const placedPieces = player.pieces.filter(p => p.used);
+        
+        // First piece must cover one of the player's start cells
+        if (placedPieces.length === 0) {
+            return BentoBlocks.touchesStartCell(shape, row, col, board, playerId);
+        }
+
+        let touchesCorner = false;
+        let touchesEdge = false;
+
+        // Check each cell of the piece
+        for (const [dx, dy] of shape) {
+            const newRow = row + dx;
+            const newCol = col + dy;
+            
+            // Check if touches corner of same player's piece
+            if (BentoBlocks.touchesPlayerCorner(newRow, newCol, board, playerId)) {
+                touchesCorner = true;
+            }
+            
+            // Check if touches edge of same player's piece (invalid)
+            if (BentoBlocks.touchesPlayerEdge(newRow, newCol, board, playerId)) {
+                touchesEdge = true;
+            }
+        }
+
+        return touchesCorner && !touchesEdge;
+    };
+
+    /**
+     * Checks a placement and explains everything wrong with it. Each reason
+     * lists the piece's cells that break the rule (none for the turn and
+     * piece checks). The piece must be one of the player's own, in one of
+     * its orientations; otherwise the cells are not checked at all.
+     * @param {Object} board - Game board object
+     * @param {Object} piece - Piece object in the orientation to place
+     * @param {number} row - Starting row position
+     * @param {number} col - Starting column position
+     * @param {number} playerId - Player ID placing the piece
+     * @returns {Object} { valid, reasons } where reasons is an array of { code, message, cells }
+     *     objects, most important first; code is one of PLACEMENT_REASONS
+     */
+    BentoBlocks.validatePlacement = function(board, piece, row, col, playerId) {
+        const reasons = [];
+        const addReason = (code, message, cells = []) => reasons.push({ code, message, cells });
+
+        if (board.status !== GAME_STATUS.IN_PROGRESS) {
+            addReason(PLACEMENT_REASONS.GAME_NOT_IN_PROGRESS, 'The game is not in progress');
+        } else if (playerId !== board.currentPlayer) {
+            addReason(PLACEMENT_REASONS.NOT_YOUR_TURN, `It is not player ${playerId}'s turn`);
+        }
+
+        const player = board.players.find(p => p.id === playerId);
+        if (!player) {
+            return { valid: false, reasons };
+        }
+
+        const owned = player.pieces.find(p => p.id === piece.id);
+        if (!owned) {
+            addReason(PLACEMENT_REASONS.UNKNOWN_PIECE, `Player ${playerId} has no piece ${piece.id}`);
+            return { valid: false, reasons };
+        }
+        if (piece.used || owned.used) {
+            addReason(PLACEMENT_REASONS.PIECE_USED, `${piece.id} has already been played`);
+        }
+
+        const match = findOrientation(owned, piece);
+        if (!match) {
+            addReason(PLACEMENT_REASONS.SHAPE_MISMATCH, `That shape is not ${piece.id} in any orientation`);
+            return { valid: false, reasons };
+        }
+
+        const cells = match.orientation.shape.map(([dx, dy]) => [row + dx, col + dy]);
+        const onBoard = cells.filter(([r, c]) => BentoBlocks.isValidPosition(r, c, board));
+
+        if (onBoard.length < cells.length) {
+            addReason(PLACEMENT_REASONS.OUT_OF_BOUNDS, 'The piece does not fit on the board',
+                cells.filter(cell => !onBoard.includes(cell)));
+        }
+
+        const taken = onBoard.filter(([r, c]) => !BentoBlocks.isCellEmpty(r, c, board));
+        if (taken.length > 0) {
+            addReason(PLACEMENT_REASONS.OVERLAP, 'The piece covers cells that are already taken', taken);
+        }
+
+        // The contact rules are checked on the cells the piece could actually fill
+        const free = onBoard.filter(cell => !taken.includes(cell));
+        if (free.length === 0) {
+            return { valid: false, reasons };
+        }
+
+        if (player.pieces.every(p => !p.used)) {
+            if (!cells.some(([r, c]) => player.startCells.some(([startRow, startCol]) => r === startRow && c === startCol))) {
+                addReason(PLACEMENT_REASONS.NOT_ON_START_CELL, 'Your first piece must cover a start cell', free);
+            }
+        } else {
+            const edgeCells = free.filter(([r, c]) => BentoBlocks.touchesPlayerEdge(r, c, board, playerId));
+            if (edgeCells.length > 0) {
+                addReason(PLACEMENT_REASONS.EDGE_CONTACT, 'The piece touches the side of one of your own pieces', edgeCells);
+            }
+            if (!free.some(([r, c]) => BentoBlocks.touchesPlayerCorner(r, c, board, playerId))) {
+                addReason(PLACEMENT_REASONS.NO_CORNER_CONTACT, 'The piece must touch a corner of one of your own pieces', free);
+            }
+        }
+
+        return { valid: reasons.length === 0, reasons };
     };
 
     /**
@@ -304,194 +1628,773 @@ console.log("Loading bento_blocks.js...");
     };
 
     /**
-     * Checks if position touches corner of player's existing pieces
-     * @param {number} row - Row coordinate
-     * @param {number} col - Column coordinate
+     * Checks if piece covers one of the player's start cells
+     * @param {Array} shape - Piece shape coordinates
+     * @param {number} row - Starting row position
+     * @param {number} col - Starting column position
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID
+     * @returns {boolean} True if covers a start cell
+     */
+    BentoBlocks.touchesStartCell = function(shape, row, col, board, playerId) {
+        const player = board.players.find(p => p.id === playerId);
+        if (!player) return false;
+
+        return shape.some(([dx, dy]) => player.startCells.some(
+            ([startRow, startCol]) => row + dx === startRow && col + dy === startCol
+        ));
+    };
+
+    /**
+     * Checks if position touches corner of player's existing pieces
+     * @param {number} row - Row coordinate
+     * @param {number} col - Column coordinate
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID
+     * @returns {boolean} True if touches player's corner
+     */
+    BentoBlocks.touchesPlayerCorner = function(row, col, board, playerId) {
+        const corners = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+        
+        for (const [dx, dy] of corners) {
+            const checkRow = row + dx;
+            const checkCol = col + dy;
+            
+            if (BentoBlocks.isValidPosition(checkRow, checkCol, board) &&
+                board.grid[checkRow][checkCol] === playerId) {
+                return true;
+            }
+        }
+        
+        return false;
+    };
+
+    /**
+     * Checks if position touches edge of player's existing pieces
+     * @param {number} row - Row coordinate
+     * @param {number} col - Column coordinate
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID
+     * @returns {boolean} True if touches player's edge
+     */
+    BentoBlocks.touchesPlayerEdge = function(row, col, board, playerId) {
+        const edges = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+        
+        for (const [dx, dy] of edges) {
+            const checkRow = row + dx;
+            const checkCol = col + dy;
+            
+            if (BentoBlocks.isValidPosition(checkRow, checkCol, board) &&
+                board.grid[checkRow][checkCol] === playerId) {
+                return true;
+            }
+        }
+        
+        return false;
+    };
+
+    /**
+     * Checks that a player is allowed to act on the board right now
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID attempting to move
+     */
+    function assertPlayersTurn(board, playerId) {
+        if (board.status !== GAME_STATUS.IN_PROGRESS) {
+            throw new Error('Game is not in progress');
+        }
+        if (playerId !== board.currentPlayer) {
+            throw new Error(`It is not player ${playerId}'s turn`);
+        }
+    }
+
+    /**
+     * Places a piece on the board and passes the turn on
+     * @param {Object} board - Game board object
+     * @param {Object} piece - Piece object
+     * @param {number} row - Starting row position
+     * @param {number} col - Starting column position
+     * @param {number} playerId - Player ID placing the piece
+     * @returns {Object} Updated board object
+     */
+    BentoBlocks.placePiece = function(board, piece, row, col, playerId) {
+        assertPlayersTurn(board, playerId);
+
+        // The bitwise check settles legal moves; validatePlacement only runs to explain a rejection
+        if (!BentoBlocks.canPlacePiece(board, piece, row, col, playerId)) {
+            const { reasons } = BentoBlocks.validatePlacement(board, piece, row, col, playerId);
+            if (reasons.length === 0) {
+                log('warn', `The grid allows ${piece.id} at ${row},${col} for player ${playerId} but the bitboard does not`);
+            }
+            const message = reasons.length > 0 ? reasons[0].message : 'The piece cannot go there';
+            log('debug', `Rejected ${piece.id} at ${row},${col} for player ${playerId}: ${message}`);
+            throw new Error(`Invalid piece placement: ${message}`);
+        }
+
+        const timestamp = Date.now();
+        const clock = stopClock(board, playerId, timestamp);
+
+        // Place the player's own piece, whose shape the caller's was checked against
+        const owned = board.players.find(p => p.id === playerId).pieces.find(p => p.id === piece.id);
+        const { mask } = findOrientation(owned, piece);
+        const shape = mask.shape.map(([dx, dy]) => [dx, dy]);
+        const newGrid = placeOnGrid(board, mask, row, col, playerId);
+
+        // Update player data
+        const newPlayers = board.players.map(player => {
+            if (player.id === playerId) {
+                const newPieces = player.pieces.map(p => 
+                    p.id === piece.id ? { ...p, used: true } : p
+                );
+                return {
+                    ...player,
+                    pieces: newPieces
+                };
+            }
+            return player;
+        });
+
+        // Create move record
+        const seat = BentoBlocks.getSeatForPlayer(board, playerId);
+        const move = {
+            type: MOVE_TYPES.PLACE,
+            playerId,
+            seatId: seat.id,
+            pieceId: piece.id,
+            position: [row, col],
+            shape: shape,
+            timestamp
+        };
+
+        // Update game state
+        const newBoard = applyScores({
+            ...board,
+            ...clock,
+            grid: newGrid,
+            players: newPlayers,
+            neutralTurns: nextNeutralTurns(board, playerId),
+            moveHistory: [...board.moveHistory, move],
+            lastMove: move
+        });
+
+        return advanceTurn(newBoard, playerId);
+    };
+
+    /**
+     * Passes the turn without placing a piece
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID passing
+     * @returns {Object} Updated board object
+     */
+    BentoBlocks.pass = function(board, playerId) {
+        assertPlayersTurn(board, playerId);
+
+        const timestamp = Date.now();
+        const clock = stopClock(board, playerId, timestamp);
+
+        const move = {
+            type: MOVE_TYPES.PASS,
+            playerId,
+            seatId: BentoBlocks.getSeatForPlayer(board, playerId).id,
+            timestamp
+        };
+
+        const newBoard = {
+            ...board,
+            ...clock,
+            neutralTurns: nextNeutralTurns(board, playerId),
+            moveHistory: [...board.moveHistory, move],
+            lastMove: move
+        };
+
+        return advanceTurn(newBoard, playerId);
+    };
+
+    /**
+     * Gets how much time a seat has left. The seat to move loses the time
+     * since its turn began; the others show what they will start their next
+     * turn with.
+     * @param {Object} board - Game board object
+     * @param {number} seatId - Seat ID
+     * @param {number} [now=Date.now()] - Current time in milliseconds since the epoch
+     * @returns {number|null} Milliseconds left, or null if the game is untimed or not started
+     */
+    BentoBlocks.getTimeLeft = function(board, seatId, now = Date.now()) {
+        const clock = board.clocks && board.clocks.find(c => c.seatId === seatId);
+        if (!clock) return null;
+
+        const seat = BentoBlocks.getCurrentSeat(board);
+        if (board.status !== GAME_STATUS.IN_PROGRESS || !seat || seat.id !== seatId) {
+            return clock.remaining;
+        }
+        // Clocks on different machines may disagree; a turn never takes negative time
+        return Math.max(0, clock.remaining - Math.max(0, now - board.turnStartedAt));
+    };
+
+    /**
+     * Stops the clock of the seat that is moving and starts the next turn's
+     * @param {Object} board - Game board object before the move
+     * @param {number} playerId - Colour (player) ID that is moving
+     * @param {number} timestamp - Time of the move
+     * @returns {Object} Board fields to update ({ clocks, turnStartedAt }), empty for an untimed game
+     */
+    function stopClock(board, playerId, timestamp) {
+        if (!board.timeControl) return {};
+
+        const seat = BentoBlocks.getSeatForPlayer(board, playerId);
+        const timeLeft = BentoBlocks.getTimeLeft(board, seat.id, timestamp);
+        if (timeLeft === 0) {
+            throw new Error(`Player ${seat.id} has run out of time`);
+        }
+
+        const remaining = board.timeControl.mode === TIME_CONTROL_MODES.INCREMENT
+            ? timeLeft + board.timeControl.increment
+            : board.timeControl.limit;
+        return {
+            clocks: board.clocks.map(clock => clock.seatId === seat.id ? { ...clock, remaining } : clock),
+            turnStartedAt: timestamp
+        };
+    }
+
+    /**
+     * Ends the turn of a seat whose time has run out and records a timeout
+     * in moveHistory. Under the time control's 'pass' action the seat just
+     * loses the turn. Under 'forfeit' its colours are blocked, it can no
+     * longer win, and the game ends if fewer than two seats are left playing.
+     * @param {Object} board - Game board object
+     * @param {number} [now=Date.now()] - Current time in milliseconds since the epoch
+     * @returns {Object} Updated board object
+     */
+    BentoBlocks.timeOut = function(board, now = Date.now()) {
+        if (!board.timeControl) {
+            throw new Error('This game has no time control');
+        }
+        if (board.status !== GAME_STATUS.IN_PROGRESS) {
+            throw new Error('Game is not in progress');
+        }
+
+        const seat = BentoBlocks.getCurrentSeat(board);
+        if (BentoBlocks.getTimeLeft(board, seat.id, now) > 0) {
+            throw new Error(`Player ${seat.id} still has time left`);
+        }
+
+        const { mode, increment, limit, onTimeout } = board.timeControl;
+        const forfeit = onTimeout === TIMEOUT_ACTIONS.FORFEIT;
+        const playerId = board.currentPlayer;
+        const remaining = forfeit ? 0 : (mode === TIME_CONTROL_MODES.INCREMENT ? increment : limit);
+        const moveHistory = [...board.moveHistory, {
+            type: MOVE_TYPES.TIMEOUT,
+            playerId,
+            seatId: seat.id,
+            action: onTimeout,
+            timestamp: now
+        }];
+        log('debug', `Player ${seat.id} ran out of time (${onTimeout})`);
+
+        let players = board.players;
+        if (forfeit) {
+            players = players.map(player => {
+                if (!seat.playerIds.includes(player.id) || player.blocked) return player;
+                moveHistory.push({ type: MOVE_TYPES.BLOCKED, playerId: player.id, timestamp: now });
+                return { ...player, blocked: true };
+            });
+        }
+
+        const newBoard = {
+            ...board,
+            players,
+            neutralTurns: nextNeutralTurns(board, playerId),
+            moveHistory,
+            clocks: board.clocks.map(clock => clock.seatId === seat.id ? { ...clock, remaining } : clock),
+            turnStartedAt: now
+        };
+
+        if (forfeit) {
+            const seatsPlaying = board.seats.filter(s => !hasForfeited(newBoard, s.id) &&
+                s.playerIds.some(id => !players.find(p => p.id === id).blocked));
+            if (seatsPlaying.length < 2) {
+                log('debug', `Game finished after ${moveHistory.length} moves`);
+                return Object.freeze({ ...newBoard, currentPlayer: null, status: GAME_STATUS.FINISHED });
+            }
+        }
+
+        return advanceTurn(newBoard, playerId);
+    };
+
+    /**
+     * Restarts the current turn's clock, for example when a saved game is
+     * loaded, so the time the game spent saved is not charged to anyone. The
+     * seat to move keeps the time it had when its turn began.
+     * @param {Object} board - Game board object
+     * @param {number} [now=Date.now()] - Current time in milliseconds since the epoch
+     * @returns {Object} Board object with the turn starting now
+     */
+    BentoBlocks.resumeClock = function(board, now = Date.now()) {
+        if (!board.timeControl || board.status !== GAME_STATUS.IN_PROGRESS) {
+            return board;
+        }
+        return Object.freeze({ ...board, turnStartedAt: now });
+    };
+
+    /**
+     * Counts a turn of a neutral colour, which moves it on to the next seat
+     * @param {Object} board - Game board object before the move
+     * @param {number} playerId - Colour (player) ID that moved
+     * @returns {number} Updated neutral turn count
+     */
+    function nextNeutralTurns(board, playerId) {
+        const player = board.players.find(p => p.id === playerId);
+        return player.neutral ? board.neutralTurns + 1 : board.neutralTurns;
+    }
+
+    /**
+     * Hands the turn to the next player who can move. Players found without
+     * a legal move are marked as blocked and skipped for the rest of the game;
+     * when nobody can move the game is finished.
+     * @param {Object} board - Game board object after the move
+     * @param {number} playerId - Player ID who just moved
+     * @returns {Object} Updated board object
+     */
+    function advanceTurn(board, playerId) {
+        const playerIds = board.players.map(p => p.id);
+        const currentIndex = playerIds.indexOf(playerId);
+        let players = board.players;
+        const moveHistory = [...board.moveHistory];
+
+        for (let step = 1; step <= playerIds.length; step++) {
+            const candidateId = playerIds[(currentIndex + step) % playerIds.length];
+            const candidate = players.find(p => p.id === candidateId);
+
+            if (candidate.blocked) continue;
+
+            if (BentoBlocks.canPlayerMove({ ...board, players }, candidateId)) {
+                return Object.freeze({ ...board, players, moveHistory, currentPlayer: candidateId });
+            }
+
+            log('debug', `Player ${candidateId} is blocked`);
+            players = players.map(p => p.id === candidateId ? { ...p, blocked: true } : p);
+            moveHistory.push({
+                type: MOVE_TYPES.BLOCKED,
+                playerId: candidateId,
+                timestamp: Date.now()
+            });
+        }
+
+        log('debug', `Game finished after ${moveHistory.length} moves`);
+        return Object.freeze({
+            ...board,
+            players,
+            moveHistory,
+            currentPlayer: null,
+            status: GAME_STATUS.FINISHED
+        });
+    }
+
+    /**
+     * Gets the next player in turn order, skipping blocked players
+     * @param {Object} board - Game board object
+     * @param {number} currentPlayerId - Current player ID
+     * @returns {number|null} Next player ID, or null if every player is blocked
+     */
+    BentoBlocks.getNextPlayer = function(board, currentPlayerId) {
+        const playerIds = board.players.map(p => p.id);
+        const currentIndex = playerIds.indexOf(currentPlayerId);
+
+        for (let step = 1; step <= playerIds.length; step++) {
+            const nextPlayer = board.players[(currentIndex + step) % playerIds.length];
+            if (!nextPlayer.blocked) {
+                return nextPlayer.id;
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Gets the empty cells where a player's next piece can grow from. Before
+     * the first piece these are the player's free start cells; afterwards they are
+     * cells diagonal to the player's pieces without sharing an edge with them.
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID
+     * @returns {Array} Array of [row, col] pairs
+     */
+    BentoBlocks.getOpenCorners = function(board, playerId) {
+        const player = board.players.find(p => p.id === playerId);
+        if (!player) return [];
+
+        if (!player.pieces.some(p => p.used)) {
+            return player.startCells.filter(([row, col]) => BentoBlocks.isCellEmpty(row, col, board));
+        }
+
+        const { targets } = getPlacementRules(board, playerId);
+        const openCorners = [];
+
+        for (let row = 0; row < board.size; row++) {
+            let open = targets[row];
+            while (open !== 0) {
+                const col = 31 - Math.clz32(open & -open);
+                openCorners.push([row, col]);
+                open &= open - 1;
+            }
+        }
+
+        return openCorners;
+    };
+
+    /**
+     * Gets every distinct legal placement for a player. Each symmetric
+     * orientation is produced once and only rows near the player's open
+     * corners are searched. Moves come piece by piece and orientation by
+     * orientation, each in reading order.
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID
+     * @returns {Array} Array of moves ({ pieceId, rotation, flipped, row, col, shape, piece })
+     */
+    BentoBlocks.getLegalMoves = function(board, playerId) {
+        return findLegalMoves(board, playerId, false);
+    };
+
+    /**
+     * Searches for legal placements in the rows around a player's open corners
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID
+     * @param {boolean} stopAtFirst - Return as soon as one move is found
+     * @returns {Array} Array of moves
+     */
+    function findLegalMoves(board, playerId, stopAtFirst) {
+        const player = board.players.find(p => p.id === playerId);
+        if (!player) return [];
+
+        const rules = getPlacementRules(board, playerId);
+        const moves = [];
+
+        if (rules.targetRows === 0) {
+            return moves;
+        }
+
+        const firstRow = 31 - Math.clz32(rules.targetRows & -rules.targetRows);
+        const lastRow = 31 - Math.clz32(rules.targetRows);
+        const fits = new Int32Array(board.size);
+
+        for (const piece of player.pieces) {
+            if (piece.used) continue;
+
+            for (const { orientation, mask } of getOrientationMasks(piece.shape)) {
+                // A piece covering an anchor has its top row at most its height above it
+                const fromRow = Math.max(firstRow - mask.height + 1, 0);
+                const toRow = Math.min(lastRow, board.size - mask.height);
+                findFits(rules, mask, fromRow, toRow, fits);
+                let orientedPiece = null;
+
+                for (let row = fromRow; row <= toRow; row++) {
+                    let bits = fits[row];
+                    while (bits !== 0) {
+                        const col = 31 - Math.clz32(bits & -bits);
+                        bits &= bits - 1;
+
+                        // Moves in the same orientation share one piece object
+                        orientedPiece = orientedPiece ||
+                            { ...piece, rotation: orientation.rotation, flipped: orientation.flipped };
+                        moves.push({
+                            pieceId: piece.id,
+                            rotation: orientation.rotation,
+                            flipped: orientation.flipped,
+                            row,
+                            col,
+                            shape: orientation.shape,
+                            piece: orientedPiece
+                        });
+
+                        if (stopAtFirst) {
+                            return moves;
+                        }
+                    }
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    /**
+     * Checks if a player can make any moves
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID to check
+     * @returns {boolean} True if player can move
+     */
+    BentoBlocks.canPlayerMove = function(board, playerId) {
+        return findLegalMoves(board, playerId, true).length > 0;
+    };
+
+    /**
+     * Suggests a strong move by ranking every legal placement on piece size,
+     * the open corners it gains the player, the corners it takes away from
+     * opposing seats and how close it reaches to the centre of the board.
+     * Ties go to the first move found, so the same board always gets the
+     * same suggestion.
      * @param {Object} board - Game board object
      * @param {number} playerId - Player ID
-     * @returns {boolean} True if touches player's corner
+     * @param {Object} [options] - Suggestion options
+     * @param {Object} [options.weights] - Weights replacing the defaults ({ size, corners, blocking, center })
+     * @returns {Object|null} Best move (see getLegalMoves) with its score and factors
+     *     ({ size, corners, blocking, center }), or null if the player cannot move
      */
-    BentoBlocks.touchesPlayerCorner = function(row, col, board, playerId) {
-        const corners = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
-        
-        for (const [dx, dy] of corners) {
-            const checkRow = row + dx;
-            const checkCol = col + dy;
-            
-            if (BentoBlocks.isValidPosition(checkRow, checkCol, board) &&
-                board.grid[checkRow][checkCol] === playerId) {
-                return true;
+    BentoBlocks.suggestMove = function(board, playerId, options = {}) {
+        const weights = { ...SUGGESTION_WEIGHTS, ...options.weights };
+        const seat = BentoBlocks.getSeatForPlayer(board, playerId);
+        const opponents = board.players.filter(p =>
+            p.id !== playerId && !p.neutral && !p.blocked && !(seat && seat.playerIds.includes(p.id)));
+        const countCorners = (b, ids) => ids.reduce((total, id) => total + BentoBlocks.getOpenCorners(b, id).length, 0);
+
+        const ownCornersBefore = countCorners(board, [playerId]);
+        const opponentCornersBefore = countCorners(board, opponents.map(p => p.id));
+        const middle = (board.size - 1) / 2;
+
+        let best = null;
+        for (const move of BentoBlocks.getLegalMoves(board, playerId)) {
+            const nextBoard = withPlacement(board, move, playerId);
+            const distance = Math.min(...move.shape.map(([dx, dy]) =>
+                Math.max(Math.abs(move.row + dx - middle), Math.abs(move.col + dy - middle))));
+
+            const factors = {
+                size: move.shape.length,
+                corners: countCorners(nextBoard, [playerId]) - ownCornersBefore,
+                blocking: opponentCornersBefore - countCorners(nextBoard, opponents.map(p => p.id)),
+                center: 1 - distance / middle
+            };
+            const score = Object.keys(factors).reduce((total, key) => total + factors[key] * weights[key], 0);
+
+            if (!best || score > best.score) {
+                best = { ...move, score, factors };
             }
         }
-        
-        return false;
+
+        return best;
     };
 
     /**
-     * Checks if position touches edge of player's existing pieces
-     * @param {number} row - Row coordinate
-     * @param {number} col - Column coordinate
+     * Puts a piece on the grid without checking or recording the move, for
+     * looking at the position it leads to
      * @param {Object} board - Game board object
+     * @param {Object} move - Legal move (see getLegalMoves)
      * @param {number} playerId - Player ID
-     * @returns {boolean} True if touches player's edge
+     * @returns {Object} Board object with the piece placed
      */
-    BentoBlocks.touchesPlayerEdge = function(row, col, board, playerId) {
-        const edges = [[-1, 0], [1, 0], [0, -1], [0, 1]];
-        
-        for (const [dx, dy] of edges) {
-            const checkRow = row + dx;
-            const checkCol = col + dy;
-            
-            if (BentoBlocks.isValidPosition(checkRow, checkCol, board) &&
-                board.grid[checkRow][checkCol] === playerId) {
-                return true;
-            }
+    function withPlacement(board, move, playerId) {
+        const grid = placeOnGrid(board, getShapeMask(move.shape), move.row, move.col, playerId);
+        const players = board.players.map(player => player.id === playerId
+            ? { ...player, pieces: player.pieces.map(p => p.id === move.pieceId ? { ...p, used: true } : p) }
+            : player);
+        return { ...board, grid, players };
+    }
+
+    /**
+     * Gets how many hints a seat has left in the game. A hint stays counted
+     * once taken, since undo cannot go back past it.
+     * @param {Object} board - Game board object
+     * @param {number} seatId - Seat ID
+     * @returns {number} Hints left, Infinity when the board has no hint limit
+     */
+    BentoBlocks.getHintsLeft = function(board, seatId) {
+        if (board.hintLimit === null) {
+            return Infinity;
         }
-        
-        return false;
+        const used = board.moveHistory.filter(move => move.type === MOVE_TYPES.HINT && move.seatId === seatId).length;
+        return Math.max(0, board.hintLimit - used);
     };
 
     /**
-     * Places a piece on the board
+     * Gives the player to move a hint and records it in moveHistory. The
+     * turn does not change.
      * @param {Object} board - Game board object
-     * @param {Object} piece - Piece object
-     * @param {number} row - Starting row position
-     * @param {number} col - Starting column position
-     * @param {number} playerId - Player ID placing the piece
-     * @returns {Object} Updated board object
+     * @param {number} playerId - Player ID asking for the hint
+     * @param {Object} [options] - Suggestion options (see suggestMove)
+     * @returns {Object} Updated board object; its last moveHistory entry is the hint
      */
-    BentoBlocks.placePiece = function(board, piece, row, col, playerId) {
-        if (!BentoBlocks.canPlacePiece(board, piece, row, col, playerId)) {
-            throw new Error('Invalid piece placement');
-        }
+    BentoBlocks.takeHint = function(board, playerId, options = {}) {
+        assertPlayersTurn(board, playerId);
 
-        const shape = BentoBlocks.getTransformedShape(piece);
-        const newGrid = board.grid.map(row => [...row]);
-        
-        // Place piece on grid
-        for (const [dx, dy] of shape) {
-            newGrid[row + dx][col + dy] = playerId;
+        const seat = BentoBlocks.getSeatForPlayer(board, playerId);
+        if (BentoBlocks.getHintsLeft(board, seat.id) === 0) {
+            throw new Error(`Player ${seat.id} has no hints left`);
         }
 
-        // Update player data
-        const newPlayers = board.players.map(player => {
-            if (player.id === playerId) {
-                const newPieces = player.pieces.map(p => 
-                    p.id === piece.id ? { ...p, used: true } : p
-                );
-                return {
-                    ...player,
-                    pieces: newPieces,
-                    score: player.score + shape.length
-                };
-            }
-            return player;
-        });
+        const suggestion = BentoBlocks.suggestMove(board, playerId, options);
+        if (!suggestion) {
+            throw new Error(`Player ${playerId} has no legal moves`);
+        }
 
-        // Create move record
-        const move = {
+        const hint = {
+            type: MOVE_TYPES.HINT,
             playerId,
-            pieceId: piece.id,
-            position: [row, col],
-            shape: shape,
+            seatId: seat.id,
+            pieceId: suggestion.pieceId,
+            position: [suggestion.row, suggestion.col],
+            shape: suggestion.shape,
             timestamp: Date.now()
         };
+        log('debug', `Hint for player ${playerId}: ${hint.pieceId} at ${suggestion.row},${suggestion.col}`);
 
-        // Update game state
-        const newBoard = {
-            ...board,
-            grid: newGrid,
-            players: newPlayers,
-            moveHistory: [...board.moveHistory, move],
-            lastMove: move,
-            currentPlayer: BentoBlocks.getNextPlayer(board, playerId)
-        };
-
-        return Object.freeze(newBoard);
+        return Object.freeze({ ...board, moveHistory: [...board.moveHistory, hint] });
     };
 
     /**
-     * Gets the next player in turn order
+     * Checks if the game is over
      * @param {Object} board - Game board object
-     * @param {number} currentPlayerId - Current player ID
-     * @returns {number} Next player ID
+     * @returns {boolean} True if game is over
      */
-    BentoBlocks.getNextPlayer = function(board, currentPlayerId) {
-        const playerIds = board.players.map(p => p.id);
-        const currentIndex = playerIds.indexOf(currentPlayerId);
-        const nextIndex = (currentIndex + 1) % playerIds.length;
-        return playerIds[nextIndex];
+    BentoBlocks.isGameOver = function(board) {
+        // placePiece and pass finish the game as soon as nobody can move
+        return board.status === GAME_STATUS.FINISHED;
     };
 
     /**
-     * Checks if a player can make any moves
+     * Gets the game winner(s)
      * @param {Object} board - Game board object
-     * @param {number} playerId - Player ID to check
-     * @returns {boolean} True if player can move
+     * @returns {Array|null} Array of winning seat results (see getSeatResults), or null while the game is running
      */
-    BentoBlocks.canPlayerMove = function(board, playerId) {
-        const player = board.players.find(p => p.id === playerId);
-        if (!player) return false;
-
-        const availablePieces = player.pieces.filter(p => !p.used);
-        
-        for (const piece of availablePieces) {
-            // Try all rotations and flips
-            for (let rotation = 0; rotation < 4; rotation++) {
-                for (let flipped = 0; flipped < 2; flipped++) {
-                    const testPiece = {
-                        ...piece,
-                        rotation,
-                        flipped: flipped === 1
-                    };
-                    
-                    // Try all board positions
-                    for (let row = 0; row < board.size; row++) {
-                        for (let col = 0; col < board.size; col++) {
-                            if (BentoBlocks.canPlacePiece(board, testPiece, row, col, playerId)) {
-                                return true;
-                            }
-                        }
-                    }
-                }
-            }
+    BentoBlocks.getWinner = function(board) {
+        if (!BentoBlocks.isGameOver(board)) {
+            return null;
         }
-        
-        return false;
+
+        return findWinners(board);
     };
 
     /**
-     * Checks if the game is over
+     * Finds the highest scoring seat(s) regardless of game status. Seats
+     * that forfeited on time cannot win.
      * @param {Object} board - Game board object
-     * @returns {boolean} True if game is over
+     * @returns {Array} Array of winning seat results
      */
-    BentoBlocks.isGameOver = function(board) {
-        if (board.status !== GAME_STATUS.IN_PROGRESS) {
-            return board.status === GAME_STATUS.FINISHED;
+    function findWinners(board) {
+        const allResults = BentoBlocks.getSeatResults(board);
+        const inTime = allResults.filter(seat => !seat.forfeited);
+        const results = inTime.length > 0 ? inTime : allResults;
+        const maxScore = Math.max(...results.map(seat => seat.score));
+        return results.filter(seat => seat.score === maxScore);
+    }
+
+    /**
+     * Creates an undo/redo history starting from a board. Boards are
+     * immutable, so the history keeps every board and undoing restores the
+     * grid, pieces, scores and current player exactly as they were.
+     * @param {Object} board - Game board object
+     * @returns {Object} History object ({ past, present, future })
+     */
+    BentoBlocks.createHistory = function(board) {
+        return Object.freeze({ past: [], present: board, future: [] });
+    };
+
+    /**
+     * Records a new board in the history, discarding any redo entries
+     * @param {Object} history - History object
+     * @param {Object} board - Board produced by the latest move
+     * @returns {Object} Updated history object
+     */
+    BentoBlocks.pushHistory = function(history, board) {
+        return Object.freeze({
+            past: [...history.past, history.present],
+            present: board,
+            future: []
+        });
+    };
+
+    /**
+     * Gets the ID of the seat whose move would be undone next
+     * @param {Object} history - History object
+     * @returns {number|null} Seat ID or null if there is nothing to undo
+     */
+    BentoBlocks.getLastActor = function(history) {
+        if (history.past.length === 0) {
+            return null;
         }
 
-        // Game is over if no players can move
-        for (const player of board.players) {
-            if (BentoBlocks.canPlayerMove(board, player.id)) {
-                return false;
-            }
+        // The first record after the previous board is the player's own move;
+        // any blocked records after it were added by the engine
+        const previous = history.past[history.past.length - 1];
+        const move = history.present.moveHistory[previous.moveHistory.length];
+        return move ? move.seatId : null;
+    };
+
+    /**
+     * Checks if the latest move can be undone. Undo never goes back past a
+     * hint, so hints cannot be taken back to get around the hint limit.
+     * @param {Object} history - History object
+     * @param {Object} [options] - Undo options
+     * @param {number} [options.seatId] - Only allow undoing this seat's own last move
+     * @returns {boolean} True if undo is allowed
+     */
+    BentoBlocks.canUndo = function(history, options = {}) {
+        if (history.past.length === 0) {
+            return false;
+        }
+        if (undoesHint(history)) {
+            return false;
+        }
+        if (options.seatId !== undefined) {
+            return BentoBlocks.getLastActor(history) === options.seatId;
         }
-        
         return true;
     };
 
     /**
-     * Gets the game winner(s)
-     * @param {Object} board - Game board object
-     * @returns {Array} Array of winning player objects
+     * Undoes the latest move
+     * @param {Object} history - History object
+     * @param {Object} [options] - Undo options (see canUndo)
+     * @returns {Object} Updated history object
      */
-    BentoBlocks.getWinner = function(board) {
-        if (!BentoBlocks.isGameOver(board)) {
-            return null;
+    BentoBlocks.undo = function(history, options = {}) {
+        if (history.past.length === 0) {
+            throw new Error('Nothing to undo');
+        }
+        if (undoesHint(history)) {
+            throw new Error('A hint cannot be taken back');
+        }
+        if (!BentoBlocks.canUndo(history, options)) {
+            throw new Error(`Seat ${options.seatId} can only undo its own last move`);
+        }
+
+        return Object.freeze({
+            past: history.past.slice(0, -1),
+            present: history.past[history.past.length - 1],
+            future: [history.present, ...history.future]
+        });
+    };
+
+    /**
+     * Checks if undoing the latest move would also take back a hint
+     * @param {Object} history - History object with at least one past board
+     * @returns {boolean} True if the present board has hints the previous one lacks
+     */
+    function undoesHint(history) {
+        const countHints = board => board.moveHistory.filter(move => move.type === MOVE_TYPES.HINT).length;
+        return countHints(history.present) > countHints(history.past[history.past.length - 1]);
+    }
+
+    /**
+     * Checks if an undone move can be replayed
+     * @param {Object} history - History object
+     * @returns {boolean} True if redo is allowed
+     */
+    BentoBlocks.canRedo = function(history) {
+        return history.future.length > 0;
+    };
+
+    /**
+     * Replays the most recently undone move
+     * @param {Object} history - History object
+     * @returns {Object} Updated history object
+     */
+    BentoBlocks.redo = function(history) {
+        if (!BentoBlocks.canRedo(history)) {
+            throw new Error('Nothing to redo');
         }
 
-        const maxScore = Math.max(...board.players.map(p => p.score));
-        return board.players.filter(p => p.score === maxScore);
+        return Object.freeze({
+            past: [...history.past, history.present],
+            present: history.future[0],
+            future: history.future.slice(1)
+        });
     };
 
     /**
@@ -500,38 +2403,432 @@ console.log("Loading bento_blocks.js...");
      * @returns {Object} Game state summary
      */
     BentoBlocks.getGameState = function(board) {
+        const isGameOver = BentoBlocks.isGameOver(board);
+        const currentSeat = BentoBlocks.getCurrentSeat(board);
+
         return {
             status: board.status,
             currentPlayer: board.currentPlayer,
+            currentSeat: currentSeat ? currentSeat.id : null,
+            seats: BentoBlocks.getSeatResults(board),
+            variant: board.variant.name,
+            scoring: board.scoring.name,
             players: board.players.map(p => ({
                 id: p.id,
                 score: p.score,
+                scoreBreakdown: board.scoring.score(p, board),
                 color: p.color,
+                name: p.name,
+                avatar: p.avatar,
+                pieceSet: p.pieceSet,
+                neutral: p.neutral,
+                blocked: p.blocked,
                 remainingPieces: p.pieces.filter(piece => !piece.used).length
             })),
-            isGameOver: BentoBlocks.isGameOver(board),
-            winner: BentoBlocks.getWinner(board),
+            isGameOver,
+            winner: isGameOver ? findWinners(board) : null,
             totalMoves: board.moveHistory.length
         };
     };
 
-    console.log("About to export BentoBlocks...");
-    console.log("BentoBlocks object:", BentoBlocks);
-    console.log("typeof module:", typeof module);
-    console.log("typeof window:", typeof window);
+    /**
+     * Converts a board into a plain, versioned object that survives a JSON
+     * round-trip. Piece shapes and scores are not stored; deserialize rebuilds
+     * them from the piece set and the scoring rules.
+     * @param {Object} board - Game board object
+     * @returns {Object} Serialized game
+     */
+    BentoBlocks.serialize = function(board) {
+        return {
+            format: SAVE_FORMAT,
+            version: SAVE_VERSION,
+            variant: {
+                name: board.variant.name,
+                boardSize: board.variant.boardSize,
+                playerCount: board.variant.playerCount,
+                colors: [...board.variant.colors],
+                startCells: board.variant.startCells && board.variant.startCells.map(cells => cells.map(cell => [...cell]))
+            },
+            size: board.size,
+            grid: board.grid.map(row => [...row]),
+            players: board.players.map(player => ({
+                id: player.id,
+                color: player.color,
+                name: player.name,
+                avatar: player.avatar,
+                pieceSet: player.pieceSet,
+                neutral: player.neutral,
+                blocked: player.blocked,
+                score: player.score,
+                pieces: player.pieces.map(piece => ({ id: piece.id, used: piece.used }))
+            })),
+            seats: board.seats.map(seat => ({ id: seat.id, playerIds: [...seat.playerIds], bot: seat.bot })),
+            neutralTurns: board.neutralTurns,
+            currentPlayer: board.currentPlayer,
+            status: board.status,
+            scoring: board.scoring.name,
+            hintLimit: board.hintLimit,
+            timeControl: board.timeControl && { ...board.timeControl },
+            clocks: board.clocks && board.clocks.map(clock => ({ ...clock })),
+            turnStartedAt: board.turnStartedAt,
+            moveHistory: board.moveHistory.map(move => JSON.parse(JSON.stringify(move)))
+        };
+    };
+
+    /**
+     * Rebuilds a frozen board from serialize() output, refusing data that is
+     * malformed or inconsistent. The recorded moves are replayed through the
+     * rules, so a save with an illegal or out-of-turn move, or whose grid,
+     * pieces or current player disagree with its moves, is refused.
+     *
+     * Version 1 saves, written before variants existed, are read as classic
+     * games; version 1 and 2 saves, written before seats existed, get one
+     * seat per colour; saves before version 4 use the classic piece set,
+     * saves before version 5 have no hint limit, saves before version 6 are
+     * untimed and saves before version 7 have no player names or avatars.
+     * Custom piece sets must be registered again before loading.
+     * @param {Object|string} data - Serialized game, or its JSON text
+     * @param {Object} [options] - Options
+     * @param {Object} [options.scoring] - Custom scoring rules object matching the saved rules name
+     * @returns {Object} Game board object
+     */
+    BentoBlocks.deserialize = function(data, options = {}) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                throw new Error('Invalid saved game: not valid JSON');
+            }
+        }
+
+        checkSave(data && typeof data === 'object', 'not an object');
+        checkSave(data.format === SAVE_FORMAT, 'unknown format');
+        checkSave(Number.isInteger(data.version) && data.version >= 1 && data.version <= SAVE_VERSION,
+            `unsupported version ${data.version}`);
+        const hasSeats = data.version >= 3;
+
+        let variant;
+        try {
+            variant = resolveVariant(data.version === 1 ? 'classic' : data.variant);
+        } catch (error) {
+            checkSave(false, error.message);
+        }
+        checkSave(data.size === variant.boardSize, 'board size does not match the variant');
+
+        // Players and their pieces
+        checkSave(Array.isArray(data.players) && data.players.length >= 2 &&
+            data.players.length <= variant.playerCount, `expected 2-${variant.playerCount} players`);
+
+        const playerIds = data.players.map(p => p.id);
+        checkSave(playerIds.every(id => Number.isInteger(id) && id >= 1 && id <= variant.playerCount),
+            'unknown player ID');
+        checkSave(playerIds.every((id, index) => index === 0 || id > playerIds[index - 1]),
+            'players are duplicated or out of order');
+
+        const players = data.players.map(player => {
+            checkSave(PLAYER_COLORS.includes(player.color), `player ${player.id} has an unknown colour`);
+            checkSave(typeof player.blocked === 'boolean', `player ${player.id} has an invalid blocked flag`);
+            checkSave(hasSeats ? typeof player.neutral === 'boolean' : (player.bot === null || typeof player.bot === 'string'),
+                `player ${player.id} has an invalid seat setting`);
+            const pieceSet = data.version >= 4 ? player.pieceSet : DEFAULT_PIECE_SET;
+            checkSave(Object.prototype.hasOwnProperty.call(PIECE_SETS, pieceSet),
+                `player ${player.id} uses unknown piece set ${pieceSet}`);
+            const shapeIds = Object.keys(PIECE_SETS[pieceSet].shapes);
+            checkSave(Array.isArray(player.pieces) && player.pieces.length === shapeIds.length &&
+                shapeIds.every(id => player.pieces.filter(p => p && p.id === id).length === 1),
+                `player ${player.id} does not have the ${pieceSet} piece set`);
+            checkSave(player.pieces.every(p => typeof p.used === 'boolean'), `player ${player.id} has an invalid piece`);
+
+            let name = null;
+            let avatar = null;
+            if (data.version >= 7) {
+                try {
+                    name = checkPlayerName(player.name, player.id);
+                    avatar = player.avatar === null ? null : checkPlayerChoice(player.avatar, AVATARS, player.id, 'avatar');
+                } catch (error) {
+                    checkSave(false, error.message);
+                }
+            }
+
+            return {
+                id: player.id,
+                score: player.score,
+                pieceSet,
+                pieces: getAllPieces(pieceSet).map(piece => ({
+                    ...piece,
+                    used: player.pieces.find(p => p.id === piece.id).used
+                })),
+                color: player.color,
+                name,
+                avatar,
+                startCells: getStartCells(variant, player.id - 1),
+                neutral: hasSeats ? player.neutral : false,
+                blocked: player.blocked
+            };
+        });
+
+        const seats = hasSeats
+            ? readSavedSeats(data.seats, players)
+            : data.players.map((player, index) => ({ id: index + 1, playerIds: [player.id], bot: player.bot }));
+        const neutralTurns = hasSeats ? data.neutralTurns : 0;
+        checkSave(Number.isInteger(neutralTurns) && neutralTurns >= 0, 'invalid neutral turn count');
+
+        // Grid
+        checkSave(Array.isArray(data.grid) && data.grid.length === data.size &&
+            data.grid.every(row => Array.isArray(row) && row.length === data.size &&
+                row.every(cell => cell === 0 || playerIds.includes(cell))),
+            'grid does not match the board size and players');
+
+        // Game status; the turn is checked against the move history below
+        checkSave(Object.values(GAME_STATUS).includes(data.status), `unknown status ${data.status}`);
+
+        let scoring;
+        if (options.scoring) {
+            scoring = resolveScoringRules(options.scoring);
+            checkSave(scoring.name === data.scoring, `expected scoring rules ${data.scoring}`);
+        } else {
+            checkSave(Object.prototype.hasOwnProperty.call(SCORING_RULES, data.scoring),
+                `unknown scoring rules ${data.scoring}`);
+            scoring = SCORING_RULES[data.scoring];
+        }
+
+        let hintLimit = null;
+        if (data.version >= 5) {
+            try {
+                hintLimit = resolveHintLimit(data.hintLimit);
+            } catch (error) {
+                checkSave(false, error.message);
+            }
+        }
+
+        let timeControl = null;
+        let clocks = null;
+        let turnStartedAt = null;
+        if (data.version >= 6) {
+            try {
+                timeControl = resolveTimeControl(data.timeControl);
+            } catch (error) {
+                checkSave(false, error.message);
+            }
+
+            if (timeControl && data.status !== GAME_STATUS.WAITING) {
+                checkSave(Array.isArray(data.clocks) && data.clocks.length === seats.length &&
+                    data.clocks.every((clock, index) => clock && clock.seatId === seats[index].id &&
+                        Number.isFinite(clock.remaining) && clock.remaining >= 0),
+                    'clocks do not match the seats');
+                checkSave(Number.isFinite(data.turnStartedAt), 'timed game has no turn start time');
+                clocks = data.clocks.map(clock => ({ seatId: clock.seatId, remaining: clock.remaining }));
+                turnStartedAt = data.turnStartedAt;
+            } else {
+                checkSave(data.clocks === null && data.turnStartedAt === null, 'clocks without a running timed game');
+            }
+        }
+
+        // Replay the recorded moves through the rules and compare the result with the saved board
+        checkSave(Array.isArray(data.moveHistory), 'move history is missing');
+        checkSave(data.status !== GAME_STATUS.WAITING || data.moveHistory.length === 0,
+            'game that has not started has moves');
+
+        let replayed = {
+            grid: Array(data.size).fill(null).map(() => Array(data.size).fill(0)),
+            size: data.size,
+            variant,
+            players: players.map(player => ({
+                ...player,
+                pieces: player.pieces.map(piece => ({ ...piece, used: false })),
+                blocked: false
+            })),
+            seats,
+            neutralTurns: 0,
+            currentPlayer: players[0].id,
+            status: data.status === GAME_STATUS.WAITING ? GAME_STATUS.WAITING : GAME_STATUS.IN_PROGRESS,
+            moveHistory: [],
+            lastMove: null,
+            scoring,
+            hintLimit,
+            timeControl: null,
+            clocks: null,
+            turnStartedAt: null
+        };
+
+        let index = 0;
+        while (index < data.moveHistory.length) {
+            const move = data.moveHistory[index];
+            const moveNumber = index + 1;
+            checkSave(move && Object.values(MOVE_TYPES).includes(move.type), `move ${moveNumber} has an unknown type`);
+            checkSave(playerIds.includes(move.playerId), `move ${moveNumber} has an unknown player`);
+            checkSave(typeof move.timestamp === 'number', `move ${moveNumber} has no timestamp`);
+            checkSave(move.type !== MOVE_TYPES.BLOCKED, `move ${moveNumber} blocks a player who could still move`);
+            checkSave(replayed.status === GAME_STATUS.IN_PROGRESS && move.playerId === replayed.currentPlayer,
+                `move ${moveNumber} is out of turn`);
+
+            // The seat that played must own the colour or have had the neutral turn
+            const seat = BentoBlocks.getSeatForPlayer(replayed, move.playerId);
+            if (hasSeats) {
+                checkSave(move.seatId === seat.id, `move ${moveNumber} was played by the wrong seat`);
+            }
+
+            // The engine adds a blocked record for each colour left without moves,
+            // which the save must have right after the move
+            const next = replaySavedMove(replayed, move, moveNumber, timeControl);
+            const added = next.moveHistory.slice(replayed.moveHistory.length + 1);
+            const records = [{ ...move, seatId: seat.id }];
+            added.forEach((record, offset) => {
+                const saved = data.moveHistory[index + 1 + offset];
+                checkSave(saved && saved.type === MOVE_TYPES.BLOCKED && saved.playerId === record.playerId &&
+                    typeof saved.timestamp === 'number',
+                    `move ${moveNumber} should be followed by player ${record.playerId} being blocked`);
+                records.push({ ...saved });
+            });
+
+            replayed = { ...next, moveHistory: [...replayed.moveHistory, ...records] };
+            index += records.length;
+        }
+
+        checkSave(replayed.grid.every((row, r) => row.every((cell, c) => cell === data.grid[r][c])),
+            'grid does not match the move history');
+
+        replayed.players.forEach((player, playerIndex) => {
+            const saved = players[playerIndex];
+            checkSave(player.pieces.every(piece => piece.used === saved.pieces.find(p => p.id === piece.id).used),
+                `player ${player.id}'s used pieces do not match the grid`);
+            checkSave(player.blocked === saved.blocked,
+                `player ${player.id}'s blocked flag does not match the move history`);
+        });
+        checkSave(neutralTurns === replayed.neutralTurns, 'neutral turn count does not match the move history');
+        checkSave(data.status === replayed.status, 'status does not match the move history');
+        checkSave(data.currentPlayer === replayed.currentPlayer, 'current player does not match the move history');
+
+        const moveHistory = replayed.moveHistory;
+        const lastMove = [...moveHistory].reverse().find(move =>
+            move.type === MOVE_TYPES.PLACE || move.type === MOVE_TYPES.PASS) || null;
+
+        const board = applyScores({
+            grid: replayed.grid,
+            size: data.size,
+            variant,
+            players: replayed.players,
+            seats,
+            neutralTurns,
+            currentPlayer: replayed.currentPlayer,
+            status: replayed.status,
+            moveHistory,
+            lastMove,
+            scoring,
+            hintLimit,
+            timeControl,
+            clocks,
+            turnStartedAt
+        });
+
+        board.players.forEach((player, index) => {
+            checkSave(player.score === data.players[index].score, `player ${player.id}'s score does not match`);
+        });
+
+        return Object.freeze(board);
+    };
+
+    /**
+     * Validates saved seats against the saved colours
+     * @param {Array} savedSeats - Seats from serialized data
+     * @param {Array} players - Validated player objects
+     * @returns {Array} Array of seat objects
+     */
+    function readSavedSeats(savedSeats, players) {
+        checkSave(Array.isArray(savedSeats) && savedSeats.length >= 2 && savedSeats.length <= players.length,
+            'invalid seats');
+
+        const owned = new Set();
+        const seats = savedSeats.map((seat, index) => {
+            checkSave(seat && seat.id === index + 1, 'seats are out of order');
+            checkSave(seat.bot === null || typeof seat.bot === 'string', `seat ${seat.id} has an invalid bot`);
+            checkSave(Array.isArray(seat.playerIds) && seat.playerIds.length > 0, `seat ${seat.id} owns no colours`);
+
+            seat.playerIds.forEach(id => {
+                const player = players.find(p => p.id === id);
+                checkSave(player && !player.neutral && !owned.has(id), `seat ${seat.id} owns an invalid colour`);
+                owned.add(id);
+            });
+
+            return { id: seat.id, playerIds: [...seat.playerIds], bot: seat.bot };
+        });
+
+        checkSave(players.every(p => p.neutral || owned.has(p.id)), 'a colour has no seat');
+        return seats;
+    }
+
+    /**
+     * Plays one saved move on a board being rebuilt from a save. The board
+     * is untimed, since clocks cannot be rebuilt from the record; a timeout
+     * is replayed on clocks that have run out.
+     * @param {Object} board - Board rebuilt from the moves before this one
+     * @param {Object} move - Saved moveHistory entry, by the player to move
+     * @param {number} moveNumber - Position of the move in the saved history, from 1
+     * @param {Object|null} timeControl - The saved game's time control
+     * @returns {Object} Board after the move, its moveHistory ending with the engine's records for it
+     */
+    function replaySavedMove(board, move, moveNumber, timeControl) {
+        const player = board.players.find(p => p.id === move.playerId);
+
+        if (move.type === MOVE_TYPES.PASS) {
+            return BentoBlocks.pass(board, move.playerId);
+        }
+
+        if (move.type === MOVE_TYPES.TIMEOUT) {
+            checkSave(timeControl !== null, `move ${moveNumber} is a timeout in an untimed game`);
+            checkSave(move.action === timeControl.onTimeout, `move ${moveNumber} has the wrong timeout action`);
+            const next = BentoBlocks.timeOut({
+                ...board,
+                timeControl,
+                clocks: board.seats.map(seat => ({ seatId: seat.id, remaining: 0 })),
+                turnStartedAt: move.timestamp
+            }, move.timestamp);
+            return { ...next, timeControl: null, clocks: null, turnStartedAt: null };
+        }
+
+        // Placements and hints name one of the player's pieces in a registered orientation
+        const piece = player.pieces.find(p => p.id === move.pieceId);
+        checkSave(piece, `move ${moveNumber} uses an unknown piece`);
+        checkSave(Array.isArray(move.position) && move.position.length === 2 &&
+            move.position.every(Number.isInteger), `move ${moveNumber} has an invalid position`);
+        const orientation = Array.isArray(move.shape) && move.shape.every(cell => Array.isArray(cell)) &&
+            BentoBlocks.getOrientations(piece).find(o => shapeKey(o.shape) === shapeKey(move.shape));
+        checkSave(orientation, `move ${moveNumber} has an invalid shape`);
+
+        if (move.type === MOVE_TYPES.HINT) {
+            checkSave(BentoBlocks.getHintsLeft(board, BentoBlocks.getSeatForPlayer(board, move.playerId).id) > 0,
+                `move ${moveNumber} is a hint over the limit`);
+            return { ...board, moveHistory: [...board.moveHistory, move] };
+        }
+
+        const [row, col] = move.position;
+        const oriented = { ...piece, rotation: orientation.rotation, flipped: orientation.flipped };
+        const { valid, reasons } = BentoBlocks.validatePlacement(board, oriented, row, col, move.playerId);
+        if (!valid) {
+            checkSave(false, `move ${moveNumber} is illegal: ${reasons[0].message}`);
+        }
+        return BentoBlocks.placePiece(board, oriented, row, col, move.playerId);
+    }
+
+    /**
+     * Throws a descriptive error when a saved game fails validation
+     * @param {boolean} condition - Condition that must hold
+     * @param {string} message - Description of the problem
+     */
+    function checkSave(condition, message) {
+        if (!condition) {
+            throw new Error(`Invalid saved game: ${message}`);
+        }
+    }
+
+    // Built-in piece sets
+    BentoBlocks.registerPieceSet(DEFAULT_PIECE_SET, PIECE_SHAPES);
 
     // Export the module
     if (typeof module !== 'undefined' && module.exports) {
-        // Node.js environment
-        console.log("Exporting to module.exports");
         module.exports = BentoBlocks;
     } else {
-        // Browser environment
-        console.log("Exporting to global window");
         global.BentoBlocks = BentoBlocks;
-        console.log("After export, window.BentoBlocks:", window.BentoBlocks);
     }
 
-    console.log("Export complete");
-
-})(typeof window !== 'undefined' ? window : this);
\ No newline at end of file
+})(typeof window !== 'undefined' ? window : globalThis);
\ No newline at end of file
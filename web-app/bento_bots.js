@@ -0,0 +1,194 @@
+/**
+ * BentoBots.js - Computer opponents for Bento Blocks
+ *
+ * This module defines bot strategies that choose moves using only the public
+ * BentoBlocks rules API. Every strategy is a pure function of the board, so
+ * the same bots can drive the browser UI or run headless.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+(function(global) {
+    'use strict';
+
+    const BentoBlocks = (typeof module !== 'undefined' && module.exports)
+        ? require('./bento_blocks.js')
+        : global.BentoBlocks;
+
+    /**
+     * BentoBots namespace - Computer opponent strategies
+     */
+    const BentoBots = {};
+
+    // Weights used by the lookahead strategy when scoring a candidate move
+    const LOOKAHEAD_WEIGHTS = {
+        size: 3,
+        mobility: 1,
+        blocking: 2
+    };
+
+    /**
+     * Available bot strategies, keyed by name
+     */
+    const STRATEGIES = {
+        random: {
+            name: 'random',
+            label: 'Random',
+            description: 'Plays any legal move at random',
+            chooseMove: chooseRandomMove
+        },
+        greedy: {
+            name: 'greedy',
+            label: 'Greedy',
+            description: 'Plays the biggest piece that fits',
+            chooseMove: chooseGreedyMove
+        },
+        lookahead: {
+            name: 'lookahead',
+            label: 'Lookahead',
+            description: 'Weighs piece size, its own mobility and blocking opponents',
+            chooseMove: chooseLookaheadMove
+        }
+    };
+
+    /**
+     * Gets the names of all available bot strategies
+     * @returns {Array} Array of strategy names
+     */
+    BentoBots.getStrategies = function() {
+        return Object.keys(STRATEGIES);
+    };
+
+    /**
+     * Checks if a strategy name is known
+     * @param {string} name - Strategy name
+     * @returns {boolean} True if the strategy exists
+     */
+    BentoBots.isStrategy = function(name) {
+        return Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+    };
+
+    /**
+     * Chooses a move for a player using a bot strategy
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID the bot is playing for
+     * @param {string} strategy - Strategy name
+     * @param {Object} [options] - Strategy options
+     * @param {Function} [options.random] - Random number source (defaults to Math.random)
+     * @returns {Object|null} Chosen move (see BentoBlocks.getLegalMoves) or null if no move exists
+     */
+    BentoBots.chooseMove = function(board, playerId, strategy, options = {}) {
+        if (!BentoBots.isStrategy(strategy)) {
+            throw new Error(`Unknown bot strategy: ${strategy}`);
+        }
+
+        const moves = BentoBlocks.getLegalMoves(board, playerId);
+        if (moves.length === 0) {
+            return null;
+        }
+
+        const random = options.random || Math.random;
+        return STRATEGIES[strategy].chooseMove(board, playerId, moves, random);
+    };
+
+    /**
+     * Plays one turn for a bot
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID the bot is playing for
+     * @param {string} strategy - Strategy name
+     * @param {Object} [options] - Strategy options (see chooseMove)
+     * @returns {Object|null} Updated board object or null if the bot cannot move
+     */
+    BentoBots.playTurn = function(board, playerId, strategy, options = {}) {
+        const move = BentoBots.chooseMove(board, playerId, strategy, options);
+        if (!move) {
+            return null;
+        }
+        return BentoBlocks.placePiece(board, move.piece, move.row, move.col, playerId);
+    };
+
+    /**
+     * Picks a random element from an array
+     * @param {Array} items - Non-empty array
+     * @param {Function} random - Random number source
+     * @returns {*} Chosen element
+     */
+    function pickRandom(items, random) {
+        return items[Math.floor(random() * items.length)];
+    }
+
+    /**
+     * Random strategy: any legal move
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID
+     * @param {Array} moves - Legal moves
+     * @param {Function} random - Random number source
+     * @returns {Object} Chosen move
+     */
+    function chooseRandomMove(board, playerId, moves, random) {
+        return pickRandom(moves, random);
+    }
+
+    /**
+     * Greedy strategy: a random move among those using the biggest piece
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID
+     * @param {Array} moves - Legal moves
+     * @param {Function} random - Random number source
+     * @returns {Object} Chosen move
+     */
+    function chooseGreedyMove(board, playerId, moves, random) {
+        const maxSize = Math.max(...moves.map(m => m.shape.length));
+        return pickRandom(moves.filter(m => m.shape.length === maxSize), random);
+    }
+
+    /**
+     * Lookahead strategy: plays each candidate and scores the resulting board
+     * by piece size, the bot's open corners and the opponents' lost corners.
+     * Other colours owned by the same seat are not treated as opponents.
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID
+     * @param {Array} moves - Legal moves
+     * @param {Function} random - Random number source
+     * @returns {Object} Chosen move
+     */
+    function chooseLookaheadMove(board, playerId, moves, random) {
+        const seat = BentoBlocks.getSeatForPlayer(board, playerId);
+        const opponents = board.players.filter(p => p.id !== playerId && !seat.playerIds.includes(p.id));
+        const opponentCornersBefore = opponents.reduce(
+            (total, p) => total + BentoBlocks.getOpenCorners(board, p.id).length, 0
+        );
+
+        let bestScore = -Infinity;
+        let bestMoves = [];
+
+        for (const move of moves) {
+            const nextBoard = BentoBlocks.placePiece(board, move.piece, move.row, move.col, playerId);
+            const mobility = BentoBlocks.getOpenCorners(nextBoard, playerId).length;
+            const opponentCornersAfter = opponents.reduce(
+                (total, p) => total + BentoBlocks.getOpenCorners(nextBoard, p.id).length, 0
+            );
+
+            const score = move.shape.length * LOOKAHEAD_WEIGHTS.size +
+                mobility * LOOKAHEAD_WEIGHTS.mobility +
+                (opponentCornersBefore - opponentCornersAfter) * LOOKAHEAD_WEIGHTS.blocking;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestMoves = [move];
+            } else if (score === bestScore) {
+                bestMoves.push(move);
+            }
+        }
+
+        return pickRandom(bestMoves, random);
+    }
+
+    // Export the module
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BentoBots;
+    } else {
+        global.BentoBots = BentoBots;
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);
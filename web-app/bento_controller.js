@@ -0,0 +1,595 @@
+/**
+ * BentoController.js - Game state and commands for Bento Blocks front ends
+ *
+ * A game controller owns the board, the undo history and the piece being
+ * handled, and changes them only through its commands: select, rotate, flip,
+ * place, pass, hint, timeOut, undo, redo and setBots. Boards and pieces are
+ * never modified in place; each change replaces them and is announced as an
+ * event, so the page, the bots, the network client and tests all follow the
+ * game by subscribing.
+ *
+ * Events, each handler receiving one details object:
+ *
+ *     stateChanged      { board, previousBoard, cause }  after every change of board
+ *     selectionChanged  { piece }                        piece selected, turned or dropped (null)
+ *     moveMade          { move, board }                  a placement or pass was played
+ *     playerBlocked     { playerId, board }              a colour can no longer move
+ *     turnChanged       { playerId, seat, board, cause } a turn begins
+ *     gameOver          { board, winners, cause }        the game has just finished
+ *     invalidMove       { reason, message, row, col, piece, reasons }
+ *     moveSubmitted     { move }                         a move was sent to a remote game
+ *     hintTaken         { hint, board }                  a hint was recorded for the player to move
+ *     timedOut          { move, board }                  a seat ran out of time
+ *
+ * The cause is 'move' (played here), 'remote' (received from a server),
+ * 'hint', 'timeout', 'undo', 'redo', 'seats' (bots changed) or 'load'. An
+ * illegalPlacement invalidMove carries the reasons from
+ * BentoBlocks.validatePlacement.
+ *
+ * Timed games cannot be undone, since taking a move back would hand its
+ * thinking time back too, and undo stops at the last hint taken so hints
+ * stay counted against the limit.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+(function(global) {
+    'use strict';
+
+    const BentoBlocks = (typeof module !== 'undefined' && module.exports)
+        ? require('./bento_blocks.js')
+        : global.BentoBlocks;
+    const BentoBots = (typeof module !== 'undefined' && module.exports)
+        ? require('./bento_bots.js')
+        : global.BentoBots;
+
+    /**
+     * GameController namespace - Event-driven game state for front ends
+     */
+    const GameController = {};
+
+    const EVENTS = [
+        'stateChanged',
+        'selectionChanged',
+        'moveMade',
+        'playerBlocked',
+        'turnChanged',
+        'gameOver',
+        'invalidMove',
+        'moveSubmitted',
+        'hintTaken',
+        'timedOut'
+    ];
+
+    GameController.EVENTS = EVENTS;
+
+    /**
+     * Creates a controller for a game
+     * @param {Object} board - Game board object to start from
+     * @param {Object} [options] - Controller options
+     * @param {boolean} [options.ownMoveUndoOnly=false] - Only let a human take back their own last move
+     * @returns {Object} Game controller
+     */
+    GameController.create = function(board, options = {}) {
+        const ownMoveUndoOnly = Boolean(options.ownMoveUndoOnly);
+        const handlers = {};
+        EVENTS.forEach(name => {
+            handlers[name] = [];
+        });
+
+        let history = BentoBlocks.createHistory(board);
+        let selectedPieceId = null;
+        let orientations = {};
+        let remote = null;
+
+        function emit(name, details) {
+            // Copy so handlers may unsubscribe while the event is delivered
+            [...handlers[name]].forEach(handler => handler(details));
+        }
+
+        function getBoard() {
+            return history.present;
+        }
+
+        /**
+         * Gets one of the current player's pieces in the orientation the
+         * player has turned it to this turn
+         */
+        function getPiece(pieceId) {
+            const board = getBoard();
+            const player = board.players.find(p => p.id === board.currentPlayer);
+            const piece = player && player.pieces.find(p => p.id === pieceId);
+            if (!piece) return null;
+
+            const orientation = orientations[pieceId] || { rotation: 0, flipped: false };
+            return { ...piece, rotation: orientation.rotation, flipped: orientation.flipped };
+        }
+
+        function getSelectedPiece() {
+            return selectedPieceId === null ? null : getPiece(selectedPieceId);
+        }
+
+        function rejectMove(reason, message, details = {}) {
+            emit('invalidMove', { reason, message, row: null, col: null, piece: getSelectedPiece(), ...details });
+            return false;
+        }
+
+        function isBotTurn() {
+            const seat = BentoBlocks.getCurrentSeat(getBoard());
+            return Boolean(seat && seat.bot);
+        }
+
+        function isLocalTurn() {
+            const seat = BentoBlocks.getCurrentSeat(getBoard());
+            if (!seat) return false;
+            if (remote) return seat.id === remote.seatId;
+            return !seat.bot;
+        }
+
+        /**
+         * Checks that a human here may move now
+         * @returns {boolean} True if the move may go ahead; otherwise invalidMove was emitted
+         */
+        function checkCanMove() {
+            if (BentoBlocks.isGameOver(getBoard())) {
+                return rejectMove('gameOver', 'The game is over');
+            }
+            if (!isLocalTurn()) {
+                return rejectMove('notYourTurn', 'It is not your turn');
+            }
+            const board = getBoard();
+            if (BentoBlocks.getTimeLeft(board, BentoBlocks.getCurrentSeat(board).id) === 0) {
+                return rejectMove('outOfTime', 'Your time is up');
+            }
+            return true;
+        }
+
+        /**
+         * Replaces the history and announces what changed
+         * @param {Object} nextHistory - New history object
+         * @param {string} cause - 'move', 'remote', 'timeout', 'undo', 'redo' or 'load'
+         */
+        function commit(nextHistory, cause) {
+            const previousBoard = getBoard();
+            history = nextHistory;
+            const board = getBoard();
+
+            // A new turn starts with a fresh hand
+            selectedPieceId = null;
+            orientations = {};
+
+            emit('stateChanged', { board, previousBoard, cause });
+            emit('selectionChanged', { piece: null });
+
+            if (cause === 'move' || cause === 'remote' || cause === 'timeout') {
+                board.moveHistory.slice(previousBoard.moveHistory.length).forEach(move => {
+                    if (move.type === BentoBlocks.MOVE_TYPES.BLOCKED) {
+                        emit('playerBlocked', { playerId: move.playerId, board });
+                    } else if (move.type === BentoBlocks.MOVE_TYPES.TIMEOUT) {
+                        emit('timedOut', { move, board });
+                    } else {
+                        emit('moveMade', { move, board });
+                    }
+                });
+            }
+
+            if (BentoBlocks.isGameOver(board)) {
+                if (!BentoBlocks.isGameOver(previousBoard) && cause !== 'load') {
+                    emit('gameOver', { board, winners: BentoBlocks.getWinner(board), cause });
+                }
+            } else {
+                emit('turnChanged', {
+                    playerId: board.currentPlayer,
+                    seat: BentoBlocks.getCurrentSeat(board),
+                    board,
+                    cause
+                });
+            }
+        }
+
+        /**
+         * Plays a move here, or hands it to the remote game
+         * @param {Object} move - Move in BentoNotation.parseMove format
+         * @param {Function} play - Returns the board after the move
+         */
+        function submit(move, play) {
+            if (remote) {
+                selectedPieceId = null;
+                emit('selectionChanged', { piece: null });
+                emit('moveSubmitted', { move });
+                remote.submitMove(move);
+                return;
+            }
+            commit(BentoBlocks.pushHistory(history, play()), 'move');
+        }
+
+        const controller = {
+            /**
+             * Subscribes to an event
+             * @param {string} name - Event name (see EVENTS)
+             * @param {Function} handler - Called with the event details
+             * @returns {Function} Function that unsubscribes the handler
+             */
+            on(name, handler) {
+                if (!handlers[name]) {
+                    throw new Error(`Unknown controller event: ${name}`);
+                }
+                handlers[name].push(handler);
+                return () => controller.off(name, handler);
+            },
+
+            /**
+             * Unsubscribes from an event
+             * @param {string} name - Event name
+             * @param {Function} handler - Handler passed to on()
+             */
+            off(name, handler) {
+                if (handlers[name]) {
+                    handlers[name] = handlers[name].filter(h => h !== handler);
+                }
+            },
+
+            getBoard,
+            getSelectedPiece,
+            getPiece,
+            isBotTurn,
+            isLocalTurn,
+
+            /**
+             * @returns {Object} The undo history ({ past, present, future })
+             */
+            getHistory() {
+                return history;
+            },
+
+            /**
+             * @returns {boolean} True while moves are sent to a remote game
+             */
+            isRemote() {
+                return remote !== null;
+            },
+
+            canUndo() {
+                return !remote && !getBoard().timeControl && BentoBlocks.canUndo(history, getUndoOptions());
+            },
+
+            canRedo() {
+                return !remote && !getBoard().timeControl && BentoBlocks.canRedo(history);
+            },
+
+            /**
+             * Selects one of the current player's unused pieces
+             * @param {string} pieceId - Piece ID
+             * @returns {boolean} True if the piece was selected
+             */
+            select(pieceId) {
+                const piece = getPiece(pieceId);
+                if (!piece || piece.used || !isLocalTurn() || BentoBlocks.isGameOver(getBoard())) {
+                    return false;
+                }
+                selectedPieceId = pieceId;
+                emit('selectionChanged', { piece });
+                return true;
+            },
+
+            deselect() {
+                if (selectedPieceId === null) return;
+                selectedPieceId = null;
+                emit('selectionChanged', { piece: null });
+            },
+
+            /**
+             * Rotates the selected piece by quarter turns
+             * @param {number} [step=1] - 1 for clockwise, -1 for anticlockwise
+             * @returns {boolean} True if a piece was rotated
+             */
+            rotate(step = 1) {
+                const piece = getSelectedPiece();
+                if (!piece) return false;
+
+                orientations[piece.id] = { rotation: (piece.rotation + step + 4) % 4, flipped: piece.flipped };
+                emit('selectionChanged', { piece: getSelectedPiece() });
+                return true;
+            },
+
+            /**
+             * Mirrors the selected piece
+             * @returns {boolean} True if a piece was flipped
+             */
+            flip() {
+                const piece = getSelectedPiece();
+                if (!piece) return false;
+
+                orientations[piece.id] = { rotation: piece.rotation, flipped: !piece.flipped };
+                emit('selectionChanged', { piece: getSelectedPiece() });
+                return true;
+            },
+
+            /**
+             * Places the selected piece for the current player
+             * @param {number} row - Row index of the piece's anchor
+             * @param {number} col - Column index of the piece's anchor
+             * @returns {boolean} True if the move was played or submitted
+             */
+            place(row, col) {
+                if (!checkCanMove()) return false;
+
+                const piece = getSelectedPiece();
+                if (!piece) {
+                    return rejectMove('noPieceSelected', 'Please select a piece first', { row, col });
+                }
+
+                const board = getBoard();
+                const playerId = board.currentPlayer;
+                const { valid, reasons } = BentoBlocks.validatePlacement(board, piece, row, col, playerId);
+                if (!valid) {
+                    return rejectMove('illegalPlacement', reasons[0].message, { row, col, piece, reasons });
+                }
+
+                submit({
+                    type: BentoBlocks.MOVE_TYPES.PLACE,
+                    playerId,
+                    pieceId: piece.id,
+                    rotation: piece.rotation,
+                    flipped: piece.flipped,
+                    row,
+                    col
+                }, () => BentoBlocks.placePiece(board, piece, row, col, playerId));
+                return true;
+            },
+
+            /**
+             * Passes the current player's turn
+             * @returns {boolean} True if the pass was played or submitted
+             */
+            pass() {
+                if (!checkCanMove()) return false;
+
+                const board = getBoard();
+                const playerId = board.currentPlayer;
+                submit({ type: BentoBlocks.MOVE_TYPES.PASS, playerId }, () => BentoBlocks.pass(board, playerId));
+                return true;
+            },
+
+            /**
+             * Takes a hint for the current player. The hint is recorded on the
+             * current board rather than as a move of its own, and undo cannot
+             * go back past it, so taking hints back cannot dodge the limit.
+             * @param {Object} [options] - Suggestion options (see BentoBlocks.suggestMove)
+             * @returns {Object|null} The hint's moveHistory entry, or null if none was given
+             */
+            hint(options) {
+                if (!checkCanMove()) return null;
+                if (remote) {
+                    rejectMove('hintUnavailable', 'Hints are not available in online games');
+                    return null;
+                }
+
+                const board = getBoard();
+                const seat = BentoBlocks.getCurrentSeat(board);
+                if (BentoBlocks.getHintsLeft(board, seat.id) === 0) {
+                    rejectMove('noHintsLeft', 'You have no hints left this game');
+                    return null;
+                }
+
+                const nextBoard = BentoBlocks.takeHint(board, board.currentPlayer, options);
+                const hint = nextBoard.moveHistory[nextBoard.moveHistory.length - 1];
+                history = Object.freeze({ past: history.past, present: nextBoard, future: [] });
+
+                emit('stateChanged', { board: nextBoard, previousBoard: board, cause: 'hint' });
+                emit('hintTaken', { hint, board: nextBoard });
+                return hint;
+            },
+
+            /**
+             * Ends the current seat's turn if its time has run out, which
+             * the page checks as the clock ticks down. Remote games leave
+             * this to the server.
+             * @returns {boolean} True if a timeout was recorded
+             */
+            timeOut() {
+                const board = getBoard();
+                const seat = BentoBlocks.getCurrentSeat(board);
+                if (remote || !seat || BentoBlocks.getTimeLeft(board, seat.id) !== 0) {
+                    return false;
+                }
+
+                commit(BentoBlocks.pushHistory(history, BentoBlocks.timeOut(board)), 'timeout');
+                return true;
+            },
+
+            /**
+             * Takes back the last move. Bot moves made since are taken back
+             * too, so a human gets the turn back. A move with a hint taken
+             * after it cannot be taken back.
+             * @returns {boolean} True if a move was undone
+             */
+            undo() {
+                if (!controller.canUndo()) return false;
+
+                let nextHistory = BentoBlocks.undo(history, getUndoOptions());
+                if (!ownMoveUndoOnly && nextHistory.present.seats.some(seat => !seat.bot)) {
+                    while (isBotSeatToMove(nextHistory.present) && BentoBlocks.canUndo(nextHistory)) {
+                        nextHistory = BentoBlocks.undo(nextHistory);
+                    }
+                }
+
+                commit(nextHistory, 'undo');
+                return true;
+            },
+
+            /**
+             * Plays an undone move again
+             * @returns {boolean} True if a move was redone
+             */
+            redo() {
+                if (!controller.canRedo()) return false;
+
+                commit(BentoBlocks.redo(history), 'redo');
+                return true;
+            },
+
+            /**
+             * Plays the current bot seat's move
+             * @param {Object} [botOptions] - Strategy options (see BentoBots.chooseMove)
+             * @returns {boolean} True if the bot moved or ran out of time
+             */
+            playBotTurn(botOptions = {}) {
+                const board = getBoard();
+                const seat = BentoBlocks.getCurrentSeat(board);
+                if (remote || !seat || !seat.bot) return false;
+
+                // A bot that was kept waiting past its time loses the turn
+                if (BentoBlocks.getTimeLeft(board, seat.id) === 0) {
+                    return controller.timeOut();
+                }
+
+                const playerId = board.currentPlayer;
+                const nextBoard = BentoBots.playTurn(board, playerId, seat.bot, botOptions) ||
+                    BentoBlocks.pass(board, playerId);
+                commit(BentoBlocks.pushHistory(history, nextBoard), 'move');
+                return true;
+            },
+
+            /**
+             * Hands seats to bots or back to humans. Every board in the undo
+             * history is changed too, so undo and redo keep the choice.
+             * @param {Object} bots - Map of seat ID to bot strategy name (null for human)
+             * @returns {boolean} True if the seats were changed
+             */
+            setBots(bots) {
+                if (remote) return false;
+
+                const previousBoard = getBoard();
+                const update = board => BentoBlocks.setBots(board, bots);
+                history = Object.freeze({
+                    past: history.past.map(update),
+                    present: update(history.present),
+                    future: history.future.map(update)
+                });
+
+                emit('stateChanged', { board: getBoard(), previousBoard, cause: 'seats' });
+                return true;
+            },
+
+            /**
+             * Starts over from another board, such as a saved or imported game
+             * @param {Object} nextBoard - Game board object
+             * @param {Object} [nextHistory] - History to continue with (defaults to a fresh one)
+             */
+            load(nextBoard, nextHistory) {
+                commit(nextHistory || BentoBlocks.createHistory(nextBoard), 'load');
+            },
+
+            /**
+             * Sends moves to a remote game instead of playing them here, or
+             * goes back to local play
+             * @param {Object|null} nextRemote - { seatId, submitMove(move) }, seatId being null for spectators
+             */
+            setRemote(nextRemote) {
+                remote = nextRemote;
+                selectedPieceId = null;
+                emit('selectionChanged', { piece: null });
+            },
+
+            /**
+             * Shows a board the remote game has moved on to, announcing its
+             * moves as if they were played here
+             * @param {Object} nextBoard - Game board object
+             */
+            receiveBoard(nextBoard) {
+                const previousBoard = getBoard();
+                const continues = nextBoard.moveHistory.length >= previousBoard.moveHistory.length &&
+                    nextBoard.size === previousBoard.size;
+                commit(BentoBlocks.createHistory(nextBoard), continues ? 'remote' : 'load');
+            }
+        };
+
+        /**
+         * Limits undo to the human who just moved when ownMoveUndoOnly is set
+         */
+        function getUndoOptions() {
+            if (!ownMoveUndoOnly) return {};
+
+            const lastActor = BentoBlocks.getLastActor(history);
+            const actor = getBoard().seats.find(seat => seat.id === lastActor);
+            return { seatId: actor && !actor.bot ? lastActor : null };
+        }
+
+        return controller;
+    };
+
+    /**
+     * Checks if a bot seat is to move on a board
+     * @param {Object} board - Game board object
+     * @returns {boolean} True if a bot plays the current colour
+     */
+    function isBotSeatToMove(board) {
+        const seat = BentoBlocks.getCurrentSeat(board);
+        return Boolean(seat && seat.bot);
+    }
+
+    /**
+     * Lets bots play their turns on a controller, after a delay so their moves
+     * can be followed. Bots wait while paused, while an undone move can be
+     * redone, and during remote games.
+     * @param {Object} controller - Game controller
+     * @param {Object} [options] - Driver options
+     * @param {number} [options.delay=0] - Milliseconds before a bot moves
+     * @param {Function} [options.random] - Random number source for the strategies
+     * @param {Function} [options.onError] - Called with (error, seat) if a bot fails to move
+     * @returns {Object} Driver ({ pause, resume, stop })
+     */
+    GameController.driveBots = function(controller, options = {}) {
+        const delay = options.delay || 0;
+        let timer = null;
+        let paused = false;
+
+        function schedule() {
+            clearTimeout(timer);
+            timer = null;
+            if (paused || !controller.isBotTurn() || controller.canRedo() || controller.isRemote()) return;
+
+            timer = setTimeout(() => {
+                timer = null;
+                const seat = BentoBlocks.getCurrentSeat(controller.getBoard());
+                try {
+                    controller.playBotTurn({ random: options.random });
+                } catch (error) {
+                    if (typeof options.onError !== 'function') throw error;
+                    options.onError(error, seat);
+                }
+            }, delay);
+        }
+
+        const unsubscribe = [
+            controller.on('stateChanged', schedule),
+            controller.on('turnChanged', schedule)
+        ];
+        schedule();
+
+        return {
+            pause() {
+                paused = true;
+                clearTimeout(timer);
+                timer = null;
+            },
+            resume() {
+                paused = false;
+                schedule();
+            },
+            stop() {
+                clearTimeout(timer);
+                unsubscribe.forEach(off => off());
+            }
+        };
+    };
+
+    // Export the module
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GameController;
+    } else {
+        global.GameController = GameController;
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);
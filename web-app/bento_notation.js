@@ -0,0 +1,504 @@
+/**
+ * BentoNotation.js - Text notation for Bento Blocks moves and games
+ *
+ * A move is written as `<player>:<piece> r<rotation> [f] @ <row>,<col>`, for
+ * example `2:F5 r1 f @ 7,12`, `<player>:pass`, `<player>:hint` for a hint
+ * taken (replaying it gives the same suggestion) or `<player>:timeout` for a
+ * turn that ran out of time. A game record is a header
+ * of `[Key "Value"]` lines followed by one numbered move per line:
+ *
+ *     [Variant "classic"]
+ *     [Players "4"]
+ *     [Scoring "basic"]
+ *
+ *     1. 1:I5 r0 @ 0,0
+ *     2. 2:L4 r1 f @ 0,16
+ *
+ * Players counts seats, not colours. When seats own colours in anything other
+ * than the default layout, `[Seats "1,3 2,4"]` lists each seat's colours and
+ * `[Neutral "4"]` the shared ones. Games with other piece sets than the
+ * classic one add `[PieceSets "1:quick,2:classic"]`, games with a hint
+ * limit `[Hints "3"]`, and timed games their time control in milliseconds,
+ * `[TimeControl "increment 300000+5000 forfeit"]` or
+ * `[TimeControl "perMove 30000 pass"]`. Colours other than the variant's
+ * are listed as `[Colors "1:red,2:green"]`, avatars as
+ * `[Avatars "1:mango,2:lime"]` and each named colour's player as
+ * `[Name1 "Ana"]`; a double quote or backslash in a header value is written
+ * with a backslash in front. Colours and avatars must be ones the engine
+ * offers, and names cannot hold line breaks or other control characters.
+ *
+ * Records are imported by replaying every move through BentoBlocks.placePiece,
+ * so an illegal record fails with the number of the offending move. Records
+ * keep no times: the clocks start when the record is read, and a timeout is
+ * replayed as if the flag had just fallen.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+(function(global) {
+    'use strict';
+
+    const BentoBlocks = (typeof module !== 'undefined' && module.exports)
+        ? require('./bento_blocks.js')
+        : global.BentoBlocks;
+    const BentoBots = (typeof module !== 'undefined' && module.exports)
+        ? require('./bento_bots.js')
+        : global.BentoBots;
+
+    /**
+     * BentoNotation namespace - Move and game record notation
+     */
+    const BentoNotation = {};
+
+    const MOVE_PATTERN = /^(\d+):([A-Za-z0-9_-]+)(?:\s+r([0-3]))?(\s+f)?\s*@\s*(\d+)\s*,\s*(\d+)$/;
+    const PASS_PATTERN = /^(\d+):pass$/i;
+    const HINT_PATTERN = /^(\d+):hint$/i;
+    const TIMEOUT_PATTERN = /^(\d+):timeout$/i;
+    const TIME_CONTROL_PATTERN = /^(increment)\s+(\d+)\+(\d+)\s+(\w+)$|^(perMove)\s+(\d+)\s+(\w+)$/;
+    const HEADER_PATTERN = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/;
+    const NAME_HEADER_PATTERN = /^Name(\d+)$/;
+    const ID_MAP_ENTRY_PATTERN = /^\s*(\d+):(\w+)\s*$/;
+    const MOVE_NUMBER_PATTERN = /^\d+\.\s*/;
+    const COUNT_PATTERN = /^\d+$/;
+
+    /**
+     * Finds the rotation and flip that turn a piece into a recorded shape
+     * @param {Array} baseShape - The piece's untransformed shape
+     * @param {Array} shape - Shape recorded in moveHistory
+     * @returns {Object} Orientation ({ rotation, flipped })
+     */
+    function findOrientation(baseShape, shape) {
+        const target = JSON.stringify(shape);
+
+        for (let rotation = 0; rotation < 4; rotation++) {
+            for (const flipped of [false, true]) {
+                const candidate = BentoBlocks.getTransformedShape({ shape: baseShape, rotation, flipped });
+                if (JSON.stringify(candidate) === target) {
+                    return { rotation, flipped };
+                }
+            }
+        }
+
+        throw new Error('Recorded shape is not an orientation of its piece');
+    }
+
+    /**
+     * Writes a moveHistory entry in move notation
+     * @param {Object} move - Move record from board.moveHistory
+     * @param {Object} board - Game board object the move belongs to
+     * @returns {string} Move notation, e.g. "2:F5 r1 f @ 7,12"
+     */
+    BentoNotation.formatMove = function(move, board) {
+        if (move.type === BentoBlocks.MOVE_TYPES.PASS || move.type === BentoBlocks.MOVE_TYPES.HINT ||
+            move.type === BentoBlocks.MOVE_TYPES.TIMEOUT) {
+            return BentoNotation.writeMove(move);
+        }
+        if (move.type !== BentoBlocks.MOVE_TYPES.PLACE) {
+            throw new Error(`Cannot write a ${move.type} move`);
+        }
+
+        const player = board.players.find(p => p.id === move.playerId);
+        const piece = player && player.pieces.find(p => p.id === move.pieceId);
+        if (!piece) {
+            throw new Error(`Unknown piece ${move.pieceId} for player ${move.playerId}`);
+        }
+
+        const { rotation, flipped } = findOrientation(piece.shape, move.shape);
+        const [row, col] = move.position;
+        return BentoNotation.writeMove({
+            type: BentoBlocks.MOVE_TYPES.PLACE,
+            playerId: move.playerId,
+            pieceId: move.pieceId,
+            rotation,
+            flipped,
+            row,
+            col
+        });
+    };
+
+    /**
+     * Writes a parsed move back in move notation (the inverse of parseMove)
+     * @param {Object} move - Parsed move ({ type, playerId, pieceId, rotation, flipped, row, col })
+     * @returns {string} Move notation
+     */
+    BentoNotation.writeMove = function(move) {
+        if (move.type === BentoBlocks.MOVE_TYPES.PASS) {
+            return `${move.playerId}:pass`;
+        }
+        if (move.type === BentoBlocks.MOVE_TYPES.HINT) {
+            return `${move.playerId}:hint`;
+        }
+        if (move.type === BentoBlocks.MOVE_TYPES.TIMEOUT) {
+            return `${move.playerId}:timeout`;
+        }
+        return `${move.playerId}:${move.pieceId} r${move.rotation}${move.flipped ? ' f' : ''} @ ${move.row},${move.col}`;
+    };
+
+    /**
+     * Parses a move written in move notation
+     * @param {string} text - Move notation
+     * @returns {Object} Parsed move ({ type, playerId, pieceId, rotation, flipped, row, col })
+     */
+    BentoNotation.parseMove = function(text) {
+        const trimmed = text.trim();
+
+        const pass = PASS_PATTERN.exec(trimmed);
+        if (pass) {
+            return { type: BentoBlocks.MOVE_TYPES.PASS, playerId: Number(pass[1]) };
+        }
+
+        const hint = HINT_PATTERN.exec(trimmed);
+        if (hint) {
+            return { type: BentoBlocks.MOVE_TYPES.HINT, playerId: Number(hint[1]) };
+        }
+
+        const timeout = TIMEOUT_PATTERN.exec(trimmed);
+        if (timeout) {
+            return { type: BentoBlocks.MOVE_TYPES.TIMEOUT, playerId: Number(timeout[1]) };
+        }
+
+        const match = MOVE_PATTERN.exec(trimmed);
+        if (!match) {
+            throw new Error(`Cannot parse move "${trimmed}"`);
+        }
+
+        return {
+            type: BentoBlocks.MOVE_TYPES.PLACE,
+            playerId: Number(match[1]),
+            pieceId: match[2],
+            rotation: match[3] ? Number(match[3]) : 0,
+            flipped: Boolean(match[4]),
+            row: Number(match[5]),
+            col: Number(match[6])
+        };
+    };
+
+    /**
+     * Plays a parsed move on a board. A timeout is only accepted once the
+     * player's time has run out.
+     * @param {Object} board - Game board object
+     * @param {Object} move - Parsed move (see parseMove)
+     * @returns {Object} Updated board object
+     */
+    BentoNotation.applyMove = function(board, move) {
+        if (move.type === BentoBlocks.MOVE_TYPES.PASS) {
+            return BentoBlocks.pass(board, move.playerId);
+        }
+        if (move.type === BentoBlocks.MOVE_TYPES.HINT) {
+            return BentoBlocks.takeHint(board, move.playerId);
+        }
+        if (move.type === BentoBlocks.MOVE_TYPES.TIMEOUT) {
+            assertCurrentPlayer(board, move.playerId);
+            return BentoBlocks.timeOut(board);
+        }
+
+        const player = board.players.find(p => p.id === move.playerId);
+        if (!player) {
+            throw new Error(`Unknown player ${move.playerId}`);
+        }
+
+        const piece = player.pieces.find(p => p.id === move.pieceId);
+        if (!piece) {
+            throw new Error(`Unknown piece ${move.pieceId}`);
+        }
+
+        const orientedPiece = { ...piece, rotation: move.rotation, flipped: move.flipped };
+        return BentoBlocks.placePiece(board, orientedPiece, move.row, move.col, move.playerId);
+    };
+
+    /**
+     * Replays a recorded timeout at the moment the player's time runs out,
+     * since records do not say how long each turn took. The next turn's
+     * clock starts when the timeout is replayed, not at the flag fall.
+     * @param {Object} board - Game board object
+     * @param {Object} move - Parsed timeout
+     * @returns {Object} Updated board object
+     */
+    function replayTimeout(board, move) {
+        assertCurrentPlayer(board, move.playerId);
+        if (!board.timeControl) {
+            throw new Error('This game has no time control');
+        }
+
+        const seat = BentoBlocks.getCurrentSeat(board);
+        const flagFall = board.turnStartedAt + BentoBlocks.getTimeLeft(board, seat.id, board.turnStartedAt);
+        return BentoBlocks.resumeClock(BentoBlocks.timeOut(board, flagFall));
+    }
+
+    /**
+     * Checks that a colour is the one to move, before acting on its turn
+     * @param {Object} board - Game board object
+     * @param {number} playerId - Player ID
+     */
+    function assertCurrentPlayer(board, playerId) {
+        if (board.status !== BentoBlocks.GAME_STATUS.IN_PROGRESS || playerId !== board.currentPlayer) {
+            throw new Error(`It is not player ${playerId}'s turn`);
+        }
+    }
+
+    /**
+     * Writes a time control for the TimeControl header
+     * @param {Object} timeControl - Time control
+     * @returns {string} Header value, e.g. "increment 300000+5000 forfeit"
+     */
+    function formatTimeControl(timeControl) {
+        return timeControl.mode === BentoBlocks.TIME_CONTROL_MODES.INCREMENT
+            ? `${timeControl.mode} ${timeControl.initial}+${timeControl.increment} ${timeControl.onTimeout}`
+            : `${timeControl.mode} ${timeControl.limit} ${timeControl.onTimeout}`;
+    }
+
+    /**
+     * Reads the TimeControl header
+     * @param {string} text - Header value
+     * @returns {Object} Time control for BentoBlocks.createBoard
+     */
+    function parseTimeControl(text) {
+        const match = TIME_CONTROL_PATTERN.exec(text.trim());
+        if (!match) {
+            throw new Error(`Cannot parse time control "${text}"`);
+        }
+        if (match[1]) {
+            return { mode: match[1], initial: Number(match[2]), increment: Number(match[3]), onTimeout: match[4] };
+        }
+        return { mode: match[5], limit: Number(match[6]), onTimeout: match[7] };
+    }
+
+    /**
+     * Checks if a board's seats own colours in startGame's default layout
+     * @param {Object} board - Game board object
+     * @returns {boolean} True if the Seats header can be left out
+     */
+    function hasDefaultSeats(board) {
+        const fresh = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: board.variant }), board.seats.length);
+        return fresh.players.length === board.players.length &&
+            JSON.stringify(fresh.seats.map(seat => seat.playerIds)) ===
+            JSON.stringify(board.seats.map(seat => seat.playerIds));
+    }
+
+    /**
+     * Reads a header holding a whole number, such as Players or Hints
+     * @param {string} [text] - Header value
+     * @param {string} header - Header name for the error message
+     * @returns {number|undefined} The number, or undefined without the header
+     */
+    function readCount(text, header) {
+        if (text === undefined) return undefined;
+
+        if (!COUNT_PATTERN.test(text.trim())) {
+            throw new Error(`${header} must be a whole number, not "${text}"`);
+        }
+        return Number(text);
+    }
+
+    /**
+     * Parses a comma-separated list of player IDs
+     * @param {string} text - List text, e.g. "1,3"
+     * @returns {Array} Array of player IDs
+     */
+    function parseIdList(text) {
+        return text.split(',').filter(id => id.trim() !== '').map(Number);
+    }
+
+    /**
+     * Reads a comma-separated list of player or seat IDs with values, such as
+     * the Colors header
+     * @param {string} [text] - List text, e.g. "1:red,2:green"
+     * @param {string} header - Header name for the error message
+     * @returns {Array} Array of [playerId, value] pairs, empty without a list
+     */
+    function readIdMap(text, header) {
+        if (!text) return [];
+
+        return text.split(',').map(entry => {
+            const match = ID_MAP_ENTRY_PATTERN.exec(entry);
+            if (!match) {
+                throw new Error(`Cannot read ${header} entry: ${entry}`);
+            }
+            return [Number(match[1]), match[2]];
+        });
+    }
+
+    /**
+     * Writes a whole game as a record: header lines, then the move list.
+     * Blocked-player entries are left out because replaying recreates them.
+     * @param {Object} board - Game board object
+     * @returns {string} Game record text
+     */
+    BentoNotation.writeGame = function(board) {
+        const headers = {
+            Variant: board.variant.name,
+            Players: String(board.seats.length),
+            Scoring: board.scoring.name
+        };
+
+        if (!hasDefaultSeats(board)) {
+            headers.Seats = board.seats.map(seat => seat.playerIds.join(',')).join(' ');
+            headers.Neutral = board.players.filter(p => p.neutral).map(p => p.id).join(',');
+        }
+
+        if (board.hintLimit !== null) {
+            headers.Hints = String(board.hintLimit);
+        }
+
+        if (board.timeControl) {
+            headers.TimeControl = formatTimeControl(board.timeControl);
+        }
+
+        if (board.players.some(p => p.pieceSet !== 'classic')) {
+            headers.PieceSets = board.players.map(p => `${p.id}:${p.pieceSet}`).join(',');
+        }
+
+        const bots = board.seats
+            .filter(seat => seat.bot)
+            .map(seat => `${seat.id}:${seat.bot}`);
+        if (bots.length > 0) {
+            headers.Bots = bots.join(',');
+        }
+
+        if (board.players.some(p => p.color !== board.variant.colors[p.id - 1])) {
+            headers.Colors = board.players.map(p => `${p.id}:${p.color}`).join(',');
+        }
+
+        const avatars = board.players
+            .filter(p => p.avatar !== null)
+            .map(p => `${p.id}:${p.avatar}`);
+        if (avatars.length > 0) {
+            headers.Avatars = avatars.join(',');
+        }
+
+        board.players.filter(p => p.name !== null).forEach(p => {
+            headers[`Name${p.id}`] = p.name;
+        });
+
+        const lines = Object.entries(headers)
+            .map(([key, value]) => `[${key} "${value.replace(/["\\]/g, '\\$&')}"]`);
+        lines.push('');
+
+        board.moveHistory
+            .filter(move => move.type !== BentoBlocks.MOVE_TYPES.BLOCKED)
+            .forEach((move, index) => {
+                lines.push(`${index + 1}. ${BentoNotation.formatMove(move, board)}`);
+            });
+
+        return lines.join('\n') + '\n';
+    };
+
+    /**
+     * Reads a game record and replays it from a new board. Piece sets named
+     * in the PieceSets header must already be registered.
+     * @param {string} text - Game record text
+     * @param {Object} [options] - Options
+     * @param {Object} [options.variant] - Custom variant config, used instead of the Variant header
+     * @param {Object} [options.scoring] - Custom scoring rules object, used instead of the Scoring header
+     * @returns {Object} Game board object after the last move
+     */
+    BentoNotation.readGame = function(text, options = {}) {
+        const boards = BentoNotation.replayGame(text, options);
+        return boards[boards.length - 1];
+    };
+
+    /**
+     * Reads a game record like readGame, keeping every position on the way
+     * @param {string} text - Game record text
+     * @param {Object} [options] - Options, as for readGame
+     * @returns {Array} Game board objects: the position before the first move, then one after each move
+     */
+    BentoNotation.replayGame = function(text, options = {}) {
+        const headers = {};
+        const moves = [];
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (line === '' || line.startsWith('#')) return;
+
+            const header = HEADER_PATTERN.exec(line);
+            if (header) {
+                if (moves.length > 0) {
+                    throw new Error(`Line ${index + 1}: header after the move list`);
+                }
+                headers[header[1]] = header[2].replace(/\\(.)/g, '$1');
+                return;
+            }
+
+            moves.push(line.replace(MOVE_NUMBER_PATTERN, ''));
+        });
+
+        const variant = options.variant || headers.Variant || 'classic';
+        if (typeof variant === 'object' && headers.Variant && variant.name !== headers.Variant) {
+            throw new Error(`Record is for variant "${headers.Variant}", not "${variant.name}"`);
+        }
+
+        const playerCount = readCount(headers.Players, 'Players');
+        const bots = {};
+        readIdMap(headers.Bots, 'Bots').forEach(([seatId, strategy]) => {
+            if (!Number.isInteger(seatId) || !BentoBots.isStrategy(strategy)) {
+                throw new Error(`Unknown bot strategy for seat ${seatId}: ${strategy}`);
+            }
+            bots[seatId] = strategy;
+        });
+
+        const pieceSet = {};
+        if (headers.PieceSets) {
+            headers.PieceSets.split(',').forEach(entry => {
+                const [playerId, name] = entry.split(':');
+                pieceSet[Number(playerId)] = name;
+            });
+        }
+
+        const seatOptions = headers.Seats
+            ? { seats: headers.Seats.trim().split(/\s+/).map(parseIdList), neutral: parseIdList(headers.Neutral || '') }
+            : {};
+
+        const hintLimit = headers.Hints !== undefined ? readCount(headers.Hints, 'Hints') : null;
+        const timeControl = headers.TimeControl ? parseTimeControl(headers.TimeControl) : null;
+
+        // Player details go by colour, in the order createBoard expects them
+        const players = [];
+        const detailsFor = (playerId) => {
+            players[playerId - 1] = players[playerId - 1] || {};
+            return players[playerId - 1];
+        };
+        readIdMap(headers.Colors, 'Colors').forEach(([playerId, color]) => {
+            detailsFor(playerId).color = color;
+        });
+        readIdMap(headers.Avatars, 'Avatars').forEach(([playerId, avatar]) => {
+            detailsFor(playerId).avatar = avatar;
+        });
+        Object.keys(headers).forEach(key => {
+            const name = NAME_HEADER_PATTERN.exec(key);
+            if (name) {
+                detailsFor(Number(name[1])).name = headers[key];
+            }
+        });
+
+        let board = BentoBlocks.createBoard({ variant, pieceSet, hintLimit, timeControl, players });
+        board = BentoBlocks.startGame(board, playerCount, {
+            ...seatOptions,
+            bots,
+            scoring: options.scoring || headers.Scoring || 'basic'
+        });
+
+        const boards = [board];
+        moves.forEach((moveText, index) => {
+            try {
+                const move = BentoNotation.parseMove(moveText);
+                board = move.type === BentoBlocks.MOVE_TYPES.TIMEOUT
+                    ? replayTimeout(board, move)
+                    : BentoNotation.applyMove(board, move);
+            } catch (error) {
+                throw new Error(`Move ${index + 1}: ${error.message}`);
+            }
+            boards.push(board);
+        });
+
+        return boards;
+    };
+
+    // Export the module
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BentoNotation;
+    } else {
+        global.BentoNotation = BentoNotation;
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,194 @@
+/**
+ * BentoOnline.js - Browser client for the Bento Blocks game server
+ *
+ * Keeps a WebSocket open to the server, applies the state diffs it sends and
+ * hands complete boards to the page. When the connection drops it reconnects
+ * and rejoins with the seat token, and the server answers with the current
+ * board. See server/server.js for the message format.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+(function(global) {
+    'use strict';
+
+    const BentoBlocks = (typeof module !== 'undefined' && module.exports)
+        ? require('./bento_blocks.js')
+        : global.BentoBlocks;
+    const BentoSync = (typeof module !== 'undefined' && module.exports)
+        ? require('./bento_sync.js')
+        : global.BentoSync;
+
+    /**
+     * BentoOnline namespace - Networked game client
+     */
+    const BentoOnline = {};
+
+    // Reconnect delays in milliseconds, the last one repeating
+    const RECONNECT_DELAYS = [500, 1000, 2000, 5000, 10000];
+
+    /**
+     * Gets the default server address for the page
+     * @returns {string} WebSocket URL
+     */
+    BentoOnline.getDefaultUrl = function() {
+        const secure = global.location && global.location.protocol === 'https:';
+        const host = global.location && global.location.host ? global.location.host : 'localhost:8080';
+        return `${secure ? 'wss' : 'ws'}://${host}/ws`;
+    };
+
+    /**
+     * Connects to a game server
+     * @param {Object} options - Connection options
+     * @param {string} [options.url] - WebSocket URL (defaults to getDefaultUrl())
+     * @param {Object} [options.session] - Session from an earlier onJoined, to rejoin after a page reload
+     * @param {Function} [options.onJoined] - Called with the session ({ code, role, seatId, token }) after joining a room
+     * @param {Function} [options.onBoard] - Called with (board, previousBoard) whenever the game changes
+     * @param {Function} [options.onRoom] - Called with the room's seat and spectator info
+     * @param {Function} [options.onError] - Called with an error message from the server
+     * @param {Function} [options.onStatus] - Called with 'connecting', 'connected' or 'disconnected'
+     * @returns {Object} Connection ({ createRoom, joinRoom, sendMove, leave, close })
+     */
+    BentoOnline.connect = function(options = {}) {
+        const url = options.url || BentoOnline.getDefaultUrl();
+        const notify = (name, ...args) => {
+            if (typeof options[name] === 'function') {
+                options[name](...args);
+            }
+        };
+
+        let socket = null;
+        let closed = false;
+        let attempts = 0;
+        let queue = [];
+        let session = options.session || null;
+        let state = null;
+        let revision = null;
+        let board = null;
+
+        function open() {
+            notify('onStatus', 'connecting');
+            socket = new global.WebSocket(url);
+
+            socket.addEventListener('open', () => {
+                attempts = 0;
+                notify('onStatus', 'connected');
+
+                // Take the seat back after a dropped connection
+                if (session) {
+                    send({ type: 'join', code: session.code, role: session.role, token: session.token });
+                }
+                queue.forEach(send);
+                queue = [];
+            });
+
+            socket.addEventListener('message', event => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    return;
+                }
+                handleMessage(message);
+            });
+
+            socket.addEventListener('close', () => {
+                notify('onStatus', 'disconnected');
+                if (closed) return;
+
+                const delay = RECONNECT_DELAYS[Math.min(attempts, RECONNECT_DELAYS.length - 1)];
+                attempts++;
+                setTimeout(open, delay);
+            });
+        }
+
+        function send(message) {
+            if (socket && socket.readyState === global.WebSocket.OPEN) {
+                socket.send(JSON.stringify(message));
+            } else {
+                queue.push(message);
+            }
+        }
+
+        function handleMessage(message) {
+            switch (message.type) {
+                case 'joined':
+                    session = { code: message.code, role: message.role, seatId: message.seatId, token: message.token };
+                    notify('onJoined', { ...session });
+                    break;
+                case 'state':
+                    setState(message.board, message.revision);
+                    break;
+                case 'diff':
+                    // A gap in revisions means a diff was missed; ask for everything
+                    if (state === null || message.revision !== revision + 1) {
+                        send({ type: 'sync' });
+                        return;
+                    }
+                    setState(BentoSync.applyDiff(state, message.ops), message.revision, true);
+                    break;
+                case 'room':
+                    notify('onRoom', message.room);
+                    break;
+                case 'error':
+                    notify('onError', message.message);
+                    break;
+            }
+        }
+
+        function setState(nextState, nextRevision, fromDiff = false) {
+            let nextBoard;
+            try {
+                nextBoard = BentoBlocks.deserialize(nextState);
+            } catch (error) {
+                // A bad diff is recovered by a full state; a bad full state is reported
+                if (fromDiff) {
+                    send({ type: 'sync' });
+                } else {
+                    notify('onError', error.message);
+                }
+                return;
+            }
+
+            const previousBoard = board;
+            state = nextState;
+            revision = nextRevision;
+            board = nextBoard;
+            notify('onBoard', board, previousBoard);
+        }
+
+        open();
+
+        return {
+            createRoom(gameOptions, name) {
+                session = null;
+                send({ type: 'create', options: gameOptions, name });
+            },
+            joinRoom(code, role, name) {
+                session = null;
+                send({ type: 'join', code, role, name });
+            },
+            sendMove(moveText) {
+                send({ type: 'move', move: moveText });
+            },
+            leave() {
+                session = null;
+                state = null;
+                board = null;
+                send({ type: 'leave' });
+            },
+            close() {
+                closed = true;
+                if (socket) socket.close();
+            }
+        };
+    };
+
+    // Export the module
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BentoOnline;
+    } else {
+        global.BentoOnline = BentoOnline;
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,305 @@
+/**
+ * BentoRatings.js - Player profiles and ratings for Bento Blocks
+ *
+ * Ratings use Elo extended to multiplayer games: every finished game is
+ * scored as a set of head-to-head results between each pair of rated players,
+ * decided by their final scores, and each player's change is the average of
+ * their pairwise Elo updates. A two-player game is therefore plain Elo. As in
+ * the engine's winner, a player who forfeited on time finishes below every
+ * player who did not, whatever the scores.
+ *
+ * A store is a plain JSON object ({ version, profiles, games }) so the page
+ * can keep it in localStorage. Functions never change a store; the ones that
+ * update it return a new one.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+(function(global) {
+    'use strict';
+
+    /**
+     * BentoRatings namespace - Profiles, ratings and leaderboard queries
+     */
+    const BentoRatings = {};
+
+    const STORE_VERSION = 1;
+
+    // Rating every new profile starts from
+    const INITIAL_RATING = 1000;
+
+    // Largest rating change a single game can cause
+    const K_FACTOR = 32;
+
+    const MAX_NAME_LENGTH = 24;
+
+    BentoRatings.INITIAL_RATING = INITIAL_RATING;
+
+    /**
+     * Creates an empty store
+     * @returns {Object} Store object ({ version, profiles, games })
+     */
+    BentoRatings.createStore = function() {
+        return { version: STORE_VERSION, profiles: [], games: [] };
+    };
+
+    /**
+     * Checks a store read back from storage
+     * @param {Object} data - Parsed store JSON
+     * @returns {Object} Store object
+     */
+    BentoRatings.readStore = function(data) {
+        if (!data || data.version !== STORE_VERSION) {
+            throw new Error('Unsupported ratings data');
+        }
+        if (!Array.isArray(data.profiles) || !Array.isArray(data.games)) {
+            throw new Error('Ratings data is missing profiles or games');
+        }
+
+        const ids = new Set();
+        data.profiles.forEach(profile => {
+            if (typeof profile.id !== 'string' || typeof profile.name !== 'string' ||
+                !Number.isFinite(profile.rating) || ids.has(profile.id)) {
+                throw new Error('Ratings data has an invalid profile');
+            }
+            ids.add(profile.id);
+        });
+        data.games.forEach(game => {
+            if (typeof game.id !== 'string' || !Array.isArray(game.entries) ||
+                game.entries.some(entry => !ids.has(entry.profileId))) {
+                throw new Error('Ratings data has an invalid game');
+            }
+        });
+
+        return data;
+    };
+
+    /**
+     * Adds a named profile
+     * @param {Object} store - Store object
+     * @param {string} name - Player name
+     * @returns {Object} { store, profile } with the updated store and the new profile
+     */
+    BentoRatings.addProfile = function(store, name) {
+        const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+        if (!trimmed) {
+            throw new Error('A profile needs a name');
+        }
+        if (store.profiles.some(p => p.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`There is already a profile called ${trimmed}`);
+        }
+
+        const nextId = store.profiles.reduce((max, p) => Math.max(max, Number(p.id.slice(1)) || 0), 0) + 1;
+        const profile = { id: `p${nextId}`, name: trimmed, rating: INITIAL_RATING };
+
+        return {
+            store: { ...store, profiles: [...store.profiles, profile] },
+            profile
+        };
+    };
+
+    /**
+     * Looks up a profile
+     * @param {Object} store - Store object
+     * @param {string} profileId - Profile ID
+     * @returns {Object|null} Profile object or null if not found
+     */
+    BentoRatings.getProfile = function(store, profileId) {
+        return store.profiles.find(p => p.id === profileId) || null;
+    };
+
+    /**
+     * Checks if a game has already been recorded
+     * @param {Object} store - Store object
+     * @param {string} gameId - Game ID
+     * @returns {boolean} True if the game is in the store
+     */
+    BentoRatings.hasGame = function(store, gameId) {
+        return store.games.some(game => game.id === gameId);
+    };
+
+    /**
+     * Compares two final standings: a forfeit loses to any standing without
+     * one, otherwise the higher score wins
+     * @param {Object} a - Standing ({ score, forfeited })
+     * @param {Object} b - Standing ({ score, forfeited })
+     * @returns {number} Positive if a finished above b, negative if below, 0 for a tie
+     */
+    function compareStandings(a, b) {
+        if (Boolean(a.forfeited) !== Boolean(b.forfeited)) {
+            return a.forfeited ? -1 : 1;
+        }
+        return Math.sign(a.score - b.score);
+    }
+
+    /**
+     * Computes multiplayer Elo changes from final standings
+     * @param {Array} standings - Array of { rating, score, forfeited } objects
+     * @param {number} [kFactor=32] - Largest change for one game
+     * @returns {Array} Rating change for each entry, in the same order
+     */
+    BentoRatings.computeRatingChanges = function(standings, kFactor = K_FACTOR) {
+        if (standings.length < 2) {
+            return standings.map(() => 0);
+        }
+
+        return standings.map((player, i) => {
+            let total = 0;
+            standings.forEach((opponent, j) => {
+                if (i === j) return;
+                const expected = 1 / (1 + Math.pow(10, (opponent.rating - player.rating) / 400));
+                const actual = (compareStandings(player, opponent) + 1) / 2;
+                total += actual - expected;
+            });
+            return kFactor * total / (standings.length - 1);
+        });
+    };
+
+    /**
+     * Records a finished game and updates the ratings of everyone in it
+     * @param {Object} store - Store object
+     * @param {Array} results - Array of { profileId, score, forfeited } objects, one per rated player
+     * @param {Object} [options] - Game details
+     * @param {string} [options.id] - Game ID used to avoid recording a game twice
+     * @param {number} [options.playedAt=Date.now()] - When the game finished
+     * @param {string} [options.variant] - Variant name
+     * @returns {Object} Updated store object
+     */
+    BentoRatings.recordGame = function(store, results, options = {}) {
+        if (results.length < 2) {
+            throw new Error('A rated game needs at least two players');
+        }
+        const profileIds = results.map(result => result.profileId);
+        if (new Set(profileIds).size !== profileIds.length) {
+            throw new Error('A profile can only play one seat in a rated game');
+        }
+        const profiles = profileIds.map(id => {
+            const profile = BentoRatings.getProfile(store, id);
+            if (!profile) {
+                throw new Error(`Unknown profile ${id}`);
+            }
+            return profile;
+        });
+
+        const id = options.id || `g${store.games.length + 1}-${Date.now()}`;
+        if (BentoRatings.hasGame(store, id)) {
+            throw new Error('This game has already been recorded');
+        }
+
+        const changes = BentoRatings.computeRatingChanges(
+            results.map((result, i) => ({ rating: profiles[i].rating, score: result.score, forfeited: result.forfeited })));
+
+        const entries = results.map((result, i) => ({
+            profileId: result.profileId,
+            score: result.score,
+            forfeited: Boolean(result.forfeited),
+            rank: 1 + results.filter(other => compareStandings(other, result) > 0).length,
+            ratingBefore: profiles[i].rating,
+            ratingAfter: profiles[i].rating + changes[i]
+        }));
+        const game = {
+            id,
+            playedAt: options.playedAt || Date.now(),
+            variant: options.variant || null,
+            entries
+        };
+
+        return {
+            ...store,
+            profiles: store.profiles.map(profile => {
+                const entry = entries.find(e => e.profileId === profile.id);
+                return entry ? { ...profile, rating: entry.ratingAfter } : profile;
+            }),
+            games: [...store.games, game]
+        };
+    };
+
+    /**
+     * Gets the profiles ordered by rating, with their records
+     * @param {Object} store - Store object
+     * @returns {Array} Array of { id, name, rating, games, wins } objects
+     */
+    BentoRatings.getLeaderboard = function(store) {
+        return store.profiles
+            .map(profile => {
+                const entries = store.games.flatMap(game => game.entries.filter(e => e.profileId === profile.id));
+                return {
+                    id: profile.id,
+                    name: profile.name,
+                    rating: profile.rating,
+                    games: entries.length,
+                    wins: entries.filter(entry => entry.rank === 1).length
+                };
+            })
+            .sort((a, b) => b.rating - a.rating || a.name.localeCompare(b.name));
+    };
+
+    /**
+     * Gets a profile's rating after each of its games, oldest first
+     * @param {Object} store - Store object
+     * @param {string} profileId - Profile ID
+     * @returns {Array} Array of { gameId, playedAt, rating } objects, starting with the initial rating
+     */
+    BentoRatings.getRatingHistory = function(store, profileId) {
+        const history = [{ gameId: null, playedAt: null, rating: INITIAL_RATING }];
+        store.games.forEach(game => {
+            const entry = game.entries.find(e => e.profileId === profileId);
+            if (entry) {
+                history.push({ gameId: game.id, playedAt: game.playedAt, rating: entry.ratingAfter });
+            }
+        });
+        return history;
+    };
+
+    /**
+     * Gets a profile's record against each opponent it has played
+     * @param {Object} store - Store object
+     * @param {string} profileId - Profile ID
+     * @returns {Array} Array of { opponentId, wins, losses, ties } objects, most played first
+     */
+    BentoRatings.getHeadToHead = function(store, profileId) {
+        const records = new Map();
+
+        store.games.forEach(game => {
+            const own = game.entries.find(e => e.profileId === profileId);
+            if (!own) return;
+
+            game.entries.forEach(other => {
+                if (other === own) return;
+                if (!records.has(other.profileId)) {
+                    records.set(other.profileId, { opponentId: other.profileId, wins: 0, losses: 0, ties: 0 });
+                }
+                const record = records.get(other.profileId);
+                const result = compareStandings(own, other);
+                if (result > 0) {
+                    record.wins++;
+                } else if (result < 0) {
+                    record.losses++;
+                } else {
+                    record.ties++;
+                }
+            });
+        });
+
+        const played = record => record.wins + record.losses + record.ties;
+        return [...records.values()].sort((a, b) => played(b) - played(a));
+    };
+
+    /**
+     * Gets the most recent games, newest first
+     * @param {Object} store - Store object
+     * @param {number} [limit=10] - Maximum number of games
+     * @returns {Array} Array of game records ({ id, playedAt, variant, entries })
+     */
+    BentoRatings.getRecentGames = function(store, limit = 10) {
+        return [...store.games].sort((a, b) => b.playedAt - a.playedAt).slice(0, limit);
+    };
+
+    // Export the module
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BentoRatings;
+    } else {
+        global.BentoRatings = BentoRatings;
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,143 @@
+/**
+ * BentoSync.js - State diffs for networked Bento Blocks games
+ *
+ * The game server and its clients exchange games as BentoBlocks.serialize()
+ * output. After the first full state only diffs are sent: a diff is a list of
+ * operations on that plain JSON object, numbered by a revision so a client
+ * that misses one can ask for the full state again.
+ *
+ * Operations:
+ *
+ *     { op: 'set', path: ['grid', 3, 4], value: 2 }
+ *     { op: 'delete', path: ['players', 0, 'bot'] }
+ *     { op: 'append', path: ['moveHistory'], values: [...] }
+ *     { op: 'truncate', path: ['moveHistory'], length: 12 }
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+(function(global) {
+    'use strict';
+
+    /**
+     * BentoSync namespace - State diff helpers shared by server and client
+     */
+    const BentoSync = {};
+
+    /**
+     * Computes the operations that turn one JSON value into another
+     * @param {*} previous - Previous JSON value
+     * @param {*} next - Next JSON value
+     * @returns {Array} Array of diff operations (empty when the values are equal)
+     */
+    BentoSync.diff = function(previous, next) {
+        const ops = [];
+        diffValue(previous, next, [], ops);
+        return ops;
+    };
+
+    /**
+     * Applies diff operations to a JSON value without changing it
+     * @param {*} value - JSON value the diff was computed from
+     * @param {Array} ops - Diff operations (see diff)
+     * @returns {*} Updated copy of the value
+     */
+    BentoSync.applyDiff = function(value, ops) {
+        let result = JSON.parse(JSON.stringify(value));
+
+        ops.forEach(op => {
+            if (op.path.length === 0) {
+                if (op.op !== 'set') {
+                    throw new Error(`Cannot ${op.op} the whole state`);
+                }
+                result = JSON.parse(JSON.stringify(op.value));
+                return;
+            }
+
+            // Only the value's own keys are followed, never __proto__ or constructor
+            const parent = op.path.slice(0, -1).reduce((node, key) => {
+                if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, key)) {
+                    throw new Error(`Diff path ${op.path.join('.')} does not exist`);
+                }
+                return node[key];
+            }, result);
+            const key = op.path[op.path.length - 1];
+            if (key === '__proto__' || (op.op !== 'set' && !Object.prototype.hasOwnProperty.call(parent, key))) {
+                throw new Error(`Diff path ${op.path.join('.')} does not exist`);
+            }
+
+            switch (op.op) {
+                case 'set':
+                    parent[key] = JSON.parse(JSON.stringify(op.value));
+                    break;
+                case 'delete':
+                    delete parent[key];
+                    break;
+                case 'append':
+                    parent[key].push(...JSON.parse(JSON.stringify(op.values)));
+                    break;
+                case 'truncate':
+                    parent[key].length = op.length;
+                    break;
+                default:
+                    throw new Error(`Unknown diff operation: ${op.op}`);
+            }
+        });
+
+        return result;
+    };
+
+    /**
+     * Adds the operations for one value to the list
+     * @param {*} previous - Previous value
+     * @param {*} next - Next value
+     * @param {Array} path - Path of the value from the root
+     * @param {Array} ops - Operations collected so far
+     */
+    function diffValue(previous, next, path, ops) {
+        if (previous === next) return;
+
+        if (Array.isArray(previous) && Array.isArray(next)) {
+            const common = Math.min(previous.length, next.length);
+            for (let i = 0; i < common; i++) {
+                diffValue(previous[i], next[i], [...path, i], ops);
+            }
+            if (next.length > previous.length) {
+                ops.push({ op: 'append', path, values: next.slice(common) });
+            } else if (next.length < previous.length) {
+                ops.push({ op: 'truncate', path, length: next.length });
+            }
+            return;
+        }
+
+        if (isPlainObject(previous) && isPlainObject(next)) {
+            Object.keys(previous).forEach(key => {
+                if (!(key in next)) {
+                    ops.push({ op: 'delete', path: [...path, key] });
+                }
+            });
+            Object.keys(next).forEach(key => {
+                if (key in previous) {
+                    diffValue(previous[key], next[key], [...path, key], ops);
+                } else {
+                    ops.push({ op: 'set', path: [...path, key], value: next[key] });
+                }
+            });
+            return;
+        }
+
+        ops.push({ op: 'set', path, value: next });
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Export the module
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BentoSync;
+    } else {
+        global.BentoSync = BentoSync;
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);
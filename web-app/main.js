@@ -1,45 +1,115 @@
-console.log("Loading main.js...");
-console.log("BentoBlocks available:", typeof BentoBlocks);
+/**
+ * main.js - Page script for Bento Blocks
+ *
+ * game.html loads it as a module script, which pulls in the engine and the
+ * page's other modules: <script type="module" src="main.js"></script>. The
+ * page must provide the .board, .pieces-grid and .game-controls elements;
+ * the dialogs and the extra control buttons are created here when missing.
+ * Add ?debug to the page URL to see the engine's and the page's log messages
+ * in the console.
+ *
+ * @author Bento Blocks Game
+ * @version 1.0.0
+ */
+import { BentoBlocks, BentoBots, BentoNotation, BentoAnalysis } from './Module.js';
+import './bento_controller.js';
+import './bento_ratings.js';
+import './bento_online.js';
+
+// The page's other modules are plain scripts that attach themselves to window
+const { GameController, BentoRatings, BentoOnline } = window;
 
 (function() {
     'use strict';
 
-    // Game state
-    let gameBoard = null;
-    let selectedPiece = null;
-    let currentPlayer = 1;
+    // Log messages go to the console only when the page URL has ?debug
+    const logger = new URLSearchParams(location.search).has('debug') ? console : null;
+
+    // Game state lives in the controller; the rest is view state
+    let controller = null;
+    let bots = null;
+    let moveReport = { moves: [], blocked: [] };
+    let hoverCell = null;
+    let showLegalAnchors = false;
+    let cursorCell = { row: 0, col: 0 };
+    let online = null;
+    let dragState = null;
+    let dragJustEnded = false;
+    const touchPoints = new Map();
+    let gestureAngle = null;
+    let invalidCellsTimer = null;
+    let clockTimer = null;
+    let replay = null;
+
+    // Delay before a bot plays, so its moves can be followed on screen
+    const BOT_MOVE_DELAY = 700;
+
+    // Tray block size in pixels, matching .piece-block in default.css
+    const PIECE_BLOCK_SIZE = 12;
+
+    // Pointer travel in pixels before pressing a tray piece becomes a drag
+    const DRAG_THRESHOLD = 6;
+
+    // Degrees two fingers must turn to rotate the selected piece a quarter turn
+    const ROTATE_GESTURE_ANGLE = 45;
+
+    // How long the cells that made a placement illegal stay highlighted, in milliseconds
+    const INVALID_CELLS_TIME = 1500;
+
+    // How often a running clock is redrawn, and when it turns red, in milliseconds
+    const CLOCK_TICK = 250;
+    const LOW_TIME = 10000;
+
+    // Time between moves when a replay plays at normal speed, in milliseconds, and the speeds to choose from
+    const REPLAY_STEP_TIME = 1000;
+    const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+    // Start of a URL fragment holding a replay, followed by the encoded game record
+    const REPLAY_FRAGMENT = '#replay=';
+
+    // Avatars in assets/, and the colours the new game dialog offers (see .color-* in default.css)
+    const AVATARS = BentoBlocks.AVATARS;
+    const COLOR_CHOICES = BentoBlocks.PLAYER_COLORS;
+
+    // localStorage keys for the autosave, the named save slots and the ratings
+    const STORAGE_KEYS = {
+        AUTOSAVE: 'bentoBlocks.autosave',
+        SAVES: 'bentoBlocks.saves',
+        RATINGS: 'bentoBlocks.ratings',
+        SEAT_PROFILES: 'bentoBlocks.seatProfiles',
+        ONLINE_SESSION: 'bentoBlocks.onlineSession'
+    };
 
     // DOM elements
     let boardElement = null;
     let piecesContainer = null;
     let currentPlayerDisplay = null;
     let statusMessage = null;
+    let announcer = null;
 
     // Initialize the game when DOM is loaded
     document.addEventListener('DOMContentLoaded', function() {
-        console.log("DOM loaded, initializing game...");
         initializeGame();
     });
 
     function initializeGame() {
         try {
-            console.log("Starting game initialization...");
-            
+            BentoBlocks.setLogger(logger);
+
             // Get DOM elements
             boardElement = document.querySelector('.board');
             piecesContainer = document.querySelector('.pieces-grid');
             currentPlayerDisplay = document.getElementById('currentPlayerDisplay');
             statusMessage = document.getElementById('statusMessage');
+            announcer = getAnnouncer();
 
             if (!boardElement || !piecesContainer) {
                 throw new Error("Required DOM elements not found");
             }
 
             // Create new game board
-            gameBoard = BentoBlocks.createBoard();
-            gameBoard = BentoBlocks.startGame(gameBoard, 4);
-
-            console.log("Game board created:", gameBoard);
+            const board = createGame(readSeatCountSetting(), readBotSettings());
+            controller = GameController.create(board, { ownMoveUndoOnly: readUndoSetting() });
 
             // Initialize UI
             createBoardUI();
@@ -49,9 +119,22 @@ console.log("BentoBlocks available:", typeof BentoBlocks);
 
             // Add event listeners
             addEventListeners();
+            subscribeToController();
 
-            showStatusMessage("New game started! Player 1's turn.", 'success');
-            console.log("Game initialization complete");
+            bots = GameController.driveBots(controller, {
+                delay: BOT_MOVE_DELAY,
+                onError: (error, seat) => {
+                    console.error("Bot failed to move:", error);
+                    showErrorDialog(`${BentoBlocks.getSeatDetails(controller.getBoard(), seat.id).name}'s bot could not move.`);
+                }
+            });
+
+            showStatusMessage(`New game started! ${describeTurn()}'s turn.`, 'success');
+            debug("Game initialization complete");
+
+            if (!resumeOnlineSession() && !openReplayLink() && !offerResume()) {
+                openSetupModal();
+            }
 
         } catch (error) {
             console.error("Failed to initialize game:", error);
@@ -59,176 +142,2137 @@ console.log("BentoBlocks available:", typeof BentoBlocks);
         }
     }
 
+    /**
+     * Creates and starts a game with the settings from the page URL
+     * @param {number} [seatCount] - Number of seats, or undefined for one seat per colour
+     * @param {Object} bots - Map of seat ID to bot strategy name
+     * @param {Array} [players] - Name, colour and avatar for each colour, see BentoBlocks.createBoard
+     * @returns {Object} Game board object
+     */
+    function createGame(seatCount, bots, players) {
+        const board = BentoBlocks.createBoard({
+            variant: readVariantSetting(),
+            pieceSet: readPieceSetSetting(),
+            hintLimit: readHintLimitSetting(),
+            timeControl: readTimeControlSetting(),
+            players
+        });
+        return BentoBlocks.startGame(board, seatCount, {
+            bots,
+            scoring: readScoringSetting()
+        });
+    }
+
+    /**
+     * Writes a debug message to the logger, if there is one
+     * @param {...*} args - Message and details
+     */
+    function debug(...args) {
+        if (logger) {
+            logger.debug(...args);
+        }
+    }
+
+    /**
+     * Reads the bot seats the new game dialog starts with from the page URL,
+     * e.g. ?bots=2:greedy,4:lookahead
+     * @returns {Object} Map of seat ID to bot strategy name
+     */
+    function readBotSettings() {
+        const bots = {};
+        const param = new URLSearchParams(location.search).get('bots');
+        if (!param) return bots;
+
+        param.split(',').forEach(entry => {
+            const [seatId, strategy] = entry.split(':');
+            const id = parseInt(seatId);
+
+            if (id >= 1 && id <= 4 && BentoBots.isStrategy(strategy)) {
+                bots[id] = strategy;
+            } else {
+                console.warn(`Ignoring bot setting "${entry}"`);
+            }
+        });
+
+        return bots;
+    }
+
+    /**
+     * Reads the number of seats from the page URL, e.g. ?players=3 to share
+     * the fourth colour or ?players=2 to play two colours each
+     * @returns {number|undefined} Seat count, or undefined for one seat per colour
+     */
+    function readSeatCountSetting() {
+        const count = parseInt(new URLSearchParams(location.search).get('players'));
+        return count >= 2 && count <= 4 ? count : undefined;
+    }
+
+    /**
+     * Reads the board variant from the page URL, e.g. ?variant=duo
+     * @returns {string} Variant name
+     */
+    function readVariantSetting() {
+        const variant = new URLSearchParams(location.search).get('variant');
+        if (variant && BentoBlocks.getVariants().includes(variant)) {
+            return variant;
+        }
+        return 'classic';
+    }
+
+    /**
+     * Reads the piece set from the page URL, e.g. ?pieces=quick. Only sets
+     * registered before the game starts can be chosen.
+     * @returns {string} Piece set name
+     */
+    function readPieceSetSetting() {
+        const pieceSet = new URLSearchParams(location.search).get('pieces');
+        if (pieceSet && BentoBlocks.getPieceSets().includes(pieceSet)) {
+            return pieceSet;
+        }
+        return 'classic';
+    }
+
+    /**
+     * Reads the scoring rules from the page URL, e.g. ?scoring=official
+     * @returns {string} Scoring rules name
+     */
+    function readScoringSetting() {
+        const scoring = new URLSearchParams(location.search).get('scoring');
+        if (scoring && BentoBlocks.getScoringRules().includes(scoring)) {
+            return scoring;
+        }
+        return 'basic';
+    }
+
+    /**
+     * Reads the undo mode from the page URL; ?undo=own limits undo to the
+     * player's own last move for competitive games
+     * @returns {boolean} True if players may only undo their own last move
+     */
+    function readUndoSetting() {
+        return new URLSearchParams(location.search).get('undo') === 'own';
+    }
+
+    /**
+     * Reads the number of hints each player may take from the page URL, e.g. ?hints=3
+     * @returns {number|null} Hint limit, or null for no limit
+     */
+    function readHintLimitSetting() {
+        const param = new URLSearchParams(location.search).get('hints');
+        if (param === null) return null;
+
+        const limit = Number(param);
+        if (Number.isInteger(limit) && limit >= 0) {
+            return limit;
+        }
+        console.warn(`Ignoring hint setting "${param}"`);
+        return null;
+    }
+
+    /**
+     * Reads the time control from the page URL: ?clock=5+3 gives each player
+     * 5 minutes plus 3 seconds a move, ?moveTime=30 allows 30 seconds for
+     * every move, and ?onTimeout=pass or ?onTimeout=forfeit picks what a
+     * timeout does
+     * @returns {Object|null} Time control for BentoBlocks.createBoard, or null for an untimed game
+     */
+    function readTimeControlSetting() {
+        const params = new URLSearchParams(location.search);
+        const clock = params.get('clock');
+        const moveTime = params.get('moveTime');
+        const onTimeout = params.get('onTimeout') || undefined;
+
+        // An unescaped + in a query string reads back as a space
+        let timeControl = null;
+        const match = clock && /^(\d+(?:\.\d+)?)(?:[+ ](\d+))?$/.exec(clock);
+        if (match) {
+            timeControl = {
+                mode: BentoBlocks.TIME_CONTROL_MODES.INCREMENT,
+                initial: Math.round(Number(match[1]) * 60000),
+                increment: Number(match[2] || 0) * 1000,
+                onTimeout
+            };
+        } else if (moveTime && Number(moveTime) > 0) {
+            timeControl = {
+                mode: BentoBlocks.TIME_CONTROL_MODES.PER_MOVE,
+                limit: Math.round(Number(moveTime) * 1000),
+                onTimeout
+            };
+        } else if (clock || moveTime) {
+            console.warn(`Ignoring time control setting "${clock || moveTime}"`);
+            return null;
+        }
+
+        // Let the engine check the combination, such as passing without an increment
+        try {
+            return timeControl && BentoBlocks.createBoard({ timeControl }).timeControl;
+        } catch (error) {
+            console.warn(`Ignoring time control setting: ${error.message}`);
+            return null;
+        }
+    }
+
     function createBoardUI() {
-        console.log("Creating board UI...");
+        const gameBoard = controller.getBoard();
         boardElement.innerHTML = '';
+        boardElement.style.setProperty('--board-size', gameBoard.size);
+
+        const startCells = new Set();
+        gameBoard.players.forEach(player => {
+            player.startCells.forEach(([row, col]) => startCells.add(`${row},${col}`));
+        });
+
+        boardElement.setAttribute('role', 'grid');
+        boardElement.setAttribute('aria-label', `Game board, ${gameBoard.size} by ${gameBoard.size}`);
+        boardElement.setAttribute('aria-describedby', getKeyboardHelp().id);
+        cursorCell = {
+            row: Math.min(cursorCell.row, gameBoard.size - 1),
+            col: Math.min(cursorCell.col, gameBoard.size - 1)
+        };
 
-        // Create 20x20 grid of cells
-        for (let row = 0; row < 20; row++) {
-            for (let col = 0; col < 20; col++) {
+        // Create a grid of cells matching the board size. Rows only group
+        // cells for assistive technology and do not affect the layout.
+        for (let row = 0; row < gameBoard.size; row++) {
+            const rowElement = document.createElement('div');
+            rowElement.className = 'board-row';
+            rowElement.setAttribute('role', 'row');
+
+            for (let col = 0; col < gameBoard.size; col++) {
                 const cell = document.createElement('div');
                 cell.className = 'board-cell';
                 cell.dataset.row = row;
                 cell.dataset.col = col;
+                cell.setAttribute('role', 'gridcell');
+                cell.tabIndex = row === cursorCell.row && col === cursorCell.col ? 0 : -1;
+
+                if (startCells.has(`${row},${col}`)) {
+                    cell.classList.add('start-cell');
+                }
                 
-                // Add click handler
+                // Add click and preview handlers
                 cell.addEventListener('click', () => handleBoardClick(row, col));
+                cell.addEventListener('mouseenter', () => {
+                    hoverCell = { row, col };
+                    showGhost();
+                });
+                cell.addEventListener('focus', () => {
+                    hoverCell = { row, col };
+                    showGhost();
+                });
                 
-                boardElement.appendChild(cell);
+                rowElement.appendChild(cell);
+            }
+            boardElement.appendChild(rowElement);
+        }
+        hoverCell = null;
+    }
+
+    /**
+     * Checks if the human at the board can place the selected piece now
+     * @returns {boolean} True if placement hints should be shown
+     */
+    function canShowPlacementHints() {
+        return Boolean(controller.getSelectedPiece()) &&
+            !BentoBlocks.isGameOver(controller.getBoard()) && controller.isLocalTurn();
+    }
+
+    /**
+     * Draws the selected piece under the pointer as a ghost, tinted by
+     * whether it can be placed there
+     */
+    function showGhost() {
+        document.querySelectorAll('.board-cell.ghost').forEach(cell => {
+            cell.classList.remove('ghost', 'ghost-valid', 'ghost-invalid');
+        });
+
+        if (!hoverCell || !canShowPlacementHints()) return;
+
+        const { row, col } = hoverCell;
+        const gameBoard = controller.getBoard();
+        const selectedPiece = controller.getSelectedPiece();
+        const valid = BentoBlocks.canPlacePiece(gameBoard, selectedPiece, row, col, gameBoard.currentPlayer);
+
+        BentoBlocks.getTransformedShape(selectedPiece).forEach(([dx, dy]) => {
+            const cell = getBoardCell(row + dx, col + dy);
+            if (cell) {
+                cell.classList.add('ghost', valid ? 'ghost-valid' : 'ghost-invalid');
+            }
+        });
+    }
+
+    /**
+     * Highlights every cell the selected piece, in its current orientation,
+     * can legally be placed at (when the highlight toggle is on)
+     */
+    function showLegalAnchorHighlights() {
+        document.querySelectorAll('.board-cell.highlight').forEach(cell => {
+            cell.classList.remove('highlight');
+        });
+
+        if (!showLegalAnchors || !canShowPlacementHints()) return;
+
+        const gameBoard = controller.getBoard();
+        const selectedPiece = controller.getSelectedPiece();
+        for (let row = 0; row < gameBoard.size; row++) {
+            for (let col = 0; col < gameBoard.size; col++) {
+                if (BentoBlocks.canPlacePiece(gameBoard, selectedPiece, row, col, gameBoard.currentPlayer)) {
+                    getBoardCell(row, col).classList.add('highlight');
+                }
+            }
+        }
+    }
+
+    function refreshPlacementHints() {
+        showLegalAnchorHighlights();
+        showGhost();
+        updateCursorLabel();
+    }
+
+    /**
+     * Briefly highlights the cells that made a placement illegal
+     * @param {Array} reasons - Reasons from BentoBlocks.validatePlacement
+     */
+    function showInvalidCells(reasons) {
+        clearInvalidCells();
+        reasons.forEach(reason => reason.cells.forEach(([row, col]) => {
+            const cell = getBoardCell(row, col);
+            if (cell) {
+                cell.classList.add('invalid');
+            }
+        }));
+        invalidCellsTimer = setTimeout(clearInvalidCells, INVALID_CELLS_TIME);
+    }
+
+    function clearInvalidCells() {
+        clearTimeout(invalidCellsTimer);
+        invalidCellsTimer = null;
+        boardElement.querySelectorAll('.board-cell.invalid').forEach(cell => cell.classList.remove('invalid'));
+    }
+
+    function getBoardCell(row, col) {
+        return boardElement.querySelector(`.board-cell[data-row="${row}"][data-col="${col}"]`);
+    }
+
+    function toggleLegalAnchors() {
+        showLegalAnchors = !showLegalAnchors;
+
+        const highlightBtn = document.getElementById('highlightBtn');
+        if (highlightBtn) {
+            highlightBtn.classList.toggle('active', showLegalAnchors);
+            highlightBtn.setAttribute('aria-pressed', String(showLegalAnchors));
+        }
+
+        refreshPlacementHints();
+        if (showLegalAnchors && !controller.getSelectedPiece()) {
+            showStatusMessage("Select a piece to see where it fits", 'info');
+        }
+    }
+
+    /**
+     * Describes a board cell for screen readers
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {string} Description, e.g. "Row 3, column 5: red"
+     */
+    function describeCell(row, col) {
+        const gameBoard = controller.getBoard();
+        const cellValue = gameBoard.grid[row][col];
+        let contents = 'empty';
+
+        if (cellValue > 0) {
+            contents = gameBoard.players.find(p => p.id === cellValue).color;
+        } else if (getBoardCell(row, col).classList.contains('start-cell')) {
+            contents = 'empty start cell';
+        }
+
+        let label = `Row ${row + 1}, column ${col + 1}: ${contents}`;
+        if (row === cursorCell.row && col === cursorCell.col && canShowPlacementHints()) {
+            const selectedPiece = controller.getSelectedPiece();
+            const { valid, reasons } = BentoBlocks.validatePlacement(gameBoard, selectedPiece, row, col, gameBoard.currentPlayer);
+            label += `. ${selectedPiece.id} ${valid ? 'fits here' : `does not fit here: ${reasons[0].message}`}`;
+        }
+        return label;
+    }
+
+    function updateCursorLabel() {
+        const cell = getBoardCell(cursorCell.row, cursorCell.col);
+        if (cell) {
+            cell.setAttribute('aria-label', describeCell(cursorCell.row, cursorCell.col));
+        }
+    }
+
+    /**
+     * Moves the keyboard cursor and focus to a board cell
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    function moveCursor(row, col) {
+        const previous = getBoardCell(cursorCell.row, cursorCell.col);
+        if (previous) {
+            previous.tabIndex = -1;
+            previous.setAttribute('aria-label', describeCell(cursorCell.row, cursorCell.col));
+        }
+
+        const size = controller.getBoard().size;
+        cursorCell = {
+            row: Math.max(0, Math.min(size - 1, row)),
+            col: Math.max(0, Math.min(size - 1, col))
+        };
+
+        const cell = getBoardCell(cursorCell.row, cursorCell.col);
+        cell.tabIndex = 0;
+        updateCursorLabel();
+        cell.focus();
+    }
+
+    /**
+     * Handles arrow keys, Home/End and Enter/Space on the board
+     * @param {KeyboardEvent} e - Key event
+     */
+    function handleBoardKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const { row, col } = cursorCell;
+        const moves = {
+            ArrowUp: [row - 1, col],
+            ArrowDown: [row + 1, col],
+            ArrowLeft: [row, col - 1],
+            ArrowRight: [row, col + 1],
+            Home: [row, 0],
+            End: [row, controller.getBoard().size - 1]
+        };
+
+        if (moves[e.key]) {
+            e.preventDefault();
+            moveCursor(...moves[e.key]);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            handleBoardClick(row, col);
+        }
+    }
+
+    /**
+     * Handles the piece keys: R rotates, F flips, [ and ] cycle pieces
+     * @param {KeyboardEvent} e - Key event
+     */
+    function handlePieceKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, textarea, select')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === '[' || key === ']') {
+            e.preventDefault();
+            cyclePiece(key === ']' ? 1 : -1);
+        } else if ((key === 'r' || key === 'f') && controller.getSelectedPiece()) {
+            e.preventDefault();
+            if (key === 'r') {
+                controller.rotate();
+            } else {
+                controller.flip();
+            }
+            const piece = controller.getSelectedPiece();
+            announce(`${piece.id}: ${describeOrientation(piece)}`);
+        }
+    }
+
+    /**
+     * Selects the next or previous unused piece of the current player
+     * @param {number} step - 1 for the next piece, -1 for the previous one
+     */
+    function cyclePiece(step) {
+        const gameBoard = controller.getBoard();
+        const player = gameBoard.players.find(p => p.id === gameBoard.currentPlayer);
+        if (!player || !controller.isLocalTurn()) return;
+
+        const available = player.pieces.filter(piece => !piece.used);
+        if (available.length === 0) return;
+
+        const selectedPiece = controller.getSelectedPiece();
+        const index = selectedPiece ? available.findIndex(piece => piece.id === selectedPiece.id) : -1;
+        const nextIndex = index === -1
+            ? (step > 0 ? 0 : available.length - 1)
+            : (index + step + available.length) % available.length;
+        selectPiece(available[nextIndex].id);
+    }
+
+    function describeOrientation(piece) {
+        return `rotated ${piece.rotation * 90} degrees${piece.flipped ? ', flipped' : ''}`;
+    }
+
+    /**
+     * Announces a message through the screen-reader live region. Unlike the
+     * status toast the text stays until the next announcement.
+     * @param {string} message - Message to announce
+     */
+    function announce(message) {
+        if (!announcer) return;
+
+        // Clearing first makes repeated identical messages announce again
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 50);
+    }
+
+    function getAnnouncer() {
+        let region = document.getElementById('announcer');
+        if (!region) {
+            region = document.createElement('div');
+            region.id = 'announcer';
+            region.className = 'visually-hidden';
+            region.setAttribute('role', 'status');
+            region.setAttribute('aria-live', 'polite');
+            document.body.appendChild(region);
+        }
+        return region;
+    }
+
+    function getKeyboardHelp() {
+        let help = document.getElementById('keyboardHelp');
+        if (!help) {
+            help = document.createElement('p');
+            help.id = 'keyboardHelp';
+            help.className = 'visually-hidden';
+            help.textContent = 'Arrow keys move around the board and Enter places the selected piece. ' +
+                'Use [ and ] to choose a piece, R to rotate it and F to flip it.';
+            document.body.appendChild(help);
+        }
+        return help;
+    }
+
+    function createPiecesUI() {
+        const trayHadFocus = piecesContainer.contains(document.activeElement);
+        piecesContainer.innerHTML = '';
+        piecesContainer.setAttribute('role', 'group');
+
+        const gameBoard = controller.getBoard();
+        const currentPlayerObj = gameBoard.players.find(p => p.id === gameBoard.currentPlayer);
+        if (!currentPlayerObj) return;
+
+        // Pieces are drawn in the orientation the player turned them to
+        piecesContainer.setAttribute('aria-label', `Pieces for ${currentPlayerObj.color}`);
+        currentPlayerObj.pieces.forEach(piece => {
+            const pieceElement = createPieceElement(controller.getPiece(piece.id));
+            piecesContainer.appendChild(pieceElement);
+        });
+
+        // Re-rendering replaces the elements, so keep the selection and focus
+        const selectedPiece = controller.getSelectedPiece();
+        const selectedElement = selectedPiece && piecesContainer.querySelector(`[data-piece-id="${selectedPiece.id}"]`);
+        if (selectedElement) {
+            selectedElement.classList.add('selected');
+            selectedElement.setAttribute('aria-pressed', 'true');
+            if (trayHadFocus) selectedElement.focus();
+        }
+    }
+
+    function createPieceElement(piece) {
+        const pieceDiv = document.createElement('div');
+        pieceDiv.className = `game-piece ${piece.used ? 'used' : ''}`;
+        pieceDiv.dataset.pieceId = piece.id;
+        pieceDiv.setAttribute('role', 'button');
+        pieceDiv.setAttribute('aria-pressed', 'false');
+        pieceDiv.setAttribute('aria-label', piece.used
+            ? `${piece.id}, ${piece.shape.length} squares, already placed`
+            : `${piece.id}, ${piece.shape.length} squares, ${describeOrientation(piece)}`);
+
+        if (piece.used) {
+            pieceDiv.setAttribute('aria-disabled', 'true');
+        } else {
+            pieceDiv.tabIndex = 0;
+            pieceDiv.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    selectPiece(piece.id);
+                }
+            });
+            pieceDiv.addEventListener('click', () => {
+                if (!dragJustEnded) selectPiece(piece.id);
+            });
+            pieceDiv.addEventListener('pointerdown', (e) => handlePiecePointerDown(piece.id, e));
+            pieceDiv.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                if (controller.select(piece.id)) controller.rotate();
+            });
+            pieceDiv.addEventListener('dblclick', () => {
+                if (controller.select(piece.id)) controller.flip();
+            });
+        }
+
+        // Create visual representation of the piece
+        const shape = BentoBlocks.getTransformedShape(piece);
+        
+        // Calculate grid dimensions for this piece
+        const maxX = Math.max(...shape.map(([x, y]) => x)) + 1;
+        const maxY = Math.max(...shape.map(([x, y]) => y)) + 1;
+
+        // Shrink the blocks of pieces longer than a pentomino so they fit the tray
+        const blockSize = Math.min(PIECE_BLOCK_SIZE, Math.floor(PIECE_BLOCK_SIZE * 5 / Math.max(maxX, maxY)));
+        
+        // Set grid template
+        pieceDiv.style.gridTemplateColumns = `repeat(${maxY}, ${blockSize}px)`;
+        pieceDiv.style.gridTemplateRows = `repeat(${maxX}, ${blockSize}px)`;
+
+        // Create blocks for each part of the piece
+        shape.forEach(([x, y]) => {
+            const block = document.createElement('div');
+            block.className = 'piece-block';
+            block.style.gridColumn = y + 1;
+            block.style.gridRow = x + 1;
+            if (blockSize !== PIECE_BLOCK_SIZE) {
+                block.style.width = block.style.height = `${blockSize}px`;
             }
+            pieceDiv.appendChild(block);
+        });
+
+        return pieceDiv;
+    }
+
+    function selectPiece(pieceId) {
+        debug("Selecting piece:", pieceId);
+
+        if (controller.select(pieceId)) {
+            showStatusMessage(`Selected piece: ${pieceId}`, 'info');
+        }
+    }
+
+    /**
+     * Shows the selected piece after it was picked, turned or dropped
+     * @param {Object|null} piece - Selected piece from the controller
+     */
+    function showSelection(piece) {
+        updatePiecesUI();
+        renderDragPiece();
+        refreshPlacementHints();
+
+        if (piece) {
+            debug(`Piece ${piece.id}: rotation ${piece.rotation}, flipped: ${piece.flipped}`);
+        }
+    }
+
+    /**
+     * Remembers a press on a tray piece; it becomes a drag once the pointer
+     * moves far enough, otherwise the press stays a click
+     * @param {string} pieceId - Piece ID
+     * @param {PointerEvent} e - Pointer event
+     */
+    function handlePiecePointerDown(pieceId, e) {
+        if (!e.isPrimary || e.button !== 0) return;
+        if (BentoBlocks.isGameOver(controller.getBoard()) || !controller.isLocalTurn()) return;
+
+        dragState = {
+            pieceId,
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            element: null
+        };
+    }
+
+    function handleDragMove(e) {
+        if (!dragState || e.pointerId !== dragState.pointerId) return;
+
+        if (!dragState.element) {
+            const distance = Math.hypot(e.clientX - dragState.startX, e.clientY - dragState.startY);
+            if (distance < DRAG_THRESHOLD) return;
+
+            selectPiece(dragState.pieceId);
+            dragState.element = document.createElement('div');
+            dragState.element.className = 'drag-piece';
+            document.body.appendChild(dragState.element);
+            renderDragPiece();
+        }
+
+        e.preventDefault();
+        moveDragPiece(e.clientX, e.clientY);
+
+        // Snap the ghost to the cell under the pointer
+        hoverCell = getCellAtPoint(e.clientX, e.clientY);
+        showGhost();
+    }
+
+    function handleDragEnd(e) {
+        if (!dragState || e.pointerId !== dragState.pointerId) return;
+
+        const drag = dragState;
+        dragState = null;
+        if (!drag.element) return;
+
+        // The click that follows a drag must not reselect the piece
+        dragJustEnded = true;
+        setTimeout(() => { dragJustEnded = false; }, 0);
+
+        const cell = e.type === 'pointerup' ? getCellAtPoint(e.clientX, e.clientY) : null;
+        hoverCell = null;
+        showGhost();
+
+        const gameBoard = controller.getBoard();
+        const piece = controller.getSelectedPiece();
+        if (cell && piece && BentoBlocks.canPlacePiece(gameBoard, piece, cell.row, cell.col, gameBoard.currentPlayer)) {
+            drag.element.remove();
+            controller.place(cell.row, cell.col);
+            return;
+        }
+
+        snapBack(drag);
+        if (cell) {
+            showStatusMessage("Invalid placement. The piece went back to the tray.", 'error');
+        }
+    }
+
+    /**
+     * Draws the dragged piece in its current orientation at board cell size
+     */
+    function renderDragPiece() {
+        if (!dragState || !dragState.element) return;
+
+        const piece = controller.getSelectedPiece();
+        if (!piece) return;
+
+        const firstCell = boardElement.querySelector('.board-cell');
+        const cellSize = firstCell ? firstCell.getBoundingClientRect().width || 25 : 25;
+        const element = dragState.element;
+        element.innerHTML = '';
+        element.style.setProperty('--cell-size', `${cellSize}px`);
+
+        BentoBlocks.getTransformedShape(piece).forEach(([x, y]) => {
+            const block = document.createElement('div');
+            block.className = 'piece-block';
+            block.style.gridColumn = y + 1;
+            block.style.gridRow = x + 1;
+            element.appendChild(block);
+        });
+        dragState.cellSize = cellSize;
+    }
+
+    /**
+     * Moves the dragged piece so its anchor cell is centred on the pointer,
+     * matching the cell the piece would be placed at
+     * @param {number} x - Pointer x coordinate
+     * @param {number} y - Pointer y coordinate
+     */
+    function moveDragPiece(x, y) {
+        const half = dragState.cellSize / 2;
+        dragState.element.style.transform = `translate(${x - half}px, ${y - half}px)`;
+    }
+
+    /**
+     * Animates a dropped piece back to its place in the tray
+     * @param {Object} drag - Finished drag state
+     */
+    function snapBack(drag) {
+        const trayPiece = piecesContainer.querySelector(`[data-piece-id="${drag.pieceId}"]`);
+        if (!trayPiece) {
+            drag.element.remove();
+            return;
+        }
+
+        const rect = trayPiece.getBoundingClientRect();
+        drag.element.classList.add('snapping');
+        drag.element.style.transform = `translate(${rect.left}px, ${rect.top}px)`;
+        setTimeout(() => drag.element.remove(), 250);
+    }
+
+    /**
+     * Finds the board cell under a screen position
+     * @param {number} x - Screen x coordinate
+     * @param {number} y - Screen y coordinate
+     * @returns {Object|null} { row, col } or null when not over the board
+     */
+    function getCellAtPoint(x, y) {
+        const element = document.elementFromPoint(x, y);
+        const cell = element && element.closest('.board-cell');
+        if (!cell) return null;
+
+        return { row: parseInt(cell.dataset.row), col: parseInt(cell.dataset.col) };
+    }
+
+    /**
+     * Tracks touch points and rotates the selected piece when two fingers
+     * turn by a quarter turn
+     * @param {PointerEvent} e - Pointer event
+     */
+    function handleTouchGesture(e) {
+        if (e.pointerType !== 'touch') return;
+
+        if (e.type === 'pointerup' || e.type === 'pointercancel') {
+            touchPoints.delete(e.pointerId);
+            gestureAngle = null;
+            return;
+        }
+
+        if (e.type === 'pointermove' && !touchPoints.has(e.pointerId)) return;
+        touchPoints.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (touchPoints.size !== 2 || !controller.getSelectedPiece()) return;
+
+        const [a, b] = [...touchPoints.values()];
+        const angle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+        if (gestureAngle === null) {
+            gestureAngle = angle;
+            return;
+        }
+
+        // Normalise the turn to -180..180 so crossing the axis doesn't jump
+        const turn = ((angle - gestureAngle + 540) % 360) - 180;
+        if (Math.abs(turn) >= ROTATE_GESTURE_ANGLE) {
+            controller.rotate(turn > 0 ? 1 : -1);
+            gestureAngle = angle;
+        }
+    }
+
+    function handleBoardClick(row, col) {
+        debug(`Attempting to place a piece at (${row}, ${col})`);
+        controller.place(row, col);
+    }
+
+    function handlePass() {
+        controller.pass();
+    }
+
+    /**
+     * Keeps the page in step with the game controller
+     */
+    function subscribeToController() {
+        controller.on('stateChanged', ({ board, previousBoard, cause }) => {
+            moveReport = { moves: [], blocked: [] };
+            if (cause !== 'hint') {
+                showHint(null);
+            }
+
+            // Loaded games may use another board size or other start cells
+            if (cause === 'load' || board.size !== previousBoard.size) {
+                createBoardUI();
+            }
+
+            const gameOverModal = document.getElementById('gameOverModal');
+            if (gameOverModal && !BentoBlocks.isGameOver(board)) {
+                gameOverModal.style.display = 'none';
+            }
+
+            updateBoardDisplay();
+            updateDisplay();
+            if (!controller.isRemote()) {
+                autosave();
+            }
+        });
+
+        controller.on('selectionChanged', ({ piece }) => showSelection(piece));
+
+        controller.on('hintTaken', ({ hint }) => showHint(hint));
+
+        controller.on('moveMade', ({ move }) => {
+            moveReport.moves.push(describeMove(move));
+        });
+
+        controller.on('timedOut', ({ move }) => {
+            moveReport.moves.push(describeMove(move));
+            debug(`Seat ${move.seatId} ran out of time`);
+        });
+
+        // Players the engine found without moves are skipped from now on
+        controller.on('playerBlocked', ({ playerId, board }) => {
+            moveReport.blocked.push(capitalize(board.players.find(p => p.id === playerId).color));
+        });
+
+        controller.on('turnChanged', ({ cause }) => {
+            if (cause === 'undo' || cause === 'redo') {
+                showStatusMessage(`Move ${cause === 'undo' ? 'undone' : 'redone'}. ${describeTurn()}'s turn`, 'info');
+            } else if (cause === 'move' || cause === 'remote' || cause === 'timeout') {
+                const { moves, blocked } = moveReport;
+                const blockedMessage = blocked.length > 0
+                    ? `${blocked.join(', ')} can't move and ${blocked.length > 1 ? 'are' : 'is'} out. `
+                    : '';
+                showStatusMessage(`${moves.join('')}${blockedMessage}${describeTurn()}'s turn`, 'success');
+            }
+        });
+
+        controller.on('gameOver', () => {
+            recordRatedGame();
+            showGameOverDialog();
+        });
+
+        controller.on('invalidMove', ({ reason, message, reasons }) => {
+            if (reason === 'illegalPlacement') {
+                showInvalidCells(reasons);
+            }
+            if (replay) {
+                showStatusMessage("This is a replay. Close it to play your game.", 'info');
+            } else if (reason === 'notYourTurn') {
+                showStatusMessage(`Waiting for ${describeTurn()}${controller.isBotTurn() ? ' (bot)' : ''}...`, 'info');
+            } else {
+                showStatusMessage(message, reason === 'gameOver' ? 'info' : 'error');
+            }
+            debug(`Move rejected: ${reason}`);
+        });
+
+        controller.on('moveSubmitted', ({ move }) => {
+            debug("Sent move:", BentoNotation.writeMove(move));
+        });
+    }
+
+    /**
+     * Describes a placement, pass or timeout for the status message
+     * @param {Object} move - Move record from the board's moveHistory
+     * @returns {string} Description ending in a space, or '' for other records
+     */
+    function describeMove(move) {
+        if (!move) return '';
+
+        if (move.type === BentoBlocks.MOVE_TYPES.TIMEOUT) {
+            const forfeited = move.action === BentoBlocks.TIMEOUT_ACTIONS.FORFEIT;
+            const { name } = BentoBlocks.getSeatDetails(controller.getBoard(), move.seatId);
+            return `${name} ran out of time and ${forfeited ? 'forfeits' : 'loses the turn'}. `;
+        }
+
+        const color = capitalize(controller.getBoard().players.find(p => p.id === move.playerId).color);
+        if (move.type === BentoBlocks.MOVE_TYPES.PLACE) {
+            const [row, col] = move.position;
+            return `${color} placed ${move.pieceId} at row ${row + 1}, column ${col + 1}. `;
+        }
+        if (move.type === BentoBlocks.MOVE_TYPES.PASS) {
+            return `${color} passed. `;
+        }
+        return '';
+    }
+
+    function handleUndo() {
+        if (rejectWhileOnline('Undo')) return;
+
+        // In competitive games only the player who just moved may take it back
+        if (!controller.undo()) {
+            const moves = controller.getBoard().moveHistory;
+            const afterHint = moves.length > 0 && moves[moves.length - 1].type === BentoBlocks.MOVE_TYPES.HINT;
+            showStatusMessage(afterHint ? "A hint cannot be taken back"
+                : readUndoSetting() ? "You can only undo your own last move" : "Nothing to undo", 'error');
+            return;
+        }
+        debug("Undo, moves in history:", controller.getBoard().moveHistory.length);
+    }
+
+    function handleRedo() {
+        if (rejectWhileOnline('Redo')) return;
+
+        if (!controller.redo()) {
+            showStatusMessage("Nothing to redo", 'error');
+            return;
+        }
+        debug("Redo, moves in history:", controller.getBoard().moveHistory.length);
+    }
+
+    function readStoredJSON(key, fallback) {
+        try {
+            const text = localStorage.getItem(key);
+            return text ? JSON.parse(text) : fallback;
+        } catch (error) {
+            console.error(`Failed to read ${key} from storage:`, error);
+            return fallback;
+        }
+    }
+
+    function writeStoredJSON(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.error(`Failed to write ${key} to storage:`, error);
+            return false;
+        }
+    }
+
+    function autosave() {
+        writeStoredJSON(STORAGE_KEYS.AUTOSAVE, BentoBlocks.serialize(controller.getBoard()));
+    }
+
+    /**
+     * Offers to resume the autosaved game, if it was left unfinished
+     * @returns {boolean} True if the offer was made
+     */
+    function offerResume() {
+        const saved = readStoredJSON(STORAGE_KEYS.AUTOSAVE, null);
+        if (!saved || saved.status === BentoBlocks.GAME_STATUS.FINISHED ||
+            !Array.isArray(saved.moveHistory) || saved.moveHistory.length === 0) {
+            return false;
+        }
+
+        // Keep the old game aside until the player decides, since the first
+        // move of the new game overwrites the autosave
+        bots.pause();
+        openSavesModal(saved);
+        return true;
+    }
+
+    /**
+     * Replaces the current game with a saved one
+     * @param {Object} data - Serialized game
+     * @param {string} label - Description used in messages
+     * @returns {boolean} True if the game was loaded
+     */
+    function loadSavedGame(data, label) {
+        try {
+            // Time spent while the game was saved is not charged to anyone
+            loadBoard(BentoBlocks.resumeClock(BentoBlocks.deserialize(data)), label);
+            return true;
+
+        } catch (error) {
+            console.error(`Failed to load ${label}:`, error);
+            showErrorDialog(`Could not load ${label}. The save is damaged or from an incompatible version.`);
+            return false;
+        }
+    }
+
+    /**
+     * Starts playing from a board with a fresh undo history
+     * @param {Object} board - Game board object
+     * @param {string} label - Description used in messages
+     */
+    function loadBoard(board, label) {
+        controller.load(board);
+
+        if (BentoBlocks.isGameOver(board)) {
+            showGameOverDialog();
+        } else {
+            showStatusMessage(`Loaded ${label}. ${describeTurn()}'s turn`, 'success');
+        }
+        debug(`Loaded ${label}`);
+    }
+
+    /**
+     * Shows a game as a replay, keeping the local game aside until the
+     * replay is closed. The page URL becomes a link to the replay.
+     * @param {string} record - Game record text (see BentoNotation.writeGame)
+     */
+    function startReplay(record) {
+        // Hints leave the position as it was, so they are not steps of their own
+        const positions = BentoNotation.replayGame(record).filter((board, index) =>
+            index === 0 || board.moveHistory[board.moveHistory.length - 1].type !== BentoBlocks.MOVE_TYPES.HINT);
+
+        if (replay) {
+            pauseReplay();
+        } else {
+            replay = { localHistory: controller.getHistory(), speed: 1 };
+            // Nobody can move in a replay, as if watching an online game
+            controller.setRemote({ seatId: null, submitMove() {} });
+        }
+        replay = { ...replay, record, positions, index: 0, timer: null };
+
+        window.history.replaceState(null, '', REPLAY_FRAGMENT + encodeRecord(record));
+        getReplayBar().hidden = false;
+        showReplayPosition(0);
+        debug(`Replaying ${positions.length - 1} moves`);
+    }
+
+    /**
+     * Closes the replay and returns to the local game
+     */
+    function leaveReplay() {
+        if (!replay) return;
+
+        const { localHistory } = replay;
+        pauseReplay();
+        replay = null;
+        getReplayBar().hidden = true;
+        window.history.replaceState(null, '', location.pathname + location.search);
+
+        // Time spent watching is not charged to the player to move
+        const present = BentoBlocks.resumeClock(localHistory.present);
+        controller.setRemote(null);
+        controller.load(present, { ...localHistory, present });
+        showStatusMessage(BentoBlocks.isGameOver(present)
+            ? "Back to your game"
+            : `Back to your game. ${describeTurn()}'s turn`, 'info');
+    }
+
+    /**
+     * Opens the replay in the page URL's fragment, if there is one
+     * @returns {boolean} True if a replay was opened
+     */
+    function openReplayLink() {
+        if (!location.hash.startsWith(REPLAY_FRAGMENT)) return false;
+        if (rejectWhileOnline('Replays')) return false;
+
+        try {
+            startReplay(decodeRecord(location.hash.slice(REPLAY_FRAGMENT.length)));
+            return true;
+        } catch (error) {
+            console.error("Failed to open replay link:", error);
+            window.history.replaceState(null, '', location.pathname + location.search);
+            showErrorDialog("Could not open this replay. The link is damaged or from an incompatible version.");
+            return false;
+        }
+    }
+
+    /**
+     * Shows one position of the replay
+     * @param {number} index - Position index, 0 being the start of the game
+     */
+    function showReplayPosition(index) {
+        replay.index = Math.max(0, Math.min(index, replay.positions.length - 1));
+        controller.load(replay.positions[replay.index]);
+        updateReplayBar();
+    }
+
+    /**
+     * Steps through the replay on a timer until it reaches the end,
+     * starting over if it is already there
+     */
+    function playReplay() {
+        const last = replay.positions.length - 1;
+        if (replay.index === last) {
+            showReplayPosition(0);
+        }
+
+        clearInterval(replay.timer);
+        replay.timer = setInterval(() => {
+            showReplayPosition(replay.index + 1);
+            if (replay.index === last) {
+                pauseReplay();
+            }
+        }, REPLAY_STEP_TIME / replay.speed);
+        updateReplayBar();
+    }
+
+    function pauseReplay() {
+        if (!replay || replay.timer === null) return;
+
+        clearInterval(replay.timer);
+        replay.timer = null;
+        updateReplayBar();
+    }
+
+    /**
+     * Finds the entry that led to a position: its latest one other than a
+     * blocked colour
+     * @param {Object} board - Game board object
+     * @returns {Object|null} Move record, or null at the start of the game
+     */
+    function getStepMove(board) {
+        return [...board.moveHistory].reverse().find(move => move.type !== BentoBlocks.MOVE_TYPES.BLOCKED) || null;
+    }
+
+    /**
+     * Builds the replay controls above the board
+     * @returns {HTMLElement} Replay bar element
+     */
+    function getReplayBar() {
+        let bar = document.getElementById('replayBar');
+        if (bar) return bar;
+
+        const speedOptions = REPLAY_SPEEDS
+            .map(speed => `<option value="${speed}">${speed}×</option>`).join('');
+
+        bar = document.createElement('div');
+        bar.id = 'replayBar';
+        bar.className = 'replay-bar';
+        bar.hidden = true;
+        bar.innerHTML = `
+            <button class="btn replay-back" type="button" aria-label="Previous move">&#9664;</button>
+            <button class="btn replay-play" type="button">Play</button>
+            <button class="btn replay-forward" type="button" aria-label="Next move">&#9654;</button>
+            <input class="replay-scrubber" type="range" min="0" step="1" aria-label="Move">
+            <label class="lobby-field">Speed
+                <select class="replay-speed">${speedOptions}</select>
+            </label>
+            <button class="btn replay-copy" type="button">Copy link</button>
+            <button class="btn replay-close" type="button">Close replay</button>
+            <span class="replay-position" aria-live="polite"></span>`;
+
+        bar.querySelector('.replay-back').addEventListener('click', () => {
+            pauseReplay();
+            showReplayPosition(replay.index - 1);
+        });
+        bar.querySelector('.replay-forward').addEventListener('click', () => {
+            pauseReplay();
+            showReplayPosition(replay.index + 1);
+        });
+        bar.querySelector('.replay-play').addEventListener('click', () => {
+            if (replay.timer === null) {
+                playReplay();
+            } else {
+                pauseReplay();
+            }
+        });
+        bar.querySelector('.replay-scrubber').addEventListener('input', (e) => {
+            pauseReplay();
+            showReplayPosition(parseInt(e.target.value));
+        });
+        bar.querySelector('.replay-speed').addEventListener('change', (e) => {
+            replay.speed = Number(e.target.value);
+            if (replay.timer !== null) {
+                playReplay();
+            }
+        });
+        bar.querySelector('.replay-copy').addEventListener('click', () => {
+            const link = `${location.origin}${location.pathname}${REPLAY_FRAGMENT}${encodeRecord(replay.record)}`;
+            navigator.clipboard.writeText(link)
+                .then(() => showStatusMessage("Replay link copied", 'success'))
+                .catch(() => showStatusMessage("Could not copy the link", 'error'));
+        });
+        bar.querySelector('.replay-close').addEventListener('click', leaveReplay);
+
+        boardElement.before(bar);
+        return bar;
+    }
+
+    /**
+     * Shows the replay's position, speed and play state in its controls
+     */
+    function updateReplayBar() {
+        if (!replay) return;
+
+        const bar = getReplayBar();
+        const last = replay.positions.length - 1;
+        const scrubber = bar.querySelector('.replay-scrubber');
+        scrubber.max = last;
+        scrubber.value = replay.index;
+
+        bar.querySelector('.replay-back').disabled = replay.index === 0;
+        bar.querySelector('.replay-forward').disabled = replay.index === last;
+        bar.querySelector('.replay-play').textContent = replay.timer === null ? 'Play' : 'Pause';
+        bar.querySelector('.replay-speed').value = String(replay.speed);
+
+        const move = getStepMove(replay.positions[replay.index]);
+        bar.querySelector('.replay-position').textContent = replay.index === 0
+            ? `Start of the game, ${last} moves to go`
+            : `Move ${replay.index} of ${last}: ${describeMove(move).trim()}`;
+    }
+
+    /**
+     * Encodes a game record for the URL fragment, as base64url of its UTF-8 text
+     * @param {string} record - Game record text
+     * @returns {string} Encoded record
+     */
+    function encodeRecord(record) {
+        let binary = '';
+        new TextEncoder().encode(record).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decodes a game record written by encodeRecord
+     * @param {string} encoded - Encoded record
+     * @returns {string} Game record text
+     */
+    function decodeRecord(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+
+    function getRecordModal() {
+        let modal = document.getElementById('recordModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'recordModal';
+        modal.className = 'modal';
+        modal.style.display = 'none';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Game Record</h2>
+                    <button class="modal-close" type="button" aria-label="Close">&times;</button>
+                </div>
+                <p>Copy this record to share the game, or paste a record and import it.</p>
+                <textarea class="record-text" rows="12" spellcheck="false"></textarea>
+                <div class="record-actions">
+                    <button class="btn record-copy" type="button">Copy</button>
+                    <button class="btn record-import" type="button">Import</button>
+                </div>
+            </div>`;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => {
+            modal.style.display = 'none';
+            bots.resume();
+        });
+
+        modal.querySelector('.record-copy').addEventListener('click', () => {
+            const text = modal.querySelector('.record-text').value;
+            navigator.clipboard.writeText(text)
+                .then(() => showStatusMessage("Game record copied", 'success'))
+                .catch(() => showStatusMessage("Could not copy the record", 'error'));
+        });
+
+        modal.querySelector('.record-import').addEventListener('click', () => {
+            if (rejectWhileOnline('Importing a game')) return;
+
+            try {
+                // Clocks start from the import, as for a loaded save
+                const board = BentoBlocks.resumeClock(BentoNotation.readGame(modal.querySelector('.record-text').value));
+                modal.style.display = 'none';
+                loadBoard(board, 'imported game');
+                bots.resume();
+            } catch (error) {
+                console.error("Failed to import game record:", error);
+                showStatusMessage(`Import failed: ${error.message}`, 'error');
+            }
+        });
+
+        document.body.appendChild(modal);
+        return modal;
+    }
+
+    function openRecordModal() {
+        leaveReplay();
+        bots.pause();
+
+        const modal = getRecordModal();
+        modal.querySelector('.record-text').value = BentoNotation.writeGame(controller.getBoard());
+        modal.style.display = 'block';
+    }
+
+    function saveToSlot(name) {
+        const slotName = name.trim();
+        if (!slotName) {
+            showStatusMessage("Enter a name for the save", 'error');
+            return;
+        }
+
+        const saves = readStoredJSON(STORAGE_KEYS.SAVES, {});
+        saves[slotName] = { savedAt: Date.now(), game: BentoBlocks.serialize(controller.getBoard()) };
+
+        if (writeStoredJSON(STORAGE_KEYS.SAVES, saves)) {
+            showStatusMessage(`Game saved as "${slotName}"`, 'success');
+        } else {
+            showStatusMessage("Could not save the game", 'error');
+        }
+    }
+
+    function deleteSlot(name) {
+        const saves = readStoredJSON(STORAGE_KEYS.SAVES, {});
+        delete saves[name];
+        writeStoredJSON(STORAGE_KEYS.SAVES, saves);
+    }
+
+    function getSavesModal() {
+        let modal = document.getElementById('savesModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'savesModal';
+        modal.className = 'modal';
+        modal.style.display = 'none';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Saved Games</h2>
+                    <button class="modal-close" type="button" aria-label="Close">&times;</button>
+                </div>
+                <div class="resume-section"></div>
+                <form class="save-form">
+                    <input class="save-name" type="text" placeholder="Save name" maxlength="40">
+                    <button class="btn" type="submit">Save</button>
+                </form>
+                <ul class="save-slots"></ul>
+            </div>`;
+
+        modal.querySelector('.modal-close').addEventListener('click', closeSavesModal);
+        modal.querySelector('.save-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = modal.querySelector('.save-name');
+            saveToSlot(input.value);
+            input.value = '';
+            renderSaveSlots(modal);
+        });
+
+        document.body.appendChild(modal);
+        return modal;
+    }
+
+    /**
+     * Opens the saved games dialog
+     * @param {Object} [resumable] - Autosaved game to offer for resuming
+     */
+    function openSavesModal(resumable) {
+        const modal = getSavesModal();
+        const resumeSection = modal.querySelector('.resume-section');
+        resumeSection.innerHTML = '';
+
+        if (resumable) {
+            const resumeBtn = document.createElement('button');
+            resumeBtn.className = 'btn';
+            resumeBtn.type = 'button';
+            resumeBtn.textContent = `Resume last game (${resumable.moveHistory.length} moves)`;
+            resumeBtn.addEventListener('click', () => {
+                if (loadSavedGame(resumable, 'last game')) {
+                    closeSavesModal();
+                }
+            });
+            resumeSection.appendChild(resumeBtn);
+        }
+
+        renderSaveSlots(modal);
+        modal.style.display = 'block';
+    }
+
+    function closeSavesModal() {
+        const modal = getSavesModal();
+        modal.style.display = 'none';
+        bots.resume();
+    }
+
+    function renderSaveSlots(modal) {
+        const list = modal.querySelector('.save-slots');
+        const saves = readStoredJSON(STORAGE_KEYS.SAVES, {});
+        list.innerHTML = '';
+
+        const names = Object.keys(saves).sort((a, b) => saves[b].savedAt - saves[a].savedAt);
+        if (names.length === 0) {
+            list.innerHTML = '<li class="save-slot empty">No saved games yet</li>';
+            return;
+        }
+
+        names.forEach(name => {
+            const item = document.createElement('li');
+            item.className = 'save-slot';
+
+            const label = document.createElement('span');
+            label.textContent = `${name} (${new Date(saves[name].savedAt).toLocaleString()})`;
+
+            const loadBtn = document.createElement('button');
+            loadBtn.className = 'btn';
+            loadBtn.type = 'button';
+            loadBtn.textContent = 'Load';
+            loadBtn.addEventListener('click', () => {
+                if (loadSavedGame(saves[name].game, `"${name}"`)) {
+                    closeSavesModal();
+                }
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn';
+            deleteBtn.type = 'button';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => {
+                deleteSlot(name);
+                renderSaveSlots(modal);
+            });
+
+            item.append(label, loadBtn, deleteBtn);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Builds the new game dialog, where players choose how many seats there
+     * are and each seat's name, avatar, colours and whether a bot plays it
+     * @returns {HTMLElement} Modal element
+     */
+    function getSetupModal() {
+        let modal = document.getElementById('setupModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'setupModal';
+        modal.className = 'modal';
+        modal.style.display = 'none';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>New Game</h2>
+                    <button class="modal-close" type="button" aria-label="Close">&times;</button>
+                </div>
+                <form class="setup-form">
+                    <label class="lobby-field">Players
+                        <select class="setup-count"></select>
+                    </label>
+                    <ul class="setup-seats"></ul>
+                    <p class="setup-error" role="alert"></p>
+                    <button class="btn" type="submit">Start game</button>
+                </form>
+            </div>`;
+
+        modal.querySelector('.modal-close').addEventListener('click', closeSetupModal);
+        modal.querySelector('.setup-count').addEventListener('change', (e) => {
+            renderSetupSeats(parseInt(e.target.value));
+        });
+        modal.querySelector('.setup-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            startFromSetup();
+        });
+
+        document.body.appendChild(modal);
+        return modal;
+    }
+
+    /**
+     * Opens the new game dialog. The first time it starts from the page
+     * URL's settings; after that it keeps the choices made last time.
+     */
+    function openSetupModal() {
+        const modal = getSetupModal();
+        const colourCount = BentoBlocks.createBoard({ variant: readVariantSetting() }).players.length;
+        const countSelect = modal.querySelector('.setup-count');
+        countSelect.innerHTML = '';
+        for (let count = 2; count <= colourCount; count++) {
+            countSelect.add(new Option(String(count), String(count)));
+        }
+        countSelect.value = String(Math.min(readSeatCountSetting() || colourCount, colourCount));
+
+        modal.querySelector('.setup-error').textContent = '';
+        renderSetupSeats(Number(countSelect.value), readBotSettings());
+
+        // Nothing moves in the game behind the dialog until it closes
+        bots.pause();
+        modal.style.display = 'block';
+    }
+
+    function closeSetupModal() {
+        getSetupModal().style.display = 'none';
+        bots.resume();
+    }
+
+    /**
+     * Fills the new game dialog with a row per seat, and one per shared
+     * colour. Names, avatars and bots already chosen stay with their seat;
+     * colours go back to the variant's, since the seats' colours change.
+     * @param {number} seatCount - Number of seats
+     * @param {Object} [defaultBots] - Map of seat ID to bot strategy name for seats not shown yet
+     */
+    function renderSetupSeats(seatCount, defaultBots = {}) {
+        const list = getSetupModal().querySelector('.setup-seats');
+        const chosen = readSetupSeats();
+
+        // Deal the colours the way the game will
+        const layout = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: readVariantSetting() }), seatCount);
+        const colorOf = id => layout.players.find(p => p.id === id).color;
+        list.innerHTML = '';
+
+        layout.seats.forEach((seat, index) => {
+            const previous = chosen[index] || {
+                name: '',
+                avatar: AVATARS[index % AVATARS.length],
+                bot: defaultBots[seat.id] || ''
+            };
+
+            const item = document.createElement('li');
+            item.className = 'setup-seat';
+            item.dataset.seatId = seat.id;
+
+            const heading = document.createElement('h3');
+            const avatarImage = createAvatarImage(previous.avatar);
+            heading.append(avatarImage, `Player ${seat.id}`);
+
+            const nameInput = document.createElement('input');
+            nameInput.className = 'setup-name';
+            nameInput.type = 'text';
+            nameInput.maxLength = 24;
+            nameInput.placeholder = `Player ${seat.id}`;
+            nameInput.value = previous.name;
+
+            const avatarSelect = document.createElement('select');
+            avatarSelect.className = 'setup-avatar';
+            AVATARS.forEach(avatar => avatarSelect.add(new Option(capitalize(avatar), avatar)));
+            avatarSelect.value = previous.avatar;
+            avatarSelect.addEventListener('change', () => {
+                avatarImage.src = `assets/${avatarSelect.value}.svg`;
+            });
+
+            const botSelect = createBotSelect(previous.bot);
+
+            item.append(
+                heading,
+                createSetupField('Name', nameInput),
+                createSetupField('Avatar', avatarSelect),
+                createSetupField(seat.playerIds.length > 1 ? 'Colours' : 'Colour',
+                    ...seat.playerIds.map(id => createColorSelect(id, colorOf(id)))),
+                createSetupField('Played by', botSelect)
+            );
+            list.appendChild(item);
+        });
+
+        layout.players.filter(p => p.neutral).forEach(player => {
+            const item = document.createElement('li');
+            item.className = 'setup-seat';
+            item.append(createSetupField('Shared colour', createColorSelect(player.id, player.color)));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Reads each seat's choices from the new game dialog
+     * @returns {Array} Array of { name, avatar, bot }, in seat order
+     */
+    function readSetupSeats() {
+        return [...getSetupModal().querySelectorAll('.setup-seat[data-seat-id]')].map(item => ({
+            name: item.querySelector('.setup-name').value,
+            avatar: item.querySelector('.setup-avatar').value,
+            bot: item.querySelector('.setup-bot').value
+        }));
+    }
+
+    /**
+     * Creates a labelled field for the new game dialog
+     * @param {string} text - Label text
+     * @param {...HTMLElement} controls - Inputs or selects
+     * @returns {HTMLElement} Label element
+     */
+    function createSetupField(text, ...controls) {
+        const label = document.createElement('label');
+        label.className = 'lobby-field';
+        label.append(text, ...controls);
+        return label;
+    }
+
+    /**
+     * Creates a picker for who plays a seat: a human or one of the bots
+     * @param {string} strategy - Bot strategy name to start with, '' for a human
+     * @returns {HTMLElement} Select element
+     */
+    function createBotSelect(strategy) {
+        const select = document.createElement('select');
+        select.className = 'setup-bot';
+        select.add(new Option('Human', ''));
+        BentoBots.getStrategies().forEach(name => select.add(new Option(`${capitalize(name)} bot`, name)));
+        select.value = strategy;
+        return select;
+    }
+
+    /**
+     * Creates a colour picker for one colour of the board
+     * @param {number} playerId - Player (colour) ID
+     * @param {string} color - Colour to start with
+     * @returns {HTMLElement} Select element
+     */
+    function createColorSelect(playerId, color) {
+        const select = document.createElement('select');
+        select.className = 'setup-color';
+        select.dataset.playerId = playerId;
+        select.setAttribute('aria-label', `Colour ${playerId}`);
+        COLOR_CHOICES.forEach(choice => select.add(new Option(capitalize(choice), choice)));
+        select.value = color;
+        return select;
+    }
+
+    /**
+     * Starts the game chosen in the new game dialog, or explains what is
+     * wrong with the choices
+     */
+    function startFromSetup() {
+        const modal = getSetupModal();
+        const seats = readSetupSeats();
+        const players = [];
+        const seatBots = {};
+
+        modal.querySelectorAll('.setup-color').forEach(select => {
+            const seatId = Number(select.closest('.setup-seat').dataset.seatId);
+            const seat = seatId ? seats[seatId - 1] : null;
+            players[Number(select.dataset.playerId) - 1] = {
+                name: seat && seat.name.trim() !== '' ? seat.name : null,
+                color: select.value,
+                avatar: seat ? seat.avatar : null
+            };
+        });
+        seats.forEach((seat, index) => {
+            seatBots[index + 1] = seat.bot || null;
+        });
+
+        let board;
+        try {
+            board = createGame(seats.length, seatBots, players);
+        } catch (error) {
+            modal.querySelector('.setup-error').textContent = error.message;
+            return;
+        }
+
+        controller.load(board);
+        closeSetupModal();
+        showStatusMessage(`New game started! ${describeTurn()}'s turn.`, 'success');
+        debug("New game set up");
+    }
+
+    /**
+     * Creates an image of a seat's avatar
+     * @param {string|null} avatar - Avatar name
+     * @returns {HTMLElement|string} Image element, or '' for a seat without one
+     */
+    function createAvatarImage(avatar) {
+        if (!AVATARS.includes(avatar)) return '';
+
+        const image = document.createElement('img');
+        image.className = 'player-avatar';
+        image.src = `assets/${avatar}.svg`;
+        // The seat's name is always shown next to it
+        image.alt = '';
+        return image;
+    }
+
+    /**
+     * Reads the ratings store, starting a new one if there is none yet
+     * @returns {Object} Ratings store
+     */
+    function readRatings() {
+        const data = readStoredJSON(STORAGE_KEYS.RATINGS, null);
+        if (!data) return BentoRatings.createStore();
+
+        try {
+            return BentoRatings.readStore(data);
+        } catch (error) {
+            console.error("Ignoring damaged ratings:", error);
+            return BentoRatings.createStore();
+        }
+    }
+
+    function writeRatings(store) {
+        return writeStoredJSON(STORAGE_KEYS.RATINGS, store);
+    }
+
+    /**
+     * Reads which profile plays each seat. The choice is kept between games
+     * because the same people tend to sit down again.
+     * @returns {Object} Map of seat ID to profile ID
+     */
+    function readSeatProfiles() {
+        return readStoredJSON(STORAGE_KEYS.SEAT_PROFILES, {});
+    }
+
+    /**
+     * Assigns a profile to a seat, taking it away from any other seat
+     * @param {number} seatId - Seat ID
+     * @param {string} profileId - Profile ID, or '' for an unrated seat
+     */
+    function setSeatProfile(seatId, profileId) {
+        const seatProfiles = readSeatProfiles();
+        Object.keys(seatProfiles).forEach(id => {
+            if (seatProfiles[id] === profileId) {
+                delete seatProfiles[id];
+            }
+        });
+        if (profileId) {
+            seatProfiles[seatId] = profileId;
+        } else {
+            delete seatProfiles[seatId];
+        }
+        writeStoredJSON(STORAGE_KEYS.SEAT_PROFILES, seatProfiles);
+    }
+
+    /**
+     * Identifies a game by the time of its first move, which survives saving,
+     * reloading and undo
+     * @param {Object} board - Game board object
+     * @returns {string|null} Game ID, or null before the first move
+     */
+    function getRatedGameId(board) {
+        const firstMove = board.moveHistory[0];
+        return firstMove ? `game-${firstMove.timestamp}` : null;
+    }
+
+    /**
+     * Records the finished game for every seat with a profile. A game counts
+     * once, with the result it first finished with.
+     */
+    function recordRatedGame() {
+        if (online) return;
+
+        const gameBoard = controller.getBoard();
+        const store = readRatings();
+        const gameId = getRatedGameId(gameBoard);
+        if (!gameId || BentoRatings.hasGame(store, gameId)) return;
+
+        const seatProfiles = readSeatProfiles();
+        const results = BentoBlocks.getSeatResults(gameBoard)
+            .filter(seat => BentoRatings.getProfile(store, seatProfiles[seat.id]))
+            .map(seat => ({ profileId: seatProfiles[seat.id], score: seat.score, forfeited: seat.forfeited }));
+        if (results.length < 2) return;
+
+        try {
+            writeRatings(BentoRatings.recordGame(store, results, { id: gameId, variant: gameBoard.variant.name }));
+        } catch (error) {
+            console.error("Failed to record rated game:", error);
+            showStatusMessage(`Game not rated: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Lists the rating changes from a recorded game
+     * @param {Object} store - Ratings store
+     * @param {Object} game - Game record
+     * @returns {HTMLElement} List element
+     */
+    function createRatingChangeList(store, game) {
+        const list = document.createElement('ul');
+        list.className = 'rating-changes';
+
+        game.entries.forEach(entry => {
+            const profile = BentoRatings.getProfile(store, entry.profileId);
+            const change = Math.round(entry.ratingAfter) - Math.round(entry.ratingBefore);
+            const item = document.createElement('li');
+            item.textContent = `${profile.name}: ${entry.score} points, rating ${Math.round(entry.ratingAfter)} (${change >= 0 ? '+' : ''}${change})`;
+            list.appendChild(item);
+        });
+        return list;
+    }
+
+    /**
+     * Draws a profile's rating history as a line chart
+     * @param {Array} ratingHistory - History from BentoRatings.getRatingHistory
+     * @returns {SVGElement} Chart element
+     */
+    function createRatingChart(ratingHistory) {
+        const width = 240;
+        const height = 60;
+        const ratings = ratingHistory.map(point => point.rating);
+        const min = Math.min(...ratings);
+        const range = Math.max(...ratings) - min || 1;
+        const step = width / Math.max(ratings.length - 1, 1);
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'rating-chart');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label',
+            `Rating history: ${ratings.map(rating => Math.round(rating)).join(', ')}`);
+
+        const line = document.createElementNS(svgNS, 'polyline');
+        line.setAttribute('points', ratings
+            .map((rating, i) => `${(i * step).toFixed(1)},${(height - 4 - (rating - min) / range * (height - 8)).toFixed(1)}`)
+            .join(' '));
+        svg.appendChild(line);
+        return svg;
+    }
+
+    /**
+     * Builds the post-game analysis: a short summary and charts of each
+     * colour's mobility, open corners and area turn by turn
+     * @param {Object} board - Finished game board
+     * @returns {HTMLElement} Analysis section
+     */
+    function createAnalysisSection(board) {
+        const report = BentoAnalysis.analyzeGame(board);
+        const section = document.createElement('section');
+        section.className = 'game-analysis';
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Analysis:';
+        const summary = document.createElement('ul');
+        summary.className = 'analysis-summary';
+        BentoAnalysis.summarize(report).forEach(sentence => {
+            const item = document.createElement('li');
+            item.textContent = sentence;
+            summary.appendChild(item);
+        });
+        section.append(heading, summary);
+
+        if (report.turns.length > 0) {
+            [
+                { key: 'mobility', title: 'Legal placements' },
+                { key: 'openCorners', title: 'Open corners' },
+                { key: 'area', title: 'Cells claimed' }
+            ].forEach(({ key, title }) => {
+                const figure = document.createElement('figure');
+                figure.className = 'analysis-chart';
+                const caption = document.createElement('figcaption');
+                caption.textContent = title;
+                figure.append(caption, createAnalysisChart(report, key, title));
+                section.appendChild(figure);
+            });
         }
-        console.log("Board UI created successfully");
+
+        debug("Analysis turning points:", report.turningPoints);
+        return section;
     }
 
-    function createPiecesUI() {
-        console.log("Creating pieces UI...");
-        piecesContainer.innerHTML = '';
+    /**
+     * Draws one measure from an analysis report as a line per colour, with
+     * a dot where each colour's biggest cut happened
+     * @param {Object} report - Report from BentoAnalysis.analyzeGame
+     * @param {string} key - Series to draw ('mobility', 'openCorners' or 'area')
+     * @param {string} title - Measure name for the accessible label
+     * @returns {SVGElement} Chart element
+     */
+    function createAnalysisChart(report, key, title) {
+        const width = 300;
+        const height = 100;
+        const max = Math.max(1, ...report.players.flatMap(player => player[key]));
+        const step = width / Math.max(report.turns.length, 1);
+        const x = (turn) => (turn * step).toFixed(1);
+        const y = (value) => (height - 4 - value / max * (height - 8)).toFixed(1);
 
-        const currentPlayerObj = gameBoard.players.find(p => p.id === currentPlayer);
-        if (!currentPlayerObj) return;
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'analysis-line-chart');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', `${title} by turn: ` + report.players
+            .map(player => `${capitalize(player.color)} ended on ${player[key][player[key].length - 1]}`)
+            .join(', '));
 
-        currentPlayerObj.pieces.forEach(piece => {
-            const pieceElement = createPieceElement(piece);
-            piecesContainer.appendChild(pieceElement);
+        report.players.forEach(player => {
+            const line = document.createElementNS(svgNS, 'polyline');
+            line.setAttribute('class', `color-${player.color}`);
+            line.setAttribute('points', player[key].map((value, turn) => `${x(turn)},${y(value)}`).join(' '));
+            svg.appendChild(line);
         });
 
-        console.log("Pieces UI created successfully");
+        if (key === 'mobility') {
+            report.turningPoints
+                .filter(point => point.kind === BentoAnalysis.TURNING_POINTS.BIGGEST_CUT)
+                .forEach(point => {
+                    const color = report.players.find(p => p.id === point.targetId).color;
+                    const dot = document.createElementNS(svgNS, 'circle');
+                    dot.setAttribute('class', `color-${color}`);
+                    dot.setAttribute('cx', x(point.turn));
+                    dot.setAttribute('cy', y(point.after));
+                    dot.setAttribute('r', 3);
+                    svg.appendChild(dot);
+                });
+        }
+        return svg;
     }
 
-    function createPieceElement(piece) {
-        const pieceDiv = document.createElement('div');
-        pieceDiv.className = `game-piece ${piece.used ? 'used' : ''}`;
-        pieceDiv.dataset.pieceId = piece.id;
+    function getRatingsModal() {
+        let modal = document.getElementById('ratingsModal');
+        if (modal) return modal;
 
-        if (!piece.used) {
-            pieceDiv.addEventListener('click', () => selectPiece(piece));
-            pieceDiv.addEventListener('contextmenu', (e) => {
-                e.preventDefault();
-                rotatePiece(piece);
-            });
-            pieceDiv.addEventListener('dblclick', () => flipPiece(piece));
-        }
+        modal = document.createElement('div');
+        modal.id = 'ratingsModal';
+        modal.className = 'modal';
+        modal.style.display = 'none';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Leaderboard</h2>
+                    <button class="modal-close" type="button" aria-label="Close">&times;</button>
+                </div>
+                <h3>Who is playing</h3>
+                <p>Games are rated when they finish for every seat with a profile.</p>
+                <ul class="ratings-seats"></ul>
+                <form class="save-form ratings-add">
+                    <input class="ratings-name" type="text" placeholder="New player name" maxlength="24">
+                    <button class="btn" type="submit">Add player</button>
+                </form>
+                <table class="ratings-table">
+                    <thead><tr><th>#</th><th>Player</th><th>Rating</th><th>Games</th><th>Wins</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+                <div class="ratings-profile"></div>
+                <h3>Recent games</h3>
+                <ul class="ratings-recent"></ul>
+            </div>`;
 
-        // Create visual representation of the piece
-        const shape = BentoBlocks.getTransformedShape(piece);
-        
-        // Calculate grid dimensions for this piece
-        const maxX = Math.max(...shape.map(([x, y]) => x)) + 1;
-        const maxY = Math.max(...shape.map(([x, y]) => y)) + 1;
-        
-        // Set grid template
-        pieceDiv.style.gridTemplateColumns = `repeat(${maxY}, 12px)`;
-        pieceDiv.style.gridTemplateRows = `repeat(${maxX}, 12px)`;
+        modal.querySelector('.modal-close').addEventListener('click', () => {
+            modal.style.display = 'none';
+        });
 
-        // Create blocks for each part of the piece
-        shape.forEach(([x, y]) => {
-            const block = document.createElement('div');
-            block.className = 'piece-block';
-            block.style.gridColumn = y + 1;
-            block.style.gridRow = x + 1;
-            pieceDiv.appendChild(block);
+        modal.querySelector('.ratings-add').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = modal.querySelector('.ratings-name');
+            try {
+                writeRatings(BentoRatings.addProfile(readRatings(), input.value).store);
+                input.value = '';
+                renderRatings();
+            } catch (error) {
+                showStatusMessage(error.message, 'error');
+            }
         });
 
-        return pieceDiv;
+        document.body.appendChild(modal);
+        return modal;
+    }
+
+    function openRatingsModal() {
+        renderRatings();
+        getRatingsModal().style.display = 'block';
     }
 
-    function selectPiece(piece) {
-        if (piece.used) return;
+    /**
+     * Fills the leaderboard dialog
+     * @param {string} [selectedProfileId] - Profile whose history and head-to-head record to show
+     */
+    function renderRatings(selectedProfileId) {
+        const modal = getRatingsModal();
+        const store = readRatings();
+        const seatProfiles = readSeatProfiles();
+        const profileName = id => {
+            const profile = BentoRatings.getProfile(store, id);
+            return profile ? profile.name : 'Unknown';
+        };
 
-        console.log("Selecting piece:", piece.id);
-        
-        // Remove previous selection
-        document.querySelectorAll('.game-piece.selected').forEach(el => {
-            el.classList.remove('selected');
+        // Seat assignments for the current game
+        const seatList = modal.querySelector('.ratings-seats');
+        seatList.innerHTML = '';
+        controller.getBoard().seats.forEach(seat => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'lobby-field';
+            const { name } = BentoBlocks.getSeatDetails(controller.getBoard(), seat.id);
+            label.textContent = `${name}${seat.bot ? ` (${seat.bot} bot)` : ''}`;
+
+            const select = document.createElement('select');
+            select.add(new Option('Not rated', ''));
+            store.profiles.forEach(profile => select.add(new Option(profile.name, profile.id)));
+            select.value = BentoRatings.getProfile(store, seatProfiles[seat.id]) ? seatProfiles[seat.id] : '';
+            select.addEventListener('change', () => {
+                setSeatProfile(seat.id, select.value);
+                renderRatings(selectedProfileId);
+            });
+
+            label.appendChild(select);
+            item.appendChild(label);
+            seatList.appendChild(item);
+        });
+
+        // Standings
+        const body = modal.querySelector('.ratings-table tbody');
+        body.innerHTML = '';
+        BentoRatings.getLeaderboard(store).forEach((entry, index) => {
+            const row = document.createElement('tr');
+            const nameBtn = document.createElement('button');
+            nameBtn.className = 'link-button';
+            nameBtn.type = 'button';
+            nameBtn.textContent = entry.name;
+            nameBtn.addEventListener('click', () => renderRatings(entry.id));
+
+            [String(index + 1), nameBtn, String(Math.round(entry.rating)), String(entry.games), String(entry.wins)]
+                .forEach(content => {
+                    const cell = document.createElement('td');
+                    cell.append(content);
+                    row.appendChild(cell);
+                });
+            body.appendChild(row);
         });
 
-        // Select new piece
-        selectedPiece = piece;
-        const pieceElement = document.querySelector(`[data-piece-id="${piece.id}"]`);
-        if (pieceElement) {
-            pieceElement.classList.add('selected');
+        // Rating history and head-to-head record of the chosen profile
+        const profileSection = modal.querySelector('.ratings-profile');
+        profileSection.innerHTML = '';
+        const selected = BentoRatings.getProfile(store, selectedProfileId);
+        if (selected) {
+            const heading = document.createElement('h3');
+            heading.textContent = selected.name;
+
+            const headToHead = document.createElement('ul');
+            headToHead.className = 'ratings-head-to-head';
+            BentoRatings.getHeadToHead(store, selected.id).forEach(record => {
+                const item = document.createElement('li');
+                item.textContent = `vs ${profileName(record.opponentId)}: ${record.wins} won, ${record.losses} lost, ${record.ties} tied`;
+                headToHead.appendChild(item);
+            });
+
+            profileSection.append(heading, createRatingChart(BentoRatings.getRatingHistory(store, selected.id)), headToHead);
         }
 
-        showStatusMessage(`Selected piece: ${piece.id}`, 'info');
+        // Recent games
+        const recent = modal.querySelector('.ratings-recent');
+        recent.innerHTML = '';
+        const games = BentoRatings.getRecentGames(store);
+        if (games.length === 0) {
+            recent.innerHTML = '<li class="empty">No rated games yet</li>';
+        }
+        games.forEach(game => {
+            const item = document.createElement('li');
+            const standings = [...game.entries]
+                .sort((a, b) => a.rank - b.rank)
+                .map(entry => `${profileName(entry.profileId)} ${entry.score}`)
+                .join(', ');
+            item.textContent = `${new Date(game.playedAt).toLocaleString()}: ${standings}`;
+            recent.appendChild(item);
+        });
     }
 
-    function rotatePiece(piece) {
-        if (piece.used) return;
-        
-        piece.rotation = (piece.rotation + 1) % 4;
-        updatePiecesUI();
-        console.log(`Rotated piece ${piece.id} to rotation ${piece.rotation}`);
+    function updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+
+        if (undoBtn) {
+            undoBtn.disabled = !controller.canUndo();
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !controller.canRedo();
+        }
     }
 
-    function flipPiece(piece) {
-        if (piece.used) return;
-        
-        piece.flipped = !piece.flipped;
-        updatePiecesUI();
-        console.log(`Flipped piece ${piece.id}, now flipped: ${piece.flipped}`);
+    function updateHintButton() {
+        const hintBtn = document.getElementById('hintBtn');
+        if (!hintBtn) return;
+
+        const gameBoard = controller.getBoard();
+        const seat = BentoBlocks.getCurrentSeat(gameBoard);
+        const hintsLeft = seat ? BentoBlocks.getHintsLeft(gameBoard, seat.id) : 0;
+
+        hintBtn.textContent = gameBoard.hintLimit === null ? 'Hint' : `Hint (${hintsLeft} left)`;
+        hintBtn.disabled = hintsLeft === 0 || controller.isRemote() || !controller.isLocalTurn();
     }
 
-    function handleBoardClick(row, col) {
-        if (!selectedPiece) {
-            showStatusMessage("Please select a piece first", 'error');
-            return;
-        }
+    /**
+     * Shows a hint as a ghost of the suggested piece, or clears the shown hint
+     * @param {Object|null} hint - Hint entry from the board's moveHistory, or null to clear
+     */
+    function showHint(hint) {
+        boardElement.querySelectorAll('.board-cell.hint').forEach(cell => cell.classList.remove('hint'));
+        if (!hint) return;
 
-        try {
-            console.log(`Attempting to place piece ${selectedPiece.id} at (${row}, ${col})`);
-            
-            if (BentoBlocks.canPlacePiece(gameBoard, selectedPiece, row, col, currentPlayer)) {
-                // Place the piece
-                gameBoard = BentoBlocks.placePiece(gameBoard, selectedPiece, row, col, currentPlayer);
-                
-                console.log("Piece placed successfully");
-                
-                // Update UI
-                updateBoardDisplay();
-                updatePiecesUI();
-                
-                // Clear selection
-                selectedPiece = null;
-                document.querySelectorAll('.game-piece.selected').forEach(el => {
-                    el.classList.remove('selected');
-                });
-                
-                // Switch to next player
-                currentPlayer = BentoBlocks.getNextPlayer(gameBoard, currentPlayer);
-                updateDisplay();
-                
-                // Check if game is over
-                if (BentoBlocks.isGameOver(gameBoard)) {
-                    showGameOverDialog();
-                } else {
-                    showStatusMessage(`Player ${currentPlayer}'s turn`, 'success');
-                }
-                
-            } else {
-                showStatusMessage("Invalid placement. Try a different position.", 'error');
-                console.log("Invalid piece placement");
+        const [row, col] = hint.position;
+        hint.shape.forEach(([dx, dy]) => {
+            const cell = getBoardCell(row + dx, col + dy);
+            if (cell) {
+                cell.classList.add('hint');
             }
-            
-        } catch (error) {
-            console.error("Error placing piece:", error);
-            showStatusMessage("Invalid piece placement", 'error');
-        }
+        });
+
+        const gameBoard = controller.getBoard();
+        const seat = BentoBlocks.getCurrentSeat(gameBoard);
+        const hintsLeft = BentoBlocks.getHintsLeft(gameBoard, seat.id);
+        const left = gameBoard.hintLimit === null ? '' : ` (${hintsLeft} hint${hintsLeft === 1 ? '' : 's'} left)`;
+        showStatusMessage(`Hint: try ${hint.pieceId} at row ${row + 1}, column ${col + 1}${left}`, 'info');
+    }
+
+    /**
+     * Describes whose turn it is, naming the seat and the colour it moves
+     * @param {Object} [board] - Game board object (defaults to the current game)
+     * @returns {string} Description, e.g. "Ana (shared purple)" or "Player 2 (blue)"
+     */
+    function describeTurn(board = controller.getBoard()) {
+        const seat = BentoBlocks.getCurrentSeat(board);
+        const player = board.players.find(p => p.id === board.currentPlayer);
+        if (!seat || !player) return 'Nobody';
+
+        const { name } = BentoBlocks.getSeatDetails(board, seat.id);
+        return `${name} (${player.neutral ? 'shared ' : ''}${player.color})`;
+    }
+
+    /**
+     * Escapes text for use in HTML markup
+     * @param {string} text - Text, such as a player's name
+     * @returns {string} Escaped text
+     */
+    function escapeHTML(text) {
+        return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
     }
 
     function updateBoardDisplay() {
+        const gameBoard = controller.getBoard();
         const cells = document.querySelectorAll('.board-cell');
+
+        // Replays mark the piece placed by the move just shown
+        const lastMoveCells = new Set();
+        const lastMove = replay ? gameBoard.lastMove : null;
+        if (lastMove && lastMove === getStepMove(gameBoard) && lastMove.type === BentoBlocks.MOVE_TYPES.PLACE) {
+            const [row, col] = lastMove.position;
+            lastMove.shape.forEach(([dx, dy]) => lastMoveCells.add(`${row + dx},${col + dy}`));
+        }
         
         cells.forEach((cell) => {
             const row = parseInt(cell.dataset.row);
             const col = parseInt(cell.dataset.col);
             const cellValue = gameBoard.grid[row][col];
             
-            // Remove all player classes
+            // Remove all player and colour classes
             cell.classList.remove('occupied', 'player-1', 'player-2', 'player-3', 'player-4');
+            [...cell.classList]
+                .filter(className => className.startsWith('color-'))
+                .forEach(className => cell.classList.remove(className));
             
             if (cellValue > 0) {
-                cell.classList.add('occupied', `player-${cellValue}`);
+                const player = gameBoard.players.find(p => p.id === cellValue);
+                cell.classList.add('occupied', `player-${cellValue}`, `color-${player.color}`);
             }
+            cell.classList.toggle('last-move', lastMoveCells.has(`${row},${col}`));
+            cell.setAttribute('aria-label', describeCell(row, col));
         });
     }
 
@@ -237,24 +2281,111 @@ console.log("BentoBlocks available:", typeof BentoBlocks);
     }
 
     function updateDisplay() {
-        // Update current player display
-        if (currentPlayerDisplay) {
-            currentPlayerDisplay.textContent = `Current Player: Player ${currentPlayer}`;
+        updateCurrentPlayerDisplay();
+        updateScoreDisplay();
+        updateClockTimer();
+
+        // Update pieces for current player
+        updatePiecesUI();
+        updateHistoryButtons();
+        updateHintButton();
+        refreshPlacementHints();
+    }
+
+    /**
+     * Shows whose turn it is and, in timed games, their countdown
+     */
+    function updateCurrentPlayerDisplay() {
+        if (!currentPlayerDisplay) return;
+
+        const gameBoard = controller.getBoard();
+        const seat = BentoBlocks.getCurrentSeat(gameBoard);
+        const botLabel = seat && seat.bot ? ` – ${seat.bot} bot` : '';
+        currentPlayerDisplay.textContent = seat
+            ? `Current Player: ${describeTurn()}${botLabel}`
+            : 'Game over';
+        if (seat) {
+            currentPlayerDisplay.prepend(createAvatarImage(BentoBlocks.getSeatDetails(gameBoard, seat.id).avatar));
+        }
+
+        // Game records keep no times, so replays show no clocks
+        const timeLeft = seat && !replay ? BentoBlocks.getTimeLeft(gameBoard, seat.id) : null;
+        if (timeLeft !== null) {
+            const clock = document.createElement('span');
+            clock.className = timeLeft <= LOW_TIME ? 'player-clock low' : 'player-clock';
+            clock.setAttribute('role', 'timer');
+            clock.textContent = formatClock(timeLeft);
+            currentPlayerDisplay.append(' · ', clock);
+        }
+
+        if (replay) {
+            currentPlayerDisplay.append(' · Replay');
+        }
+
+        if (online && online.session) {
+            const you = online.session.role === 'player' ? `you are Player ${online.session.seatId}` : 'watching';
+            currentPlayerDisplay.append(` · Room ${online.session.code}, ${you}`);
         }
+    }
 
-        // Update scores
-        gameBoard.players.forEach((player, index) => {
+    /**
+     * Shows one score line per seat, with the time left in timed games
+     */
+    function updateScoreDisplay() {
+        const gameBoard = controller.getBoard();
+
+        BentoBlocks.getSeatResults(gameBoard).forEach((result, index) => {
             const scoreElement = document.getElementById(`player${index + 1}Score`);
             if (scoreElement) {
-                scoreElement.textContent = `Player ${player.id}: ${player.score}`;
+                const timeLeft = replay ? null : BentoBlocks.getTimeLeft(gameBoard, result.id);
+                const clock = result.forfeited ? ' · out of time'
+                    : timeLeft === null ? '' : ` · ${formatClock(timeLeft)}`;
+                const { name, avatar } = BentoBlocks.getSeatDetails(gameBoard, result.id);
+                scoreElement.textContent = `${name}: ${result.score}${clock}`;
+                scoreElement.prepend(createAvatarImage(avatar));
             }
         });
+    }
 
-        // Update pieces for current player
-        updatePiecesUI();
+    /**
+     * Runs the countdown while a timed game is being played here, and stops
+     * it otherwise
+     */
+    function updateClockTimer() {
+        const gameBoard = controller.getBoard();
+        const running = gameBoard.timeControl !== null && !BentoBlocks.isGameOver(gameBoard) && !controller.isRemote();
+
+        if (running && clockTimer === null) {
+            clockTimer = setInterval(tickClock, CLOCK_TICK);
+        } else if (!running && clockTimer !== null) {
+            clearInterval(clockTimer);
+            clockTimer = null;
+        }
+    }
+
+    /**
+     * Redraws the countdown and ends the turn once the time is up
+     */
+    function tickClock() {
+        updateCurrentPlayerDisplay();
+        updateScoreDisplay();
+        // A timeout changes the board, which redraws everything
+        controller.timeOut();
+    }
+
+    /**
+     * Formats a clock reading, rounding up so 0:00 means the time is up
+     * @param {number} ms - Milliseconds left
+     * @returns {string} Time as m:ss
+     */
+    function formatClock(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
     }
 
     function showStatusMessage(message, type = 'info') {
+        announce(message);
+
         if (statusMessage) {
             statusMessage.textContent = message;
             statusMessage.className = `status-message ${type} show`;
@@ -271,6 +2402,7 @@ console.log("BentoBlocks available:", typeof BentoBlocks);
     function showErrorDialog(message) {
         const errorDialog = document.getElementById('errorDialog');
         const errorMessage = document.getElementById('errorMessage');
+        announce(message);
         
         if (errorDialog && errorMessage) {
             errorMessage.textContent = message;
@@ -283,17 +2415,56 @@ console.log("BentoBlocks available:", typeof BentoBlocks);
         const finalScores = document.getElementById('finalScores');
         
         if (gameOverModal && finalScores) {
+            const gameBoard = controller.getBoard();
             const winners = BentoBlocks.getWinner(gameBoard);
             
-            let scoresHTML = '<h3>Final Scores:</h3>';
-            gameBoard.players.forEach(player => {
-                const isWinner = winners.some(w => w.id === player.id);
-                scoresHTML += `<div class="player-score player-${player.id} ${isWinner ? 'winner' : ''}">
-                    Player ${player.id}: ${player.score} ${isWinner ? '👑' : ''}
+            let scoresHTML = `<h3>Final Scores (${escapeHTML(gameBoard.scoring.name)} rules):</h3>`;
+            BentoBlocks.getSeatResults(gameBoard).forEach(result => {
+                const isWinner = winners.some(w => w.id === result.id);
+                const showColours = result.breakdown.length > 1;
+                const breakdownHTML = result.breakdown
+                    .flatMap(colourBreakdown => {
+                        const color = gameBoard.players.find(p => p.id === colourBreakdown.playerId).color;
+                        return colourBreakdown.items.map(item =>
+                            `<li>${showColours ? `${escapeHTML(capitalize(color))} – ` : ''}${escapeHTML(item.label)}: ${item.points > 0 ? '+' : ''}${item.points}</li>`);
+                    })
+                    .join('');
+
+                const { name, avatar } = BentoBlocks.getSeatDetails(gameBoard, result.id);
+                const avatarHTML = AVATARS.includes(avatar) ? `<img class="player-avatar" src="assets/${avatar}.svg" alt="">` : '';
+
+                scoresHTML += `<div class="player-score player-${result.id} ${isWinner ? 'winner' : ''}">
+                    ${avatarHTML}${escapeHTML(name)}: ${result.score} ${isWinner ? '👑' : ''}${result.forfeited ? ' (out of time)' : ''}
+                    <ul class="score-breakdown">${breakdownHTML}</ul>
                 </div>`;
             });
             
             finalScores.innerHTML = scoresHTML;
+
+            // Rating changes, when this game was rated
+            const store = readRatings();
+            const gameId = getRatedGameId(gameBoard);
+            const ratedGame = store.games.find(game => game.id === gameId);
+            if (ratedGame) {
+                const heading = document.createElement('h3');
+                heading.textContent = 'Ratings:';
+                finalScores.append(heading, createRatingChangeList(store, ratedGame));
+            }
+
+            finalScores.appendChild(createAnalysisSection(gameBoard));
+
+            if (!online) {
+                const replayButton = document.createElement('button');
+                replayButton.className = 'btn';
+                replayButton.type = 'button';
+                replayButton.textContent = 'Watch replay';
+                replayButton.addEventListener('click', () => {
+                    gameOverModal.style.display = 'none';
+                    startReplay(BentoNotation.writeGame(gameBoard));
+                });
+                finalScores.appendChild(replayButton);
+            }
+
             gameOverModal.style.display = 'block';
         }
     }
@@ -305,12 +2476,383 @@ console.log("BentoBlocks available:", typeof BentoBlocks);
         }
     }
 
+    /**
+     * Tells the player a local-only feature is off during an online game
+     * @param {string} feature - Feature name for the message
+     * @returns {boolean} True if an online game is running
+     */
+    function rejectWhileOnline(feature) {
+        if (!online) return false;
+
+        showStatusMessage(`${feature} is not available in online games`, 'error');
+        return true;
+    }
+
+    /**
+     * Connects to the game server, keeping the local game aside until the
+     * player leaves the online game
+     * @param {Object} [session] - Stored session to rejoin
+     */
+    function connectOnline(session) {
+        if (online) return;
+
+        leaveReplay();
+        const current = {
+            session: null,
+            room: null,
+            localBoard: controller.getBoard(),
+            localHistory: controller.getHistory(),
+            connection: null
+        };
+        online = current;
+
+        // Events from a connection the player has since left are ignored
+        const whileCurrent = (handler) => (...args) => {
+            if (online === current) handler(...args);
+        };
+
+        // The server checks every move again and sends back the new board
+        const submitMove = (move) => current.connection.sendMove(BentoNotation.writeMove(move));
+        controller.setRemote({ seatId: null, submitMove });
+
+        current.connection = BentoOnline.connect({
+            session,
+            onJoined: whileCurrent((joined) => {
+                current.session = joined;
+                controller.setRemote({ seatId: joined.role === 'player' ? joined.seatId : null, submitMove });
+                writeOnlineSession(joined);
+                showStatusMessage(joined.role === 'player'
+                    ? `Joined room ${joined.code} as Player ${joined.seatId}`
+                    : `Watching room ${joined.code}`, 'success');
+                renderLobby();
+            }),
+            onBoard: whileCurrent(showOnlineBoard),
+            onRoom: whileCurrent((room) => {
+                current.room = room;
+                renderLobby();
+            }),
+            onError: whileCurrent((message) => {
+                // A stored session can outlive its room on the server
+                if (!current.session) {
+                    writeOnlineSession(null);
+                }
+                showStatusMessage(message, 'error');
+            }),
+            onStatus: whileCurrent((status) => {
+                if (status === 'disconnected' && current.session) {
+                    showStatusMessage("Connection lost. Reconnecting...", 'error');
+                }
+            })
+        });
+    }
+
+    /**
+     * Shows a board received from the server
+     * @param {Object} board - Game board object
+     * @param {Object|null} previousBoard - Board before the change, or null for a new connection
+     */
+    function showOnlineBoard(board, previousBoard) {
+        if (previousBoard) {
+            controller.receiveBoard(board);
+            return;
+        }
+
+        controller.load(board);
+        if (BentoBlocks.isGameOver(board)) {
+            showGameOverDialog();
+        }
+    }
+
+    /**
+     * Leaves the online game and returns to the local one
+     */
+    function leaveOnline() {
+        if (!online) return;
+
+        const { localBoard, localHistory } = online;
+        online.connection.leave();
+        online.connection.close();
+        online = null;
+        writeOnlineSession(null);
+
+        controller.setRemote(null);
+        controller.load(localBoard, localHistory);
+        renderLobby();
+        showStatusMessage(`Back to your local game. ${describeTurn()}'s turn`, 'info');
+    }
+
+    /**
+     * Rejoins the online game this tab was in before a reload
+     * @returns {boolean} True if there was a session to rejoin
+     */
+    function resumeOnlineSession() {
+        const session = readOnlineSession();
+        if (!session) return false;
+
+        connectOnline(session);
+        return true;
+    }
+
+    // Sessions live in sessionStorage so each tab can hold its own seat
+    function readOnlineSession() {
+        try {
+            const text = sessionStorage.getItem(STORAGE_KEYS.ONLINE_SESSION);
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function writeOnlineSession(session) {
+        try {
+            if (session) {
+                sessionStorage.setItem(STORAGE_KEYS.ONLINE_SESSION, JSON.stringify(session));
+            } else {
+                sessionStorage.removeItem(STORAGE_KEYS.ONLINE_SESSION);
+            }
+        } catch (error) {
+            console.error("Failed to store the online session:", error);
+        }
+    }
+
+    function getLobbyModal() {
+        let modal = document.getElementById('lobbyModal');
+        if (modal) return modal;
+
+        const variantOptions = BentoBlocks.getVariants()
+            .map(name => `<option value="${name}">${capitalize(name)}</option>`).join('');
+        const scoringOptions = BentoBlocks.getScoringRules()
+            .map(name => `<option value="${name}">${capitalize(name)}</option>`).join('');
+
+        modal = document.createElement('div');
+        modal.id = 'lobbyModal';
+        modal.className = 'modal';
+        modal.style.display = 'none';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Online Game</h2>
+                    <button class="modal-close" type="button" aria-label="Close">&times;</button>
+                </div>
+                <div class="lobby-setup">
+                    <label class="lobby-field">Your name
+                        <input class="lobby-name" type="text" maxlength="24">
+                    </label>
+                    <form class="lobby-form lobby-create">
+                        <h3>New room</h3>
+                        <label class="lobby-field">Board
+                            <select class="lobby-variant">${variantOptions}</select>
+                        </label>
+                        <label class="lobby-field">Players
+                            <select class="lobby-players">
+                                <option value="">One per colour</option>
+                                <option value="2">2</option>
+                                <option value="3">3</option>
+                            </select>
+                        </label>
+                        <label class="lobby-field">Scoring
+                            <select class="lobby-scoring">${scoringOptions}</select>
+                        </label>
+                        <button class="btn" type="submit">Create room</button>
+                    </form>
+                    <form class="lobby-form lobby-join">
+                        <h3>Join a room</h3>
+                        <label class="lobby-field">Room code
+                            <input class="lobby-code" type="text" maxlength="5" autocomplete="off">
+                        </label>
+                        <button class="btn" type="submit">Join</button>
+                        <button class="btn lobby-watch" type="button">Watch</button>
+                    </form>
+                </div>
+                <div class="lobby-room">
+                    <p class="lobby-room-code"></p>
+                    <ul class="lobby-seats"></ul>
+                    <button class="btn lobby-leave" type="button">Leave room</button>
+                </div>
+            </div>`;
+
+        const nameInput = modal.querySelector('.lobby-name');
+        const codeInput = modal.querySelector('.lobby-code');
+
+        modal.querySelector('.modal-close').addEventListener('click', () => {
+            modal.style.display = 'none';
+        });
+
+        modal.querySelector('.lobby-create').addEventListener('submit', (e) => {
+            e.preventDefault();
+            connectOnline();
+            const players = modal.querySelector('.lobby-players').value;
+            online.connection.createRoom({
+                variant: modal.querySelector('.lobby-variant').value,
+                scoring: modal.querySelector('.lobby-scoring').value,
+                players: players ? parseInt(players) : undefined
+            }, nameInput.value.trim());
+        });
+
+        const join = (role) => {
+            const code = codeInput.value.trim().toUpperCase();
+            if (!code) {
+                showStatusMessage("Enter a room code", 'error');
+                return;
+            }
+            connectOnline();
+            online.connection.joinRoom(code, role, nameInput.value.trim());
+        };
+        modal.querySelector('.lobby-join').addEventListener('submit', (e) => {
+            e.preventDefault();
+            join('player');
+        });
+        modal.querySelector('.lobby-watch').addEventListener('click', () => join('spectator'));
+        modal.querySelector('.lobby-leave').addEventListener('click', leaveOnline);
+
+        document.body.appendChild(modal);
+        return modal;
+    }
+
+    function openLobby() {
+        renderLobby();
+        getLobbyModal().style.display = 'block';
+    }
+
+    /**
+     * Shows either the create/join forms or the current room's seats
+     */
+    function renderLobby() {
+        const modal = document.getElementById('lobbyModal');
+        if (!modal) return;
+
+        const inRoom = Boolean(online && online.session);
+        modal.querySelector('.lobby-setup').style.display = inRoom ? 'none' : 'block';
+        modal.querySelector('.lobby-room').style.display = inRoom ? 'block' : 'none';
+        if (!inRoom) return;
+
+        modal.querySelector('.lobby-room-code').textContent =
+            `Room code: ${online.session.code}. Share it so others can join or watch.`;
+
+        const list = modal.querySelector('.lobby-seats');
+        list.innerHTML = '';
+        if (!online.room) return;
+
+        online.room.seats.forEach(seat => {
+            const item = document.createElement('li');
+            const who = seat.taken ? (seat.name || 'Taken') : 'Open';
+            const you = seat.id === online.session.seatId ? ' (you)' : '';
+            const away = seat.taken && !seat.connected ? ', reconnecting' : '';
+            item.textContent = `Player ${seat.id}: ${who}${you}${away}`;
+            list.appendChild(item);
+        });
+
+        const spectators = document.createElement('li');
+        spectators.textContent = `Spectators: ${online.room.spectators}`;
+        list.appendChild(spectators);
+    }
+
+    /**
+     * Builds the bots dialog, where seats are handed to bots or back to
+     * humans during a game
+     * @returns {HTMLElement} Modal element
+     */
+    function getBotsModal() {
+        let modal = document.getElementById('botsModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'botsModal';
+        modal.className = 'modal';
+        modal.style.display = 'none';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Bots</h2>
+                    <button class="modal-close" type="button" aria-label="Close">&times;</button>
+                </div>
+                <p>Changes apply straight away, so a bot can take over a seat mid-game.</p>
+                <ul class="setup-seats bots-seats"></ul>
+            </div>`;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => {
+            modal.style.display = 'none';
+        });
+
+        document.body.appendChild(modal);
+        return modal;
+    }
+
+    /**
+     * Fills the bots dialog with a picker per seat of the current game
+     */
+    function renderBotsModal() {
+        const board = controller.getBoard();
+        const list = getBotsModal().querySelector('.bots-seats');
+        list.innerHTML = '';
+
+        board.seats.forEach(seat => {
+            const { name, avatar } = BentoBlocks.getSeatDetails(board, seat.id);
+            const item = document.createElement('li');
+            item.className = 'setup-seat';
+
+            const heading = document.createElement('h3');
+            heading.append(createAvatarImage(avatar), name);
+
+            const botSelect = createBotSelect(seat.bot || '');
+            botSelect.addEventListener('change', () => {
+                const strategy = botSelect.value || null;
+                controller.setBots({ [seat.id]: strategy });
+                showStatusMessage(`${name} is now played by ${strategy ? `the ${strategy} bot` : 'a human'}`, 'info');
+            });
+
+            item.append(heading, createSetupField('Played by', botSelect));
+            list.appendChild(item);
+        });
+    }
+
+    function openBotsModal() {
+        renderBotsModal();
+        getBotsModal().style.display = 'block';
+    }
+
+    /**
+     * Finds a header control button, creating it in .game-controls if the
+     * page does not provide one
+     * @param {string} id - Button element ID
+     * @param {string} label - Button text
+     * @returns {HTMLElement|null} Button element
+     */
+    function getControlButton(id, label) {
+        let button = document.getElementById(id);
+        if (button) return button;
+
+        const controls = document.querySelector('.game-controls');
+        if (!controls) return null;
+
+        button = document.createElement('button');
+        button.id = id;
+        button.className = 'btn';
+        button.type = 'button';
+        button.textContent = label;
+        controls.appendChild(button);
+        return button;
+    }
+
     function addEventListeners() {
         // New game button
-        const newGameBtn = document.getElementById('newGameBtn');
+        const newGameBtn = getControlButton('newGameBtn', 'New Game');
         if (newGameBtn) {
             newGameBtn.addEventListener('click', () => {
-                location.reload();
+                if (rejectWhileOnline('Setting up a new game')) return;
+
+                leaveReplay();
+                openSetupModal();
+            });
+        }
+
+        // Bots, which can take over or hand back seats during a game
+        const botsBtn = getControlButton('botsBtn', 'Bots');
+        if (botsBtn) {
+            botsBtn.addEventListener('click', () => {
+                if (rejectWhileOnline('Changing bots') || replay) return;
+
+                openBotsModal();
             });
         }
 
@@ -322,6 +2864,130 @@ console.log("BentoBlocks available:", typeof BentoBlocks);
             });
         }
 
+        // Pass button
+        const passBtn = getControlButton('passBtn', 'Pass');
+        if (passBtn) {
+            passBtn.addEventListener('click', handlePass);
+        }
+
+        // Undo/redo buttons and shortcuts
+        const undoBtn = getControlButton('undoBtn', 'Undo');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', handleUndo);
+        }
+
+        const redoBtn = getControlButton('redoBtn', 'Redo');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', handleRedo);
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                handleUndo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                handleRedo();
+            }
+        });
+        updateHistoryButtons();
+
+        // Placement preview
+        boardElement.addEventListener('mouseleave', () => {
+            hoverCell = null;
+            showGhost();
+        });
+
+        // Dragging pieces and touch gestures
+        document.addEventListener('pointerdown', handleTouchGesture);
+        document.addEventListener('pointermove', (e) => {
+            handleTouchGesture(e);
+            handleDragMove(e);
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            document.addEventListener(type, (e) => {
+                handleTouchGesture(e);
+                handleDragEnd(e);
+            });
+        });
+
+        const flipBtn = getControlButton('flipBtn', 'Flip');
+        if (flipBtn) {
+            flipBtn.addEventListener('click', () => {
+                if (!controller.flip()) {
+                    showStatusMessage("Please select a piece first", 'error');
+                }
+            });
+        }
+
+        // Keyboard play
+        boardElement.addEventListener('keydown', handleBoardKeydown);
+        boardElement.addEventListener('focusout', (e) => {
+            if (!boardElement.contains(e.relatedTarget)) {
+                hoverCell = null;
+                showGhost();
+            }
+        });
+        document.addEventListener('keydown', handlePieceKeydown);
+
+        // Hints
+        const hintBtn = getControlButton('hintBtn', 'Hint');
+        if (hintBtn) {
+            hintBtn.addEventListener('click', () => controller.hint());
+        }
+        updateHintButton();
+
+        // Legal placement highlighting
+        const highlightBtn = getControlButton('highlightBtn', 'Show Moves');
+        if (highlightBtn) {
+            highlightBtn.setAttribute('aria-pressed', 'false');
+            highlightBtn.addEventListener('click', toggleLegalAnchors);
+        }
+
+        // Saved games
+        const savesBtn = getControlButton('savesBtn', 'Saves');
+        if (savesBtn) {
+            savesBtn.addEventListener('click', () => {
+                if (rejectWhileOnline('Saving and loading')) return;
+
+                leaveReplay();
+                bots.pause();
+                openSavesModal();
+            });
+        }
+
+        // Online play
+        const onlineBtn = getControlButton('onlineBtn', 'Online');
+        if (onlineBtn) {
+            onlineBtn.addEventListener('click', openLobby);
+        }
+
+        // Ratings and leaderboard
+        const ratingsBtn = getControlButton('ratingsBtn', 'Leaderboard');
+        if (ratingsBtn) {
+            ratingsBtn.addEventListener('click', openRatingsModal);
+        }
+
+        // Replays, of this game or from a link
+        const replayBtn = getControlButton('replayBtn', 'Replay');
+        if (replayBtn) {
+            replayBtn.addEventListener('click', () => {
+                if (rejectWhileOnline('Replays') || replay) return;
+
+                startReplay(BentoNotation.writeGame(controller.getBoard()));
+            });
+        }
+        window.addEventListener('hashchange', openReplayLink);
+
+        // Game record export/import
+        const recordBtn = getControlButton('recordBtn', 'Record');
+        if (recordBtn) {
+            recordBtn.addEventListener('click', openRecordModal);
+        }
+
         // Help button
         const helpButton = document.getElementById('helpButton');
         const helpModal = document.getElementById('helpModal');
@@ -362,18 +3028,16 @@ console.log("BentoBlocks available:", typeof BentoBlocks);
         
         if (newGameButton) {
             newGameButton.addEventListener('click', () => {
-                location.reload();
+                if (rejectWhileOnline('Setting up a new game')) return;
+
+                if (gameOverModal) {
+                    gameOverModal.style.display = 'none';
+                }
+                leaveReplay();
+                openSetupModal();
             });
         }
     }
 
-    // Expose some functions globally for debugging
-    window.BentoGame = {
-        gameBoard: () => gameBoard,
-        selectedPiece: () => selectedPiece,
-        currentPlayer: () => currentPlayer
-    };
-
-    console.log("Main.js loaded successfully");
 
 })();
\ No newline at end of file
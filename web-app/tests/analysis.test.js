@@ -0,0 +1,118 @@
+/**
+ * analysis.test.js - Post-game reports replayed from a short Duo opening
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { BentoBlocks, BentoNotation, BentoAnalysis } from '../Module.js';
+
+const RECORD = fs.readFileSync(new URL('./fixtures/records/duo-opening.txt', import.meta.url), 'utf8');
+
+BentoBlocks.registerPieceSet('analysis-bars', {
+    'I1': [[0, 0]],
+    'I2': [[0, 0], [1, 0]]
+});
+
+/**
+ * Plays out a Duo game with two pieces a colour: purple is blocked after
+ * the third turn and orange after the fourth
+ * @returns {Object} Game board object
+ */
+function playBars() {
+    let board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo', pieceSet: 'analysis-bars' }));
+    ['I2', 'I1', 'I1', 'I2'].forEach(pieceId => {
+        const move = BentoBlocks.getLegalMoves(board, board.currentPlayer).find(m => m.pieceId === pieceId);
+        board = BentoBlocks.placePiece(board, move.piece, move.row, move.col, board.currentPlayer);
+    });
+    return board;
+}
+
+describe('BentoAnalysis', function() {
+    describe('analyzeGame', function() {
+        it('lists placements and passes as turns and skips the hint', function() {
+            const report = BentoAnalysis.analyzeGame(BentoNotation.readGame(RECORD));
+
+            assert.deepEqual(report.turns.map(turn => [turn.turn, turn.playerId, turn.type, turn.pieceId]), [
+                [1, 1, 'place', 'I5'],
+                [2, 2, 'place', 'F5'],
+                [3, 1, 'place', 'L4'],
+                [4, 2, 'pass', null],
+                [5, 1, 'place', 'T5'],
+                [6, 2, 'place', 'X5'],
+                [7, 1, 'place', 'V5']
+            ]);
+        });
+
+        it('measures every colour before the first turn and after each one', function() {
+            const report = BentoAnalysis.analyzeGame(BentoNotation.readGame(RECORD));
+            const positions = BentoNotation.replayGame(RECORD)
+                .filter(position => position.moveHistory.at(-1)?.type !== BentoBlocks.MOVE_TYPES.HINT);
+
+            report.players.forEach(player => {
+                assert.deepEqual(player.mobility,
+                    positions.map(position => BentoBlocks.getLegalMoves(position, player.id).length));
+                assert.deepEqual(player.openCorners,
+                    positions.map(position => BentoBlocks.getOpenCorners(position, player.id).length));
+                assert.equal(player.blockedAtTurn, null);
+            });
+            assert.deepEqual(report.players.map(player => player.area),
+                [[0, 5, 5, 9, 9, 14, 14, 19], [0, 0, 5, 5, 5, 5, 10, 10]]);
+        });
+
+        it('flags the biggest cut by the other seat and the turn the lead was taken for good', function() {
+            const report = BentoAnalysis.analyzeGame(BentoNotation.readGame(RECORD));
+            const [purple, orange] = report.players;
+            const { DECISIVE_LEAD, BIGGEST_CUT } = BentoAnalysis.TURNING_POINTS;
+
+            assert.deepEqual(report.turningPoints, [
+                { kind: DECISIVE_LEAD, turn: 3, playerId: 1, targetId: 2, before: 0, after: 4 },
+                { kind: BIGGEST_CUT, turn: 6, playerId: 2, targetId: 1, before: purple.mobility[5], after: purple.mobility[6] },
+                { kind: BIGGEST_CUT, turn: 7, playerId: 1, targetId: 2, before: orange.mobility[6], after: orange.mobility[7] }
+            ]);
+            assert.ok(purple.mobility[6] < purple.mobility[5] && orange.mobility[7] < orange.mobility[6]);
+        });
+
+        it('marks the turn after which a colour had no moves left', function() {
+            const report = BentoAnalysis.analyzeGame(playBars());
+            const [purple, orange] = report.players;
+
+            assert.deepEqual(report.players.map(player => player.blockedAtTurn), [3, 4]);
+            assert.equal(purple.mobility[3], 0);
+            assert.deepEqual(report.turningPoints.filter(point => point.kind === BentoAnalysis.TURNING_POINTS.BLOCKED), [
+                { kind: 'blocked', turn: 3, playerId: 1, targetId: 1, before: purple.mobility[2], after: 0 },
+                { kind: 'blocked', turn: 4, playerId: 2, targetId: 2, before: orange.mobility[3], after: 0 }
+            ]);
+        });
+
+        it('leaves the board it is given as it was', function() {
+            const board = BentoNotation.readGame(RECORD);
+            const saved = BentoBlocks.serialize(board);
+            BentoAnalysis.analyzeGame(board);
+            assert.deepEqual(BentoBlocks.serialize(board), saved);
+        });
+    });
+
+    describe('summarize', function() {
+        it('describes the biggest swing, the most mobile colour and the lead', function() {
+            const report = BentoAnalysis.analyzeGame(BentoNotation.readGame(RECORD));
+            const orange = report.players[1];
+            const average = Math.round(orange.mobility.reduce((sum, value) => sum + value, 0) / orange.mobility.length);
+
+            assert.deepEqual(BentoAnalysis.summarize(report), [
+                `The biggest swing came on turn 7, when Purple's V5 cut Orange's options from ${orange.mobility[6]} ` +
+                    `to ${orange.mobility[7]}.`,
+                `Orange kept the most options open, averaging ${average} legal placements a turn.`,
+                'Purple pulled ahead of Orange in area on turn 3 and kept the lead from there.'
+            ]);
+        });
+
+        it('says who ran out of moves first', function() {
+            assert.ok(BentoAnalysis.summarize(BentoAnalysis.analyzeGame(playBars()))
+                .includes('Purple ran out of moves first, after turn 3.'));
+        });
+
+        it('has one sentence for a game with no moves', function() {
+            const board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }));
+            assert.deepEqual(BentoAnalysis.summarize(BentoAnalysis.analyzeGame(board)), ['No moves were played.']);
+        });
+    });
+});
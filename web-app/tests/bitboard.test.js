@@ -0,0 +1,139 @@
+/**
+ * bitboard.test.js - The bitboard rules against a brute-force search
+ *
+ * getLegalMoves and canPlacePiece work on per-colour occupancy bitsets. Here
+ * they are checked against validatePlacement, which reads the grid cell by
+ * cell, for every orientation of every unused piece at every anchor of the
+ * board, at several points of a game. The 32-wide board uses the sign bit of
+ * each row's bitset.
+ */
+import assert from 'node:assert/strict';
+import { BentoBlocks } from '../Module.js';
+
+const VARIANTS = [
+    'classic',
+    'duo',
+    { name: 'wide', boardSize: 32, playerCount: 2, colors: ['red', 'blue'], startCells: null }
+];
+
+// Placements played between checks
+const CHECKPOINTS = [0, 4, 12, 24];
+
+/**
+ * Describes a placement so moves found by different searches can be compared
+ * @param {string} pieceId - Piece ID
+ * @param {Array} shape - Transformed shape coordinates
+ * @param {number} row - Anchor row
+ * @param {number} col - Anchor column
+ * @returns {string} Placement key
+ */
+function placementKey(pieceId, shape, row, col) {
+    const cells = shape.map(([dx, dy]) => `${row + dx},${col + dy}`).sort().join(';');
+    return `${pieceId}@${cells}`;
+}
+
+/**
+ * Finds the current player's legal placements by asking validatePlacement
+ * about every orientation at every anchor, checking that canPlacePiece
+ * agrees each time
+ * @param {Object} board - Game board object
+ * @returns {Array} Sorted placement keys
+ */
+function bruteForceMoves(board) {
+    const playerId = board.currentPlayer;
+    const player = board.players.find(p => p.id === playerId);
+    const keys = [];
+
+    player.pieces.filter(piece => !piece.used).forEach(piece => {
+        BentoBlocks.getOrientations(piece).forEach(({ rotation, flipped, shape }) => {
+            const oriented = { ...piece, rotation, flipped };
+            for (let row = 0; row < board.size; row++) {
+                for (let col = 0; col < board.size; col++) {
+                    const { valid } = BentoBlocks.validatePlacement(board, oriented, row, col, playerId);
+                    assert.equal(BentoBlocks.canPlacePiece(board, oriented, row, col, playerId), valid,
+                        `canPlacePiece disagrees for ${piece.id} r${rotation}${flipped ? ' f' : ''} at ${row},${col}`);
+                    if (valid) {
+                        keys.push(placementKey(piece.id, shape, row, col));
+                    }
+                }
+            }
+        });
+    });
+
+    return keys.sort();
+}
+
+/**
+ * Lists the current player's legal placements as found by getLegalMoves
+ * @param {Object} board - Game board object
+ * @returns {Array} Sorted placement keys
+ */
+function legalMoveKeys(board) {
+    return BentoBlocks.getLegalMoves(board, board.currentPlayer)
+        .map(move => placementKey(move.pieceId, move.shape, move.row, move.col))
+        .sort();
+}
+
+/**
+ * Picks a legal move spread over the list, so games do not all cluster in
+ * one corner
+ * @param {Array} moves - Legal moves
+ * @param {number} turn - Number of placements so far
+ * @returns {Object} One of the moves
+ */
+function pickMove(moves, turn) {
+    return moves[(turn * 7919 + 13) % moves.length];
+}
+
+describe('bitboard rules', function() {
+    this.timeout(60000);
+
+    VARIANTS.forEach(variant => {
+        const name = typeof variant === 'string' ? variant : `${variant.boardSize}x${variant.boardSize}`;
+
+        it(`find the same moves as a brute-force search on ${name}`, function() {
+            let board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant }));
+            let placements = 0;
+
+            while (!BentoBlocks.isGameOver(board) && placements <= CHECKPOINTS[CHECKPOINTS.length - 1]) {
+                const moves = BentoBlocks.getLegalMoves(board, board.currentPlayer);
+
+                if (CHECKPOINTS.includes(placements)) {
+                    const found = legalMoveKeys(board);
+                    assert.equal(new Set(found).size, found.length, `getLegalMoves repeats a move after ${placements} placements`);
+                    assert.deepEqual(found, bruteForceMoves(board), `moves differ after ${placements} placements`);
+                }
+
+                const move = pickMove(moves, placements);
+                board = BentoBlocks.placePiece(board, move.piece, move.row, move.col, board.currentPlayer);
+                placements++;
+            }
+
+            assert.ok(placements > CHECKPOINTS[CHECKPOINTS.length - 1], 'the game ended before the last check');
+        });
+    });
+
+    it('keep the bitsets updated by each placement equal to a fresh scan of the grid', function() {
+        let board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: VARIANTS[2] }));
+
+        for (let turn = 0; turn < 30 && !BentoBlocks.isGameOver(board); turn++) {
+            const move = pickMove(BentoBlocks.getLegalMoves(board, board.currentPlayer), turn);
+            board = BentoBlocks.placePiece(board, move.piece, move.row, move.col, board.currentPlayer);
+
+            // A copied grid has no cached bitboard, so its bitsets are built from scratch
+            const rescanned = { ...board, grid: board.grid.map(row => [...row]) };
+            assert.deepEqual(legalMoveKeys(rescanned), legalMoveKeys(board));
+        }
+    });
+
+    it('give each board a grid of its own that can be written to as before', function() {
+        const start = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }));
+        const move = BentoBlocks.getLegalMoves(start, 1)[0];
+        const board = BentoBlocks.placePiece(start, move.piece, move.row, move.col, 1);
+
+        board.grid.forEach((cells, row) => assert.notEqual(cells, start.grid[row]));
+        board.grid[0][0] = 2;
+        assert.equal(start.grid[0][0], 0);
+        assert.deepEqual(BentoBlocks.serialize(start).grid, BentoBlocks.serialize(BentoBlocks.createBoard({ variant: 'duo' })).grid);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * bots.test.js - Computer opponent strategies
+ */
+import assert from 'node:assert/strict';
+import { BentoBlocks, BentoBots } from '../Module.js';
+
+/**
+ * Plays the first legal move of the player to move
+ * @param {Object} board - Game board object
+ * @returns {Object} Updated board object
+ */
+function playFirstMove(board) {
+    const move = BentoBlocks.getLegalMoves(board, board.currentPlayer)[0];
+    return BentoBlocks.placePiece(board, move.piece, move.row, move.col, board.currentPlayer);
+}
+
+/**
+ * Creates a Duo game a few moves in, so the bots have choices to make
+ * @returns {Object} Game board object
+ */
+function createMidGame() {
+    let board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }));
+    for (let turn = 0; turn < 6; turn++) {
+        board = playFirstMove(board);
+    }
+    return board;
+}
+
+/**
+ * Checks that a move is one of the player's legal moves
+ * @param {Object} board - Game board object
+ * @param {Object} move - Move chosen by a bot
+ */
+function assertLegal(board, move) {
+    const piece = { ...move.piece, rotation: move.rotation, flipped: move.flipped };
+    assert.ok(BentoBlocks.canPlacePiece(board, piece, move.row, move.col, board.currentPlayer),
+        `${move.pieceId} at ${move.row},${move.col} is not legal`);
+}
+
+describe('BentoBots', function() {
+    it('lists its strategies and knows only those', function() {
+        assert.deepEqual(BentoBots.getStrategies(), ['random', 'greedy', 'lookahead']);
+        assert.ok(BentoBots.isStrategy('greedy'));
+        assert.equal(BentoBots.isStrategy('nonsense'), false);
+        assert.equal(BentoBots.isStrategy('toString'), false);
+        assert.throws(() => BentoBots.chooseMove(createMidGame(), 1, 'nonsense'), /Unknown bot strategy: nonsense/);
+    });
+
+    describe('random', function() {
+        it('picks the legal move its random source points at', function() {
+            const board = createMidGame();
+            const moves = BentoBlocks.getLegalMoves(board, board.currentPlayer);
+
+            assert.equal(BentoBots.chooseMove(board, board.currentPlayer, 'random', { random: () => 0 }).pieceId,
+                moves[0].pieceId);
+            const last = BentoBots.chooseMove(board, board.currentPlayer, 'random', { random: () => 0.9999 });
+            assert.deepEqual([last.pieceId, last.row, last.col], [moves[moves.length - 1].pieceId,
+                moves[moves.length - 1].row, moves[moves.length - 1].col]);
+        });
+    });
+
+    describe('greedy', function() {
+        it('plays one of the biggest pieces that fit', function() {
+            const board = createMidGame();
+            const biggest = Math.max(...BentoBlocks.getLegalMoves(board, board.currentPlayer).map(m => m.shape.length));
+
+            [0, 0.5, 0.9999].forEach(value => {
+                const move = BentoBots.chooseMove(board, board.currentPlayer, 'greedy', { random: () => value });
+                assert.equal(move.shape.length, biggest);
+                assertLegal(board, move);
+            });
+        });
+    });
+
+    describe('lookahead', function() {
+        it('plays a legal five-square piece early on in a game of two colours a seat', function() {
+            let board = BentoBlocks.startGame(BentoBlocks.createBoard(), 2);
+            for (let turn = 0; turn < 4; turn++) {
+                board = playFirstMove(board);
+            }
+
+            const move = BentoBots.chooseMove(board, board.currentPlayer, 'lookahead', { random: () => 0 });
+            assertLegal(board, move);
+            assert.equal(move.shape.length, 5);
+        });
+
+        it('chooses the same move for the same random source', function() {
+            const board = createMidGame();
+            const first = BentoBots.chooseMove(board, board.currentPlayer, 'lookahead', { random: () => 0.3 });
+            const second = BentoBots.chooseMove(board, board.currentPlayer, 'lookahead', { random: () => 0.3 });
+            assert.deepEqual([first.pieceId, first.row, first.col], [second.pieceId, second.row, second.col]);
+        });
+    });
+
+    describe('playTurn', function() {
+        it('places the chosen piece for the bot', function() {
+            const board = createMidGame();
+            const playerId = board.currentPlayer;
+            const next = BentoBots.playTurn(board, playerId, 'greedy', { random: () => 0 });
+
+            assert.equal(next.moveHistory.length, board.moveHistory.length + 1);
+            assert.equal(next.lastMove.playerId, playerId);
+            assert.notEqual(next.currentPlayer, playerId);
+        });
+
+        it('finishes a game between two bots', function() {
+            let board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }));
+            const strategies = { 1: 'lookahead', 2: 'random' };
+
+            while (!BentoBlocks.isGameOver(board)) {
+                board = BentoBots.playTurn(board, board.currentPlayer, strategies[board.currentPlayer], { random: () => 0.5 });
+                assert.ok(board, 'a bot with the turn always has a move');
+            }
+            assert.ok(BentoBlocks.getWinner(board).length > 0);
+        });
+
+        it('gives null for a colour with no moves left', function() {
+            let board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }));
+            while (!BentoBlocks.isGameOver(board)) {
+                board = playFirstMove(board);
+            }
+            assert.equal(BentoBots.chooseMove(board, 1, 'greedy'), null);
+            assert.equal(BentoBots.playTurn(board, 1, 'random'), null);
+        });
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * controller.test.js - Game controller commands and the events they announce
+ */
+import assert from 'node:assert/strict';
+import { BentoBlocks } from '../Module.js';
+import '../bento_controller.js';
+
+const { GameController } = globalThis;
+
+/**
+ * Records every event a controller announces
+ * @param {Object} controller - Game controller
+ * @returns {Array} Events seen so far, as [name, details] pairs
+ */
+function recordEvents(controller) {
+    const events = [];
+    GameController.EVENTS.forEach(name => {
+        controller.on(name, details => events.push([name, details]));
+    });
+    return events;
+}
+
+/**
+ * Selects, turns and places the first legal move of the player to move
+ * @param {Object} controller - Game controller
+ * @returns {boolean} True if the move was played
+ */
+function placeFirstMove(controller) {
+    const board = controller.getBoard();
+    const move = BentoBlocks.getLegalMoves(board, board.currentPlayer)[0];
+
+    controller.select(move.pieceId);
+    if (move.flipped) {
+        controller.flip();
+    }
+    for (let turn = 0; turn < move.rotation; turn++) {
+        controller.rotate();
+    }
+    return controller.place(move.row, move.col);
+}
+
+/**
+ * Creates a controller for a new Duo game between two humans
+ * @returns {Object} Game controller
+ */
+function createDuoController() {
+    return GameController.create(BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' })));
+}
+
+describe('GameController', function() {
+    describe('events', function() {
+        it('refuses to subscribe to an unknown event', function() {
+            assert.throws(() => createDuoController().on('moved', () => {}), /Unknown controller event: moved/);
+        });
+
+        it('announces a placement, then the next turn', function() {
+            const controller = createDuoController();
+            const events = recordEvents(controller);
+
+            assert.ok(placeFirstMove(controller));
+
+            const names = events.map(([name]) => name).filter(name => name !== 'selectionChanged');
+            assert.deepEqual(names, ['stateChanged', 'moveMade', 'turnChanged']);
+
+            const moveMade = events.find(([name]) => name === 'moveMade')[1];
+            assert.equal(moveMade.move.type, BentoBlocks.MOVE_TYPES.PLACE);
+            assert.equal(moveMade.move.playerId, 1);
+            assert.equal(moveMade.board, controller.getBoard());
+
+            const turnChanged = events.find(([name]) => name === 'turnChanged')[1];
+            assert.equal(turnChanged.playerId, 2);
+            assert.equal(turnChanged.seat.id, 2);
+            assert.equal(turnChanged.cause, 'move');
+        });
+
+        it('announces selections as pieces are picked, turned, flipped and dropped', function() {
+            const controller = createDuoController();
+            const pieces = [];
+            controller.on('selectionChanged', ({ piece }) => pieces.push(piece && [piece.id, piece.rotation, piece.flipped]));
+
+            controller.select('L5');
+            controller.rotate();
+            controller.flip();
+            controller.rotate(-1);
+            controller.deselect();
+
+            assert.deepEqual(pieces, [['L5', 0, false], ['L5', 1, false], ['L5', 1, true], ['L5', 0, true], null]);
+        });
+
+        it('announces blocked colours and the end of the game once', function() {
+            const controller = createDuoController();
+            const events = recordEvents(controller);
+
+            while (!BentoBlocks.isGameOver(controller.getBoard())) {
+                assert.ok(placeFirstMove(controller));
+            }
+
+            const blocked = events.filter(([name]) => name === 'playerBlocked').map(([, details]) => details.playerId);
+            assert.deepEqual([...blocked].sort(), [1, 2]);
+
+            const gameOver = events.filter(([name]) => name === 'gameOver');
+            assert.equal(gameOver.length, 1);
+            assert.deepEqual(gameOver[0][1].winners, BentoBlocks.getWinner(controller.getBoard()));
+            assert.equal(events[events.length - 1][0], 'gameOver');
+        });
+    });
+
+    describe('invalid moves', function() {
+        it('says when no piece is selected', function() {
+            const controller = createDuoController();
+            const events = recordEvents(controller);
+
+            assert.equal(controller.place(4, 4), false);
+            assert.deepEqual(events.map(([name]) => name), ['invalidMove']);
+            assert.equal(events[0][1].reason, 'noPieceSelected');
+            assert.deepEqual([events[0][1].row, events[0][1].col], [4, 4]);
+        });
+
+        it('passes on the reasons for an illegal placement without changing the board', function() {
+            const controller = createDuoController();
+            const board = controller.getBoard();
+            const events = recordEvents(controller);
+
+            controller.select('I1');
+            assert.equal(controller.place(0, 0), false);
+
+            const [name, details] = events[events.length - 1];
+            assert.equal(name, 'invalidMove');
+            assert.equal(details.reason, 'illegalPlacement');
+            assert.equal(details.piece.id, 'I1');
+            assert.deepEqual(details.reasons.map(reason => reason.code), [BentoBlocks.PLACEMENT_REASONS.NOT_ON_START_CELL]);
+            assert.equal(details.message, details.reasons[0].message);
+            assert.equal(controller.getBoard(), board);
+            assert.equal(controller.getSelectedPiece().id, 'I1');
+        });
+
+        it('refuses moves while a bot is to move', function() {
+            const board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }), undefined, { bots: { 1: 'random' } });
+            const controller = GameController.create(board);
+            const events = recordEvents(controller);
+
+            assert.equal(controller.select('I1'), false);
+            assert.equal(controller.pass(), false);
+            assert.deepEqual(events.map(([name, details]) => [name, details.reason]), [['invalidMove', 'notYourTurn']]);
+
+            assert.ok(controller.playBotTurn());
+            assert.equal(controller.getBoard().currentPlayer, 2);
+        });
+
+        it('refuses moves once the game is over', function() {
+            const controller = createDuoController();
+            while (!BentoBlocks.isGameOver(controller.getBoard())) {
+                assert.ok(placeFirstMove(controller));
+            }
+            const events = recordEvents(controller);
+
+            assert.equal(controller.pass(), false);
+            assert.equal(events[0][1].reason, 'gameOver');
+        });
+    });
+
+    describe('undo and redo', function() {
+        it('takes moves back and plays them again with their own causes', function() {
+            const controller = createDuoController();
+            placeFirstMove(controller);
+            placeFirstMove(controller);
+            const played = controller.getBoard();
+            const events = recordEvents(controller);
+
+            assert.ok(controller.undo());
+            assert.equal(controller.getBoard().currentPlayer, 2);
+            assert.ok(controller.canRedo());
+
+            assert.ok(controller.redo());
+            assert.equal(controller.getBoard(), played);
+
+            const causes = events.filter(([name]) => name === 'stateChanged' || name === 'turnChanged')
+                .map(([name, details]) => `${name}:${details.cause}`);
+            assert.deepEqual(causes, ['stateChanged:undo', 'turnChanged:undo', 'stateChanged:redo', 'turnChanged:redo']);
+            assert.ok(!events.some(([name]) => name === 'moveMade'));
+        });
+
+        it('takes back bot moves too so the human gets the turn back', function() {
+            const board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }), undefined, { bots: { 2: 'greedy' } });
+            const controller = GameController.create(board);
+            placeFirstMove(controller);
+            controller.playBotTurn();
+
+            assert.ok(controller.undo());
+            assert.equal(controller.getBoard().moveHistory.length, 0);
+            assert.equal(controller.getBoard().currentPlayer, 1);
+        });
+
+        it('leaves bot moves alone when ownMoveUndoOnly is set', function() {
+            const board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }), undefined, { bots: { 2: 'greedy' } });
+            const controller = GameController.create(board, { ownMoveUndoOnly: true });
+            placeFirstMove(controller);
+            assert.ok(controller.canUndo());
+
+            controller.playBotTurn();
+            assert.equal(controller.canUndo(), false);
+            assert.equal(controller.undo(), false);
+            assert.equal(controller.getBoard().moveHistory.length, 2);
+        });
+    });
+
+    describe('hints', function() {
+        /**
+         * Creates a controller for a new Duo game with a hint limit
+         * @param {number} hintLimit - Hints each seat may take
+         * @returns {Object} Game controller
+         */
+        function createHintController(hintLimit) {
+            return GameController.create(BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo', hintLimit })));
+        }
+
+        it('records a hint without changing the turn', function() {
+            const controller = createHintController(2);
+            const events = recordEvents(controller);
+
+            const hint = controller.hint();
+            assert.equal(hint.type, BentoBlocks.MOVE_TYPES.HINT);
+            assert.equal(controller.getBoard().currentPlayer, 1);
+            assert.equal(BentoBlocks.getHintsLeft(controller.getBoard(), 1), 1);
+            assert.deepEqual(events.map(([name, details]) => [name, details.cause]),
+                [['stateChanged', 'hint'], ['hintTaken', undefined]]);
+            assert.ok(Object.isFrozen(controller.getHistory()));
+        });
+
+        it('cannot be undone to get the hint back', function() {
+            const controller = createHintController(1);
+            placeFirstMove(controller);
+            placeFirstMove(controller);
+            controller.hint();
+
+            assert.equal(controller.canUndo(), false);
+            assert.equal(controller.undo(), false);
+            assert.throws(() => BentoBlocks.undo(controller.getHistory()), /A hint cannot be taken back/);
+            assert.equal(BentoBlocks.getHintsLeft(controller.getBoard(), 1), 0);
+            assert.equal(controller.hint(), null);
+        });
+
+        it('lets the move after a hint be undone, but no further', function() {
+            const controller = createHintController(1);
+            placeFirstMove(controller);
+            placeFirstMove(controller);
+            controller.hint();
+            placeFirstMove(controller);
+
+            assert.ok(controller.undo());
+            assert.equal(controller.getBoard().moveHistory.length, 3);
+            assert.equal(controller.undo(), false);
+            assert.equal(controller.getBoard().moveHistory.length, 3);
+            assert.equal(BentoBlocks.getHintsLeft(controller.getBoard(), 1), 0);
+        });
+    });
+
+    describe('remote games', function() {
+        it('submits moves instead of playing them', function() {
+            const controller = createDuoController();
+            const submitted = [];
+            controller.setRemote({ seatId: 1, submitMove: move => submitted.push(move) });
+            const events = recordEvents(controller);
+
+            assert.ok(placeFirstMove(controller));
+            assert.equal(controller.getBoard().moveHistory.length, 0);
+            assert.equal(submitted.length, 1);
+            assert.equal(submitted[0].playerId, 1);
+            assert.deepEqual(events.find(([name]) => name === 'moveSubmitted')[1].move, submitted[0]);
+            assert.equal(controller.canUndo(), false);
+        });
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * notation.test.js - Move notation and game records
+ *
+ * The records in fixtures/records were written by writeGame: a finished
+ * Duo game between bots, three seats sharing a colour with a hint, a pass,
+ * a renamed player and a changed colour, and a timed game of two seats with
+ * two colours each. illegal-move.txt is the Duo game cut short by a move
+ * that breaks the corner rule.
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { BentoBlocks, BentoNotation } from '../Module.js';
+
+const RECORDS = ['duo-finished', 'three-seats', 'two-seats-timed'];
+
+/**
+ * Reads a game record fixture
+ * @param {string} name - Fixture name without the extension
+ * @returns {string} Game record text
+ */
+function readRecord(name) {
+    return fs.readFileSync(new URL(`./fixtures/records/${name}.txt`, import.meta.url), 'utf8');
+}
+
+describe('BentoNotation', function() {
+    describe('moves', function() {
+        it('parses and writes placements, passes, hints and timeouts', function() {
+            ['2:F5 r1 f @ 7,12', '1:I1 r0 @ 0,0', '3:pass', '4:hint', '2:timeout'].forEach(text => {
+                assert.equal(BentoNotation.writeMove(BentoNotation.parseMove(text)), text);
+            });
+        });
+
+        it('reads a placement without rotation as r0', function() {
+            assert.deepEqual(BentoNotation.parseMove(' 1:L4 @ 3 , 4 '), {
+                type: BentoBlocks.MOVE_TYPES.PLACE,
+                playerId: 1,
+                pieceId: 'L4',
+                rotation: 0,
+                flipped: false,
+                row: 3,
+                col: 4
+            });
+        });
+
+        it('refuses text that is not a move', function() {
+            assert.throws(() => BentoNotation.parseMove('1:L4 r5 @ 3,4'), /Cannot parse move/);
+            assert.throws(() => BentoNotation.parseMove('L4 @ 3,4'), /Cannot parse move/);
+        });
+
+        it('formats moveHistory entries with the orientation that produced them', function() {
+            let board = BentoBlocks.startGame(BentoBlocks.createBoard());
+            const move = BentoBlocks.getLegalMoves(board, 1).find(m => m.flipped && m.rotation === 3);
+            board = BentoBlocks.placePiece(board, move.piece, move.row, move.col, 1);
+
+            assert.equal(BentoNotation.formatMove(board.moveHistory[0], board),
+                `1:${move.pieceId} r3 f @ ${move.row},${move.col}`);
+        });
+    });
+
+    describe('game records', function() {
+        RECORDS.forEach(name => {
+            it(`replays ${name} and writes it back unchanged`, function() {
+                const text = readRecord(name);
+                assert.equal(BentoNotation.writeGame(BentoNotation.readGame(text)), text);
+            });
+        });
+
+        it('replays a finished game to the end', function() {
+            const board = BentoNotation.readGame(readRecord('duo-finished'));
+            assert.ok(BentoBlocks.isGameOver(board));
+            assert.deepEqual(board.seats.map(seat => seat.bot), ['greedy', 'random']);
+        });
+
+        it('keeps the headers of a three-seat game', function() {
+            const board = BentoNotation.readGame(readRecord('three-seats'));
+            assert.equal(board.seats.length, 3);
+            assert.ok(board.players.find(p => p.id === 4).neutral);
+            assert.equal(board.players[0].name, 'Ana "A" Lee');
+            assert.equal(board.players[1].color, 'green');
+            assert.equal(BentoBlocks.getHintsLeft(board, 2), 1);
+        });
+
+        it('keeps every position with replayGame', function() {
+            const text = readRecord('two-seats-timed');
+            const boards = BentoNotation.replayGame(text);
+            assert.equal(boards.length, 9);
+            assert.equal(boards[0].moveHistory.length, 0);
+            assert.deepEqual(boards[boards.length - 1].grid, BentoNotation.readGame(text).grid);
+        });
+
+        it('replays a timeout at the flag fall and starts the next clock when the record is read', function() {
+            const [start, board] = BentoNotation.replayGame(
+                '[Variant "duo"]\n[TimeControl "increment 300000+5000 pass"]\n\n1. 1:timeout\n');
+
+            assert.equal(board.currentPlayer, 2);
+            assert.equal(board.moveHistory[0].timestamp, start.turnStartedAt + 300000);
+            assert.ok(board.turnStartedAt >= start.turnStartedAt && board.turnStartedAt <= Date.now());
+            assert.equal(BentoBlocks.getTimeLeft(board, 2, board.turnStartedAt), 300000);
+            assert.equal(BentoBlocks.getTimeLeft(board, 1), 5000);
+        });
+
+        it('fails an illegal record with the number of the move', function() {
+            assert.throws(() => BentoNotation.readGame(readRecord('illegal-move')),
+                /Move 7: Invalid piece placement: The piece must touch a corner/);
+        });
+
+        it('refuses a header after the move list', function() {
+            assert.throws(() => BentoNotation.readGame('1. 1:I1 r0 @ 0,0\n[Players "2"]\n'),
+                /Line 2: header after the move list/);
+        });
+
+        it('refuses Players and Hints headers that are not whole numbers', function() {
+            assert.throws(() => BentoNotation.readGame('[Players "x"]\n'), /Players must be a whole number, not "x"/);
+            assert.throws(() => BentoNotation.readGame('[Players "2.5"]\n'), /Players must be a whole number/);
+            assert.throws(() => BentoNotation.readGame('[Players "9"]\n'), /Invalid board or player count/);
+            assert.throws(() => BentoNotation.readGame('[Hints ""]\n'), /Hints must be a whole number, not ""/);
+            assert.throws(() => BentoNotation.readGame('[Hints "-1"]\n'), /Hints must be a whole number/);
+            assert.equal(BentoNotation.readGame('[Players " 3 "]\n[Hints "2"]\n').seats.length, 3);
+        });
+
+        it('refuses bots that are not known strategies', function() {
+            assert.throws(() => BentoNotation.readGame('[Bots "2:nonsense"]\n'), /Unknown bot strategy for seat 2: nonsense/);
+            assert.throws(() => BentoNotation.readGame('[Bots "two:greedy"]\n'), /Cannot read Bots entry: two:greedy/);
+            assert.throws(() => BentoNotation.readGame('[Bots "2:toString"]\n'), /Unknown bot strategy for seat 2/);
+            assert.deepEqual(BentoNotation.readGame('[Bots "2:greedy, 4:lookahead"]\n').seats.map(seat => seat.bot),
+                [null, 'greedy', null, 'lookahead']);
+        });
+
+        it('refuses colours and avatars the engine does not offer', function() {
+            assert.throws(() => BentoNotation.readGame('[Colors "1:<img src=x onerror=alert(1)>"]\n'),
+                /Cannot read Colors entry/);
+            assert.throws(() => BentoNotation.readGame('[Colors "1:dark red"]\n'), /Cannot read Colors entry/);
+            assert.throws(() => BentoNotation.readGame('[Colors "1:pink"]\n'),
+                /Player 1's colour must be one of red, blue, yellow, purple, orange, green/);
+            assert.throws(() => BentoNotation.readGame('[Avatars "2:banana"]\n'),
+                /Player 2's avatar must be one of blueberry, lime, mango, strawberry/);
+        });
+
+        it('refuses names with control characters', function() {
+            assert.throws(() => BentoNotation.readGame('[Name1 "Ana\u0007"]\n'), /name cannot contain line breaks/);
+            assert.throws(() => BentoBlocks.createBoard({ players: [{ name: 'Ana\n[Result "1-0"]' }] }),
+                /Player 1's name cannot contain line breaks/);
+        });
+    });
+});
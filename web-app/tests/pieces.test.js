@@ -0,0 +1,102 @@
+/**
+ * pieces.test.js - Registering piece sets and playing with them
+ *
+ * Piece sets stay registered for the whole run, so each test registers its
+ * own under a name no other test uses.
+ */
+import assert from 'node:assert/strict';
+import { BentoBlocks } from '../Module.js';
+
+const TROMINOES = {
+    'I1': [[0, 0]],
+    'I3': [[0, 0], [1, 0], [2, 0]],
+    'V3': [[0, 0], [1, 0], [1, 1]]
+};
+
+describe('piece sets', function() {
+    it('start with the classic set of 21 pieces', function() {
+        assert.ok(BentoBlocks.getPieceSets().includes('classic'));
+        assert.equal(Object.keys(BentoBlocks.getPieceSet('classic').shapes).length, 21);
+        assert.throws(() => BentoBlocks.getPieceSet('nonsense'), /Unknown piece set: nonsense/);
+    });
+
+    describe('registerPieceSet', function() {
+        it('works out the distinct orientations of each piece', function() {
+            const set = BentoBlocks.registerPieceSet('pieces-trominoes', TROMINOES);
+
+            assert.ok(Object.isFrozen(set) && Object.isFrozen(set.shapes.V3));
+            assert.deepEqual(Object.fromEntries(Object.entries(set.orientations).map(([id, list]) => [id, list.length])),
+                { I1: 1, I3: 2, V3: 4 });
+            assert.ok(BentoBlocks.getPieceSets().includes('pieces-trominoes'));
+        });
+
+        it('refuses a name that is already registered or missing', function() {
+            BentoBlocks.registerPieceSet('pieces-taken', TROMINOES);
+
+            assert.throws(() => BentoBlocks.registerPieceSet('pieces-taken', { 'I1': [[0, 0]] }),
+                /Piece set "pieces-taken" is already registered/);
+            assert.throws(() => BentoBlocks.registerPieceSet('classic', TROMINOES), /"classic" is already registered/);
+            assert.throws(() => BentoBlocks.registerPieceSet('', TROMINOES), /Piece set must have a name/);
+            assert.deepEqual(Object.keys(BentoBlocks.getPieceSet('pieces-taken').shapes), ['I1', 'I3', 'V3']);
+        });
+
+        it('refuses an empty set and piece IDs move notation cannot write', function() {
+            assert.throws(() => BentoBlocks.registerPieceSet('pieces-empty', {}), /has no pieces/);
+            assert.throws(() => BentoBlocks.registerPieceSet('pieces-bad-id', { 'I 1': [[0, 0]] }),
+                /Invalid piece ID "I 1" in piece set "pieces-bad-id"/);
+            assert.throws(() => BentoBlocks.registerPieceSet('pieces-colon-id', { '1:I1': [[0, 0]] }),
+                /Invalid piece ID "1:I1"/);
+        });
+
+        it('refuses disconnected shapes, even ones touching at a corner', function() {
+            assert.throws(() => BentoBlocks.registerPieceSet('pieces-apart', { 'D2': [[0, 0], [0, 2]] }),
+                /Piece D2 in piece set "pieces-apart" is not connected/);
+            assert.throws(() => BentoBlocks.registerPieceSet('pieces-diagonal', { 'D2': [[0, 0], [1, 1]] }),
+                /is not connected/);
+        });
+
+        it('refuses repeated cells, shapes not normalised to 0,0 and cells that are not coordinates', function() {
+            assert.throws(() => BentoBlocks.registerPieceSet('pieces-repeat', { 'I2': [[0, 0], [1, 0], [0, 0]] }),
+                /Piece I2 in piece set "pieces-repeat" repeats a cell/);
+            assert.throws(() => BentoBlocks.registerPieceSet('pieces-offset', { 'I2': [[1, 1], [2, 1]] }),
+                /is not normalised to start at row 0 and column 0/);
+            assert.throws(() => BentoBlocks.registerPieceSet('pieces-cells', { 'I2': [[0, 0], [0, -1]] }),
+                /has invalid cells/);
+            assert.throws(() => BentoBlocks.registerPieceSet('pieces-none', { 'I0': [] }), /has no cells/);
+            assert.ok(!BentoBlocks.getPieceSets().some(name => ['pieces-repeat', 'pieces-offset'].includes(name)));
+        });
+    });
+
+    describe('boards built from a registered set', function() {
+        before(function() {
+            BentoBlocks.registerPieceSet('pieces-quick', TROMINOES);
+        });
+
+        it('deal the set to every colour, or to the colours it is chosen for', function() {
+            const all = BentoBlocks.createBoard({ variant: 'duo', pieceSet: 'pieces-quick' });
+            assert.deepEqual(all.players.map(p => p.pieces.map(piece => piece.id)), [['I1', 'I3', 'V3'], ['I1', 'I3', 'V3']]);
+
+            const handicap = BentoBlocks.createBoard({ pieceSet: { 2: 'pieces-quick' } });
+            assert.deepEqual(handicap.players.map(p => [p.pieceSet, p.pieces.length]),
+                [['classic', 21], ['pieces-quick', 3], ['classic', 21], ['classic', 21]]);
+
+            assert.throws(() => BentoBlocks.createBoard({ pieceSet: 'nonsense' }), /Unknown piece set: nonsense/);
+            assert.throws(() => BentoBlocks.createBoard({ pieceSet: { 5: 'pieces-quick' } }),
+                /Cannot assign a piece set to unknown player 5/);
+        });
+
+        it('play a whole game with the set and save it', function() {
+            let board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo', pieceSet: 'pieces-quick' }));
+            while (!BentoBlocks.isGameOver(board)) {
+                const move = BentoBlocks.getLegalMoves(board, board.currentPlayer)[0];
+                assert.ok(['I1', 'I3', 'V3'].includes(move.pieceId));
+                board = BentoBlocks.placePiece(board, move.piece, move.row, move.col, board.currentPlayer);
+            }
+
+            assert.ok(board.players.every(p => p.pieces.every(piece => piece.used)));
+            assert.deepEqual(board.players.map(p => p.score), [7, 7]);
+            assert.deepEqual(BentoBlocks.serialize(BentoBlocks.deserialize(BentoBlocks.serialize(board))),
+                BentoBlocks.serialize(board));
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * placement.test.js - Placement checks and the reasons given for rejecting one
+ */
+import assert from 'node:assert/strict';
+import { BentoBlocks } from '../Module.js';
+
+const { PLACEMENT_REASONS } = BentoBlocks;
+
+/**
+ * Gets one of a player's pieces in an orientation
+ * @param {Object} board - Game board object
+ * @param {number} playerId - Player ID
+ * @param {string} pieceId - Piece ID
+ * @param {number} [rotation=0] - Quarter turns clockwise
+ * @param {boolean} [flipped=false] - True if mirrored before rotating
+ * @returns {Object} Piece object
+ */
+function getPiece(board, playerId, pieceId, rotation = 0, flipped = false) {
+    const piece = board.players.find(p => p.id === playerId).pieces.find(p => p.id === pieceId);
+    return { ...piece, rotation, flipped };
+}
+
+/**
+ * Gets the codes of the reasons validatePlacement gives
+ * @param {Object} board - Game board object
+ * @param {Object} piece - Piece object in the orientation to place
+ * @param {number} row - Starting row position
+ * @param {number} col - Starting column position
+ * @param {number} playerId - Player ID placing the piece
+ * @returns {Array} Reason codes, most important first
+ */
+function reasonCodes(board, piece, row, col, playerId) {
+    return BentoBlocks.validatePlacement(board, piece, row, col, playerId).reasons.map(reason => reason.code);
+}
+
+describe('placement checks', function() {
+    let board;
+
+    beforeEach(function() {
+        board = BentoBlocks.startGame(BentoBlocks.createBoard());
+    });
+
+    it('accepts a first piece on the start cell in any orientation', function() {
+        const piece = getPiece(board, 1, 'L4', 1, true);
+        const move = BentoBlocks.getLegalMoves(board, 1).find(m => m.pieceId === 'L4' && m.rotation === 1 && m.flipped);
+
+        assert.deepEqual(BentoBlocks.validatePlacement(board, piece, move.row, move.col, 1), { valid: true, reasons: [] });
+        assert.ok(BentoBlocks.canPlacePiece(board, piece, move.row, move.col, 1));
+        assert.equal(BentoBlocks.canPlacePiece(board, piece, 10, 10, 1), false);
+    });
+
+    it('explains every rule a placement breaks, with the cells that break it', function() {
+        board = BentoBlocks.placePiece(board, getPiece(board, 1, 'I2'), 0, 0, 1);
+        board = BentoBlocks.pass(board, 2);
+        board = BentoBlocks.pass(board, 3);
+        board = BentoBlocks.pass(board, 4);
+
+        const { valid, reasons } = BentoBlocks.validatePlacement(board, getPiece(board, 1, 'I3', 1), 1, 1, 1);
+        assert.equal(valid, false);
+        assert.deepEqual(reasons.map(reason => reason.code), [PLACEMENT_REASONS.EDGE_CONTACT]);
+        assert.deepEqual(reasons[0].cells, [[1, 1]]);
+
+        assert.deepEqual(reasonCodes(board, getPiece(board, 1, 'I2'), 0, 0, 1),
+            [PLACEMENT_REASONS.PIECE_USED, PLACEMENT_REASONS.OVERLAP]);
+        assert.deepEqual(reasonCodes(board, getPiece(board, 1, 'I5', 1), 5, 17, 1),
+            [PLACEMENT_REASONS.OUT_OF_BOUNDS, PLACEMENT_REASONS.NO_CORNER_CONTACT]);
+        assert.deepEqual(reasonCodes(board, getPiece(board, 2, 'I1'), 19, 19, 2), [PLACEMENT_REASONS.NOT_YOUR_TURN]);
+    });
+
+    describe('pieces that are not the player\'s own', function() {
+        it('refuses a piece ID the player was never dealt', function() {
+            const piece = { id: 'ZZ', shape: [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4], [1, 0], [1, 1], [1, 2], [1, 3], [1, 4]],
+                used: false, rotation: 0, flipped: false };
+
+            assert.deepEqual(reasonCodes(board, piece, 0, 0, 1), [PLACEMENT_REASONS.UNKNOWN_PIECE]);
+            assert.equal(BentoBlocks.canPlacePiece(board, piece, 0, 0, 1), false);
+            assert.throws(() => BentoBlocks.placePiece(board, piece, 0, 0, 1),
+                /Invalid piece placement: Player 1 has no piece ZZ/);
+        });
+
+        it('refuses a shape that is not the piece in any orientation', function() {
+            const piece = { ...getPiece(board, 1, 'I1'), shape: [[0, 0], [1, 0], [2, 0], [3, 0], [4, 0]] };
+
+            assert.deepEqual(reasonCodes(board, piece, 0, 0, 1), [PLACEMENT_REASONS.SHAPE_MISMATCH]);
+            assert.equal(BentoBlocks.canPlacePiece(board, piece, 0, 0, 1), false);
+            assert.throws(() => BentoBlocks.placePiece(board, piece, 0, 0, 1),
+                /Invalid piece placement: That shape is not I1 in any orientation/);
+        });
+
+        it('accepts a piece given in another orientation\'s shape and places those cells', function() {
+            const L4 = getPiece(board, 1, 'L4');
+            const turned = { ...L4, shape: BentoBlocks.getTransformedShape({ ...L4, rotation: 1 }) };
+            const move = BentoBlocks.getLegalMoves(board, 1).find(m => m.pieceId === 'L4' && m.rotation === 1 && !m.flipped);
+
+            assert.ok(BentoBlocks.canPlacePiece(board, turned, move.row, move.col, 1));
+            const placed = BentoBlocks.placePiece(board, turned, move.row, move.col, 1);
+            const expected = BentoBlocks.placePiece(board, move.piece, move.row, move.col, 1);
+            assert.deepEqual(placed.grid, expected.grid);
+        });
+
+        it('refuses a played piece passed in as unused', function() {
+            board = BentoBlocks.placePiece(board, getPiece(board, 1, 'I1'), 0, 0, 1);
+            const piece = { ...getPiece(board, 1, 'I1'), used: false };
+            board = BentoBlocks.pass(board, 2);
+            board = BentoBlocks.pass(board, 3);
+            board = BentoBlocks.pass(board, 4);
+
+            assert.deepEqual(reasonCodes(board, piece, 1, 1, 1), [PLACEMENT_REASONS.PIECE_USED]);
+            assert.equal(BentoBlocks.canPlacePiece(board, piece, 1, 1, 1), false);
+            assert.throws(() => BentoBlocks.placePiece(board, piece, 1, 1, 1), /I1 has already been played/);
+        });
+    });
+});
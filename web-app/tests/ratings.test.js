@@ -0,0 +1,147 @@
+/**
+ * ratings.test.js - Profiles and multiplayer Elo ratings
+ */
+import assert from 'node:assert/strict';
+import '../bento_ratings.js';
+
+const { BentoRatings } = globalThis;
+
+/**
+ * Creates a store with a profile for each name
+ * @param {Array} names - Player names
+ * @returns {Object} Store object
+ */
+function createStore(names) {
+    return names.reduce((store, name) => BentoRatings.addProfile(store, name).store, BentoRatings.createStore());
+}
+
+/**
+ * Rounds rating changes so they can be compared exactly
+ * @param {Array} changes - Rating changes
+ * @returns {Array} Changes to two decimal places
+ */
+function round(changes) {
+    return changes.map(change => Math.round(change * 100) / 100);
+}
+
+describe('BentoRatings', function() {
+    describe('computeRatingChanges', function() {
+        it('gives plain Elo for two players', function() {
+            assert.deepEqual(BentoRatings.computeRatingChanges([{ rating: 1000, score: 40 }, { rating: 1000, score: 30 }]),
+                [16, -16]);
+            // A 200-point favourite is expected to score 0.76
+            assert.deepEqual(round(BentoRatings.computeRatingChanges([
+                { rating: 1200, score: 40 },
+                { rating: 1000, score: 30 }
+            ])), [7.69, -7.69]);
+            assert.deepEqual(round(BentoRatings.computeRatingChanges([
+                { rating: 1200, score: 30 },
+                { rating: 1000, score: 40 }
+            ])), [-24.31, 24.31]);
+        });
+
+        it('averages the pairwise results of four players', function() {
+            const changes = BentoRatings.computeRatingChanges([
+                { rating: 1000, score: 80 },
+                { rating: 1000, score: 60 },
+                { rating: 1000, score: 40 },
+                { rating: 1000, score: 20 }
+            ]);
+            assert.deepEqual(round(changes), [16, 5.33, -5.33, -16]);
+            assert.equal(Math.round(changes.reduce((total, change) => total + change, 0) * 1e9), 0);
+        });
+
+        it('counts a tie as half a win', function() {
+            assert.deepEqual(BentoRatings.computeRatingChanges([{ rating: 1000, score: 30 }, { rating: 1000, score: 30 }]),
+                [0, 0]);
+            assert.deepEqual(round(BentoRatings.computeRatingChanges([
+                { rating: 1000, score: 50 },
+                { rating: 1000, score: 50 },
+                { rating: 1000, score: 10 }
+            ])), [8, 8, -16]);
+        });
+
+        it('changes nothing for a single player', function() {
+            assert.deepEqual(BentoRatings.computeRatingChanges([{ rating: 1000, score: 30 }]), [0]);
+        });
+    });
+
+    describe('recordGame', function() {
+        it('updates every rating and ranks tied players together', function() {
+            const store = BentoRatings.recordGame(createStore(['Ana', 'Ben', 'Cy', 'Di']), [
+                { profileId: 'p1', score: 50 },
+                { profileId: 'p2', score: 50 },
+                { profileId: 'p3', score: 30 },
+                { profileId: 'p4', score: 10 }
+            ], { id: 'game-1', variant: 'classic' });
+
+            assert.deepEqual(store.games[0].entries.map(entry => entry.rank), [1, 1, 3, 4]);
+            assert.deepEqual(store.profiles.map(profile => Math.round(profile.rating)), [1011, 1011, 995, 984]);
+            assert.deepEqual(BentoRatings.getLeaderboard(store).map(row => [row.name, row.wins]),
+                [['Ana', 1], ['Ben', 1], ['Cy', 0], ['Di', 0]]);
+            assert.throws(() => BentoRatings.recordGame(store, [{ profileId: 'p1', score: 1 }, { profileId: 'p2', score: 2 }],
+                { id: 'game-1' }), /already been recorded/);
+        });
+
+        it('refuses games with one player, repeated profiles or unknown profiles', function() {
+            const store = createStore(['Ana', 'Ben']);
+            assert.throws(() => BentoRatings.recordGame(store, [{ profileId: 'p1', score: 1 }]), /at least two players/);
+            assert.throws(() => BentoRatings.recordGame(store, [{ profileId: 'p1', score: 1 }, { profileId: 'p1', score: 2 }]),
+                /only play one seat/);
+            assert.throws(() => BentoRatings.recordGame(store, [{ profileId: 'p1', score: 1 }, { profileId: 'p9', score: 2 }]),
+                /Unknown profile p9/);
+        });
+    });
+
+    describe('readStore', function() {
+        it('reads back a store written as JSON', function() {
+            const store = BentoRatings.recordGame(createStore(['Ana', 'Ben']),
+                [{ profileId: 'p1', score: 20 }, { profileId: 'p2', score: 10 }]);
+            assert.deepEqual(BentoRatings.readStore(JSON.parse(JSON.stringify(store))), store);
+        });
+
+        it('refuses ratings that are not finite numbers', function() {
+            [NaN, Infinity, -Infinity, '1000', null].forEach(rating => {
+                const data = { ...BentoRatings.createStore(), profiles: [{ id: 'p1', name: 'Ana', rating }] };
+                assert.throws(() => BentoRatings.readStore(data), /invalid profile/, `rating ${rating}`);
+            });
+            // JSON turns NaN and Infinity into null
+            const saved = JSON.parse(JSON.stringify({ ...BentoRatings.createStore(),
+                profiles: [{ id: 'p1', name: 'Ana', rating: NaN }] }));
+            assert.throws(() => BentoRatings.readStore(saved), /invalid profile/);
+        });
+
+        it('refuses other versions, duplicate profiles and games with unknown players', function() {
+            assert.throws(() => BentoRatings.readStore({ version: 2, profiles: [], games: [] }), /Unsupported ratings data/);
+            assert.throws(() => BentoRatings.readStore({ version: 1, profiles: {}, games: [] }), /missing profiles/);
+            const ana = { id: 'p1', name: 'Ana', rating: 1000 };
+            assert.throws(() => BentoRatings.readStore({ version: 1, profiles: [ana, ana], games: [] }), /invalid profile/);
+            assert.throws(() => BentoRatings.readStore({ version: 1, profiles: [ana],
+                games: [{ id: 'g1', entries: [{ profileId: 'p2' }] }] }), /invalid game/);
+        });
+    });
+
+    describe('forfeits', function() {
+        it('ranks a player who forfeited below everyone still in play, whatever the scores', function() {
+            const store = BentoRatings.recordGame(createStore(['Ana', 'Ben', 'Cy']), [
+                { profileId: 'p1', score: 60, forfeited: true },
+                { profileId: 'p2', score: 20 },
+                { profileId: 'p3', score: 10 }
+            ]);
+            const [ana, ben, cy] = store.games[0].entries;
+
+            assert.deepEqual([ana.rank, ben.rank, cy.rank], [3, 1, 2]);
+            assert.ok(ana.ratingAfter < BentoRatings.INITIAL_RATING);
+            assert.ok(ben.ratingAfter > cy.ratingAfter);
+            assert.deepEqual(BentoRatings.getHeadToHead(store, 'p1').map(record => record.losses), [1, 1]);
+        });
+
+        it('compares two forfeits by score', function() {
+            const changes = BentoRatings.computeRatingChanges([
+                { rating: 1000, score: 30, forfeited: true },
+                { rating: 1000, score: 10, forfeited: true }
+            ]);
+            assert.deepEqual(changes, [16, -16]);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * scoring.test.js - Basic, official and custom scoring rules
+ *
+ * Finishing a hand of 21 pieces takes a whole game, so the official bonuses
+ * are checked with a registered set of two pieces.
+ */
+import assert from 'node:assert/strict';
+import { BentoBlocks } from '../Module.js';
+
+BentoBlocks.registerPieceSet('scoring-pair', {
+    'I1': [[0, 0]],
+    'I2': [[0, 0], [1, 0]]
+});
+
+/**
+ * Places one of the current player's pieces at the first spot it fits
+ * @param {Object} board - Game board object
+ * @param {string} pieceId - Piece ID
+ * @returns {Object} Updated board object
+ */
+function playPiece(board, pieceId) {
+    const move = BentoBlocks.getLegalMoves(board, board.currentPlayer).find(m => m.pieceId === pieceId);
+    return BentoBlocks.placePiece(board, move.piece, move.row, move.col, board.currentPlayer);
+}
+
+/**
+ * Starts a Duo game where player 1 has the two-piece set
+ * @param {string} scoring - Scoring rules name
+ * @returns {Object} Game board object
+ */
+function startPairGame(scoring) {
+    return BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo', scoring, pieceSet: { 1: 'scoring-pair' } }));
+}
+
+/**
+ * Gets a player's score items as [label, points] pairs
+ * @param {Object} board - Game board object
+ * @param {number} playerId - Player ID
+ * @returns {Array} Score items
+ */
+function scoreItems(board, playerId) {
+    return BentoBlocks.getScoreBreakdown(board, playerId).items.map(item => [item.label, item.points]);
+}
+
+describe('scoring', function() {
+    it('lists the built-in rules', function() {
+        assert.deepEqual(BentoBlocks.getScoringRules(), ['basic', 'official']);
+        assert.throws(() => BentoBlocks.createBoard({ scoring: 'golf' }), /Unknown scoring rules: golf/);
+    });
+
+    describe('basic', function() {
+        it('counts the squares placed', function() {
+            let board = startPairGame('basic');
+            board = playPiece(board, 'I2');
+            board = playPiece(board, 'I5');
+
+            assert.deepEqual(scoreItems(board, 1), [['Squares placed', 2]]);
+            assert.equal(board.players[1].score, 5);
+        });
+    });
+
+    describe('official', function() {
+        it('takes a point off for every square left in hand', function() {
+            let board = startPairGame('official');
+            assert.deepEqual(scoreItems(board, 1), [['Unplaced squares', -3]]);
+            assert.equal(board.players[1].score, -89);
+
+            board = playPiece(board, 'I2');
+            board = playPiece(board, 'F5');
+            assert.deepEqual(scoreItems(board, 1), [['Unplaced squares', -1]]);
+            assert.equal(board.players[1].score, -84);
+        });
+
+        it('adds 15 for placing every piece and 5 more when the monomino went last', function() {
+            let board = startPairGame('official');
+            board = playPiece(board, 'I2');
+            board = playPiece(board, 'I5');
+            board = playPiece(board, 'I1');
+
+            assert.deepEqual(scoreItems(board, 1),
+                [['Unplaced squares', 0], ['All pieces placed', 15], ['Monomino placed last', 5]]);
+            assert.equal(board.players[0].score, 20);
+        });
+
+        it('gives no monomino bonus when another piece went last', function() {
+            let board = startPairGame('official');
+            board = playPiece(board, 'I1');
+            board = playPiece(board, 'I5');
+            board = playPiece(board, 'I2');
+
+            assert.deepEqual(scoreItems(board, 1), [['Unplaced squares', 0], ['All pieces placed', 15]]);
+            assert.equal(board.players[0].score, 15);
+        });
+
+        it('decides the winner on the official score', function() {
+            let board = BentoBlocks.startGame(BentoBlocks.createBoard({
+                variant: 'duo', scoring: 'official', pieceSet: 'scoring-pair'
+            }));
+            ['I2', 'I1', 'I1', 'I2'].forEach(pieceId => {
+                board = playPiece(board, pieceId);
+            });
+
+            assert.ok(BentoBlocks.isGameOver(board));
+            assert.deepEqual(BentoBlocks.getSeatResults(board).map(seat => seat.score), [20, 15]);
+            assert.deepEqual(BentoBlocks.getWinner(board).map(seat => seat.id), [1]);
+        });
+    });
+
+    describe('custom rules', function() {
+        it('uses a rules object given at startGame', function() {
+            const perPiece = {
+                name: 'per-piece',
+                score: player => [{ label: 'Pieces placed', points: player.pieces.filter(p => p.used).length }]
+            };
+            let board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }), undefined, { scoring: perPiece });
+            board = playPiece(board, 'I5');
+
+            assert.equal(BentoBlocks.getScoreBreakdown(board, 1).scoring, 'per-piece');
+            assert.deepEqual(scoreItems(board, 1), [['Pieces placed', 1]]);
+            assert.throws(() => BentoBlocks.createBoard({ scoring: { name: 'broken' } }),
+                /Scoring rules must have a name and a score function/);
+        });
+    });
+});
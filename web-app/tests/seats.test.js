@@ -0,0 +1,30 @@
+/**
+ * seats.test.js - Seats, the colours they own and shared neutral colours
+ */
+import assert from 'node:assert/strict';
+import { BentoBlocks } from '../Module.js';
+
+describe('seats', function() {
+    it('gives each seat one colour by default', function() {
+        const board = BentoBlocks.startGame(BentoBlocks.createBoard());
+        assert.deepEqual(board.seats.map(seat => seat.playerIds), [[1], [2], [3], [4]]);
+        assert.ok(board.players.every(p => !p.neutral));
+    });
+
+    it('deals two colours each to two seats and shares the fourth among three', function() {
+        const two = BentoBlocks.startGame(BentoBlocks.createBoard(), 2);
+        assert.deepEqual(two.seats.map(seat => seat.playerIds), [[1, 3], [2, 4]]);
+
+        const three = BentoBlocks.startGame(BentoBlocks.createBoard(), 3);
+        assert.deepEqual(three.seats.map(seat => seat.playerIds), [[1], [2], [3]]);
+        assert.deepEqual(three.players.filter(p => p.neutral).map(p => p.id), [4]);
+    });
+
+    it('refuses seat counts that are not whole numbers from 2 to the number of colours', function() {
+        const board = BentoBlocks.createBoard();
+        [1, 5, NaN, 2.5, '2', Infinity, null].forEach(seatCount => {
+            assert.throws(() => BentoBlocks.startGame(board, seatCount), /Invalid board or player count/,
+                `seat count ${seatCount}`);
+        });
+    });
+});
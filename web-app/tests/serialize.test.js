@@ -0,0 +1,152 @@
+/**
+ * serialize.test.js - Saving and loading games
+ *
+ * The fixtures in fixtures/saves were written by the engine at each save
+ * version, one short game apiece: v2 is a Duo game, v3 has three seats
+ * sharing a colour, v5 records a hint, v6 is timed and v7 has names and
+ * avatars.
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { BentoBlocks } from '../Module.js';
+
+const SAVE_VERSIONS = [1, 2, 3, 4, 5, 6, 7];
+
+/**
+ * Reads a saved game fixture
+ * @param {number} version - Save version
+ * @returns {Object} Serialized game
+ */
+function readSave(version) {
+    return JSON.parse(fs.readFileSync(new URL(`./fixtures/saves/v${version}.json`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Plays the first legal move of the player to move
+ * @param {Object} board - Game board object
+ * @returns {Object} Updated board object
+ */
+function playFirstMove(board) {
+    const move = BentoBlocks.getLegalMoves(board, board.currentPlayer)[0];
+    return BentoBlocks.placePiece(board, move.piece, move.row, move.col, board.currentPlayer);
+}
+
+describe('deserialize', function() {
+    SAVE_VERSIONS.forEach(version => {
+        it(`loads a version ${version} save`, function() {
+            const data = readSave(version);
+            const board = BentoBlocks.deserialize(data);
+
+            assert.equal(board.status, data.status);
+            assert.equal(board.currentPlayer, data.currentPlayer);
+            assert.deepEqual(board.grid.map(row => [...row]), data.grid);
+            assert.deepEqual(board.players.map(p => p.score), data.players.map(p => p.score));
+            assert.ok(Object.isFrozen(board));
+
+            // Loaded games carry on and save in the current version
+            const next = playFirstMove(BentoBlocks.resumeClock(board));
+            const saved = BentoBlocks.serialize(next);
+            assert.equal(saved.version, 7);
+            assert.deepEqual(BentoBlocks.serialize(BentoBlocks.deserialize(JSON.stringify(saved))), saved);
+        });
+    });
+
+    it('reads version 1 and 2 saves with one seat per colour', function() {
+        const board = BentoBlocks.deserialize(readSave(1));
+        assert.deepEqual(board.seats.map(seat => seat.playerIds), [[1], [2], [3], [4]]);
+        assert.equal(board.seats[1].bot, 'greedy');
+        assert.equal(BentoBlocks.deserialize(readSave(2)).variant.name, 'duo');
+    });
+
+    it('round-trips a finished game with blocked colours', function() {
+        let board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }));
+        while (!BentoBlocks.isGameOver(board)) {
+            board = playFirstMove(board);
+        }
+        assert.ok(board.moveHistory.some(move => move.type === BentoBlocks.MOVE_TYPES.BLOCKED));
+
+        const saved = BentoBlocks.serialize(board);
+        assert.deepEqual(BentoBlocks.serialize(BentoBlocks.deserialize(saved)), saved);
+    });
+
+    it('replays timeouts in timed games', function() {
+        let board = BentoBlocks.startGame(BentoBlocks.createBoard({
+            variant: 'duo',
+            timeControl: { mode: 'perMove', limit: 1000, onTimeout: 'forfeit' }
+        }));
+        board = playFirstMove(board);
+        board = BentoBlocks.timeOut(board, Date.now() + 5000);
+        assert.ok(BentoBlocks.isGameOver(board));
+
+        const saved = BentoBlocks.serialize(board);
+        assert.deepEqual(BentoBlocks.serialize(BentoBlocks.deserialize(saved)), saved);
+    });
+
+    describe('refuses tampered saves', function() {
+        it('with a first piece off every start cell', function() {
+            const data = BentoBlocks.serialize(BentoBlocks.startGame(BentoBlocks.createBoard()));
+            data.grid[10][10] = 1;
+            data.players[0].pieces.find(p => p.id === 'I1').used = true;
+            data.players[0].score = 1;
+            data.moveHistory.push({
+                type: 'place', playerId: 1, seatId: 1, pieceId: 'I1', position: [10, 10], shape: [[0, 0]], timestamp: 1
+            });
+            data.currentPlayer = 2;
+
+            assert.throws(() => BentoBlocks.deserialize(data),
+                /move 1 is illegal: Your first piece must cover a start cell/);
+        });
+
+        it('with the turn handed to the wrong player', function() {
+            const data = BentoBlocks.serialize(playFirstMove(BentoBlocks.startGame(BentoBlocks.createBoard())));
+            data.currentPlayer = 3;
+
+            assert.throws(() => BentoBlocks.deserialize(data), /current player does not match the move history/);
+        });
+
+        it('with moves played out of turn', function() {
+            const data = readSave(7);
+            const placements = data.moveHistory.filter(move => move.type === 'place');
+            [placements[0].playerId, placements[1].playerId] = [placements[1].playerId, placements[0].playerId];
+
+            assert.throws(() => BentoBlocks.deserialize(data), /move 1 is out of turn/);
+        });
+
+        it('with a missing blocked record', function() {
+            let board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }));
+            while (!BentoBlocks.isGameOver(board)) {
+                board = playFirstMove(board);
+            }
+            const data = BentoBlocks.serialize(board);
+            const blocked = data.moveHistory.findIndex(move => move.type === 'blocked');
+            data.players.find(p => p.id === data.moveHistory[blocked].playerId).blocked = false;
+            data.moveHistory.splice(blocked, 1);
+
+            assert.throws(() => BentoBlocks.deserialize(data), /should be followed by player \d being blocked/);
+        });
+
+        it('with a grid that disagrees with the moves', function() {
+            const data = readSave(7);
+            data.grid[9][9] = 1;
+
+            assert.throws(() => BentoBlocks.deserialize(data), /grid does not match the move history/);
+        });
+
+        it('with a colour or avatar the page cannot show', function() {
+            const data = readSave(7);
+            data.players[0].color = 'red onerror';
+            assert.throws(() => BentoBlocks.deserialize(data), /player 1 has an unknown colour/);
+
+            const other = readSave(7);
+            other.players[1].avatar = '<b>';
+            assert.throws(() => BentoBlocks.deserialize(other), /Player 2's avatar must be one of/);
+        });
+
+        it('with a hint over the limit', function() {
+            const data = readSave(5);
+            data.hintLimit = 0;
+
+            assert.throws(() => BentoBlocks.deserialize(data), /hint over the limit/);
+        });
+    });
+});
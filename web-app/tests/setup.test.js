@@ -0,0 +1,74 @@
+/**
+ * setup.test.js - Names, colours and fruit avatars chosen for each colour before a game
+ */
+import assert from 'node:assert/strict';
+import { BentoBlocks } from '../Module.js';
+
+describe('player setup', function() {
+    it('offers the colours and avatars the page can show', function() {
+        assert.deepEqual(BentoBlocks.PLAYER_COLORS, ['red', 'blue', 'yellow', 'purple', 'orange', 'green']);
+        assert.deepEqual(BentoBlocks.AVATARS, ['blueberry', 'lime', 'mango', 'strawberry']);
+        assert.ok(Object.isFrozen(BentoBlocks.PLAYER_COLORS) && Object.isFrozen(BentoBlocks.AVATARS));
+    });
+
+    it('stores the chosen details on the players and keeps the defaults for the rest', function() {
+        const board = BentoBlocks.createBoard({
+            players: [
+                { name: '  Ana  ', color: 'green', avatar: 'mango' },
+                { avatar: 'lime' },
+                undefined,
+                { name: 'Bo', color: 'red' }
+            ]
+        });
+
+        assert.deepEqual(board.players.map(p => [p.name, p.color, p.avatar]), [
+            ['Ana', 'green', 'mango'],
+            [null, 'blue', 'lime'],
+            [null, 'yellow', null],
+            ['Bo', 'red', null]
+        ]);
+    });
+
+    it('shows each seat by the first name and avatar among its colours', function() {
+        const board = BentoBlocks.startGame(BentoBlocks.createBoard({
+            players: [{ avatar: 'lime' }, { name: 'Bo' }, { name: 'Ana', avatar: 'mango' }]
+        }), 2);
+
+        assert.deepEqual(BentoBlocks.getSeatDetails(board, 1), { name: 'Ana', avatar: 'lime' });
+        assert.deepEqual(BentoBlocks.getSeatDetails(board, 2), { name: 'Bo', avatar: null });
+        assert.deepEqual(BentoBlocks.getSeatDetails(BentoBlocks.startGame(BentoBlocks.createBoard()), 3),
+            { name: 'Player 3', avatar: null });
+        assert.throws(() => BentoBlocks.getSeatDetails(board, 3), /Unknown seat 3/);
+    });
+
+    it('refuses names that are empty, too long or hold control characters', function() {
+        assert.equal(BentoBlocks.createBoard({ players: [{ name: 'A'.repeat(24) }] }).players[0].name, 'A'.repeat(24));
+        ['', '   ', 'A'.repeat(25), 42].forEach(name => {
+            assert.throws(() => BentoBlocks.createBoard({ players: [{ name }] }),
+                /Player 1's name must be 1-24 characters/, JSON.stringify(name));
+        });
+        ['Ana\tLee', 'Ana\u0000', 'Ana\u007f', 'Ana\u0085', 'Ana\u2028Lee'].forEach(name => {
+            assert.throws(() => BentoBlocks.createBoard({ players: [{}, { name }] }),
+                /Player 2's name cannot contain line breaks or control characters/, JSON.stringify(name));
+        });
+    });
+
+    it('refuses colours and avatars outside the palette, and colours taken twice', function() {
+        ['pink', 'Red', 'red onerror', null].forEach(color => {
+            assert.throws(() => BentoBlocks.createBoard({ players: [{ color }] }),
+                /Player 1's colour must be one of red, blue, yellow, purple, orange, green/, String(color));
+        });
+        ['banana', '<b>', '', 'toString'].forEach(avatar => {
+            assert.throws(() => BentoBlocks.createBoard({ players: [{}, { avatar }] }),
+                /Player 2's avatar must be one of blueberry, lime, mango, strawberry/, avatar);
+        });
+        assert.throws(() => BentoBlocks.createBoard({ players: [{ color: 'blue' }] }), /Every player needs a different colour/);
+    });
+
+    it('refuses details for more colours than the variant has', function() {
+        assert.throws(() => BentoBlocks.createBoard({ variant: 'duo', players: [{}, {}, {}] }),
+            /Player details must be an array of at most 2 entries/);
+        assert.throws(() => BentoBlocks.createBoard({ players: { name: 'Ana' } }),
+            /Player details must be an array of at most 4 entries/);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * sync.test.js - State diffs for networked games
+ */
+import assert from 'node:assert/strict';
+import { BentoBlocks, BentoSync } from '../Module.js';
+
+/**
+ * Plays the first legal move of the player to move
+ * @param {Object} board - Game board object
+ * @returns {Object} Updated board object
+ */
+function playFirstMove(board) {
+    const move = BentoBlocks.getLegalMoves(board, board.currentPlayer)[0];
+    return BentoBlocks.placePiece(board, move.piece, move.row, move.col, board.currentPlayer);
+}
+
+/**
+ * Checks that applying the diff between two values gives the second one
+ * @param {*} previous - Previous JSON value
+ * @param {*} next - Next JSON value
+ * @returns {Array} The diff operations
+ */
+function assertRoundTrip(previous, next) {
+    const ops = BentoSync.diff(previous, next);
+    assert.deepEqual(BentoSync.applyDiff(previous, ops), next);
+    return ops;
+}
+
+describe('BentoSync', function() {
+    describe('diff and applyDiff', function() {
+        it('gives no operations for equal values', function() {
+            assert.deepEqual(BentoSync.diff({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), []);
+        });
+
+        it('sets changed values by path', function() {
+            const ops = assertRoundTrip({ grid: [[0, 0], [0, 0]] }, { grid: [[0, 0], [0, 3]] });
+            assert.deepEqual(ops, [{ op: 'set', path: ['grid', 1, 1], value: 3 }]);
+        });
+
+        it('adds and deletes object keys', function() {
+            const ops = assertRoundTrip({ keep: 1, gone: 2 }, { keep: 1, added: { x: [1] } });
+            assert.deepEqual(ops, [
+                { op: 'delete', path: ['gone'] },
+                { op: 'set', path: ['added'], value: { x: [1] } }
+            ]);
+        });
+
+        it('appends to and truncates arrays', function() {
+            assert.deepEqual(assertRoundTrip({ list: [1, 2] }, { list: [1, 2, 3, 4] }),
+                [{ op: 'append', path: ['list'], values: [3, 4] }]);
+            assert.deepEqual(assertRoundTrip({ list: [1, 2, 3] }, { list: [1] }),
+                [{ op: 'truncate', path: ['list'], length: 1 }]);
+        });
+
+        it('replaces values that change type, including the whole state', function() {
+            assertRoundTrip({ value: [1] }, { value: { 0: 1 } });
+            assertRoundTrip({ value: null }, { value: 'text' });
+            assert.deepEqual(assertRoundTrip([1], { a: 1 }), [{ op: 'set', path: [], value: { a: 1 } }]);
+        });
+
+        it('leaves the value it was given unchanged', function() {
+            const previous = { list: [{ a: 1 }] };
+            const ops = BentoSync.diff(previous, { list: [{ a: 2 }, { b: 3 }] });
+            const result = BentoSync.applyDiff(previous, ops);
+
+            assert.deepEqual(previous, { list: [{ a: 1 }] });
+            result.list[1].b = 4;
+            assert.equal(ops[1].values[0].b, 3);
+        });
+
+        it('refuses operations that do not fit the value', function() {
+            assert.throws(() => BentoSync.applyDiff({}, [{ op: 'set', path: ['a', 'b'], value: 1 }]),
+                /Diff path a.b does not exist/);
+            assert.throws(() => BentoSync.applyDiff({}, [{ op: 'delete', path: [] }]),
+                /Cannot delete the whole state/);
+            assert.throws(() => BentoSync.applyDiff({ a: 1 }, [{ op: 'move', path: ['a'] }]),
+                /Unknown diff operation: move/);
+        });
+
+        it('refuses paths through keys the value does not own', function() {
+            [
+                { op: 'set', path: ['__proto__', 'polluted'], value: true },
+                { op: 'set', path: ['constructor', 'prototype', 'polluted'], value: true },
+                { op: 'set', path: ['__proto__'], value: { polluted: true } },
+                { op: 'append', path: ['toString'], values: [1] },
+                { op: 'delete', path: ['hasOwnProperty'] }
+            ].forEach(op => {
+                assert.throws(() => BentoSync.applyDiff({ a: 1 }, [op]), /Diff path .* does not exist/);
+            });
+            assert.equal({}.polluted, undefined);
+        });
+    });
+
+    describe('serialized games', function() {
+        it('follows a whole game move by move', function() {
+            let board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }));
+            let clientState = BentoBlocks.serialize(board);
+
+            while (!BentoBlocks.isGameOver(board)) {
+                board = playFirstMove(board);
+                const state = BentoBlocks.serialize(board);
+                clientState = BentoSync.applyDiff(clientState, BentoSync.diff(clientState, state));
+                assert.deepEqual(clientState, state);
+            }
+
+            assert.deepEqual(BentoBlocks.serialize(BentoBlocks.deserialize(clientState)), BentoBlocks.serialize(board));
+        });
+
+        it('sends only the cells and records a move changed', function() {
+            const board = BentoBlocks.startGame(BentoBlocks.createBoard());
+            const next = playFirstMove(board);
+            const ops = assertRoundTrip(BentoBlocks.serialize(board), BentoBlocks.serialize(next));
+
+            const cells = next.moveHistory[0].shape.length;
+            assert.equal(ops.filter(op => op.path[0] === 'grid').length, cells);
+            assert.ok(ops.some(op => op.op === 'append' && op.path[0] === 'moveHistory'));
+        });
+    });
+});
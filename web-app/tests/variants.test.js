@@ -0,0 +1,103 @@
+/**
+ * variants.test.js - Board sizes, colours and start cells of the built-in and custom variants
+ */
+import assert from 'node:assert/strict';
+import { BentoBlocks } from '../Module.js';
+
+/**
+ * Gets the reason codes validatePlacement gives for a monomino
+ * @param {Object} board - Game board object
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {Array} Array of reason codes, empty for a legal placement
+ */
+function monominoReasons(board, row, col) {
+    const piece = board.players.find(p => p.id === board.currentPlayer).pieces.find(p => p.id === 'I1');
+    return BentoBlocks.validatePlacement(board, piece, row, col, board.currentPlayer).reasons.map(r => r.code);
+}
+
+describe('variants', function() {
+    it('lists the built-in variants', function() {
+        assert.deepEqual(BentoBlocks.getVariants(), ['classic', 'duo']);
+        assert.throws(() => BentoBlocks.createBoard({ variant: 'trio' }), /Unknown variant: trio/);
+        assert.throws(() => BentoBlocks.createBoard({ variant: 'toString' }), /Unknown variant: toString/);
+    });
+
+    it('sets up classic as four colours on a 20 by 20 board starting in the corners', function() {
+        const board = BentoBlocks.createBoard();
+
+        assert.equal(board.size, 20);
+        assert.equal(board.grid.length, 20);
+        assert.ok(board.grid.every(row => row.length === 20));
+        assert.deepEqual(board.players.map(p => p.color), ['red', 'blue', 'yellow', 'purple']);
+        assert.ok(board.players.every(p => p.startCells.length === 4));
+        assert.deepEqual(board.players[0].startCells, [[0, 0], [0, 19], [19, 0], [19, 19]]);
+    });
+
+    it('sets up duo as two colours on a 14 by 14 board starting on 4,4 and 9,9', function() {
+        const board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant: 'duo' }));
+
+        assert.equal(board.size, 14);
+        assert.ok(board.grid.length === 14 && board.grid.every(row => row.length === 14));
+        assert.deepEqual(board.players.map(p => [p.color, p.startCells]), [['purple', [[4, 4]]], ['orange', [[9, 9]]]]);
+        assert.deepEqual(board.seats.map(seat => seat.playerIds), [[1], [2]]);
+
+        assert.deepEqual(monominoReasons(board, 4, 4), []);
+        assert.deepEqual(monominoReasons(board, 0, 0), [BentoBlocks.PLACEMENT_REASONS.NOT_ON_START_CELL]);
+        assert.deepEqual(monominoReasons(board, 9, 9), [BentoBlocks.PLACEMENT_REASONS.NOT_ON_START_CELL]);
+        assert.deepEqual(monominoReasons(board, 13, 14), [BentoBlocks.PLACEMENT_REASONS.OUT_OF_BOUNDS]);
+    });
+
+    it('takes a custom variant with its own size, colours and start cells', function() {
+        const variant = {
+            name: 'tiny-trio',
+            boardSize: 9,
+            playerCount: 3,
+            colors: ['green', 'orange', 'blue'],
+            startCells: [[[0, 4]], [[4, 0], [4, 8]], [[8, 4]]]
+        };
+        let board = BentoBlocks.startGame(BentoBlocks.createBoard({ variant }));
+
+        assert.equal(board.size, 9);
+        assert.ok(Object.isFrozen(board.variant));
+        assert.deepEqual(board.players.map(p => p.color), ['green', 'orange', 'blue']);
+        assert.deepEqual(board.players.map(p => p.startCells), [[[0, 4]], [[4, 0], [4, 8]], [[8, 4]]]);
+        assert.deepEqual(board.seats.map(seat => seat.playerIds), [[1], [2], [3]]);
+
+        variant.startCells[0][0][1] = 0;
+        assert.deepEqual(board.players[0].startCells, [[0, 4]], 'the board keeps its own copy of the start cells');
+
+        assert.deepEqual(monominoReasons(board, 0, 4), []);
+        board = BentoBlocks.placePiece(board, board.players[0].pieces.find(p => p.id === 'I1'), 0, 4, 1);
+        assert.deepEqual(monominoReasons(board, 4, 8), []);
+    });
+
+    it('starts a custom variant without start cells in the corners of its board', function() {
+        const board = BentoBlocks.createBoard({
+            variant: { name: 'small', boardSize: 10, playerCount: 2, colors: ['red', 'green'], startCells: null }
+        });
+        assert.deepEqual(board.players[1].startCells, [[0, 0], [0, 9], [9, 0], [9, 9]]);
+    });
+
+    it('refuses variants it cannot play', function() {
+        const base = { name: 'bad', boardSize: 10, playerCount: 2, colors: ['red', 'blue'], startCells: null };
+        [
+            [{ name: '' }, /Variant must have a name/],
+            [{ boardSize: 4 }, /Variant board size must be between 5 and 32/],
+            [{ boardSize: 33 }, /Variant board size must be between 5 and 32/],
+            [{ boardSize: 10.5 }, /Variant board size must be between 5 and 32/],
+            [{ playerCount: 1 }, /Variant player count must be between 2 and 4/],
+            [{ playerCount: 5 }, /Variant player count must be between 2 and 4/],
+            [{ colors: ['red'] }, /Variant needs a colour for every player/],
+            [{ colors: ['red', 'pink'] }, /Variant needs a colour for every player/],
+            [{ startCells: [[[0, 0]]] }, /Variant start cells must list on-board cells for every player/],
+            [{ startCells: [[[0, 0]], []] }, /Variant start cells must list on-board cells/],
+            [{ startCells: [[[0, 0]], [[10, 0]]] }, /Variant start cells must list on-board cells/],
+            [{ startCells: [[[0, 0]], [[-1, 0]]] }, /Variant start cells must list on-board cells/]
+        ].forEach(([change, message]) => {
+            assert.throws(() => BentoBlocks.createBoard({ variant: { ...base, ...change } }), message,
+                JSON.stringify(change));
+        });
+        assert.throws(() => BentoBlocks.createBoard({ variant: 42 }), /Variant must have a name/);
+    });
+});